@@ -1,21 +1,18 @@
 // Refined: only flag type=3 KqlItem visualizations (not parameter dropdowns)
-const fs = require('fs');
-const text = fs.readFileSync('AzureLocal-LENS-Workbook.json', 'utf8');
-const j = JSON.parse(text);
+const path = require('path');
+const { Workbook, Query } = require('./lib/workbook');
 
-const findings = [];
-function walk(o, path, parent) {
-  if (Array.isArray(o)) o.forEach((v, i) => walk(v, path + '[' + i + ']', parent));
-  else if (o && typeof o === 'object') {
-    if (parent && parent.type === 3 && o === parent.content && typeof o.query === 'string' && o.queryType === 1 && typeof o.noDataMessage !== 'string') {
-      const title = o.title || parent.name || '(unnamed)';
-      const snippet = o.query.replace(/\s+/g, ' ').slice(0, 200);
-      findings.push({ path, title, name: parent.name, snippet, viz: o.visualization || 'table' });
-    }
-    for (const k of Object.keys(o)) walk(o[k], path + '.' + k, o);
-  }
-}
-walk(j, '', null);
+const wb = Workbook.read(path.join(__dirname, '..', 'AzureLocal-LENS-Workbook.json'));
+
+const findings = wb.all(Query)
+  .filter(q => typeof q.query === 'string' && q.content.queryType === 1 && typeof q.content.noDataMessage !== 'string')
+  .map(q => ({
+    path: q.path,
+    title: q.title || q.name || '(unnamed)',
+    name: q.name,
+    snippet: q.query.replace(/\s+/g, ' ').slice(0, 200),
+    viz: q.visualization || 'table'
+  }));
 
 console.log(`Type=3 KqlItem visualizations missing noDataMessage: ${findings.length}\n`);
 findings.forEach((f, i) => {
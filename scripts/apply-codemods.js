@@ -0,0 +1,113 @@
+/**
+ * scripts/apply-codemods.js — Applies the workbook-wide policies in
+ * scripts/codemods/*.json (scripts/lib/codemod.js) to the split sources:
+ * shared/header.json and every workbooks/<Slug>/<Slug>.workbook.
+ *
+ *   no-data-messages       noDataMessage + noDataMessageStyle 4 on every
+ *                          visible query, text by item name
+ *   show-analytics         showAnalytics ("Open in query mode") on every
+ *                          visible query but stat tiles
+ *   show-export-to-excel   showExportToExcel on every visible grid
+ *
+ * Helper queries (scripts/codemods/helpers.json, and queries with no
+ * display settings) are never touched. Re-running changes nothing once a
+ * policy is applied.
+ *
+ *   --dry-run   print the diff of every file that would change; write nothing
+ *   --check     the same, and exit 1 if any file would change (CI: the
+ *               policies are applied to every item)
+ *
+ * After applying, run `node scripts/build-monolithic.js` to refresh the
+ * root JSON.
+ *
+ * Usage: node scripts/apply-codemods.js [--dry-run | --check] [<codemod> ...]
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadCodemods, applyCodemods } = require('./lib/codemod');
+const { sourceFiles } = require('./lib/workbook');
+const { sourceText } = require('./lib/format');
+const { lineDiff } = require('./lib/workbook-diff');
+
+const ROOT = path.resolve(__dirname, '..');
+const USAGE = 'Usage: node scripts/apply-codemods.js [--dry-run | --check] [<codemod> ...]';
+
+/**
+ * Apply the codemods of `root` (all, or those named in `only`) to its
+ * sources, writing changed files unless `dryRun`: { codemods, files,
+ * results: [{ file, original, text, changes }] } with one result per file
+ * that changes and `touched`, codemod name → Set of changed items. Throws
+ * on an unknown codemod or invalid rule file.
+ */
+function runCodemods(root = ROOT, { only = null, dryRun = false } = {}) {
+  const { codemods, helpers } = loadCodemods(path.join(root, 'scripts', 'codemods'), only && only.length ? only : null);
+  const files = sourceFiles(root, { header: true });
+  const touched = new Map(codemods.map(c => [c.name, new Set()]));
+  const results = [];
+  for (const file of files) {
+    const original = fs.readFileSync(file, 'utf8');
+    const doc = JSON.parse(original);
+    const changes = applyCodemods(doc, codemods, helpers);
+    if (!changes.length) continue;
+    changes.forEach(c => touched.get(c.codemod).add(`${file}:${c.path}`));
+    const text = sourceText(doc);
+    if (text === original) continue;
+    if (!dryRun) fs.writeFileSync(file, text, 'utf8');
+    results.push({ file, original, text, changes });
+  }
+  return { codemods, files, results, touched };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const dryRun = check || args.includes('--dry-run');
+  const unknown = args.filter(a => a.startsWith('--') && !['--check', '--dry-run'].includes(a));
+  if (unknown.length) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const only = args.filter(a => !a.startsWith('--'));
+  let run;
+  try {
+    run = runCodemods(ROOT, { only, dryRun });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  const { codemods, files, results, touched } = run;
+
+  for (const { file, original, text, changes } of results) {
+    const rel = path.relative(ROOT, file).replace(/\\/g, '/');
+    if (dryRun) {
+      console.log(`--- a/${rel}\n+++ b/${rel}`);
+      lineDiff(original, text).forEach(line => console.log(line));
+    } else {
+      console.log(`✏️  ${rel} (${changes.length} propert${changes.length === 1 ? 'y' : 'ies'} changed)`);
+    }
+  }
+
+  for (const c of codemods) {
+    const n = touched.get(c.name).size;
+    console.log(`${n ? '✏️ ' : '✅'} ${c.name}: ${n} item(s) ${dryRun ? 'to change' : 'changed'} — ${c.description}`);
+  }
+  const changed = results.length;
+  if (!changed) {
+    console.log(`\n✅ All ${codemods.length} codemod(s) already applied to ${files.length} source files.`);
+    return;
+  }
+  if (check) {
+    console.error(`\n❌ ${changed} source file(s) do not follow the codemod policies. Run: node scripts/apply-codemods.js`);
+    process.exit(1);
+  }
+  if (dryRun) {
+    console.log(`\n${changed} of ${files.length} source files would change (dry run; nothing written).`);
+    return;
+  }
+  console.log(`\nUpdated ${changed} of ${files.length} source files.`);
+  console.log('Next: node scripts/build-monolithic.js');
+}
+
+if (require.main === module) main();
+
+module.exports = { runCodemods };
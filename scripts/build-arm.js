@@ -0,0 +1,176 @@
+/**
+ * scripts/build-arm.js — Generates deployment templates for the workbook, so
+ * it can be rolled out with az deployment / New-AzResourceGroupDeployment
+ * instead of pasting AzureLocal-LENS-Workbook.json into the Advanced Editor:
+ *
+ *   dist/arm/azurelocal-lens-workbook.json    ARM template
+ *   dist/arm/azurelocal-lens-workbook.bicep   Bicep equivalent
+ *
+ * Both declare one Microsoft.Insights/workbooks resource whose serializedData
+ * is the monolithic workbook assembled from the split sources (as
+ * build-monolithic.js), so parsing it gives back AzureLocal-LENS-Workbook.json.
+ *
+ * Parameters:
+ *   workbookDisplayName   name shown in Azure Monitor → Workbooks
+ *   location              defaults to the resource group's region
+ *   workbookSourceId      resource the workbook is attached to ('azure monitor'
+ *                         for the shared Workbooks gallery)
+ *   workbookId            resource name (a GUID); defaults to a GUID derived
+ *                         from the resource group and display name, so
+ *                         redeploying updates the same workbook instead of
+ *                         adding a copy
+ *
+ * contentVersion follows the "Workbook Version" banner (v1.0.3 → 1.0.3.0).
+ *
+ * Usage: node scripts/build-arm.js
+ *
+ * Deploy:
+ *   az deployment group create -g <rg> --template-file dist/arm/azurelocal-lens-workbook.bicep
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildMonolithic } = require('./build-monolithic');
+const { workbookVersion } = require('./lib/workbook-diff');
+const { serialize } = require('./lib/workbook');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist', 'arm');
+const BASENAME = 'azurelocal-lens-workbook';
+
+const API_VERSION = '2022-04-01';
+const DEPLOYMENT_SCHEMA = 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#';
+const DEFAULT_DISPLAY_NAME = 'Azure Local LENS Workbook';
+const DEFAULT_SOURCE_ID = 'azure monitor';
+
+const DESCRIPTIONS = {
+  workbookDisplayName: 'Display name of the workbook in Azure Monitor → Workbooks.',
+  location: 'Region of the workbook resource.',
+  workbookSourceId: "Resource ID the workbook is attached to; 'azure monitor' for the shared Workbooks gallery.",
+  workbookId: 'Resource name (GUID) of the workbook. The default is stable per resource group and display name, so redeploying updates the workbook in place.'
+};
+
+// "v1.1.0-rc.1" → "1.1.0.0"; ARM contentVersion is four numbers.
+function contentVersion(doc) {
+  const m = /^v(\d+\.\d+\.\d+)/.exec(workbookVersion(doc) || '');
+  return m ? `${m[1]}.0` : '1.0.0.0';
+}
+
+/** ARM template object deploying `doc` (a monolithic workbook). */
+function buildArmTemplate(doc) {
+  const version = workbookVersion(doc);
+  return {
+    $schema: DEPLOYMENT_SCHEMA,
+    contentVersion: contentVersion(doc),
+    metadata: {
+      description: `Azure Local LENS workbook${version ? ` ${version}` : ''} (generated by scripts/build-arm.js).`
+    },
+    parameters: {
+      workbookDisplayName: { type: 'string', defaultValue: DEFAULT_DISPLAY_NAME, metadata: { description: DESCRIPTIONS.workbookDisplayName } },
+      location: { type: 'string', defaultValue: '[resourceGroup().location]', metadata: { description: DESCRIPTIONS.location } },
+      workbookSourceId: { type: 'string', defaultValue: DEFAULT_SOURCE_ID, metadata: { description: DESCRIPTIONS.workbookSourceId } },
+      workbookId: {
+        type: 'string',
+        defaultValue: "[guid(resourceGroup().id, parameters('workbookDisplayName'))]",
+        metadata: { description: DESCRIPTIONS.workbookId }
+      }
+    },
+    resources: [
+      {
+        type: 'Microsoft.Insights/workbooks',
+        apiVersion: API_VERSION,
+        name: "[parameters('workbookId')]",
+        location: "[parameters('location')]",
+        kind: 'shared',
+        properties: {
+          displayName: "[parameters('workbookDisplayName')]",
+          serializedData: JSON.stringify(doc),
+          version: '1.0',
+          sourceId: "[parameters('workbookSourceId')]",
+          category: 'workbook'
+        }
+      }
+    ],
+    outputs: {
+      workbookResourceId: { type: 'string', value: "[resourceId('Microsoft.Insights/workbooks', parameters('workbookId'))]" }
+    }
+  };
+}
+
+/** Bicep single-quoted string literal for `text`. */
+function bicepString(text) {
+  const escaped = String(text).replace(/[\\'$\n\r\t]|[\u0000-\u001f]/g, (c) => {
+    switch (c) {
+      case '\\': return '\\\\';
+      case "'": return "\\'";
+      case '$': return '\\$';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      default: return `\\u{${c.charCodeAt(0).toString(16).toUpperCase()}}`;
+    }
+  });
+  return `'${escaped}'`;
+}
+
+/** Value of a Bicep single-quoted string literal (inverse of bicepString). */
+function parseBicepString(literal) {
+  if (!/^'[\s\S]*'$/.test(literal)) throw new Error('Not a Bicep string literal');
+  return literal.slice(1, -1).replace(/\\(u\{([0-9A-Fa-f]+)\}|[\\'$nrt])/g, (m, esc, hex) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return { '\\': '\\', "'": "'", $: '$', n: '\n', r: '\r', t: '\t' }[esc];
+  });
+}
+
+/** Bicep file deploying `doc`, equivalent to buildArmTemplate(doc). */
+function buildBicep(doc) {
+  const version = workbookVersion(doc);
+  return [
+    `// Azure Local LENS workbook${version ? ` ${version}` : ''} — generated by scripts/build-arm.js; do not edit.`,
+    '// Deploy: az deployment group create -g <rg> --template-file azurelocal-lens-workbook.bicep',
+    '',
+    `@description(${bicepString(DESCRIPTIONS.workbookDisplayName)})`,
+    `param workbookDisplayName string = ${bicepString(DEFAULT_DISPLAY_NAME)}`,
+    '',
+    `@description(${bicepString(DESCRIPTIONS.location)})`,
+    'param location string = resourceGroup().location',
+    '',
+    `@description(${bicepString(DESCRIPTIONS.workbookSourceId)})`,
+    `param workbookSourceId string = ${bicepString(DEFAULT_SOURCE_ID)}`,
+    '',
+    `@description(${bicepString(DESCRIPTIONS.workbookId)})`,
+    'param workbookId string = guid(resourceGroup().id, workbookDisplayName)',
+    '',
+    `resource workbook 'Microsoft.Insights/workbooks@${API_VERSION}' = {`,
+    '  name: workbookId',
+    '  location: location',
+    "  kind: 'shared'",
+    '  properties: {',
+    '    displayName: workbookDisplayName',
+    `    serializedData: ${bicepString(JSON.stringify(doc))}`,
+    "    version: '1.0'",
+    '    sourceId: workbookSourceId',
+    "    category: 'workbook'",
+    '  }',
+    '}',
+    '',
+    'output workbookResourceId string = workbook.id',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const doc = buildMonolithic();
+  fs.mkdirSync(DIST, { recursive: true });
+  const armFile = path.join(DIST, `${BASENAME}.json`);
+  const bicepFile = path.join(DIST, `${BASENAME}.bicep`);
+  fs.writeFileSync(armFile, serialize(buildArmTemplate(doc)), 'utf8');
+  fs.writeFileSync(bicepFile, buildBicep(doc), 'utf8');
+  for (const file of [armFile, bicepFile]) {
+    const sizeKB = (fs.statSync(file).size / 1024).toFixed(1);
+    console.log(`✅ Wrote ${path.relative(ROOT, file)} (${sizeKB} KB)`);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { buildArmTemplate, buildBicep, bicepString, parseBicepString };
@@ -1,8 +1,9 @@
 /**
  * scripts/build-gallery.js — Generates the Azure Monitor gallery submission
- * artifacts: an outer workbook that loads each tab as a sub-template via
+ * package: an outer workbook that loads each tab as a sub-template via
  * groupType="template" + loadFromTemplateId, plus the per-tab sub-templates
- * already living under workbooks/.
+ * already living under workbooks/, in the folder layout of
+ * microsoft/Application-Insights-Workbooks (scripts/lib/gallery-package.js).
  *
  * This is the "outer + lazy-loaded sub-templates" form recommended for
  * gallery contributions (per microsoft/Application-Insights-Workbooks
@@ -12,8 +13,23 @@
  *   - Gallery outer: ~30 KB (params + 7 sub-template stubs); each tab loads
  *     its content on first click.
  *
- * Output: dist/gallery/Overview/Overview.workbook  (the outer)
- *         dist/gallery/<Tab>/<Tab>.workbook        (one per sub-template)
+ * Output (dist/gallery/, replaced on every run):
+ *   Workbooks/Azure Local/categoryResources.json
+ *   Workbooks/Azure Local/<folder>/<folder>.workbook, settings.json, README.md
+ *                                 (LENS-Overview is the outer)
+ *   azurelocal-lens-gallery.zip   the Workbooks/ tree, to extract at the root
+ *                                 of an Application-Insights-Workbooks clone
+ *   CHECKLIST.md                  sizes, template ids and the checks below
+ *
+ * Sub-templates are written with their sidecar queries/markdown inlined
+ * (scripts/lib/sidecars.js), so the gallery files are always self-contained.
+ * A tab or section with subSections (scripts/lib/splitter.js) loads each of
+ * them through a stub appended to its content group; continuations are
+ * written as sub-templates of their own.
+ *
+ * Exits 1 if a loadFromTemplateId does not resolve to a template of the
+ * package or a file is over the 200 KB budget (--budget <KB>); the package
+ * and checklist are still written for review.
  *
  * Until the upstream gallery review approves the template IDs, set the
  * "galleryTemplateId" fields in scripts/template-ids.json. While they
@@ -21,196 +37,88 @@
  * values that will not resolve at runtime — useful for review of the shape
  * but not deployable.
  *
- * Usage: node scripts/build-gallery.js
+ * --overlay overlays/<org>/ applies an organization overlay (see
+ * scripts/lib/overlay.js) to the sources first and writes the artifacts to
+ * dist/overlays/<org>/gallery/ instead.
+ *
+ * Usage: node scripts/build-gallery.js [--overlay <overlays/org/>] [--budget <KB>]
  */
 const fs = require('fs');
 const path = require('path');
+const { readSources } = require('./build-monolithic');
+const { loadOverlay, applyOverlay } = require('./lib/overlay');
+const { DEFAULT_BUDGET } = require('./lib/splitter');
+const { packageGallery, formatChecklist } = require('./lib/gallery-package');
+const { createZip } = require('./lib/zip');
 
 const ROOT = path.resolve(__dirname, '..');
-const SHARED_DIR = path.join(ROOT, 'shared');
-const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
-const DIST = path.join(ROOT, 'dist', 'gallery');
-const TAB_MAP = require('./template-ids.json');
-
-const SCHEMA = 'https://github.com/Microsoft/Application-Insights-Workbooks/blob/master/schema/workbook.json';
-
-function readJson(file) {
-  return JSON.parse(fs.readFileSync(file, 'utf8'));
-}
-
-function ensureDir(d) {
-  fs.mkdirSync(d, { recursive: true });
-}
-
-function writeJson(file, obj) {
-  ensureDir(path.dirname(file));
-  const out = JSON.stringify(obj, null, 2).replace(/\n/g, '\r\n') + '\r\n';
-  fs.writeFileSync(file, out, 'utf8');
-}
-
-function buildCapacityOuter(capacityTab) {
-  // Capacity for the gallery: include the orchestrator base items
-  // (cap-shared-params, cap-instructions-text, cap-section-tabs) and add a
-  // sub-template stub for each section (Capacity-Overview/MultiNode/SingleNode/HyperV).
-  const sub = readJson(path.join(WORKBOOKS_DIR, 'Capacity', 'Capacity.workbook'));
-  const orch = JSON.parse(JSON.stringify(sub));
-  const capGroup = orch.items[2];
-  const baseItems = capGroup.content.items.slice();
+const ZIP_NAME = 'azurelocal-lens-gallery.zip';
+const USAGE = 'Usage: node scripts/build-gallery.js [--overlay <overlays/org/>] [--budget <KB>]';
 
-  let placeholderCount = 0;
-  const stubs = [];
-  for (const sect of capacityTab.subSections) {
-    const folderName = sect.galleryFolderName || sect.slug;
-    const templateId = sect.galleryTemplateId
-      || `community-Azure Local/${folderName}`;
-    if (!sect.galleryTemplateId) placeholderCount++;
-    stubs.push({
-      type: 12,
-      content: {
-        version: 'NotebookGroup/1.0',
-        groupType: 'template',
-        loadFromTemplateId: templateId,
-        items: []
-      },
-      conditionalVisibility: {
-        parameterName: 'CapacitySection',
-        comparison: 'isEqualTo',
-        value: sect.value
-      },
-      name: `${sect.slug.toLowerCase()}-template-group`
-    });
+/**
+ * Package the sources of `root` (with the overlay at `overlayDir`, if any)
+ * and write the package to its dist directory: { dist, pkg, overlay }.
+ * Throws on unreadable sources or a broken overlay; the package's own
+ * problems are in pkg.problems.
+ */
+function writeGallery(root = ROOT, { overlayDir = null, budget = DEFAULT_BUDGET } = {}) {
+  let sources = readSources(root);
+  const overlay = overlayDir ? loadOverlay(overlayDir) : null;
+  if (overlay) sources = applyOverlay(sources, overlay);
+  const pkg = packageGallery(sources, { budget });
+  const dist = overlay
+    ? path.join(root, 'dist', 'overlays', overlay.name, 'gallery')
+    : path.join(root, 'dist', 'gallery');
+
+  fs.rmSync(dist, { recursive: true, force: true });
+  for (const { file, text } of pkg.files) {
+    const full = path.join(dist, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, text, 'utf8');
   }
-
-  capGroup.content.items = [...baseItems, ...stubs];
-  return { workbook: orch, placeholderCount };
+  fs.writeFileSync(path.join(dist, ZIP_NAME), createZip(pkg.files.map(f => ({ name: f.file, data: f.text }))));
+  fs.writeFileSync(path.join(dist, 'CHECKLIST.md'), formatChecklist(pkg, { zip: ZIP_NAME }), 'utf8');
+  return { dist, pkg, overlay };
 }
 
-function buildOuter() {
-  const params = readJson(path.join(SHARED_DIR, 'parameters.json'));
-  const header = readJson(path.join(SHARED_DIR, 'header.json'));
-
-  // Inline the Overview tab content into the outer (the first/landing tab),
-  // matching the Storage Insights Overview.workbook pattern. Other tabs are
-  // sub-template stubs.
-  const overviewTab = TAB_MAP.tabs.find(t => t.slug === 'Overview');
-  if (!overviewTab) throw new Error('Overview tab not in template-ids.json');
-  const overviewSub = readJson(path.join(WORKBOOKS_DIR, 'Overview', 'Overview.workbook'));
-  const overviewContent = JSON.parse(JSON.stringify(overviewSub.items[2]));
-  const overviewOrdered = {
-    type: overviewContent.type,
-    content: overviewContent.content,
-    conditionalVisibility: {
-      parameterName: 'selectedTab',
-      comparison: 'isEqualTo',
-      value: overviewTab.selectedTab
-    },
-    name: overviewContent.name
-  };
-  for (const k of Object.keys(overviewContent)) {
-    if (!(k in overviewOrdered)) overviewOrdered[k] = overviewContent[k];
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] || '' : null);
+  const overlayDir = option('--overlay');
+  const budget = option('--budget') !== null ? Number(option('--budget')) * 1024 : DEFAULT_BUDGET;
+  if (overlayDir === '' || !(budget > 0)) {
+    console.error(USAGE);
+    process.exit(1);
   }
-
-  const items = [params, ...header.items, overviewOrdered];
-
-  // Stub group for each non-Overview tab.
-  let placeholderCount = 0;
-  for (const tab of TAB_MAP.tabs) {
-    if (tab.slug === 'Overview') continue;
-    const folderName = tab.galleryFolderName || tab.slug;
-    const templateId = tab.galleryTemplateId
-      || `community-Azure Local/${folderName}`;
-    if (!tab.galleryTemplateId) placeholderCount++;
-    items.push({
-      type: 12,
-      content: {
-        version: 'NotebookGroup/1.0',
-        groupType: 'template',
-        loadFromTemplateId: templateId,
-        items: []
-      },
-      conditionalVisibility: {
-        parameterName: 'selectedTab',
-        comparison: 'isEqualTo',
-        value: tab.selectedTab
-      },
-      name: `${tab.slug.toLowerCase()}-template-group`
-    });
+  let result;
+  try {
+    result = writeGallery(ROOT, { overlayDir, budget });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
   }
+  const { dist, pkg, overlay } = result;
 
-  return {
-    workbook: {
-      version: 'Notebook/1.0',
-      items,
-      fallbackResourceIds: ['azure monitor'],
-      $schema: SCHEMA
-    },
-    placeholderCount
-  };
-}
-
-function main() {
-  // Outer (inline Overview + 7 sub-template stubs) — emitted under the Overview
-  // tab's gallery folder name (e.g. dist/gallery/LENS-Overview/LENS-Overview.workbook).
-  const overviewTab = TAB_MAP.tabs.find(t => t.slug === 'Overview');
-  const overviewFolder = (overviewTab && overviewTab.galleryFolderName) || 'Overview';
-  const { workbook: outer, placeholderCount: outerPh } = buildOuter();
-  const outerFile = path.join(DIST, overviewFolder, `${overviewFolder}.workbook`);
-  writeJson(outerFile, outer);
-  const outerKB = (fs.statSync(outerFile).size / 1024).toFixed(1);
-  console.log(`✅ ${path.relative(ROOT, outerFile)} (${outerKB} KB outer with inline Overview tab)`);
-
-  let totalPh = outerPh;
-
-  // Sub-templates (one per non-Overview tab)
-  for (const tab of TAB_MAP.tabs) {
-    if (tab.slug === 'Overview') continue;
-    const tabFolder = tab.galleryFolderName || tab.slug;
-
-    if (Array.isArray(tab.subSections)) {
-      // Capacity gallery file = orchestrator + sub-section stubs
-      const { workbook: capOuter, placeholderCount: capPh } = buildCapacityOuter(tab);
-      totalPh += capPh;
-      const dst = path.join(DIST, tabFolder, `${tabFolder}.workbook`);
-      writeJson(dst, capOuter);
-      const kb = (fs.statSync(dst).size / 1024).toFixed(1);
-      console.log(`✅ ${path.relative(ROOT, dst)} (${kb} KB outer with ${tab.subSections.length} section stubs)`);
-
-      // Emit each Capacity-* sub-section template
-      for (const sect of tab.subSections) {
-        const sectFolder = sect.galleryFolderName || sect.slug;
-        const src = path.join(WORKBOOKS_DIR, sect.slug, `${sect.slug}.workbook`);
-        const subDst = path.join(DIST, sectFolder, `${sectFolder}.workbook`);
-        if (!fs.existsSync(src)) {
-          console.error(`❌ Missing source: ${src}`);
-          process.exit(1);
-        }
-        ensureDir(path.dirname(subDst));
-        fs.copyFileSync(src, subDst);
-        const subKB = (fs.statSync(subDst).size / 1024).toFixed(1);
-        console.log(`✅ ${path.relative(ROOT, subDst)} (${subKB} KB sub-section)`);
-      }
-      continue;
-    }
-
-    const src = path.join(WORKBOOKS_DIR, tab.slug, `${tab.slug}.workbook`);
-    const dst = path.join(DIST, tabFolder, `${tabFolder}.workbook`);
-    if (!fs.existsSync(src)) {
-      console.error(`❌ Missing source: ${src}`);
-      process.exit(1);
-    }
-    ensureDir(path.dirname(dst));
-    fs.copyFileSync(src, dst);
-    const kb = (fs.statSync(dst).size / 1024).toFixed(1);
-    console.log(`✅ ${path.relative(ROOT, dst)} (${kb} KB sub-template)`);
+  for (const t of pkg.templates) {
+    const what = t.outer ? 'outer with inline Overview tab' : t.loadedBy.length ? `loaded by ${t.loadedBy.join(', ')}` : 'not loaded by any template';
+    console.log(`${t.bytes <= budget ? '✅' : '❌'} ${t.folder}/${t.folder}.workbook (${(t.bytes / 1024).toFixed(1)} KB, ${what})`);
   }
 
-  console.log(`\nGallery artifacts written to ${path.relative(ROOT, DIST)}/`);
+  const rel = path.relative(ROOT, dist);
+  console.log(`\nGallery package written to ${rel}/${overlay ? ` (overlay ${overlay.name})` : ''}: ${pkg.files.length} files in Workbooks/${pkg.category}/, ${ZIP_NAME}, CHECKLIST.md`);
 
-  if (totalPh > 0) {
-    console.log(`\n⚠️  ${totalPh} sub-template stub(s) use placeholder galleryTemplateId.`);
+  for (const w of pkg.warnings) console.log(`\n⚠️  ${w}`);
+  if (pkg.templates.some(t => t.placeholder)) {
     console.log('   Once the Azure Monitor team approves the upstream PR and assigns');
     console.log('   real template IDs, populate them in scripts/template-ids.json and re-run.');
   }
+  if (pkg.problems.length) {
+    console.error(`\n❌ ${pkg.problems.length} problem(s) — see ${rel}/CHECKLIST.md:`);
+    pkg.problems.forEach(p => console.error(`   ${p}`));
+    process.exit(1);
+  }
 }
 
-main();
+if (require.main === module) main();
+
+module.exports = { writeGallery, ZIP_NAME };
@@ -7,20 +7,49 @@
  * The assembled file matches the historical structure: 16 top-level items
  * (1 params group, 7 header items, 8 tab groups with conditionalVisibility).
  *
+ * Sub-templates split by scripts/split-tab.js are joined back first
+ * (scripts/lib/splitter.js): continuation items go back into their tab or
+ * section, section groups are appended to their tab, so splitting never
+ * changes the output.
+ *
+ * The main-tabs and Capacity cap-section-tabs links are generated from
+ * scripts/template-ids.json (scripts/lib/navigation.js); in the sources
+ * they are empty.
+ *
+ * Query and markdown text kept in sidecar files (workbooks/<Tab>/queries/*.kql,
+ * workbooks/<Tab>/markdown/*.md — see scripts/extract-sidecars.js) is
+ * inlined, so the output is the same for either source layout.
+ *
  * Run after editing any split file:
  *   node scripts/build-monolithic.js
  *
  * Use --check to exit non-zero if the on-disk root file would change
  * (intended for CI to enforce that the root is regenerated on every PR).
+ *
+ * --overlay overlays/<org>/ applies an organization overlay (declarative
+ * patches, see scripts/lib/overlay.js) to the sources and writes
+ * dist/overlays/<org>/AzureLocal-LENS-Workbook.json instead of the root file;
+ * with --check it only verifies that every patch applies.
+ *
+ * --tabs Overview,Machines,UpdateProgress or --profile <name> (an entry of
+ * "profiles" in scripts/template-ids.json) builds only those tabs and Capacity
+ * sections, with the nav and quick links trimmed and selectedTab renumbered
+ * (see scripts/lib/profile.js), to dist/profiles/<name>/ (dist/profiles/custom/
+ * for --tabs; under dist/overlays/<org>/ when combined with --overlay). With
+ * --check it only verifies that the profile builds with no orphaned
+ * conditionalVisibility.
  */
 const fs = require('fs');
 const path = require('path');
+const { loadWorkbook } = require('./lib/sidecars');
+const { serialize } = require('./lib/workbook');
+const { loadOverlay, applyOverlay } = require('./lib/overlay');
+const { resolveProfile, applyProfile } = require('./lib/profile');
+const { fillNavigation, validateNavigation } = require('./lib/navigation');
+const { continuations, groupSections, joinTemplate } = require('./lib/splitter');
 
 const ROOT = path.resolve(__dirname, '..');
 const TARGET = path.join(ROOT, 'AzureLocal-LENS-Workbook.json');
-const SHARED_DIR = path.join(ROOT, 'shared');
-const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
-const TAB_MAP = require('./template-ids.json');
 
 const SCHEMA = 'https://github.com/Microsoft/Application-Insights-Workbooks/blob/master/schema/workbook.json';
 
@@ -28,18 +57,67 @@ function readJson(file) {
   return JSON.parse(fs.readFileSync(file, 'utf8'));
 }
 
-function buildMonolithic() {
-  const params = readJson(path.join(SHARED_DIR, 'parameters.json'));
-  const header = readJson(path.join(SHARED_DIR, 'header.json'));
+/**
+ * Read a split tree: { tabMap, params, header, templates: { slug: doc } }
+ * with every tab and section sub-template (sidecars inlined, continuations
+ * joined in) and the main-tabs / cap-section-tabs navigation generated from
+ * template-ids.json (scripts/lib/navigation.js). `root` defaults to this
+ * repo; another checkout is read with its own template-ids.json. The map is
+ * read on every call: split-tab.js rewrites it and then checks the build.
+ * `header` (a shared/header.json object) is used instead of the file, e.g.
+ * to preview a version bump before it is written.
+ */
+function readSources(root = ROOT, { header: headerDoc = null } = {}) {
+  const sharedDir = path.join(root, 'shared');
+  const workbooksDir = path.join(root, 'workbooks');
+  const tabMap = readJson(path.join(root, 'scripts', 'template-ids.json'));
+  const load = (entry, what) => {
+    const file = path.join(workbooksDir, entry.slug, `${entry.slug}.workbook`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`${what} missing: ${file}`);
+    }
+    return loadWorkbook(file);
+  };
+  const loadJoined = (entry, what) => {
+    const parts = continuations(entry);
+    return joinTemplate(load(entry, what), parts.map(p => load(p, 'Continuation template')), parts);
+  };
+  const templates = {};
+  for (const tab of tabMap.tabs) {
+    templates[tab.slug] = loadJoined(tab, 'Sub-template');
+    for (const sect of groupSections(tab)) {
+      templates[sect.slug] = loadJoined(sect, 'Sub-section template');
+    }
+  }
+  const header = headerDoc ? JSON.parse(JSON.stringify(headerDoc)) : readJson(path.join(sharedDir, 'header.json'));
+  fillNavigation(header.items, tabMap);
+  for (const doc of Object.values(templates)) fillNavigation(doc.items, tabMap);
+  return {
+    tabMap,
+    params: readJson(path.join(sharedDir, 'parameters.json')),
+    header,
+    templates
+  };
+}
+
+/**
+ * Assemble the monolithic workbook object from a split tree. `root` defaults
+ * to this repo; `overlay` (scripts/lib/overlay.js) patches the sources first,
+ * then `profile` (a profile name or comma-separated tab slugs, see
+ * scripts/lib/profile.js) trims them. A profile build that leaves any
+ * tab navigation orphaned throws. `header` replaces shared/header.json, as in
+ * readSources().
+ */
+function buildMonolithic(root = ROOT, { overlay = null, profile = null, header: headerDoc = null } = {}) {
+  const read = readSources(root, { header: headerDoc });
+  let sources = overlay ? applyOverlay(read, overlay) : read;
+  if (profile) sources = applyProfile(sources, resolveProfile(sources.tabMap, profile));
+  const { tabMap, params, header, templates } = sources;
 
   const items = [params, ...header.items];
 
-  for (const tab of TAB_MAP.tabs) {
-    const subFile = path.join(WORKBOOKS_DIR, tab.slug, `${tab.slug}.workbook`);
-    if (!fs.existsSync(subFile)) {
-      throw new Error(`Sub-template missing: ${subFile}`);
-    }
-    const sub = readJson(subFile);
+  for (const tab of tabMap.tabs) {
+    const sub = templates[tab.slug];
 
     // Sub-template layout (set by split.js):
     //   items[0] = parameters (drop, replaced by canonical shared one)
@@ -57,32 +135,26 @@ function buildMonolithic() {
       );
     }
 
-    // If this tab has subSections (currently only Capacity), each sub-section
-    // lives in its own sub-template file. Merge their content groups back into
-    // this tab's content group so the monolithic file matches v0.8.9 layout.
-    if (Array.isArray(tab.subSections)) {
-      for (const sect of tab.subSections) {
-        const sectFile = path.join(WORKBOOKS_DIR, sect.slug, `${sect.slug}.workbook`);
-        if (!fs.existsSync(sectFile)) {
-          throw new Error(`Sub-section template missing: ${sectFile}`);
-        }
-        const sectSub = readJson(sectFile);
-        // Sub-section layout (set by split-capacity.js):
-        //   items[0] = canonical shared parameters (drop)
-        //   items[1] = section-driver param (cap-shared-params; drop, already in orchestrator)
-        //   items[2] = the section group (use this)
-        if (!Array.isArray(sectSub.items) || sectSub.items.length < 3) {
-          throw new Error(`Sub-section ${sect.slug} has fewer than 3 items`);
-        }
-        const sectGroup = JSON.parse(JSON.stringify(sectSub.items[2]));
-        if (sectGroup.name !== sect.groupName) {
-          throw new Error(
-            `Sub-section ${sect.slug} group name mismatch: ` +
-            `expected "${sect.groupName}", got "${sectGroup.name}"`
-          );
-        }
-        contentGroup.content.items.push(sectGroup);
+    // Section groups (currently the Capacity sections) live in their own
+    // sub-template files. Merge them back into this tab's content group so
+    // the monolithic file matches v0.8.9 layout.
+    for (const sect of groupSections(tab)) {
+      const sectSub = templates[sect.slug];
+      // Sub-section layout (set by scripts/lib/splitter.js):
+      //   items[0] = canonical shared parameters (drop)
+      //   items[1] = section-driver param (cap-shared-params; drop, already in orchestrator)
+      //   items[2] = the section group (use this)
+      if (!Array.isArray(sectSub.items) || sectSub.items.length < 3) {
+        throw new Error(`Sub-section ${sect.slug} has fewer than 3 items`);
+      }
+      const sectGroup = JSON.parse(JSON.stringify(sectSub.items[2]));
+      if (sectGroup.name !== sect.groupName) {
+        throw new Error(
+          `Sub-section ${sect.slug} group name mismatch: ` +
+          `expected "${sect.groupName}", got "${sectGroup.name}"`
+        );
       }
+      contentGroup.content.items.push(sectGroup);
     }
 
     // Preserve the historical key order: type, content, conditionalVisibility, name, [styleSettings].
@@ -106,54 +178,122 @@ function buildMonolithic() {
     items.push(orderedGroup);
   }
 
-  return {
+  const doc = {
     version: 'Notebook/1.0',
     items,
     fallbackResourceIds: ['azure monitor'],
     $schema: SCHEMA
   };
+  if (profile) {
+    const problems = validateNavigation(doc);
+    if (problems.length) throw new Error(`Profile ${profile} leaves broken tab navigation:\n   ${problems.join('\n   ')}`);
+  }
+  return doc;
 }
 
-function serialize(obj) {
-  return JSON.stringify(obj, null, 2).replace(/\n/g, '\r\n') + '\r\n';
+/**
+ * Compare the root file of `root` with a fresh build: { target, upToDate,
+ * exists, firstDiff: { at, current, built } | null } (firstDiff only when
+ * the file exists and differs; at is -1 when one is a prefix of the other).
+ */
+function checkBuild(root = ROOT) {
+  const target = path.join(root, path.basename(TARGET));
+  const text = serialize(buildMonolithic(root));
+  if (!fs.existsSync(target)) return { target, upToDate: false, exists: false, firstDiff: null };
+  const current = fs.readFileSync(target, 'utf8');
+  if (current === text) return { target, upToDate: true, exists: true, firstDiff: null };
+  let at = -1;
+  const max = Math.min(current.length, text.length);
+  for (let i = 0; i < max; i++) {
+    if (current[i] !== text[i]) { at = i; break; }
+  }
+  const excerpt = (t) => (at >= 0 ? t.slice(Math.max(0, at - 30), at + 40) : `${t.length} chars`);
+  return { target, upToDate: false, exists: true, firstDiff: { at, current: excerpt(current), built: excerpt(text) } };
 }
 
-function main() {
-  const checkOnly = process.argv.includes('--check');
-  const built = buildMonolithic();
-  const newText = serialize(built);
+/**
+ * Build the workbook of `root` and write it: the root file, or for an
+ * overlay (`overlayDir`) and/or `profile` the variant under dist/. With
+ * `check`, a variant is only built and nothing is written. Returns
+ * { target, bytes, items, what, written } (what describes the variant,
+ * empty for the root file). Throws on a broken overlay or profile.
+ */
+function buildTarget(root = ROOT, { overlayDir = null, profile = null, check = false } = {}) {
+  const overlay = overlayDir ? loadOverlay(overlayDir) : null;
+  const tabMap = readJson(path.join(root, 'scripts', 'template-ids.json'));
+  const profileName = profile ? resolveProfile(tabMap, profile).name : null;
+  const built = buildMonolithic(root, { overlay, profile });
+  const text = serialize(built);
+  const what = [
+    overlay && `overlay ${overlay.name} (${overlay.patches.length} patch(es))`,
+    profileName && `profile ${profileName} (${built.items.filter(i => i.conditionalVisibility && i.conditionalVisibility.parameterName === 'selectedTab').length} tab(s))`
+  ].filter(Boolean).join(' and ');
+  const target = path.join(root, ...(overlay || profileName ? ['dist',
+    ...(overlay ? ['overlays', overlay.name] : []),
+    ...(profileName ? ['profiles', profileName] : [])] : []),
+  path.basename(TARGET));
+  const written = !check;
+  if (written) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, text, 'utf8');
+  }
+  return { target, bytes: Buffer.byteLength(text, 'utf8'), items: built.items.length, what, written };
+}
 
-  if (checkOnly) {
-    if (!fs.existsSync(TARGET)) {
-      console.error('❌ Root workbook does not exist. Run without --check to generate it.');
+function main() {
+  const args = process.argv.slice(2);
+  const checkOnly = args.includes('--check');
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] || '' : null);
+  const overlayDir = option('--overlay');
+  const profile = option('--tabs') !== null ? option('--tabs') : option('--profile');
+  if (overlayDir !== null || profile !== null) {
+    if (overlayDir === '' || profile === '' || (args.includes('--tabs') && args.includes('--profile'))) {
+      console.error('Usage: node scripts/build-monolithic.js [--overlay <overlays/org/>] [--tabs <Tab,Tab,...> | --profile <name>] [--check]');
       process.exit(1);
     }
-    const current = fs.readFileSync(TARGET, 'utf8');
-    if (current === newText) {
+    let result;
+    try {
+      result = buildTarget(ROOT, { overlayDir, profile, check: checkOnly });
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+    if (checkOnly) {
+      console.log(`✅ Builds cleanly with ${result.what}.`);
+      return;
+    }
+    console.log(`✅ Built ${path.relative(ROOT, result.target)} with ${result.what} (${(result.bytes / 1024).toFixed(1)} KB)`);
+    return;
+  }
+
+  if (checkOnly) {
+    const result = checkBuild();
+    if (result.upToDate) {
       console.log('✅ Root workbook is up to date with split sources.');
       process.exit(0);
     }
+    if (!result.exists) {
+      console.error('❌ Root workbook does not exist. Run without --check to generate it.');
+      process.exit(1);
+    }
     console.error('❌ Root workbook is out of sync with split sources.');
     console.error('   Run: node scripts/build-monolithic.js');
     // Show a small hint about where it differs.
-    let diffAt = -1;
-    const max = Math.min(current.length, newText.length);
-    for (let i = 0; i < max; i++) {
-      if (current[i] !== newText[i]) { diffAt = i; break; }
-    }
-    if (diffAt >= 0) {
-      console.error(`   First diff at byte ${diffAt}:`);
-      console.error(`     current: ${JSON.stringify(current.slice(Math.max(0, diffAt - 30), diffAt + 40))}`);
-      console.error(`     built:   ${JSON.stringify(newText.slice(Math.max(0, diffAt - 30), diffAt + 40))}`);
+    const { at, current, built } = result.firstDiff;
+    if (at >= 0) {
+      console.error(`   First diff at byte ${at}:`);
+      console.error(`     current: ${JSON.stringify(current)}`);
+      console.error(`     built:   ${JSON.stringify(built)}`);
     } else {
-      console.error(`   Length differs: current=${current.length}, built=${newText.length}`);
+      console.error(`   Length differs: current=${current}, built=${built}`);
     }
     process.exit(1);
   }
 
-  fs.writeFileSync(TARGET, newText, 'utf8');
-  const sizeKB = (Buffer.byteLength(newText, 'utf8') / 1024).toFixed(1);
-  console.log(`✅ Built ${path.relative(ROOT, TARGET)} (${sizeKB} KB, ${built.items.length} top-level items)`);
+  const result = buildTarget();
+  console.log(`✅ Built ${path.relative(ROOT, result.target)} (${(result.bytes / 1024).toFixed(1)} KB, ${result.items} top-level items)`);
 }
 
-main();
+if (require.main === module) main();
+
+module.exports = { buildMonolithic, readSources, buildTarget, checkBuild, serialize };
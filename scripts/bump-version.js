@@ -0,0 +1,104 @@
+/**
+ * scripts/bump-version.js — Moves the workbook to a new version, updating
+ * every version reference in one step:
+ *
+ *   shared/header.json    "Workbook Version: vX.Y.Z" in version-update-banner
+ *                         (and a version in workbook-title-version, if any)
+ *   AzureLocal-LENS-Workbook.json   rebuilt from the split sources
+ *   README.md             "## Latest Version", the "## What's New (vX.Y.Z)"
+ *                         heading and TOC link; the previous What's New
+ *                         section moves to the appendix
+ *
+ * These are what the Version Consistency tests compare and what release.yml
+ * tags from. The What's New section is generated by release-notes.js when
+ * changelog/vX.Y.Z.json exists; otherwise it is a placeholder that
+ * release.yml refuses to publish until the changes file is written and
+ * node scripts/release-notes.js X.Y.Z is run.
+ *
+ * The new version must sort after the current one (semver, so 1.1.0-rc.1 →
+ * 1.1.0 is a bump) and match release.yml's X.Y.Z[-suffix] pattern. Nothing is
+ * written if any step fails.
+ *
+ * ⚠️  SYNC GUARD
+ * Refuses to run unless AzureLocal-LENS-Workbook.json matches the split
+ * sources (node scripts/build-monolithic.js --check), so a bump never folds
+ * unbuilt edits into the release. --force skips the guard.
+ *
+ * Usage:
+ *   node scripts/bump-version.js <major|minor|patch|X.Y.Z[-rc.N]> [--previous <ref|file|dir>] [--dry-run] [--force]
+ *
+ *   --previous  previous release for the item-level diff (default: newest v* tag)
+ *   --dry-run   print the old and new version and the What's New section only
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildMonolithic, serialize } = require('./build-monolithic');
+const { planRelease, writeRelease, reportCoverage } = require('./release-notes');
+const { compareVersions, headerVersion, nextVersion } = require('./lib/release-notes');
+
+const ROOT = path.resolve(__dirname, '..');
+const HEADER = path.join(ROOT, 'shared', 'header.json');
+const TARGET = path.join(ROOT, 'AzureLocal-LENS-Workbook.json');
+
+function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const dryRun = args.includes('--dry-run');
+  const prevIdx = args.indexOf('--previous');
+  const previous = prevIdx >= 0 ? args[prevIdx + 1] : null;
+  const positional = args.filter((a, i) => !a.startsWith('--') && (prevIdx < 0 || i !== prevIdx + 1));
+  if (positional.length !== 1 || (prevIdx >= 0 && !previous)) {
+    console.error('Usage: node scripts/bump-version.js <major|minor|patch|X.Y.Z[-rc.N]> [--previous <ref|file|dir>] [--dry-run] [--force]');
+    process.exit(1);
+  }
+
+  if (!force) {
+    let inSync = false;
+    try {
+      inSync = fs.existsSync(TARGET) && fs.readFileSync(TARGET, 'utf8') === serialize(buildMonolithic());
+    } catch (e) {
+      console.error(`❌ Cannot build the split sources: ${e.message}`);
+      process.exit(1);
+    }
+    if (!inSync) {
+      console.error('❌ Refusing to run: AzureLocal-LENS-Workbook.json is OUT OF SYNC with the split sources.');
+      console.error('   Run node scripts/build-monolithic.js and commit first (or pass --force to override).');
+      process.exit(1);
+    }
+  } else {
+    console.warn('⚠️  --force passed; sync guard bypassed.\n');
+  }
+
+  let current;
+  let version;
+  let plan;
+  try {
+    current = headerVersion(JSON.parse(fs.readFileSync(HEADER, 'utf8')));
+    if (!current) throw new Error(`No "Workbook Version: vX.Y.Z" banner in ${path.relative(ROOT, HEADER)}`);
+    version = nextVersion(current, positional[0]);
+    if (compareVersions(version, current) <= 0) {
+      throw new Error(`v${version} is not newer than the current v${current} (to regenerate the notes for v${current}, run node scripts/release-notes.js ${current})`);
+    }
+    plan = planRelease(version, { previous, pending: true });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    console.log(`v${current} → v${version}\n`);
+    process.stdout.write(plan.section);
+    return;
+  }
+  writeRelease(plan);
+  console.log(`✅ v${current} → v${version}: shared/header.json, ${path.basename(TARGET)} and README.md updated.`);
+  if (plan.changes) {
+    console.log(`   What's New generated from changelog/v${version}.json (changes since ${plan.from}).`);
+    reportCoverage(plan);
+  } else {
+    console.warn(`⚠️  changelog/v${version}.json does not exist; README has a placeholder What's New section.`);
+    console.warn(`   Write it, then run: node scripts/release-notes.js ${version}`);
+  }
+}
+
+if (require.main === module) main();
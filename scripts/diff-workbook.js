@@ -0,0 +1,82 @@
+/**
+ * scripts/diff-workbook.js — Semantic diff between two versions of the
+ * workbook, as Markdown for release notes and upgrade guidance.
+ *
+ * Each side is either a monolithic workbook file (AzureLocal-LENS-Workbook.json
+ * or a portal export) or a split tree — a checkout root containing shared/,
+ * workbooks/ and scripts/template-ids.json, assembled the same way as
+ * build-monolithic.js. Items are compared by name path (tab group → group →
+ * item): added, removed and moved items, changed queries and markdown (line
+ * diffs), changed parameters and changed visualization settings. See
+ * scripts/lib/workbook-diff.js for the rules.
+ *
+ * The headings use the "Workbook Version: vX.Y.Z" banner of each side when
+ * present, otherwise the path given.
+ *
+ * Usage:
+ *   node scripts/diff-workbook.js <old> <new> [--output <file.md>]
+ *
+ * Examples:
+ *   node scripts/diff-workbook.js ../lens-v1.0.2/AzureLocal-LENS-Workbook.json AzureLocal-LENS-Workbook.json
+ *   node scripts/diff-workbook.js ../lens-v1.0.2 .
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildMonolithic } = require('./build-monolithic');
+const { diffWorkbooks, formatMarkdown, workbookVersion } = require('./lib/workbook-diff');
+
+/** Load a monolithic workbook file, or assemble one from a split tree. */
+function loadSide(input) {
+  const full = path.resolve(input);
+  if (!fs.existsSync(full)) throw new Error(`Not found: ${input}`);
+  if (fs.statSync(full).isDirectory()) {
+    if (!fs.existsSync(path.join(full, 'scripts', 'template-ids.json'))) {
+      throw new Error(`${input} is not a split tree (expected shared/, workbooks/ and scripts/template-ids.json)`);
+    }
+    return buildMonolithic(full);
+  }
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(full, 'utf8').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error(`${input} is not valid JSON: ${e.message}`);
+  }
+  if (!doc || !Array.isArray(doc.items)) throw new Error(`${input} is not a workbook (no items array)`);
+  return doc;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIdx = args.indexOf('--output');
+  const output = outIdx >= 0 ? args[outIdx + 1] : null;
+  const positional = args.filter((a, i) => !a.startsWith('--') && (outIdx < 0 || i !== outIdx + 1));
+  if (positional.length !== 2 || (outIdx >= 0 && !output)) {
+    console.error('Usage: node scripts/diff-workbook.js <old.json|old-tree/> <new.json|new-tree/> [--output <file.md>]');
+    process.exit(1);
+  }
+
+  let oldDoc;
+  let newDoc;
+  try {
+    oldDoc = loadSide(positional[0]);
+    newDoc = loadSide(positional[1]);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  const markdown = formatMarkdown(diffWorkbooks(oldDoc, newDoc), {
+    from: workbookVersion(oldDoc) || positional[0],
+    to: workbookVersion(newDoc) || positional[1]
+  });
+
+  if (output) {
+    fs.writeFileSync(output, markdown);
+    console.log(`✅ Wrote ${output}`);
+  } else {
+    process.stdout.write(markdown);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { loadSide };
@@ -0,0 +1,108 @@
+/**
+ * scripts/extract-sidecars.js — One-shot extractor that moves query and
+ * markdown text out of the sub-templates into sidecar files:
+ *
+ *   workbooks/<Slug>/queries/<item-name>.kql    type=3 query items
+ *   workbooks/<Slug>/markdown/<item-name>.md    type=1 markdown items
+ *
+ * The .workbook keeps a "sidecar:<path>" reference in place of the text
+ * (see scripts/lib/sidecars.js); build-monolithic.js and build-gallery.js
+ * inline the files again, so the built artifacts do not change. Edit the
+ * .kql/.md files afterwards, not the escaped strings.
+ *
+ * Before writing anything, each extracted sub-template is inlined again in
+ * memory and compared with the original; a mismatch aborts the run. Items
+ * whose text mixes CRLF and LF line endings stay inline (listed in the
+ * output). Items that already reference a sidecar are left alone, so the
+ * script can be re-run after adding items.
+ *
+ * ⚠️  RE-RUN GUARD
+ * Like split.js, this rewrites source files, so it refuses to run unless
+ * node scripts/build-monolithic.js --check passes (the root JSON matches
+ * the sources, i.e. nothing unbuilt is pending) or --force is passed.
+ *
+ * Usage: node scripts/extract-sidecars.js                 (every sub-template)
+ *        node scripts/extract-sidecars.js --tab VMs       (one sub-template)
+ *        node scripts/extract-sidecars.js --force         (skip the guard)
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { extractSidecars, inlineSidecars } = require('./lib/sidecars');
+const { serialize } = require('./lib/workbook');
+const { sourceText } = require('./lib/format');
+const { templateEntries } = require('./lib/splitter');
+
+const ROOT = path.resolve(__dirname, '..');
+const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
+const TAB_MAP = require('./template-ids.json');
+const USAGE = 'Usage: node scripts/extract-sidecars.js [--tab <Slug>] [--force]';
+
+function allSlugs() {
+  return templateEntries(TAB_MAP).map(e => e.slug);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const tabIdx = args.indexOf('--tab');
+  const unknown = args.filter((a, i) => a !== '--force' && a !== '--tab' && (tabIdx < 0 || i !== tabIdx + 1));
+  if (unknown.length || (tabIdx >= 0 && !args[tabIdx + 1])) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const slugs = allSlugs();
+  let targets = slugs;
+  if (tabIdx >= 0) {
+    const slug = args[tabIdx + 1];
+    if (!slugs.includes(slug)) {
+      console.error(`❌ Unknown sub-template "${slug}". Expected one of: ${slugs.join(', ')}`);
+      process.exit(1);
+    }
+    targets = [slug];
+  }
+
+  if (!force) {
+    try {
+      execFileSync(process.execPath, [path.join(__dirname, 'build-monolithic.js'), '--check'], { stdio: 'pipe' });
+    } catch (err) {
+      console.error('❌ Refusing to run: AzureLocal-LENS-Workbook.json is OUT OF SYNC with the split sources.');
+      console.error('   Run node scripts/build-monolithic.js first (or pass --force to override).');
+      process.exit(1);
+    }
+  } else {
+    console.warn('⚠️  --force passed; re-run guard bypassed.\n');
+  }
+
+  let totalFiles = 0;
+  for (const slug of targets) {
+    const dir = path.join(WORKBOOKS_DIR, slug);
+    const file = path.join(dir, `${slug}.workbook`);
+    const raw = fs.readFileSync(file, 'utf8');
+    const { doc, files, skipped } = extractSidecars(JSON.parse(raw));
+
+    // Verify before touching the disk: existing sidecars come from disk,
+    // new ones from memory, and the result must match the current source.
+    const pending = new Map(files.map(f => [f.file, f.text]));
+    const readFile = rel => (pending.has(rel) ? pending.get(rel) : fs.readFileSync(path.join(dir, rel), 'utf8'));
+    const current = inlineSidecars(JSON.parse(raw), rel => fs.readFileSync(path.join(dir, rel), 'utf8'));
+    if (serialize(inlineSidecars(doc, readFile)) !== serialize(current)) {
+      console.error(`❌ ${slug}: extracted sources do not rebuild to the original; nothing written.`);
+      process.exit(1);
+    }
+
+    for (const f of files) {
+      const out = path.join(dir, f.file);
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, f.text, 'utf8');
+    }
+    if (files.length > 0) fs.writeFileSync(file, sourceText(doc), 'utf8');
+    totalFiles += files.length;
+    console.log(`workbooks/${slug}/  (${files.length} sidecar file(s) extracted)`);
+    skipped.forEach(s => console.warn(`  ⚠️  ${s.name} left inline: ${s.reason}`));
+  }
+
+  console.log(`\n✅ Extracted ${totalFiles} sidecar file(s). Run node scripts/build-monolithic.js --check to confirm.`);
+}
+
+if (require.main === module) main();
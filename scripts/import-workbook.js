@@ -0,0 +1,154 @@
+/**
+ * scripts/import-workbook.js — Brings a workbook edited and saved in the
+ * portal back into the split sources, so portal edits do not have to be
+ * copied into workbooks/<Tab>/<Tab>.workbook by hand.
+ *
+ * Input: a portal export — the Advanced Editor's Gallery Template JSON, or an
+ * ARM template / resource with the workbook in serializedData — of the whole
+ * workbook or of one sub-template. Tab groups are matched through the
+ * groupName fields in scripts/template-ids.json, their conditionalVisibility
+ * is stripped, and Capacity's section groups go to their Capacity-*
+ * sub-templates (see scripts/lib/import-workbook.js). Only sub-templates
+ * whose content changed are written; a sub-template using sidecar files
+ * (scripts/extract-sidecars.js) gets its .kql/.md files rewritten and those
+ * of deleted items removed.
+ *
+ * Global parameters and header items are not imported (they live in
+ * shared/); differences are printed as warnings.
+ *
+ * ⚠️  RE-RUN GUARD
+ * Like split.js, this overwrites source files, so it refuses to run unless
+ * node scripts/build-monolithic.js --check passes (no unbuilt source edits
+ * that the import could overwrite) or --force is passed.
+ *
+ * Usage: node scripts/import-workbook.js <export.json> [--dry-run] [--force]
+ *
+ *   --dry-run   list the sub-templates that would change; write nothing
+ *
+ * Afterwards run node scripts/build-monolithic.js and review the diff
+ * (node scripts/diff-workbook.js is useful for the item-level view).
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadWorkbook, extractSidecars, inlineSidecars, sidecarRefs, SIDECAR_KINDS } = require('./lib/sidecars');
+const { parseExport, planImport } = require('./lib/import-workbook');
+const { serialize } = require('./lib/workbook');
+const { sourceText } = require('./lib/format');
+
+const ROOT = path.resolve(__dirname, '..');
+const SHARED_DIR = path.join(ROOT, 'shared');
+const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
+const TAB_MAP = require('./template-ids.json');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+const subTemplateFile = (slug) => path.join(WORKBOOKS_DIR, slug, `${slug}.workbook`);
+
+/**
+ * Write `doc` (fully inlined) to the sub-template `slug`, keeping its source
+ * layout: inline, or sidecar files when the current file references any.
+ */
+function writeSubTemplate(slug, doc) {
+  const file = subTemplateFile(slug);
+  const dir = path.dirname(file);
+  if (sidecarRefs(readJson(file)).length === 0) {
+    fs.writeFileSync(file, sourceText(doc), 'utf8');
+    return { files: 0, removed: 0 };
+  }
+
+  const { doc: extracted, files } = extractSidecars(doc);
+  const pending = new Map(files.map(f => [f.file, f.text]));
+  if (serialize(inlineSidecars(extracted, rel => pending.get(rel))) !== serialize(doc)) {
+    throw new Error(`${slug}: extracted sources do not rebuild to the import; nothing written`);
+  }
+  const keep = new Set(files.map(f => f.file));
+  let removed = 0;
+  for (const kind of Object.values(SIDECAR_KINDS)) {
+    const kindDir = path.join(dir, kind.dir);
+    if (!fs.existsSync(kindDir)) continue;
+    for (const f of fs.readdirSync(kindDir)) {
+      if (f.endsWith(kind.ext) && !keep.has(`${kind.dir}/${f}`)) {
+        fs.unlinkSync(path.join(kindDir, f));
+        removed++;
+      }
+    }
+  }
+  for (const f of files) {
+    const out = path.join(dir, f.file);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, f.text, 'utf8');
+  }
+  fs.writeFileSync(file, sourceText(extracted), 'utf8');
+  return { files: files.length, removed };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const dryRun = args.includes('--dry-run');
+  const positional = args.filter(a => !a.startsWith('--'));
+  if (positional.length !== 1) {
+    console.error('Usage: node scripts/import-workbook.js <export.json> [--dry-run] [--force]');
+    process.exit(1);
+  }
+
+  if (!force) {
+    try {
+      execFileSync(process.execPath, [path.join(__dirname, 'build-monolithic.js'), '--check'], { stdio: 'pipe' });
+    } catch (err) {
+      console.error('❌ Refusing to run: AzureLocal-LENS-Workbook.json is OUT OF SYNC with the split sources.');
+      console.error('   Build (and commit) pending source edits first — node scripts/build-monolithic.js — or pass --force.');
+      process.exit(1);
+    }
+  } else {
+    console.warn('⚠️  --force passed; re-run guard bypassed.\n');
+  }
+
+  let plan;
+  try {
+    const doc = parseExport(readJson(path.resolve(positional[0])));
+    plan = planImport(doc, TAB_MAP, slug => loadWorkbook(subTemplateFile(slug)), {
+      params: readJson(path.join(SHARED_DIR, 'parameters.json')),
+      header: readJson(path.join(SHARED_DIR, 'header.json'))
+    });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  let written = 0;
+  for (const u of plan.updates) {
+    const rel = path.relative(ROOT, subTemplateFile(u.slug)).replace(/\\/g, '/');
+    if (!u.changed) {
+      console.log(`   ${rel}  (unchanged)`);
+      continue;
+    }
+    written++;
+    if (dryRun) {
+      console.log(`✏️  ${rel}  (would be updated)`);
+      continue;
+    }
+    try {
+      const { files, removed } = writeSubTemplate(u.slug, u.doc);
+      const sidecars = files ? `, ${files} sidecar file(s)${removed ? `, ${removed} removed` : ''}` : '';
+      console.log(`✏️  ${rel}  (updated${sidecars})`);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+  }
+  plan.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+
+  if (written === 0) {
+    console.log('\n✅ Nothing to import: the export matches the split sources.');
+  } else if (dryRun) {
+    console.log(`\n${written} sub-template(s) would change (dry run; nothing written).`);
+  } else {
+    console.log(`\n✅ Imported ${written} sub-template(s). Run node scripts/build-monolithic.js and review the diff.`);
+  }
+}
+
+main();
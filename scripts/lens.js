@@ -0,0 +1,515 @@
+/**
+ * scripts/lens.js — One entry point for the LENS build, check and authoring
+ * scripts, so pipelines can drive a checkout without knowing which script
+ * does what or how each one reports.
+ *
+ *   build         build the root workbook (or an overlay / profile variant)
+ *   check         every CI gate but the tests: shared parameter parity,
+ *                 root workbook up to date, source format, workbook schema,
+ *                 accessibility lint, codemods
+ *   gallery       build the gallery submission package
+ *   fmt           write the sources in canonical form (scripts/lib/format.js);
+ *                 --check only reports files that are not
+ *   lint          accessibility lint of the sub-templates
+ *   schema        validate the sources and the root workbook (or given
+ *                 workbook files) against the workbook schemas
+ *   test          run the unit tests (scripts/run-tests.js)
+ *   sync-params   copy shared/parameters.json into every sub-template
+ *   split         gallery size report, or split a tab to the size budget
+ *   diff          semantic diff between two workbooks or split trees
+ *   new-tab       scaffold a tab or Capacity section
+ *
+ * Every command takes:
+ *
+ *   --root <dir>  the checkout to work on (default: the one this script is
+ *                 in); it must hold scripts/template-ids.json. `test` runs
+ *                 that checkout's own run-tests.js.
+ *   --json        print one JSON object instead of the usual output:
+ *                 { command, root, exitCode, ok, ...result, warnings, errors }
+ *   --help        the command's usage
+ *
+ * Exit codes, the same for every command:
+ *
+ *   0   success
+ *   1   failure: a check or test failed, or the command could not complete
+ *   2   success with warnings (e.g. a sub-template over the size budget,
+ *       placeholder gallery template ids)
+ *   64  usage error: unknown command or option, missing argument
+ *
+ * The scripts the commands are built on still work on their own, with
+ * their own output; paths given to --overlay, diff and --output are
+ * relative to the current directory.
+ *
+ * Usage: node scripts/lens.js <command> [options] [--root <dir>] [--json]
+ *
+ * Examples:
+ *   node scripts/lens.js check
+ *   node scripts/lens.js build --profile no-aks --json
+ *   node scripts/lens.js test --snapshot --root ../lens-release
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { buildTarget, checkBuild, readSources } = require('./build-monolithic');
+const { sharedParamProblems } = require('./validate-shared-params');
+const { syncSharedParams } = require('./sync-shared-params');
+const { lintTree } = require('./lint-accessibility');
+const { schemaTree } = require('./validate-schema');
+const { runCodemods } = require('./apply-codemods');
+const { writeGallery } = require('./build-gallery');
+const { sizeReport, applySplit } = require('./split-tab');
+const { planNew, writeNew } = require('./new-tab');
+const { loadSide } = require('./diff-workbook');
+const { DEFAULT_BUDGET, planSplit } = require('./lib/splitter');
+const { resolveProfile } = require('./lib/profile');
+const { diffWorkbooks, formatMarkdown, workbookVersion, lineDiff } = require('./lib/workbook-diff');
+const { readNunit } = require('./lib/nunit');
+const { formatTree, formatFiles } = require('./lib/format');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const EXIT = { ok: 0, failed: 1, warnings: 2, usage: 64 };
+
+const kb = (n) => (n / 1024).toFixed(1);
+
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+/**
+ * Split `args` by `spec` ({ flags, values, positional: max count }):
+ * { flags: Set, values: { name: value }, positional }. Throws a usage
+ * error on an unknown option, a missing value or too many arguments.
+ */
+function parseArgs(args, { flags = [], values = [], positional = 0 } = {}) {
+  const out = { flags: new Set(), values: {}, positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (values.includes(a)) {
+      if (i + 1 >= args.length || args[i + 1].startsWith('--')) throw usageError(`${a} needs a value`);
+      out.values[a] = args[++i];
+    } else if (flags.includes(a)) {
+      out.flags.add(a);
+    } else if (a.startsWith('-')) {
+      throw usageError(`Unknown option ${a}`);
+    } else {
+      out.positional.push(a);
+    }
+  }
+  if (out.positional.length > positional) throw usageError(`Unexpected argument ${out.positional[positional]}`);
+  return out;
+}
+
+function budgetOf(opts) {
+  if (opts.values['--budget'] === undefined) return DEFAULT_BUDGET;
+  const budget = Number(opts.values['--budget']) * 1024;
+  if (!(budget > 0)) throw usageError('--budget needs a size in KB');
+  return budget;
+}
+
+const COMMANDS = {
+  build: {
+    summary: 'Build the root workbook, or an overlay / profile variant under dist/',
+    usage: 'build [--overlay <overlays/org/>] [--tabs <Tab,Tab,...> | --profile <name>] [--check]',
+    spec: { flags: ['--check'], values: ['--overlay', '--tabs', '--profile'] },
+    run(opts, ctx) {
+      const overlayDir = opts.values['--overlay'] || null;
+      if (opts.values['--tabs'] && opts.values['--profile']) throw usageError('--tabs and --profile cannot be combined');
+      const profile = opts.values['--tabs'] || opts.values['--profile'] || null;
+      if (opts.values['--tabs']) {
+        // Tab names are arguments: one that is not in template-ids.json is a usage error.
+        try {
+          resolveProfile(JSON.parse(fs.readFileSync(path.join(ctx.root, 'scripts', 'template-ids.json'), 'utf8')), opts.values['--tabs']);
+        } catch (e) {
+          throw usageError(e.message);
+        }
+      }
+      const check = opts.flags.has('--check');
+      if (!overlayDir && !profile && check) {
+        const result = checkBuild(ctx.root);
+        if (result.upToDate) {
+          ctx.log('✅ Root workbook is up to date with split sources.');
+        } else if (!result.exists) {
+          ctx.fail('Root workbook does not exist. Run: node scripts/lens.js build');
+        } else {
+          ctx.fail('Root workbook is out of sync with split sources. Run: node scripts/lens.js build');
+        }
+        return { target: ctx.rel(result.target), upToDate: result.upToDate, firstDiff: result.firstDiff };
+      }
+      const result = buildTarget(ctx.root, { overlayDir, profile, check });
+      const what = result.what ? ` with ${result.what}` : '';
+      if (check) {
+        ctx.log(`✅ Builds cleanly${what}.`);
+      } else {
+        ctx.log(`✅ Built ${ctx.rel(result.target)}${what} (${kb(result.bytes)} KB, ${result.items} top-level items)`);
+      }
+      return { target: ctx.rel(result.target), written: result.written, bytes: result.bytes, items: result.items, variant: result.what || null };
+    }
+  },
+
+  check: {
+    summary: 'Run every CI gate but the tests (parameters, build, format, schema, lint, codemods)',
+    usage: 'check',
+    spec: {},
+    run(opts, ctx) {
+      const steps = [];
+      const step = (name, fn) => {
+        let problems;
+        try {
+          problems = fn();
+        } catch (e) {
+          problems = [e.message];
+        }
+        steps.push({ name, ok: !problems.length, problems });
+        if (!problems.length) {
+          ctx.log(`✅ ${name}`);
+          return;
+        }
+        ctx.fail(`${name}: ${problems.length} problem(s)`);
+        problems.forEach(p => ctx.log(`   ${p}`));
+      };
+      step('shared parameters', () => sharedParamProblems(ctx.root).problems.map(p => `${p.slug}: ${p.message}`));
+      step('root workbook up to date', () => {
+        const result = checkBuild(ctx.root);
+        return result.upToDate ? [] : [result.exists ? 'out of sync with the split sources (run: node scripts/lens.js build)' : 'missing (run: node scripts/lens.js build)'];
+      });
+      step('source format', () => formatTree(ctx.root, { write: false }).map(r =>
+        `${ctx.rel(r.file)}: not in canonical form (run: node scripts/lens.js fmt)`));
+      step('workbook schema', () => schemaTree(ctx.root).flatMap(({ file, errors }) =>
+        errors.map(e => `${ctx.rel(file)}#${e.pointer}: ${e.message}`)));
+      step('accessibility lint', () => lintTree(ctx.root).flatMap(({ file, findings }) =>
+        findings.map(f => `${ctx.rel(file)}: [${f.label}] in "${f.name}"`)));
+      step('codemod policies', () => runCodemods(ctx.root, { dryRun: true }).results.map(r =>
+        `${ctx.rel(r.file)}: ${r.changes.length} propert${r.changes.length === 1 ? 'y' : 'ies'} to change (run: node scripts/apply-codemods.js)`));
+      return { steps };
+    }
+  },
+
+  gallery: {
+    summary: 'Build the gallery submission package under dist/',
+    usage: 'gallery [--overlay <overlays/org/>] [--budget <KB>]',
+    spec: { values: ['--overlay', '--budget'] },
+    run(opts, ctx) {
+      const budget = budgetOf(opts);
+      const { dist, pkg } = writeGallery(ctx.root, { overlayDir: opts.values['--overlay'] || null, budget });
+      for (const t of pkg.templates) {
+        ctx.log(`${t.bytes <= budget ? '✅' : '❌'} ${t.folder}/${t.folder}.workbook (${kb(t.bytes)} KB)`);
+      }
+      ctx.log(`\nGallery package written to ${ctx.rel(dist)}/`);
+      pkg.warnings.forEach(w => ctx.warn(w));
+      pkg.problems.forEach(p => ctx.fail(p));
+      return {
+        dist: ctx.rel(dist),
+        templates: pkg.templates.map(t => ({ folder: t.folder, id: t.id, bytes: t.bytes, fits: t.bytes <= budget, outer: !!t.outer, loadedBy: t.loadedBy })),
+        problems: pkg.problems
+      };
+    }
+  },
+
+  fmt: {
+    summary: 'Write the split sources in canonical form (key order, query whitespace, ids)',
+    usage: 'fmt [--check]   (--check writes nothing and fails on any file to change)',
+    spec: { flags: ['--check'] },
+    run(opts, ctx) {
+      const check = opts.flags.has('--check');
+      const files = formatFiles(ctx.root);
+      const changed = formatTree(ctx.root, { write: !check });
+      for (const { file, original, text } of changed) {
+        if (!check) {
+          ctx.log(`✏️  ${ctx.rel(file)}`);
+          continue;
+        }
+        ctx.fail(`${ctx.rel(file)} is not in canonical form`, { quiet: true });
+        ctx.log(`--- a/${ctx.rel(file)}\n+++ b/${ctx.rel(file)}`);
+        lineDiff(original, text).forEach(line => ctx.log(line));
+      }
+      if (!changed.length) {
+        ctx.log(`✅ All ${files.length} source files are in canonical form.`);
+      } else if (check) {
+        ctx.fail(`${changed.length} of ${files.length} source files are not in canonical form. Run: node scripts/lens.js fmt`);
+      } else {
+        ctx.log(`\n✅ Formatted ${changed.length} of ${files.length} source files. Next: node scripts/lens.js build`);
+      }
+      return { checked: files.length, files: changed.map(c => ctx.rel(c.file)), written: !check };
+    }
+  },
+
+  lint: {
+    summary: 'Accessibility lint: no inline HTML styling in markdown',
+    usage: 'lint [--monolithic]   (--monolithic also lints the root workbook)',
+    spec: { flags: ['--monolithic'] },
+    run(opts, ctx) {
+      const results = lintTree(ctx.root, { rootFile: opts.flags.has('--monolithic') });
+      for (const { file, findings } of results) {
+        if (!findings.length) {
+          ctx.log(`✅ ${ctx.rel(file)}`);
+          continue;
+        }
+        ctx.fail(`${ctx.rel(file)}  (${findings.length} issue${findings.length === 1 ? '' : 's'})`);
+        findings.forEach(f => ctx.log(`   [${f.label}] in "${f.name}": ${f.snippet}`));
+      }
+      return { files: results.map(({ file, findings }) => ({ file: ctx.rel(file), findings })) };
+    }
+  },
+
+  schema: {
+    summary: 'Validate workbooks against the Azure Workbooks schemas',
+    usage: 'schema [<workbook.json> ...]   (default: the split sources and the root workbook)',
+    spec: { positional: Infinity },
+    run(opts, ctx) {
+      const files = opts.positional.length ? opts.positional.map(f => path.resolve(f)) : null;
+      const results = schemaTree(ctx.root, { files });
+      for (const { file, errors } of results) {
+        if (!errors.length) {
+          ctx.log(`✅ ${ctx.rel(file)}`);
+          continue;
+        }
+        ctx.fail(`${ctx.rel(file)}  (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+        errors.forEach(e => ctx.log(`   ${ctx.rel(file)}#${e.pointer}: ${e.message}`));
+      }
+      return { files: results.map(({ file, errors }) => ({ file: ctx.rel(file), errors })) };
+    }
+  },
+
+  test: {
+    summary: 'Run the unit tests (scripts/run-tests.js of the checkout)',
+    usage: 'test [--snapshot [--update]] [--overlay <overlays/org/>] [--gallery]',
+    spec: { flags: ['--snapshot', '--update', '--gallery'], values: ['--overlay'] },
+    run(opts, ctx) {
+      const overlayDir = opts.values['--overlay'];
+      const args = [...opts.flags, ...(overlayDir ? ['--overlay', overlayDir] : [])];
+      const report = path.join(ctx.root, 'test-results',
+        ...(overlayDir ? ['overlays', path.basename(path.resolve(overlayDir))] : []),
+        ...(opts.flags.has('--gallery') ? ['gallery'] : []), 'nunit.xml');
+      // A report left from an earlier run must not pass for this one.
+      fs.rmSync(report, { force: true });
+      const child = spawnSync(process.execPath, [path.join(ctx.root, 'scripts', 'run-tests.js'), ...args], {
+        stdio: ctx.json ? ['ignore', 'ignore', 'pipe'] : 'inherit',
+        encoding: 'utf8'
+      });
+      const results = readNunit(report);
+      if (!results) {
+        ctx.fail(`run-tests.js exited with ${child.status} and wrote no report${child.stderr ? `: ${child.stderr.trim()}` : ''}`);
+        return { report: null };
+      }
+      const failures = results.suites.flatMap(s => s.cases.filter(c => c.result !== 'Passed').map(c => ({ suite: s.name, name: c.name, message: c.message })));
+      failures.forEach(f => ctx.fail(`[${f.suite}] ${f.name}`, { quiet: true }));
+      if (child.status !== 0 && !failures.length) ctx.fail(`run-tests.js exited with ${child.status}`);
+      return { report: ctx.rel(report), total: results.total, passed: results.passed, failed: results.failed, failures };
+    }
+  },
+
+  'sync-params': {
+    summary: 'Copy shared/parameters.json into items[0] of every sub-template',
+    usage: 'sync-params',
+    spec: {},
+    run(opts, ctx) {
+      const files = syncSharedParams(ctx.root);
+      files.forEach(f => ctx.log(`synced: ${ctx.rel(f)}`));
+      ctx.log(`\n✅ Synced ${files.length} sub-template(s). Next: node scripts/lens.js build`);
+      return { files: files.map(ctx.rel) };
+    }
+  },
+
+  split: {
+    summary: 'Gallery size of every sub-template, or split one to the budget',
+    usage: 'split [<Slug>] [--budget <KB>] [--dry-run] [--force]',
+    spec: { flags: ['--dry-run', '--force'], values: ['--budget'], positional: 1 },
+    run(opts, ctx) {
+      const budget = budgetOf(opts);
+      const sources = readSources(ctx.root);
+      const slug = opts.positional[0];
+      if (!slug) {
+        const sizes = sizeReport(sources, budget);
+        sizes.forEach(s => ctx.log(`${s.fits ? '✅' : '❌'} ${s.slug.padEnd(28)} ${kb(s.bytes).padStart(6)} KB`));
+        const over = sizes.filter(s => !s.fits);
+        if (over.length) ctx.warn(`${over.length} sub-template(s) over ${kb(budget)} KB: ${over.map(s => s.slug).join(', ')}. Split with: node scripts/lens.js split <Slug>`);
+        return { budget, sizes };
+      }
+      const plan = planSplit(sources, slug, { budget });
+      const result = { slug, budget, sizes: plan.sizes, subSections: plan.entry.subSections || [], changed: plan.changed, written: [], removed: [] };
+      if (plan.problems.length) {
+        plan.problems.forEach(p => ctx.fail(`Cannot split ${slug} to ${kb(budget)} KB: ${p}`));
+        return result;
+      }
+      plan.sizes.forEach(s => ctx.log(`   ${s.slug.padEnd(28)} ${kb(s.bytes).padStart(6)} KB`));
+      if (!plan.changed || opts.flags.has('--dry-run')) {
+        ctx.log(plan.changed ? `Would split ${slug} (dry run; nothing written).` : `✅ ${slug} already fits ${kb(budget)} KB.`);
+        return result;
+      }
+      if (!opts.flags.has('--force') && !checkBuild(ctx.root).upToDate) {
+        ctx.fail('Refusing to split: the root workbook is out of sync with the split sources (run: node scripts/lens.js build, or pass --force).');
+        return result;
+      }
+      const changes = applySplit(ctx.root, plan);
+      result.removed = changes.remove;
+      result.written = changes.files.map(f => f.file);
+      changes.remove.forEach(f => ctx.log(`🗑️  ${f}`));
+      result.written.forEach(f => ctx.log(`✏️  ${f}`));
+      if (!checkBuild(ctx.root).upToDate) {
+        ctx.fail('The split changed the monolithic build; restore the files above from git.');
+        return result;
+      }
+      ctx.log(`\n✅ Split ${slug}; the root workbook is unchanged. Next: node scripts/lens.js gallery, node scripts/lens.js test --snapshot`);
+      return result;
+    }
+  },
+
+  diff: {
+    summary: 'Semantic diff between two workbook files or split trees, as Markdown',
+    usage: 'diff <old.json|old-tree/> <new.json|new-tree/> [--output <file.md>]',
+    spec: { values: ['--output'], positional: 2 },
+    run(opts, ctx) {
+      if (opts.positional.length !== 2) throw usageError('diff needs <old> and <new>');
+      const [from, to] = opts.positional;
+      const oldDoc = loadSide(from);
+      const newDoc = loadSide(to);
+      const changes = diffWorkbooks(oldDoc, newDoc);
+      const markdown = formatMarkdown(changes, { from: workbookVersion(oldDoc) || from, to: workbookVersion(newDoc) || to });
+      const output = opts.values['--output'] || null;
+      if (output) {
+        fs.writeFileSync(output, markdown);
+        ctx.log(`✅ Wrote ${output}`);
+      } else if (!ctx.json) {
+        process.stdout.write(markdown);
+      }
+      return { from, to, output, changes, markdown: output ? undefined : markdown };
+    }
+  },
+
+  'new-tab': {
+    summary: 'Scaffold a tab, or with --section a Capacity section',
+    usage: [
+      'new-tab <Slug> --label "<emoji> <Label>" [--after <Slug>] [--group <name>] [--gallery-folder <name>] [--dry-run]',
+      'new-tab --section <Capacity-Slug> --label "<emoji> <Label>" [--value <value>] [--after <Slug>] [--group <name>] [--gallery-folder <name>] [--dry-run]'
+    ].join('\n       node scripts/lens.js '),
+    spec: { flags: ['--dry-run'], values: ['--label', '--after', '--group', '--gallery-folder', '--value', '--section'], positional: 1 },
+    run(opts, ctx) {
+      const section = opts.values['--section'] !== undefined;
+      const slug = section ? opts.values['--section'] : opts.positional[0];
+      if (!slug || (section && opts.positional.length)) throw usageError('new-tab needs a <Slug> or --section <Capacity-Slug>');
+      if (!section && opts.values['--value'] !== undefined) throw usageError('--value is for --section only');
+      const options = {
+        slug,
+        label: opts.values['--label'],
+        after: opts.values['--after'],
+        groupName: opts.values['--group'],
+        galleryFolderName: opts.values['--gallery-folder'],
+        ...(section ? { value: opts.values['--value'] } : {})
+      };
+      const plan = planNew(ctx.root, options, { section });
+      const dryRun = opts.flags.has('--dry-run');
+      const files = [...plan.files.map(f => f.file), `scripts/fixtures/snapshots/${slug}/`];
+      if (dryRun) {
+        ctx.log(`Would add ${section ? 'section' : 'tab'} ${slug}:`);
+      } else {
+        writeNew(ctx.root, plan);
+        ctx.log(`✅ Added ${section ? 'section' : 'tab'} ${slug}. Next: edit workbooks/${slug}/${slug}.workbook, then node scripts/lens.js build`);
+      }
+      files.forEach(f => ctx.log(`   ${f}`));
+      return { kind: section ? 'section' : 'tab', slug, dryRun, entry: plan.entry, files };
+    }
+  }
+};
+
+function helpText() {
+  const width = Math.max(...Object.keys(COMMANDS).map(n => n.length));
+  return [
+    'Usage: node scripts/lens.js <command> [options] [--root <dir>] [--json]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(width)}  ${c.summary}`),
+    '',
+    'Options (every command):',
+    '  --root <dir>  checkout to work on (default: this one)',
+    '  --json        print one JSON object: { command, root, exitCode, ok, ...result, warnings, errors }',
+    '  --help        usage of a command (node scripts/lens.js <command> --help)',
+    '',
+    'Exit codes: 0 success, 1 failure, 2 success with warnings, 64 usage error'
+  ].join('\n');
+}
+
+/**
+ * Run `argv` (the arguments after the script) and return { exitCode, output }
+ * where output is what the command reports (the JSON object with --json).
+ */
+function main(argv = process.argv.slice(2)) {
+  const json = argv.includes('--json');
+  const help = argv.includes('--help') || argv.includes('-h');
+  let args = argv.filter(a => a !== '--json' && a !== '--help' && a !== '-h');
+  const name = args[0] && !args[0].startsWith('-') ? args[0] : null;
+  const command = name ? COMMANDS[name] : null;
+  const warnings = [];
+  const errors = [];
+  let root = ROOT;
+
+  const finish = (exitCode, result = {}) => {
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ command: name, root, exitCode, ok: exitCode === EXIT.ok || exitCode === EXIT.warnings, ...result, warnings, errors }, null, 2)}\n`);
+    }
+    return exitCode;
+  };
+  const usage = (message) => {
+    errors.push(message);
+    if (!json) {
+      console.error(`❌ ${message}`);
+      console.error(command ? `Usage: node scripts/lens.js ${command.usage}` : 'Run: node scripts/lens.js --help');
+    }
+    return finish(EXIT.usage);
+  };
+
+  if (help) {
+    const text = command ? `Usage: node scripts/lens.js ${command.usage}\n\n${command.summary}.` : helpText();
+    if (name && !command) return usage(`Unknown command "${name}"`);
+    if (json) return finish(EXIT.ok, { help: text });
+    console.log(text);
+    return EXIT.ok;
+  }
+  if (!name) {
+    if (json) return usage('No command given');
+    console.error(helpText());
+    return EXIT.usage;
+  }
+  if (!command) return usage(`Unknown command "${name}"`);
+
+  const rootAt = args.indexOf('--root');
+  if (rootAt >= 0) {
+    const dir = args[rootAt + 1];
+    if (!dir || dir.startsWith('--')) return usage('--root needs a directory');
+    args = args.filter((a, i) => i !== rootAt && i !== rootAt + 1);
+    if (!fs.existsSync(path.join(dir, 'scripts', 'template-ids.json'))) {
+      return usage(`--root ${dir} is not a LENS checkout (no scripts/template-ids.json)`);
+    }
+    root = path.resolve(dir);
+  }
+
+  const ctx = {
+    root,
+    json,
+    rel: (file) => path.relative(root, file).split(path.sep).join('/'),
+    log: (line) => { if (!json) console.log(line); },
+    warn: (message) => {
+      warnings.push(message);
+      if (!json) console.warn(`⚠️  ${message}`);
+    },
+    // `quiet`: recorded for --json and the exit code, already shown by the command's own output.
+    fail: (message, { quiet = false } = {}) => {
+      errors.push(message);
+      if (!json && !quiet) console.error(`❌ ${message}`);
+    }
+  };
+
+  let result;
+  try {
+    result = command.run(parseArgs(args.slice(1), command.spec), ctx);
+  } catch (e) {
+    if (e.usage) return usage(e.message);
+    ctx.fail(e.message);
+    return finish(EXIT.failed);
+  }
+  return finish(errors.length ? EXIT.failed : warnings.length ? EXIT.warnings : EXIT.ok, result);
+}
+
+if (require.main === module) process.exitCode = main();
+
+module.exports = { main, parseArgs, COMMANDS, EXIT };
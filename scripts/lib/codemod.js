@@ -0,0 +1,134 @@
+/**
+ * scripts/lib/codemod.js — Declarative codemods: workbook-wide policies
+ * (every visible query has a noDataMessage, grids can be exported, ...)
+ * written as rule files in scripts/codemods/ instead of one script each.
+ *
+ * A rule file holds a description, its rules and optional message tables:
+ *
+ *   {
+ *     "description": "...",
+ *     "rules": [
+ *       { "match": { "type": 3, "renders": ["tiles"] }, "remove": ["showAnalytics"] },
+ *       { "match": { "type": 3, "has": ["query"] }, "set": { "showAnalytics": true }, "after": ["size"] }
+ *     ],
+ *     "messages": { "<item-name>": "text", "*": "fallback" }
+ *   }
+ *
+ *   match    type      item type (number or list)
+ *            renders   what a query renders as (Query#renders in
+ *                      scripts/lib/workbook.js: "table", "tiles", "piechart", ...)
+ *            name      item names (list)
+ *            has       content keys the item must have
+ *            missing   content keys the item must not have
+ *   set      content keys to set; "$messages" takes the item's entry of
+ *            the file's messages table ("*" when it has none)
+ *   after    where new keys go: after the first of these keys the content
+ *            has, else at the end
+ *   remove   content keys to remove
+ *
+ * The first rule of a file that matches an item applies to it. Helper
+ * queries are never touched: the items named in scripts/codemods/helpers.json
+ * and queries with no display settings (Merge sources, lookups).
+ *
+ * Usage:
+ *   const { loadCodemods, applyCodemods } = require('./lib/codemod');
+ *   const { codemods, helpers } = loadCodemods('scripts/codemods');
+ *   const changes = applyCodemods(doc, codemods, helpers);   // edits doc in place
+ */
+const fs = require('fs');
+const path = require('path');
+const { Workbook, Query } = require('./workbook');
+
+const HELPERS_FILE = 'helpers.json';
+const MESSAGES_REF = '$messages';
+const RULE_KEYS = ['match', 'set', 'after', 'remove'];
+const MATCH_KEYS = ['type', 'renders', 'name', 'has', 'missing'];
+
+const list = (v) => (v === undefined ? null : Array.isArray(v) ? v : [v]);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Problems in one rule file (empty when valid).
+function checkCodemod(codemod) {
+  const problems = [];
+  if (!Array.isArray(codemod.rules) || !codemod.rules.length) problems.push('"rules" must be a non-empty array');
+  (codemod.rules || []).forEach((rule, i) => {
+    const where = `rule ${i + 1}`;
+    Object.keys(rule).filter(k => !RULE_KEYS.includes(k)).forEach(k => problems.push(`${where}: unknown key "${k}" (expected: ${RULE_KEYS.join(', ')})`));
+    Object.keys(rule.match || {}).filter(k => !MATCH_KEYS.includes(k)).forEach(k => problems.push(`${where}: unknown match key "${k}" (expected: ${MATCH_KEYS.join(', ')})`));
+    if (!rule.set && !rule.remove) problems.push(`${where}: nothing to do (no "set" or "remove")`);
+    for (const [key, value] of Object.entries(rule.set || {})) {
+      if (value === MESSAGES_REF && !(codemod.messages && typeof codemod.messages['*'] === 'string')) {
+        problems.push(`${where}: ${key} uses ${MESSAGES_REF} but the file has no "messages" table with a "*" fallback`);
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Load the rule files of `dir` (every *.json but helpers.json, in file-name
+ * order): { codemods: [{ name, description, rules, messages }], helpers: Set }.
+ * `only` limits it to those codemod names. Throws on an unknown name or an
+ * invalid rule file, with one line per problem.
+ */
+function loadCodemods(dir, only = null) {
+  const helpersFile = path.join(dir, HELPERS_FILE);
+  const helpers = new Set(fs.existsSync(helpersFile) ? JSON.parse(fs.readFileSync(helpersFile, 'utf8')).helpers || [] : []);
+  const names = fs.readdirSync(dir).filter(f => f.endsWith('.json') && f !== HELPERS_FILE).map(f => f.slice(0, -5)).sort();
+  const unknown = (only || []).filter(n => !names.includes(n));
+  if (unknown.length) throw new Error(`Unknown codemod ${unknown.map(n => `"${n}"`).join(', ')} (expected: ${names.join(', ')})`);
+  const problems = [];
+  const codemods = names.filter(n => !only || only.includes(n)).map(name => {
+    const codemod = { name, ...JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8')) };
+    checkCodemod(codemod).forEach(p => problems.push(`${name}.json: ${p}`));
+    return codemod;
+  });
+  if (problems.length) throw new Error(`Invalid codemod rules:\n   ${problems.join('\n   ')}`);
+  return { codemods, helpers };
+}
+
+/** Whether `item` (a model item, scripts/lib/workbook.js) is a query that only feeds other items. */
+function isHelper(item, helpers) {
+  return item instanceof Query && (helpers.has(item.name) || item.renders === null);
+}
+
+function matches(item, match = {}) {
+  const content = item.content || {};
+  const types = list(match.type);
+  const renders = list(match.renders);
+  const names = list(match.name);
+  if (types && !types.includes(item.type)) return false;
+  if (renders && !(item instanceof Query && renders.includes(item.renders))) return false;
+  if (names && !names.includes(item.name)) return false;
+  if ((list(match.has) || []).some(k => content[k] === undefined)) return false;
+  if ((list(match.missing) || []).some(k => content[k] !== undefined)) return false;
+  return true;
+}
+
+/**
+ * Apply `codemods` to `doc` in place, helpers excepted. Returns the changes:
+ * [{ codemod, path, key, op: 'set' | 'remove', value }].
+ */
+function applyCodemods(doc, codemods, helpers = new Set()) {
+  const changes = [];
+  const wb = new Workbook(doc);
+  for (const codemod of codemods) {
+    for (const item of wb.all()) {
+      if (!item.content || isHelper(item, helpers)) continue;
+      const rule = codemod.rules.find(r => matches(item, r.match));
+      if (!rule) continue;
+      for (const [key, spec] of Object.entries(rule.set || {})) {
+        const value = spec === MESSAGES_REF ? codemod.messages[item.name] || codemod.messages['*'] : spec;
+        if (same(item.content[key], value)) continue;
+        item.setContent(key, value, { after: rule.after || [] });
+        changes.push({ codemod: codemod.name, path: item.path, key, op: 'set', value });
+      }
+      for (const key of rule.remove || []) {
+        if (item.removeContent(key)) changes.push({ codemod: codemod.name, path: item.path, key, op: 'remove' });
+      }
+    }
+  }
+  return changes;
+}
+
+module.exports = { loadCodemods, applyCodemods, isHelper, checkCodemod, HELPERS_FILE };
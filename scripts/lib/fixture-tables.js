@@ -0,0 +1,166 @@
+/**
+ * scripts/lib/fixture-tables.js — Loads fixture tables for the local query
+ * evaluator (kql-eval.js).
+ *
+ * A fixture directory holds one file per table, named after the table:
+ *
+ *   Perf.csv        first line is a typed header, e.g.
+ *                     TimeGenerated:datetime,Computer:string,CounterValue:real
+ *                   (untyped columns default to string). Fields follow RFC
+ *                   4180 quoting; an empty field is null (or "" for strings).
+ *   Event.json      { "columns": [{ "name", "type" }], "rows": [[...] | {...}] }
+ *                   or a plain array of row objects (types inferred).
+ *
+ * Values are converted to their column type on load, so datetimes become
+ * Date objects and dynamic columns are parsed JSON.
+ *
+ * Usage:
+ *   const { loadTables } = require('./lib/fixture-tables');
+ *   const tables = loadTables('scripts/fixtures/log-analytics');
+ */
+const fs = require('fs');
+const path = require('path');
+const { makeTable, convertTo } = require('./kql-eval');
+
+const KNOWN_TYPES = new Set(['string', 'datetime', 'real', 'long', 'int', 'bool', 'dynamic', 'timespan', 'guid', 'decimal']);
+
+// Split CSV text into records of fields (RFC 4180 quoting).
+function parseCsv(text) {
+  const records = [];
+  let field = '';
+  let record = [];
+  let quoted = false;
+  let i = 0;
+  const src = text.replace(/^\uFEFF/, '');
+  while (i < src.length) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (c === '"') { quoted = false; i++; continue; }
+      field += c;
+      i++;
+      continue;
+    }
+    if (c === '"') { quoted = true; i++; continue; }
+    if (c === ',') { record.push(field); field = ''; i++; continue; }
+    if (c === '\r' || c === '\n') {
+      record.push(field);
+      if (record.length > 1 || record[0] !== '') records.push(record);
+      record = [];
+      field = '';
+      i += c === '\r' && src[i + 1] === '\n' ? 2 : 1;
+      continue;
+    }
+    field += c;
+    i++;
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+function cellValue(type, raw) {
+  if (raw === undefined || raw === null) return type === 'string' ? '' : null;
+  if (type === 'dynamic') {
+    if (typeof raw !== 'string') return raw;
+    if (raw === '') return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+  if (type === 'string' || type === 'guid') return typeof raw === 'string' ? raw : String(raw);
+  if (raw === '') return null;
+  return convertTo(type, raw);
+}
+
+function loadCsvTable(file) {
+  const records = parseCsv(fs.readFileSync(file, 'utf8'));
+  if (records.length === 0) throw new Error(`Fixture table ${file} is empty (expected a header row)`);
+  const columns = records[0].map(h => {
+    const [name, type = 'string'] = h.trim().split(':');
+    if (!KNOWN_TYPES.has(type)) throw new Error(`Fixture table ${file}: unknown column type '${type}' for '${name}'`);
+    return { name, type };
+  });
+  const rows = records.slice(1).map((rec, n) => {
+    if (rec.length !== columns.length) {
+      throw new Error(`Fixture table ${file} line ${n + 2}: expected ${columns.length} fields, got ${rec.length}`);
+    }
+    const row = {};
+    columns.forEach((c, i) => { row[c.name] = cellValue(c.type, rec[i]); });
+    return row;
+  });
+  return makeTable(columns, rows);
+}
+
+function inferColumnType(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return 'string';
+  if (present.every(v => typeof v === 'boolean')) return 'bool';
+  if (present.every(v => typeof v === 'number')) return present.every(Number.isInteger) ? 'long' : 'real';
+  if (present.every(v => typeof v === 'string')) {
+    return present.every(v => /^\d{4}-\d\d-\d\dT\d\d:\d\d/.test(v)) ? 'datetime' : 'string';
+  }
+  return 'dynamic';
+}
+
+function loadJsonTable(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read fixture table ${file}: ${e.message}`);
+  }
+  let columns;
+  let rawRows;
+  if (Array.isArray(data)) {
+    const names = [];
+    for (const r of data) for (const k of Object.keys(r)) if (!names.includes(k)) names.push(k);
+    columns = names.map(name => ({ name, type: inferColumnType(data.map(r => r[name])) }));
+    rawRows = data;
+  } else if (data && Array.isArray(data.columns)) {
+    columns = data.columns.map(c => ({ name: c.name, type: c.type || 'string' }));
+    rawRows = data.rows || [];
+  } else {
+    throw new Error(`Fixture table ${file} must be an array of rows or { columns, rows }`);
+  }
+  const rows = rawRows.map(r => {
+    const row = {};
+    columns.forEach((c, i) => {
+      const raw = Array.isArray(r) ? r[i] : r[c.name];
+      row[c.name] = cellValue(c.type, raw === undefined ? null : raw);
+    });
+    return row;
+  });
+  return makeTable(columns, rows);
+}
+
+/** Load a single table file (.csv or .json). */
+function loadTable(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return loadCsvTable(file);
+  if (ext === '.json') return loadJsonTable(file);
+  throw new Error(`Unsupported fixture table format: ${file}`);
+}
+
+/** Load every <Table>.csv / <Table>.json in `dir` into { Table: table }. */
+function loadTables(dir) {
+  const tables = {};
+  for (const file of fs.readdirSync(dir).sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext !== '.csv' && ext !== '.json') continue;
+    const name = path.basename(file, path.extname(file));
+    if (tables[name]) throw new Error(`Fixture table '${name}' is defined twice in ${dir}`);
+    tables[name] = loadTable(path.join(dir, file));
+  }
+  return tables;
+}
+
+module.exports = {
+  loadTables,
+  loadTable,
+  parseCsv
+};
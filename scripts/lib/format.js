@@ -0,0 +1,155 @@
+/**
+ * scripts/lib/format.js — The canonical form of the split sources
+ * (workbooks/<Slug>/<Slug>.workbook and shared/*.json), so a diff of a
+ * source file only shows what was meant to change, whichever script or
+ * editor wrote it.
+ *
+ *   key order     documents, items, item content (by item type), parameters
+ *                 and links follow the lists below, the order the sources
+ *                 mostly use; keys not listed keep their order after them.
+ *                 Nested settings (gridSettings, typeSettings, ...) are left
+ *                 as they are.
+ *   queries       content.query and parameter queries: CRLF line endings,
+ *                 no trailing whitespace on a line, no trailing blank lines
+ *                 (KQL string literals cannot span lines, so this never
+ *                 changes what a query does). Markdown is left alone:
+ *                 trailing spaces are line breaks there.
+ *   ids           parameters and links keep their id; one without an id gets
+ *                 a GUID derived from the item and parameter / link name, so
+ *                 formatting twice gives the same id.
+ *   file          serialize() of scripts/lib/workbook.js: 2-space JSON, CRLF,
+ *                 trailing CRLF.
+ *
+ * The scripts that write sources (sync-shared-params.js, apply-codemods.js,
+ * new-tab.js, split-tab.js, import-workbook.js, ...) write sourceText(), and
+ * `lens fmt --check` fails on any source file not in this form.
+ *
+ * Usage:
+ *   const { sourceText, formatTree } = require('./lib/format');
+ *   fs.writeFileSync(file, sourceText(doc));
+ *   formatTree(ROOT, { write: false });   // [{ file, original, text }] of files to change
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { serialize, sourceFiles } = require('./workbook');
+
+const DOC_KEYS = ['version', 'items', 'fallbackResourceIds', '$schema'];
+const ITEM_KEYS = ['type', 'content', 'customWidth', 'conditionalVisibility', 'conditionalVisibilities', 'showPin', 'name', 'styleSettings'];
+const CONTENT_KEYS = {
+  1: ['json', 'style'],
+  3: [
+    'version', 'query', 'size', 'showAnalytics', 'aggregation', 'title', 'timeContextFromParameter', 'timeContext',
+    'showRefreshButton', 'showExportToExcel', 'queryType', 'resourceType', 'crossComponentResources', 'visualization',
+    'gridSettings', 'sortBy', 'tileSettings', 'graphSettings', 'chartSettings', 'mapSettings', 'noDataMessage', 'noDataMessageStyle'
+  ],
+  9: ['version', 'crossComponentResources', 'parameters', 'style', 'queryType', 'resourceType'],
+  11: ['version', 'style', 'tabStyle', 'links'],
+  12: ['version', 'groupType', 'loadFromTemplateId', 'title', 'items']
+};
+const PARAMETER_KEYS = [
+  'id', 'version', 'name', 'label', 'type', 'description', 'isRequired', 'multiSelect', 'quote', 'delimiter', 'query',
+  'crossComponentResources', 'typeSettings', 'jsonData', 'timeContext', 'timeContextFromParameter', 'includeAll',
+  'defaultValue', 'isHiddenWhenLocked', 'queryType', 'resourceType', 'value'
+];
+const LINK_KEYS = ['id', 'cellValue', 'linkTarget', 'linkLabel', 'subTarget', 'preText', 'postText', 'style'];
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+/** `obj` with the keys of `order` first, in that order, then the rest as they were. */
+function ordered(obj, order) {
+  const out = {};
+  for (const k of order) if (k in obj) out[k] = obj[k];
+  for (const k of Object.keys(obj)) if (!(k in out)) out[k] = obj[k];
+  return out;
+}
+
+/** A query with CRLF line endings, no trailing whitespace and no trailing blank lines. */
+function formatQuery(query) {
+  return query.split(/\r\n|\r|\n/).map(line => line.replace(/[ \t]+$/, '')).join('\r\n').replace(/(\r\n)+$/, '');
+}
+
+// A GUID from `seed`, for a parameter or link that has no id.
+function stableId(seed) {
+  const h = crypto.createHash('sha1').update(seed).digest('hex');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${((parseInt(h[16], 16) & 3) | 8).toString(16)}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function formatEntry(entry, order, seed) {
+  if (!isObject(entry)) return entry;
+  const out = { ...entry };
+  if (!out.id) out.id = stableId(seed);
+  if (typeof out.query === 'string') out.query = formatQuery(out.query);
+  return ordered(out, order);
+}
+
+function formatContent(content, item) {
+  const out = { ...content };
+  const owner = item.name || '';
+  if (typeof out.query === 'string') out.query = formatQuery(out.query);
+  if (Array.isArray(out.parameters)) {
+    out.parameters = out.parameters.map((p, i) => formatEntry(p, PARAMETER_KEYS, `${owner}/parameter/${(p && p.name) || i}`));
+  }
+  if (Array.isArray(out.links)) {
+    out.links = out.links.map((l, i) => formatEntry(l, LINK_KEYS, `${owner}/link/${(l && (l.linkLabel || l.cellValue)) || i}`));
+  }
+  if (Array.isArray(out.items)) out.items = out.items.map(formatItem);
+  return ordered(out, CONTENT_KEYS[item.type] || []);
+}
+
+/** An item object in canonical form (a new object; nested items formatted too). */
+function formatItem(item) {
+  if (!isObject(item)) return item;
+  const out = { ...item };
+  if (isObject(out.content)) out.content = formatContent(out.content, item);
+  return ordered(out, ITEM_KEYS);
+}
+
+/**
+ * A source document in canonical form: a workbook or shared/header.json
+ * ({ items }), or a single item (shared/parameters.json).
+ */
+function formatSource(doc) {
+  if (!isObject(doc)) return doc;
+  if (!Array.isArray(doc.items)) return formatItem(doc);
+  return ordered({ ...doc, items: doc.items.map(formatItem) }, DOC_KEYS);
+}
+
+/** The canonical file text of a source document. */
+function sourceText(doc) {
+  return serialize(formatSource(doc));
+}
+
+/** The source files under `root`: shared/*.json and every workbooks/<Slug>/<Slug>.workbook. */
+function formatFiles(root) {
+  const shared = path.join(root, 'shared');
+  const sharedFiles = fs.existsSync(shared)
+    ? fs.readdirSync(shared).filter(f => f.endsWith('.json')).sort().map(f => path.join(shared, f))
+    : [];
+  return [...sharedFiles, ...sourceFiles(root)];
+}
+
+/**
+ * Format every source file of `root`: [{ file, original, text }] for each
+ * file not in canonical form, written back unless `write` is false. Throws
+ * on a file that is not valid JSON, naming it.
+ */
+function formatTree(root, { write = true } = {}) {
+  const changed = [];
+  for (const file of formatFiles(root)) {
+    const original = fs.readFileSync(file, 'utf8');
+    let doc;
+    try {
+      doc = JSON.parse(original.replace(/^\uFEFF/, ''));
+    } catch (e) {
+      throw new Error(`${path.relative(root, file)} is not valid JSON: ${e.message}`);
+    }
+    const text = sourceText(doc);
+    if (text === original) continue;
+    if (write) fs.writeFileSync(file, text, 'utf8');
+    changed.push({ file, original, text });
+  }
+  return changed;
+}
+
+module.exports = { formatSource, formatItem, formatQuery, sourceText, formatFiles, formatTree };
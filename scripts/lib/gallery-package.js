@@ -0,0 +1,252 @@
+/**
+ * scripts/lib/gallery-package.js — The Azure Monitor gallery submission
+ * package: the "outer + lazy-loaded sub-templates" form of the workbook in
+ * the folder layout of microsoft/Application-Insights-Workbooks, checked
+ * before it is handed in.
+ *
+ *   Workbooks/<category>/categoryResources.json        category name, description
+ *   Workbooks/<category>/<folder>/<folder>.workbook    one per template
+ *   Workbooks/<category>/<folder>/settings.json        name, author, galleries
+ *   Workbooks/<category>/<folder>/README.md            what it is, who loads it
+ *
+ * The outer (inline Overview tab, a template stub per other tab) is the one
+ * template listed in the galleries of "gallery" in scripts/template-ids.json;
+ * tabs, Capacity sections and continuations (scripts/lib/splitter.js) are
+ * only loaded through loadFromTemplateId.
+ *
+ * Checks: every loadFromTemplateId resolves to a template of the package,
+ * every file is within the byte budget (200 KB), folders and ids are unique.
+ * Placeholder ids (galleryTemplateId still empty) and templates nothing loads
+ * are warnings.
+ *
+ * Usage:
+ *   const { packageGallery, formatChecklist } = require('./lib/gallery-package');
+ *   const pkg = packageGallery(readSources());   // { files, templates, checks, problems, warnings }
+ *   fs.writeFileSync('CHECKLIST.md', formatChecklist(pkg));
+ */
+const { DEFAULT_BUDGET, continuations, groupSections, templateEntries, templateId, templateStub, galleryTemplates } = require('./splitter');
+const { serialize } = require('./workbook');
+
+const SCHEMA = 'https://github.com/Microsoft/Application-Insights-Workbooks/blob/master/schema/workbook.json';
+const SETTINGS_SCHEMA = 'https://raw.githubusercontent.com/microsoft/Application-Insights-Workbooks/master/schema/settings.json';
+const REPO_URL = 'https://github.com/Azure/AzureLocal-LENS-Workbook';
+
+const DEFAULT_GALLERY = {
+  category: 'Azure Local',
+  name: 'Azure Local LENS',
+  author: 'Azure Local LENS contributors',
+  description: 'Azure Local Lifecycle, Events & Notification Status (LENS).',
+  galleries: [{ type: 'workbook', resourceType: 'Azure Monitor', order: 100 }]
+};
+
+const kb = (n) => (n / 1024).toFixed(1);
+
+// "🏗️ Capacity" → "Capacity"
+const plainLabel = (label) => String(label || '').replace(/^[^\p{L}\p{N}]+/u, '').trim();
+
+// Every loadFromTemplateId in `items`, nested groups included.
+function templateRefs(items, out = []) {
+  for (const item of items || []) {
+    if (!item || item.type !== 12 || !item.content) continue;
+    if (item.content.groupType === 'template' && item.content.loadFromTemplateId) out.push(item.content.loadFromTemplateId);
+    templateRefs(item.content.items, out);
+  }
+  return out;
+}
+
+/**
+ * The outer gallery workbook: the shared parameters and header, the Overview
+ * tab inline (the landing tab, as in the Storage Insights workbook) and a
+ * template stub per other tab. `gallery` is galleryTemplates(sources).
+ */
+function buildOuter(sources, gallery) {
+  const { tabMap, params, header } = sources;
+  const overviewTab = tabMap.tabs.find(t => t.slug === 'Overview');
+  if (!overviewTab) throw new Error('Overview tab not in template-ids.json');
+  const visibleOn = (tab) => ({ parameterName: 'selectedTab', comparison: 'isEqualTo', value: tab.selectedTab });
+  const overviewContent = JSON.parse(JSON.stringify(gallery.get('Overview').items[2]));
+  const overviewOrdered = {
+    type: overviewContent.type,
+    content: overviewContent.content,
+    conditionalVisibility: visibleOn(overviewTab),
+    name: overviewContent.name
+  };
+  for (const k of Object.keys(overviewContent)) {
+    if (!(k in overviewOrdered)) overviewOrdered[k] = overviewContent[k];
+  }
+
+  const items = [params, ...header.items, overviewOrdered];
+  for (const tab of tabMap.tabs) {
+    if (tab !== overviewTab) items.push(templateStub(tab, { conditionalVisibility: visibleOn(tab) }));
+  }
+  return {
+    version: 'Notebook/1.0',
+    items,
+    fallbackResourceIds: ['azure monitor'],
+    $schema: SCHEMA
+  };
+}
+
+// Display name of every template: the outer's is the gallery name, the others
+// add their tab / section label, continuations their part number.
+function templateNames(tabMap, base) {
+  const names = new Map();
+  const add = (entry, name) => {
+    names.set(entry.slug, name);
+    continuations(entry).forEach((part, i) => names.set(part.slug, `${name} (part ${i + 2})`));
+  };
+  for (const tab of tabMap.tabs) {
+    const tabName = tab.slug === 'Overview' ? base : `${base} - ${plainLabel(tab.label) || tab.slug}`;
+    add(tab, tabName);
+    groupSections(tab).forEach(sect => add(sect, `${tabName} - ${plainLabel(sect.label) || sect.groupName}`));
+  }
+  return names;
+}
+
+function readme({ name, id, slug, outer, loadedBy }, { category, description, galleries }) {
+  const lines = [
+    `# ${name}`,
+    '',
+    outer
+      ? `${description} Listed in the ${galleries.map(g => `${g.resourceType} ${g.type}`).join(', ')} gallery under ${category}; every tab but the first loads on demand from its own template.`
+      : `Part of the Azure Local LENS workbook, loaded on demand by ${loadedBy.map(ref => `\`${ref}\``).join(', ') || 'no template'}. It is not listed in a gallery on its own.`,
+    '',
+    `- Template id: \`${id}\``,
+    `- Source: [workbooks/${slug}/](${REPO_URL}/tree/main/workbooks/${slug})`,
+    '',
+    `Generated by \`scripts/build-gallery.js\`; edit the source and rebuild instead of editing this folder. Issues and feedback: ${REPO_URL}/issues`,
+    ''
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Where each template of `tabMap` goes in the package: [{ entry, slug, id,
+ * folder, file, outer }], in build order. The outer stands in for the
+ * Overview tab: same folder and template id.
+ */
+function templateFiles(tabMap) {
+  const { category } = { ...DEFAULT_GALLERY, ...(tabMap.gallery || {}) };
+  return templateEntries(tabMap).map(entry => {
+    const folder = entry.galleryFolderName || entry.slug;
+    return {
+      entry,
+      slug: entry.slug,
+      id: templateId(entry),
+      folder,
+      file: `Workbooks/${category}/${folder}/${folder}.workbook`,
+      outer: entry.slug === 'Overview'
+    };
+  });
+}
+
+/**
+ * The gallery package of `sources` (readSources(), overlays applied):
+ * { files: [{ file, text }], templates: [{ slug, id, folder, file, name,
+ * bytes, outer, placeholder, loadedBy }], checks: { budget, references, unique },
+ * problems (all failed checks), warnings }. Paths are relative
+ * to the package root (the root of an Application-Insights-Workbooks clone).
+ */
+function packageGallery(sources, { budget = DEFAULT_BUDGET } = {}) {
+  const { tabMap } = sources;
+  const settings = { ...DEFAULT_GALLERY, ...(tabMap.gallery || {}) };
+  const categoryDir = `Workbooks/${settings.category}`;
+  const gallery = galleryTemplates(sources);
+  const names = templateNames(tabMap, settings.name);
+  const checks = { budget: [], references: [], unique: [] };
+  const warnings = [];
+
+  const templates = templateFiles(tabMap).filter(t => gallery.has(t.slug)).map(t => ({
+    ...t,
+    name: names.get(t.slug),
+    placeholder: !t.entry.galleryTemplateId,
+    doc: t.outer ? buildOuter(sources, gallery) : gallery.get(t.slug)
+  }));
+
+  const byId = new Map();
+  const byFolder = new Map();
+  for (const t of templates) {
+    if (byId.has(t.id)) checks.unique.push(`${t.slug} and ${byId.get(t.id).slug} share the template id ${t.id}`);
+    if (byFolder.has(t.folder)) checks.unique.push(`${t.slug} and ${byFolder.get(t.folder).slug} share the folder ${t.folder}`);
+    byId.set(t.id, t);
+    byFolder.set(t.folder, t);
+    t.loadedBy = [];
+  }
+  for (const t of templates) {
+    for (const ref of templateRefs(t.doc.items)) {
+      if (byId.has(ref)) byId.get(ref).loadedBy.push(t.id);
+      else checks.references.push(`${t.slug} loads ${ref}, which is not a template of the package`);
+    }
+  }
+
+  const files = [];
+  const add = (file, text) => {
+    files.push({ file, text });
+    const bytes = Buffer.byteLength(text, 'utf8');
+    if (bytes > budget) checks.budget.push(`${file} is ${kb(bytes)} KB, over the ${kb(budget)} KB budget`);
+    return bytes;
+  };
+  add(`${categoryDir}/categoryResources.json`, serialize({
+    'en-us': {
+      name: settings.category,
+      description: settings.categoryDescription || `Workbooks for ${settings.category}.`,
+      order: settings.categoryOrder || 100
+    }
+  }));
+  for (const t of templates) {
+    const dir = `${categoryDir}/${t.folder}`;
+    t.bytes = add(t.file, serialize(t.doc));
+    add(`${dir}/settings.json`, serialize({
+      $schema: SETTINGS_SCHEMA,
+      name: t.name,
+      author: settings.author,
+      galleries: t.outer ? settings.galleries : []
+    }));
+    add(`${dir}/README.md`, readme(t, settings));
+    if (!t.outer && !t.loadedBy.length) warnings.push(`${t.slug} is not loaded by any template`);
+    delete t.doc;
+    delete t.entry;
+  }
+
+  const placeholders = templates.filter(t => t.placeholder);
+  if (placeholders.length) {
+    warnings.push(`${placeholders.length} template(s) use a placeholder id (galleryTemplateId empty in scripts/template-ids.json): ${placeholders.map(t => t.slug).join(', ')}`);
+  }
+  const problems = [...checks.unique, ...checks.references, ...checks.budget];
+  return { category: settings.category, budget, files, templates, checks, problems, warnings };
+}
+
+/** The submission checklist (Markdown) for a package from packageGallery(). */
+function formatChecklist(pkg, { zip = null } = {}) {
+  const mark = (ok) => (ok ? '✅' : '❌');
+  const placeholders = pkg.templates.filter(t => t.placeholder);
+  const lines = [
+    '# Gallery submission checklist',
+    '',
+    `${pkg.templates.length} templates in \`Workbooks/${pkg.category}/\`${zip ? ` (packaged as \`${zip}\`)` : ''}, generated by \`scripts/build-gallery.js\`.`,
+    '',
+    '| | Template | Folder | Template id | Size | Loaded by |',
+    '|---|---|---|---|---|---|',
+    ...pkg.templates.map(t => `| ${mark(t.bytes <= pkg.budget)} | ${t.name} | \`${t.folder}\` | \`${t.id}\`${t.placeholder ? ' (placeholder)' : ''} | ${kb(t.bytes)} KB | ${t.outer ? 'gallery' : t.loadedBy.map(ref => `\`${ref}\``).join(', ') || '—'} |`),
+    '',
+    '## Checks',
+    '',
+    `- ${mark(!pkg.checks.budget.length)} Every file is within the ${kb(pkg.budget)} KB budget`,
+    `- ${mark(!pkg.checks.references.length)} Every \`loadFromTemplateId\` resolves to a template of the package`,
+    `- ${mark(!pkg.checks.unique.length)} Folder names and template ids are unique`,
+    `- ${placeholders.length ? '⚠️' : '✅'} Template ids assigned (${placeholders.length} placeholder(s))`,
+    ...(pkg.problems.length ? ['', '### Problems', '', ...pkg.problems.map(p => `- ${p}`)] : []),
+    ...(pkg.warnings.length ? ['', '### Warnings', '', ...pkg.warnings.map(w => `- ${w}`)] : []),
+    '',
+    '## Submitting',
+    '',
+    '1. Fork and clone microsoft/Application-Insights-Workbooks.',
+    `2. Extract the package at the root of the clone, so \`Workbooks/${pkg.category}/\` lands next to the other categories.`,
+    '3. Open the outer template in the Advanced Editor of a test workbook and check every tab loads.',
+    '4. Open the pull request. Once the template ids are assigned, set `galleryTemplateId` in `scripts/template-ids.json` and rebuild.',
+    ''
+  ];
+  return lines.join('\n');
+}
+
+module.exports = { buildOuter, templateFiles, packageGallery, formatChecklist };
@@ -0,0 +1,117 @@
+/**
+ * scripts/lib/gallery-resolver.js — Offline stand-in for the Workbooks
+ * runtime's template loading, so the gallery form can be previewed and
+ * tested like the monolithic build.
+ *
+ * Every group with groupType "template" is replaced by the content group
+ * (items[2]) of the template its loadFromTemplateId names, resolved in turn:
+ *
+ *   a tab or section      the group itself, shown under the stub's
+ *                         conditionalVisibility
+ *   a continuation        its items, spliced in where the stub was
+ *                         (scripts/lib/splitter.js)
+ *
+ * Continuations are known from template-ids.json (loadGallery); without it
+ * a stub with no conditionalVisibility is taken for one.
+ *
+ * Resolving the outer of a gallery package (scripts/lib/gallery-package.js)
+ * gives back the monolithic workbook, byte for byte.
+ *
+ * Usage:
+ *   const { loadGallery, resolveTemplates } = require('./lib/gallery-resolver');
+ *   const { outer, lookup, continuationIds } = loadGallery('dist/gallery', tabMap);
+ *   const workbook = resolveTemplates(outer, lookup, continuationIds);
+ */
+const fs = require('fs');
+const path = require('path');
+const { isContinuation } = require('./splitter');
+const { templateFiles } = require('./gallery-package');
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Read the templates of a package directory written by build-gallery.js
+ * (dist/gallery/) for `tabMap`: { outer, lookup(id) → doc or undefined,
+ * continuationIds }.
+ * Missing template files are left to resolveTemplates() to report.
+ */
+function loadGallery(dir, tabMap) {
+  const files = templateFiles(tabMap);
+  const outerFile = files.find(t => t.outer);
+  if (!outerFile || !fs.existsSync(path.join(dir, outerFile.file))) {
+    throw new Error(`No gallery outer at ${path.join(dir, outerFile ? outerFile.file : 'Workbooks')} (run node scripts/build-gallery.js first)`);
+  }
+  const byId = new Map(files.map(t => [t.id, path.join(dir, t.file)]));
+  const cache = new Map();
+  const lookup = (id) => {
+    if (!cache.has(id)) {
+      const file = byId.get(id);
+      cache.set(id, file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined);
+    }
+    return cache.get(id);
+  };
+  const continuationIds = new Set(files.filter(t => isContinuation(t.entry)).map(t => t.id));
+  return { outer: lookup(outerFile.id), lookup, continuationIds };
+}
+
+// The loaded group shown under the stub's condition, keys in the order of
+// the monolithic build (type, content, conditionalVisibility, name, ...).
+function shownAs(stub, group, where) {
+  const out = {};
+  for (const key of Object.keys(group)) {
+    out[key] = group[key];
+    if (key !== 'content') continue;
+    for (const cv of ['conditionalVisibility', 'conditionalVisibilities']) {
+      if (stub[cv] === undefined) continue;
+      if (group[cv] !== undefined && !same(group[cv], stub[cv])) {
+        throw new Error(`${where}: ${stub.name} is shown on ${JSON.stringify(stub[cv])} but ${group.name} on ${JSON.stringify(group[cv])}`);
+      }
+      out[cv] = stub[cv];
+    }
+  }
+  return out;
+}
+
+/**
+ * A copy of `doc` with every template stub replaced by what it loads.
+ * `lookup(id)` returns the template doc for a loadFromTemplateId;
+ * `continuationIds` are the ids of continuations, if known. Throws on
+ * an id it cannot find, a template without a content group, a template that
+ * loads itself, or a section whose visibility differs from its stub's.
+ */
+function resolveTemplates(doc, lookup, continuationIds = null) {
+  const splice = (stub, id) => (continuationIds
+    ? continuationIds.has(id)
+    : stub.conditionalVisibility === undefined && stub.conditionalVisibilities === undefined);
+  const resolveItems = (items, stack) => {
+    const out = [];
+    for (const item of items || []) {
+      const content = item && item.type === 12 && item.content;
+      if (!content) {
+        out.push(item);
+        continue;
+      }
+      if (content.groupType !== 'template') {
+        out.push(Array.isArray(content.items) ? { ...item, content: { ...content, items: resolveItems(content.items, stack) } } : item);
+        continue;
+      }
+      const id = content.loadFromTemplateId;
+      const where = stack[stack.length - 1];
+      if (stack.includes(id)) throw new Error(`${where}: ${item.name} loads ${id}, which is already loading (${[...stack, id].join(' → ')})`);
+      const template = lookup(id);
+      if (!template) throw new Error(`${where}: ${item.name} loads ${id}, which is not in the gallery package`);
+      const group = template.items && template.items[2];
+      if (!group || group.type !== 12 || !group.content) throw new Error(`${id} has no content group at items[2]`);
+      const resolved = { ...group, content: { ...group.content, items: resolveItems(group.content.items, [...stack, id]) } };
+      if (splice(item, id)) {
+        out.push(...resolved.content.items);
+      } else {
+        out.push(shownAs(item, resolved, where));
+      }
+    }
+    return out;
+  };
+  return { ...doc, items: resolveItems(doc.items, ['outer']) };
+}
+
+module.exports = { loadGallery, resolveTemplates };
@@ -0,0 +1,178 @@
+/**
+ * scripts/lib/import-workbook.js — Maps a workbook saved in the portal back
+ * onto the split sources (the inverse of build-monolithic.js for the tabs).
+ *
+ * An export is either raw Notebook JSON (Advanced Editor → Gallery Template)
+ * or an ARM resource / template whose Microsoft.Insights/workbooks resource
+ * carries it as serializedData. It may be the whole monolithic workbook or a
+ * single sub-template opened on its own.
+ *
+ * Top-level groups are matched to sub-templates by the groupName fields of
+ * scripts/template-ids.json:
+ *   tab groups        conditionalVisibility (selectedTab) is stripped, as
+ *                     split.js does; for tabs with subSections (Capacity) the
+ *                     section groups are taken out into their own
+ *                     sub-templates and the rest stays in the orchestrator
+ *   section groups    (a Capacity-* sub-template export) kept as they are,
+ *                     conditionalVisibility on CapacitySection included
+ * A tab or section with continuations (scripts/lib/splitter.js) is split
+ * along them again, updating each continuation sub-template too; an export
+ * of the tab or section file alone updates only that file.
+ *
+ * Each imported group replaces items[2] of the existing sub-template; the
+ * other items (canonical parameters, main-tabs / cap-shared-params copies)
+ * and top-level keys stay as they are. Global parameters and header items
+ * are not imported — they live in shared/ — but differences are reported.
+ * Navigation (main-tabs, cap-section-tabs) is generated from
+ * template-ids.json and never imported: a nav item in an imported group
+ * keeps the links of the existing sub-template.
+ *
+ * Usage:
+ *   const { parseExport, planImport } = require('./lib/import-workbook');
+ *   const { updates, warnings } = planImport(parseExport(json), tabMap, slug => loadWorkbook(fileOf(slug)));
+ */
+const { NAV_ITEMS } = require('./navigation');
+const { continuations, groupSections, splitTemplate } = require('./splitter');
+
+const WORKBOOKS_RESOURCE = 'microsoft.insights/workbooks';
+const PARAMS_ITEM = 'global-subscription-param';
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const clone = (o) => JSON.parse(JSON.stringify(o));
+
+function parseSerialized(value, where) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string') throw new Error(`${where}: serializedData is missing`);
+  if (/^\s*\[/.test(value)) throw new Error(`${where}: serializedData is an ARM expression; export the workbook with its JSON inlined`);
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(`${where}: serializedData is not valid JSON (${e.message})`);
+  }
+}
+
+/**
+ * The Notebook document in a parsed export: raw Notebook JSON, an ARM
+ * template with one workbooks resource, or a single workbooks resource.
+ */
+function parseExport(json) {
+  if (!json || typeof json !== 'object') throw new Error('Export is not a JSON object');
+  let doc = json;
+  if (Array.isArray(json.resources)) {
+    const resources = json.resources.filter(r => r && String(r.type).toLowerCase() === WORKBOOKS_RESOURCE);
+    if (resources.length !== 1) throw new Error(`ARM template has ${resources.length} Microsoft.Insights/workbooks resources (expected 1)`);
+    doc = parseSerialized((resources[0].properties || {}).serializedData, 'ARM template');
+  } else if (String(json.type).toLowerCase() === WORKBOOKS_RESOURCE) {
+    doc = parseSerialized((json.properties || {}).serializedData, 'ARM resource');
+  }
+  if (doc.version !== 'Notebook/1.0' || !Array.isArray(doc.items)) {
+    throw new Error(`Not a workbook export (expected version "Notebook/1.0" and an items array, got version ${JSON.stringify(doc.version)})`);
+  }
+  return doc;
+}
+
+// Tab group as stored in a sub-template: no conditionalVisibility, key order
+// type, content, name, then anything else (as split.js writes it).
+function tabGroup(group) {
+  const out = { type: group.type, content: clone(group.content), name: group.name };
+  for (const k of Object.keys(group)) {
+    if (!(k in out) && k !== 'conditionalVisibility') out[k] = clone(group[k]);
+  }
+  return out;
+}
+
+// Give the nav items in `group` the links of their copies in `existing`.
+function keepNavigation(group, existing) {
+  const navs = new Map();
+  const walk = (item, visit) => {
+    if (!item) return;
+    visit(item);
+    if (item.content && Array.isArray(item.content.items)) item.content.items.forEach(i => walk(i, visit));
+  };
+  walk(existing, i => { if (NAV_ITEMS.includes(i.name)) navs.set(i.name, i.content.links); });
+  walk(group, i => { if (navs.has(i.name)) i.content.links = clone(navs.get(i.name)); });
+}
+
+/**
+ * Plan the import of `doc` (from parseExport). `loadExisting(slug)` returns
+ * the current sub-template with sidecars inlined. Returns
+ * { updates: [{ slug, doc, changed }], warnings: [message] } — one update per
+ * sub-template found in the export, in template-ids.json order.
+ */
+function planImport(doc, tabMap, loadExisting, { params = null, header = null } = {}) {
+  const updates = [];
+  const warnings = [];
+  const topLevel = new Map(doc.items.filter(i => i && i.name).map(i => [i.name, i]));
+  const used = new Set();
+
+  const replaceGroup = (entry, group) => {
+    const { slug } = entry;
+    const existing = loadExisting(slug);
+    const next = clone(existing);
+    if (!Array.isArray(next.items) || next.items.length < 3) throw new Error(`Sub-template ${slug} has fewer than 3 items`);
+    if (next.items[2].name !== group.name) {
+      throw new Error(`Sub-template ${slug} holds "${next.items[2].name}", not "${group.name}"`);
+    }
+    keepNavigation(group, next.items[2]);
+    next.items[2] = group;
+    // A standalone export of a split file holds none of its continuations.
+    const conts = continuations(entry);
+    const names = new Set(((group.content && group.content.items) || []).map(i => i && i.name));
+    const { doc, parts } = conts.some(p => names.has(p.from)) ? splitTemplate(next, conts) : { doc: next, parts: [] };
+    updates.push({ slug, doc, changed: !same(doc, existing) });
+    for (const part of parts) {
+      updates.push({ slug: part.entry.slug, doc: part.doc, changed: !same(part.doc, loadExisting(part.entry.slug)) });
+    }
+  };
+
+  for (const tab of tabMap.tabs) {
+    const sections = groupSections(tab);
+    const group = topLevel.get(tab.groupName);
+    const sectionGroups = new Map();
+    if (group) {
+      used.add(tab.groupName);
+      const orchestrator = tabGroup(group);
+      const items = (orchestrator.content && orchestrator.content.items) || [];
+      for (const sect of sections) {
+        const found = items.find(i => i && i.name === sect.groupName);
+        if (found) sectionGroups.set(sect.slug, clone(found));
+      }
+      if (sections.length) orchestrator.content.items = items.filter(i => !sections.some(s => i && i.name === s.groupName));
+      replaceGroup(tab, orchestrator);
+    }
+    for (const sect of sections) {
+      const standalone = topLevel.get(sect.groupName);
+      if (standalone) {
+        used.add(sect.groupName);
+        if (!sectionGroups.has(sect.slug)) sectionGroups.set(sect.slug, clone(standalone));
+      }
+      if (sectionGroups.has(sect.slug)) replaceGroup(sect, sectionGroups.get(sect.slug));
+    }
+  }
+  if (updates.length === 0) {
+    const known = tabMap.tabs.flatMap(t => [t.groupName, ...groupSections(t).map(s => s.groupName)]);
+    throw new Error(`No tab group found in the export (expected a top-level group named one of: ${known.join(', ')})`);
+  }
+
+  // Items that live in shared/ (or in every sub-template) are not imported.
+  const headerItems = new Map(((header && header.items) || []).map(i => [i.name, i]));
+  const subTemplateCopies = new Set(['cap-shared-params']);
+  const unnamed = doc.items.filter(i => i && !i.name).length;
+  if (unnamed) warnings.push(`${unnamed} unnamed top-level item(s) — not imported (name them in the portal to import)`);
+  for (const [name, item] of topLevel) {
+    if (used.has(name) || NAV_ITEMS.includes(name)) continue;
+    if (name === PARAMS_ITEM) {
+      if (params && !same(item, params)) warnings.push(`${PARAMS_ITEM} differs from shared/parameters.json — not imported (edit shared/parameters.json and run sync-shared-params.js)`);
+    } else if (headerItems.has(name)) {
+      if (!same(item, headerItems.get(name))) warnings.push(`${name} differs from shared/header.json — not imported`);
+    } else if (!subTemplateCopies.has(name)) {
+      warnings.push(`${name} (type ${item.type}) is not a tab, section or shared item — not imported`);
+    }
+  }
+  return { updates, warnings };
+}
+
+module.exports = {
+  parseExport,
+  planImport
+};
@@ -0,0 +1,89 @@
+/**
+ * scripts/lib/kql-check.js — Runs the offline KQL parser (kql-parser.js)
+ * over every Log Analytics / Resource Graph query in a workbook document.
+ *
+ * Workbook queries are templates: {Subscriptions}, {TimeRange:start},
+ * dynamic({ClusterRGMap}) etc. only become valid KQL once the workbook
+ * runtime substitutes them. The checker therefore renders each query through
+ * the substitution engine in parameters.js — with the optional fixture's
+ * selections, falling back to typed mock values — and parses the result.
+ * Lines in the report are those of the stored query (placeholders never
+ * span lines); columns and the snippet refer to the rendered line, after
+ * substitution, so a column past a placeholder differs from the stored
+ * text.
+ *
+ * Merge (queryType 7) and Prometheus (queryType 16) items are not KQL and
+ * are skipped.
+ */
+const { parse, KqlSyntaxError } = require('./kql-parser');
+const { createResolver } = require('./parameters');
+
+// Query types whose `query` is KQL text.
+const KQL_QUERY_TYPES = new Set([0, 1]);
+
+/**
+ * Yield { name, query, queryType, scope } for every KQL query in a workbook
+ * document: type=3 items plus query-backed parameters. `scope` is the item
+ * whose position decides which parameter definitions are in effect.
+ */
+function collectKqlQueries(doc) {
+  const out = [];
+  (function walk(list) {
+    if (!Array.isArray(list)) return;
+    for (const o of list) {
+      if (!o || typeof o !== 'object') continue;
+      if (o.type === 3 && o.content && typeof o.content.query === 'string' && KQL_QUERY_TYPES.has(o.content.queryType)) {
+        out.push({ name: o.name || o.content.title || '(unnamed)', query: o.content.query, queryType: o.content.queryType, scope: o.name });
+      }
+      if (o.type === 9 && o.content && Array.isArray(o.content.parameters)) {
+        for (const p of o.content.parameters) {
+          if (typeof p.query === 'string' && KQL_QUERY_TYPES.has(p.queryType)) {
+            out.push({ name: `parameter ${p.name}`, query: p.query, queryType: p.queryType, scope: o.name });
+          }
+        }
+      }
+      if (o.content && Array.isArray(o.content.items)) walk(o.content.items);
+    }
+  })(doc.items);
+  return out;
+}
+
+/**
+ * Parse every KQL query in `doc`, rendered against `fixture` (optional,
+ * see parameters.js) with typed mocks for anything it leaves unset.
+ * Returns { checked, errors } where each error is
+ * { item, line, column, reason, snippet }.
+ */
+function checkWorkbookQueries(doc, fixture = {}) {
+  const resolver = createResolver(doc, fixture, { mock: true });
+  const queries = collectKqlQueries(doc);
+  const errors = [];
+  for (const q of queries) {
+    const rendered = resolver.render(q.query.replace(/\r\n/g, '\n'), { order: resolver.orderOf(q.scope) }).text;
+    try {
+      parse(rendered);
+    } catch (e) {
+      if (!(e instanceof KqlSyntaxError)) throw e;
+      const lineText = rendered.split('\n')[e.line - 1] || '';
+      errors.push({
+        item: q.name,
+        line: e.line,
+        column: e.column,
+        reason: e.reason,
+        snippet: lineText.trim().slice(0, 120)
+      });
+    }
+  }
+  return { checked: queries.length, errors };
+}
+
+function formatError(err, file) {
+  return `${file ? `${file}: ` : ''}"${err.item}" line ${err.line}, column ${err.column}: ${err.reason}` +
+    (err.snippet ? `\n        > ${err.snippet}` : '');
+}
+
+module.exports = {
+  checkWorkbookQueries,
+  collectKqlQueries,
+  formatError
+};
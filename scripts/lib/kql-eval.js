@@ -0,0 +1,2063 @@
+/**
+ * scripts/lib/kql-eval.js — Local evaluator for the KQL subset LENS uses.
+ *
+ * Runs a parsed query (kql-parser.js AST) against in-memory tables so tests
+ * can check what a workbook query returns without a Log Analytics workspace
+ * or Resource Graph. It covers the operators and functions the workbook
+ * queries actually use: let/materialize/toscalar, print/union/range,
+ * where/extend/project (+ -away/-keep/-rename/-reorder), summarize with the
+ * usual aggregates (arg_max, avgif, dcount, make_set, ...), order/top/take/
+ * distinct/count, join/lookup (all kinds), mv-expand/mv-apply, parse,
+ * make-series and the series_* functions the Capacity forecasts call.
+ *
+ * Semantics follow the Kusto documentation where it is unambiguous:
+ *   - int/long arithmetic truncates on division; anything involving a real
+ *     is real. Operand types come from column types, not values.
+ *   - string comparisons: == is case-sensitive, =~ / contains / has /
+ *     startswith are not; null strings compare as "".
+ *   - mv-expand drops rows whose array is empty.
+ *   - make-series bins [from, to) by step; empty bins take `default`
+ *     (0 when omitted).
+ * Known approximations: series_decompose_forecast uses a line-fit trend
+ * plus phase-averaged seasonality (autodetect = no seasonality), and
+ * row order out of summarize/join follows first appearance rather than
+ * being unspecified. Anything outside the subset throws KqlRuntimeError.
+ *
+ * Values: datetime → Date, timespan → Timespan, dynamic → plain JS
+ * arrays/objects, everything else → JS primitives (null for null).
+ *
+ * Usage:
+ *   const { evaluate } = require('./lib/kql-eval');
+ *   const { columns, rows } = evaluate(queryText, { tables, now });
+ */
+const { parse } = require('./kql-parser');
+
+class KqlRuntimeError extends Error {
+  constructor(message, node) {
+    super(node && node.line ? `${message} (line ${node.line})` : message);
+    this.name = 'KqlRuntimeError';
+    this.reason = message;
+  }
+}
+
+class Timespan {
+  constructor(ms) {
+    this.ms = ms;
+  }
+}
+
+// Multiple results from one call, e.g. (slope, ...) = series_fit_line(x).
+class Tuple {
+  constructor(values, types) {
+    this.values = values;
+    this.types = types;
+  }
+}
+
+const INTEGER_TYPES = new Set(['int', 'long']);
+const NUMERIC_TYPES = new Set(['int', 'long', 'real', 'decimal']);
+const MS_PER_DAY = 86400000;
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+/** A table is { columns: [{ name, type }], rows: [{ [name]: value }] }. */
+function makeTable(columns, rows) {
+  return { columns, rows };
+}
+
+function columnTypes(table) {
+  const map = new Map();
+  for (const c of table.columns) map.set(c.name, c.type);
+  return map;
+}
+
+// Pick a name that does not clash with `taken` by appending 1, 2, ...
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+  for (let i = 1; ; i++) {
+    if (!taken.has(`${name}${i}`)) return `${name}${i}`;
+  }
+}
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+function typeOfValue(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) return 'datetime';
+  if (v instanceof Timespan) return 'timespan';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'long' : 'real';
+  if (typeof v === 'boolean') return 'bool';
+  if (typeof v === 'string') return 'string';
+  return 'dynamic';
+}
+
+function isNull(v) {
+  return v === null || v === undefined || (typeof v === 'number' && Number.isNaN(v));
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+function formatDatetime(d) {
+  const iso = d.toISOString();
+  return iso.endsWith('.000Z') ? `${iso.slice(0, -5)}Z` : iso;
+}
+
+function formatTimespan(ms) {
+  const sign = ms < 0 ? '-' : '';
+  let rest = Math.abs(ms);
+  const days = Math.floor(rest / MS_PER_DAY);
+  rest -= days * MS_PER_DAY;
+  const h = Math.floor(rest / 3600000);
+  rest -= h * 3600000;
+  const m = Math.floor(rest / 60000);
+  rest -= m * 60000;
+  const s = Math.floor(rest / 1000);
+  const frac = rest - s * 1000;
+  const base = `${pad(h)}:${pad(m)}:${pad(s)}${frac ? `.${String(Math.round(frac * 10000)).padStart(7, '0')}` : ''}`;
+  return `${sign}${days ? `${days}.` : ''}${base}`;
+}
+
+// JSON-safe form used inside dynamic values and for tostring(dynamic).
+function toPlain(v) {
+  if (v instanceof Date) return formatDatetime(v);
+  if (v instanceof Timespan) return formatTimespan(v.ms);
+  if (Array.isArray(v)) return v.map(toPlain);
+  if (v && typeof v === 'object') {
+    const out = {};
+    for (const k of Object.keys(v)) out[k] = toPlain(v[k]);
+    return out;
+  }
+  return v === undefined ? null : v;
+}
+
+function toStr(v) {
+  if (isNull(v)) return '';
+  if (typeof v === 'string') return v;
+  if (v instanceof Date) return formatDatetime(v);
+  if (v instanceof Timespan) return formatTimespan(v.ms);
+  if (typeof v === 'object') return JSON.stringify(toPlain(v));
+  return String(v);
+}
+
+function toNumber(v) {
+  if (isNull(v)) return null;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (v instanceof Timespan) return v.ms * 10000; // ticks, as tolong(timespan)
+  if (v instanceof Date) return v.getTime() * 10000 + 621355968000000000;
+  if (typeof v === 'string') {
+    if (v.trim() === '') return null;
+    const n = Number(v);
+    return Number.isNaN(n) ? null : n;
+  }
+  return null;
+}
+
+function toDate(v) {
+  if (isNull(v)) return null;
+  if (v instanceof Date) return v;
+  if (typeof v === 'string') {
+    const s = /[zZ]|[+-]\d\d:?\d\d$/.test(v) || !/T|\d:\d/.test(v) ? v : `${v}Z`;
+    const ms = Date.parse(s);
+    return Number.isNaN(ms) ? null : new Date(ms);
+  }
+  if (typeof v === 'number') return new Date(v);
+  return null;
+}
+
+function toBool(v) {
+  if (isNull(v)) return null;
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') {
+    if (/^true$/i.test(v)) return true;
+    if (/^false$/i.test(v)) return false;
+  }
+  return null;
+}
+
+function toDynamic(v) {
+  if (typeof v !== 'string') return v === undefined ? null : v;
+  try {
+    return JSON.parse(v);
+  } catch (e) {
+    return v;
+  }
+}
+
+/** Convert a value to a column type, as mv-expand `to typeof(t)` does. */
+function convertTo(type, v) {
+  switch (type) {
+    case 'string': return isNull(v) ? '' : toStr(v);
+    case 'datetime': case 'date': return toDate(v);
+    case 'real': case 'double': case 'decimal': return toNumber(v);
+    case 'int': case 'long': {
+      const n = toNumber(v);
+      return n === null ? null : Math.trunc(n);
+    }
+    case 'bool': case 'boolean': return toBool(v);
+    case 'timespan': return v instanceof Timespan ? v : null;
+    default: return v === undefined ? null : v;
+  }
+}
+
+function normalizeType(type) {
+  if (type === 'double') return 'real';
+  if (type === 'boolean') return 'bool';
+  if (type === 'date') return 'datetime';
+  return type;
+}
+
+function compareValues(a, b) {
+  const an = isNull(a);
+  const bn = isNull(b);
+  if (an || bn) return an && bn ? 0 : (an ? -1 : 1);
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (a instanceof Timespan && b instanceof Timespan) return a.ms - b.ms;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return (a ? 1 : 0) - (b ? 1 : 0);
+  const sa = toStr(a);
+  const sb = toStr(b);
+  return sa < sb ? -1 : (sa > sb ? 1 : 0);
+}
+
+function valuesEqual(a, b, caseInsensitive) {
+  if (isNull(a) || isNull(b)) {
+    // Strings are never null in Kusto: a missing string compares like "".
+    return a === '' || b === '';
+  }
+  if (typeof a === 'string' || typeof b === 'string') {
+    if (typeof a === 'object' || typeof b === 'object') {
+      if (a instanceof Date || b instanceof Date || a instanceof Timespan || b instanceof Timespan) return false;
+    }
+    const sa = typeof a === 'string' ? a : toStr(a);
+    const sb = typeof b === 'string' ? b : toStr(b);
+    return caseInsensitive ? sa.toLowerCase() === sb.toLowerCase() : sa === sb;
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof Timespan && b instanceof Timespan) return a.ms === b.ms;
+    return JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b));
+  }
+  return a === b;
+}
+
+// Key for grouping/joining: equal values map to equal strings.
+function keyOf(values) {
+  return JSON.stringify(values.map(v => {
+    if (isNull(v)) return null;
+    if (v instanceof Date) return `d:${v.getTime()}`;
+    if (v instanceof Timespan) return `t:${v.ms}`;
+    if (typeof v === 'object') return toPlain(v);
+    return v;
+  }));
+}
+
+function kqlRegex(pattern, extraFlags = '') {
+  let source = String(pattern);
+  let flags = extraFlags;
+  const inline = /^\(\?([a-z]+)\)/.exec(source);
+  if (inline) {
+    source = source.slice(inline[0].length);
+    if (inline[1].includes('i')) flags += 'i';
+    if (inline[1].includes('s')) flags += 's';
+    if (inline[1].includes('m')) flags += 'm';
+  }
+  return new RegExp(source, [...new Set(flags)].join(''));
+}
+
+function hasTerm(haystack, needle, caseSensitive) {
+  const h = caseSensitive ? haystack : haystack.toLowerCase();
+  const n = caseSensitive ? needle : needle.toLowerCase();
+  if (n === '') return true;
+  if (!/^[A-Za-z0-9]+$/.test(n)) return h.includes(n);
+  const re = new RegExp(`(^|[^A-Za-z0-9])${n}([^A-Za-z0-9]|$)`);
+  return re.test(h);
+}
+
+function roundTo(x, digits) {
+  if (isNull(x)) return null;
+  const f = Math.pow(10, digits);
+  const scaled = Math.abs(x) * f;
+  // Nudge by a relative epsilon so 2.675 rounds like the service (to 2.68).
+  const r = Math.round(scaled + scaled * Number.EPSILON) / f;
+  return x < 0 ? -r : r;
+}
+
+// ============================================================================
+// SERIES FUNCTIONS
+// ============================================================================
+
+function seriesNumbers(series) {
+  return Array.isArray(series) ? series.map(v => (isNull(v) ? null : toNumber(v))) : null;
+}
+
+function fitLine(y) {
+  const n = y.length;
+  const xs = y.map((_, i) => i);
+  const meanX = n ? (n - 1) / 2 : 0;
+  const meanY = n ? y.reduce((s, v) => s + v, 0) / n : 0;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (y[i] - meanY);
+    sxx += (xs[i] - meanX) * (xs[i] - meanX);
+  }
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  return { slope, intercept, meanY };
+}
+
+function seriesFitLine(series) {
+  const y = (seriesNumbers(series) || []).map(v => (v === null ? 0 : v));
+  const n = y.length;
+  const { slope, intercept, meanY } = fitLine(y);
+  const lineFit = y.map((_, i) => intercept + slope * i);
+  let ssTot = 0;
+  let ssRes = 0;
+  for (let i = 0; i < n; i++) {
+    ssTot += (y[i] - meanY) ** 2;
+    ssRes += (y[i] - lineFit[i]) ** 2;
+  }
+  const variance = n > 1 ? ssTot / (n - 1) : 0;
+  const rvariance = n > 1 ? ssRes / (n - 1) : 0;
+  const rsquare = ssTot === 0 ? 1 : 1 - ssRes / ssTot;
+  return new Tuple([rsquare, slope, variance, rvariance, intercept, lineFit],
+    ['real', 'real', 'real', 'real', 'real', 'dynamic']);
+}
+
+function seriesStats(series) {
+  const y = (seriesNumbers(series) || []).filter(v => v !== null && Number.isFinite(v));
+  if (y.length === 0) return { min: null, min_idx: null, max: null, max_idx: null, avg: null, stdev: null, variance: null };
+  const raw = seriesNumbers(series);
+  const min = Math.min(...y);
+  const max = Math.max(...y);
+  const avg = y.reduce((s, v) => s + v, 0) / y.length;
+  const variance = y.length > 1 ? y.reduce((s, v) => s + (v - avg) ** 2, 0) / (y.length - 1) : 0;
+  return { min, min_idx: raw.indexOf(min), max, max_idx: raw.indexOf(max), avg, stdev: Math.sqrt(variance), variance };
+}
+
+function fillLinear(series, missing, fillEdges) {
+  const y = Array.isArray(series) ? series.slice() : [];
+  const isMissing = (v) => isNull(v) || (missing !== null && missing !== undefined && v === missing);
+  const known = [];
+  y.forEach((v, i) => { if (!isMissing(v)) known.push(i); });
+  if (known.length === 0) return y;
+  for (let k = 0; k < known.length - 1; k++) {
+    const a = known[k];
+    const b = known[k + 1];
+    for (let i = a + 1; i < b; i++) y[i] = y[a] + (y[b] - y[a]) * (i - a) / (b - a);
+  }
+  if (fillEdges !== false) {
+    for (let i = 0; i < known[0]; i++) y[i] = y[known[0]];
+    for (let i = known[known.length - 1] + 1; i < y.length; i++) y[i] = y[known[known.length - 1]];
+  }
+  return y;
+}
+
+function fillForward(series) {
+  const y = Array.isArray(series) ? series.slice() : [];
+  for (let i = 1; i < y.length; i++) if (isNull(y[i])) y[i] = y[i - 1];
+  return y;
+}
+
+function fillBackward(series) {
+  const y = Array.isArray(series) ? series.slice() : [];
+  for (let i = y.length - 2; i >= 0; i--) if (isNull(y[i])) y[i] = y[i + 1];
+  return y;
+}
+
+/**
+ * series_decompose_forecast(series, points, seasonality, trend): learn from
+ * all but the last `points` values, then return (forecast, trend, seasonal,
+ * residual) over the full length. The trend is fitted first and the seasonal
+ * component is the centred phase average of the detrended training values.
+ */
+function seriesDecomposeForecast(series, points, seasonality = -1, trendKind = 'linefit') {
+  const y = (seriesNumbers(series) || []).map(v => (v === null ? 0 : v));
+  const n = y.length;
+  const m = Math.max(0, n - (toNumber(points) || 0));
+  const train = y.slice(0, m);
+  let trend;
+  if (trendKind === 'none') {
+    trend = y.map(() => 0);
+  } else if (trendKind === 'avg') {
+    const mean = train.length ? train.reduce((s, v) => s + v, 0) / train.length : 0;
+    trend = y.map(() => mean);
+  } else {
+    const { slope, intercept } = fitLine(train);
+    trend = y.map((_, i) => intercept + slope * i);
+  }
+  const period = toNumber(seasonality) > 1 ? Math.trunc(toNumber(seasonality)) : 0;
+  let seasonal = y.map(() => 0);
+  if (period > 1 && m >= period) {
+    const sums = new Array(period).fill(0);
+    const counts = new Array(period).fill(0);
+    for (let i = 0; i < m; i++) {
+      sums[i % period] += train[i] - trend[i];
+      counts[i % period]++;
+    }
+    const phase = sums.map((s, p) => (counts[p] ? s / counts[p] : 0));
+    const centre = phase.reduce((s, v) => s + v, 0) / period;
+    seasonal = y.map((_, i) => phase[i % period] - centre);
+  }
+  const forecast = y.map((_, i) => trend[i] + seasonal[i]);
+  const residual = y.map((v, i) => (i < m ? v - forecast[i] : 0));
+  return new Tuple([forecast, trend, seasonal, residual], ['dynamic', 'dynamic', 'dynamic', 'dynamic']);
+}
+
+// ============================================================================
+// XML (parse_xml)
+// ============================================================================
+
+/**
+ * parse_xml: elements become properties, attributes '@name', mixed text
+ * '#text', repeated child elements arrays — the shape Kusto produces.
+ */
+function parseXml(text) {
+  if (typeof text !== 'string') return null;
+  const src = text.replace(/<\?[\s\S]*?\?>/g, '').replace(/<!--[\s\S]*?-->/g, '');
+  let i = 0;
+  const decode = (s) => s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  function element() {
+    const open = /^<([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(src.slice(i));
+    if (!open) return null;
+    i += open[0].length;
+    const name = open[1];
+    const node = {};
+    const attrRe = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let a;
+    while ((a = attrRe.exec(open[2]))) node[`@${a[1]}`] = decode(a[2] !== undefined ? a[2] : a[3]);
+    if (open[3] === '/') return { name, value: Object.keys(node).length ? node : null };
+    let textContent = '';
+    for (;;) {
+      if (i >= src.length) return null;
+      if (src.startsWith('</', i)) {
+        const close = src.indexOf('>', i);
+        i = close + 1;
+        break;
+      }
+      if (src[i] === '<') {
+        const child = element();
+        if (!child) return null;
+        if (node[child.name] === undefined) node[child.name] = child.value;
+        else if (Array.isArray(node[child.name]) && node[`\u0000${child.name}`]) node[child.name].push(child.value);
+        else {
+          node[child.name] = [node[child.name], child.value];
+          Object.defineProperty(node, `\u0000${child.name}`, { value: true, enumerable: false });
+        }
+        continue;
+      }
+      const next = src.indexOf('<', i);
+      textContent += src.slice(i, next === -1 ? src.length : next);
+      i = next === -1 ? src.length : next;
+    }
+    const trimmed = decode(textContent.trim());
+    if (Object.keys(node).length === 0) return { name, value: trimmed === '' ? null : trimmed };
+    if (trimmed !== '') node['#text'] = trimmed;
+    return { name, value: node };
+  }
+  while (i < src.length && /\s/.test(src[i])) i++;
+  const root = element();
+  return root ? { [root.name]: root.value } : null;
+}
+
+// ============================================================================
+// DATETIME HELPERS
+// ============================================================================
+
+const DATE_PARTS = {
+  year: (d) => d.getUTCFullYear(),
+  quarter: (d) => d.getUTCFullYear() * 4 + Math.floor(d.getUTCMonth() / 3),
+  month: (d) => d.getUTCFullYear() * 12 + d.getUTCMonth(),
+  week: (d) => Math.floor((Math.floor(d.getTime() / MS_PER_DAY) + 4) / 7),
+  day: (d) => Math.floor(d.getTime() / MS_PER_DAY),
+  hour: (d) => Math.floor(d.getTime() / 3600000),
+  minute: (d) => Math.floor(d.getTime() / 60000),
+  second: (d) => Math.floor(d.getTime() / 1000),
+  millisecond: (d) => d.getTime()
+};
+
+function formatDatetimePattern(d, pattern) {
+  const tokens = {
+    yyyy: () => String(d.getUTCFullYear()),
+    yy: () => pad(d.getUTCFullYear() % 100),
+    MM: () => pad(d.getUTCMonth() + 1),
+    M: () => String(d.getUTCMonth() + 1),
+    dd: () => pad(d.getUTCDate()),
+    d: () => String(d.getUTCDate()),
+    HH: () => pad(d.getUTCHours()),
+    H: () => String(d.getUTCHours()),
+    hh: () => pad(((d.getUTCHours() + 11) % 12) + 1),
+    h: () => String(((d.getUTCHours() + 11) % 12) + 1),
+    mm: () => pad(d.getUTCMinutes()),
+    m: () => String(d.getUTCMinutes()),
+    ss: () => pad(d.getUTCSeconds()),
+    s: () => String(d.getUTCSeconds()),
+    fff: () => pad(d.getUTCMilliseconds(), 3),
+    tt: () => (d.getUTCHours() < 12 ? 'AM' : 'PM')
+  };
+  return pattern.replace(/yyyy|yy|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|fff|tt/g, t => tokens[t]());
+}
+
+// ============================================================================
+// TYPE INFERENCE
+// ============================================================================
+
+const FUNCTION_TYPES = {
+  ago: 'datetime', now: 'datetime', todatetime: 'datetime', startofday: 'datetime',
+  startofweek: 'datetime', startofmonth: 'datetime', datetime_add: 'datetime',
+  tostring: 'string', tolower: 'string', toupper: 'string', strcat: 'string', strcat_array: 'string',
+  substring: 'string', replace_string: 'string', trim_end: 'string', trim: 'string', url_encode: 'string',
+  format_datetime: 'string', extract: 'string', gettype: 'string',
+  todouble: 'real', toreal: 'real', percentile: 'real', stdev: 'real', avg: 'real', avgif: 'real',
+  toint: 'int', tolong: 'long', strlen: 'long', string_size: 'long', indexof: 'long', array_length: 'long',
+  datetime_diff: 'long', count: 'long', countif: 'long', dcount: 'long', dcountif: 'long', row_number: 'long',
+  tobool: 'bool', isempty: 'bool', isnotempty: 'bool', isnull: 'bool', isnotnull: 'bool', not: 'bool',
+  set_has_element: 'bool', isnan: 'bool',
+  pack_array: 'dynamic', pack: 'dynamic', bag_pack: 'dynamic', parse_json: 'dynamic', todynamic: 'dynamic',
+  parse_xml: 'dynamic', split: 'dynamic', range: 'dynamic', array_reverse: 'dynamic', make_list: 'dynamic',
+  make_list_if: 'dynamic', make_set: 'dynamic', make_set_if: 'dynamic', series_stats_dynamic: 'dynamic',
+  series_fill_linear: 'dynamic', series_fill_forward: 'dynamic', series_fill_backward: 'dynamic'
+};
+
+// Functions whose result type is the type of their first (or n-th) argument.
+const PASS_THROUGH_TYPE = {
+  bin: 0, floor: 0, round: 0, abs: 0, min: 0, max: 0, minif: 0, maxif: 0, sum: 0, sumif: 0,
+  any: 0, take_any: 0, take_anyif: 0, arg_max: 0, arg_min: 0, coalesce: 0, max_of: 0, min_of: 0,
+  iff: 1, iif: 1, case: 1, prev: 0, next: 0, toscalar: -1
+};
+
+function numericResult(l, r) {
+  if (INTEGER_TYPES.has(l) && INTEGER_TYPES.has(r)) return 'long';
+  return 'real';
+}
+
+/**
+ * Static result type of a scalar expression given the column types in
+ * scope. Drives integer division and output column types.
+ */
+function inferType(node, cols, scope) {
+  switch (node.kind) {
+    case 'Literal':
+      return node.type === 'type' ? 'string' : normalizeType(node.type);
+    case 'Name': {
+      if (cols && cols.has(node.name)) return cols.get(node.name);
+      const v = scope && scope.lookup(node.name);
+      if (v && v.kind === 'scalar') return v.type;
+      return 'dynamic';
+    }
+    case 'Member':
+    case 'Index':
+      return 'dynamic';
+    case 'Unary':
+      return inferType(node.operand, cols, scope);
+    case 'In':
+    case 'Between':
+      return 'bool';
+    case 'Binary': {
+      if (['+', '-', '*', '/', '%'].includes(node.op)) {
+        const l = inferType(node.left, cols, scope);
+        const r = inferType(node.right, cols, scope);
+        if (l === 'datetime' && r === 'datetime') return 'timespan';
+        if (l === 'datetime' || r === 'datetime') return 'datetime';
+        if (l === 'timespan' && r === 'timespan') return node.op === '/' ? 'real' : 'timespan';
+        if (l === 'timespan' || r === 'timespan') return 'timespan';
+        return numericResult(l, r);
+      }
+      return 'bool';
+    }
+    case 'Call': {
+      const name = node.name.toLowerCase();
+      if (name === 'series_fit_line' || name === 'series_decompose_forecast') return 'dynamic';
+      if (FUNCTION_TYPES[name]) return FUNCTION_TYPES[name];
+      if (name in PASS_THROUGH_TYPE) {
+        const idx = PASS_THROUGH_TYPE[name];
+        if (idx < 0) return 'dynamic';
+        const arg = node.args[idx];
+        if (!arg) return 'dynamic';
+        const t = inferType(arg, cols, scope);
+        return name === 'round' && t === 'dynamic' ? 'real' : t;
+      }
+      return 'dynamic';
+    }
+    case 'Pipeline':
+      return 'dynamic';
+    default:
+      return 'dynamic';
+  }
+}
+
+// ============================================================================
+// SCOPE
+// ============================================================================
+
+class Scope {
+  constructor(parent) {
+    this.parent = parent || null;
+    this.vars = new Map();
+  }
+
+  lookup(name) {
+    for (let s = this; s; s = s.parent) {
+      if (s.vars.has(name)) return s.vars.get(name);
+    }
+    return null;
+  }
+
+  set(name, binding) {
+    this.vars.set(name, binding);
+  }
+}
+
+// ============================================================================
+// EVALUATOR
+// ============================================================================
+
+// Default output names for unnamed aggregates: count() → count_, avg(X) → avg_X.
+const AGGREGATE_PREFIX = {
+  make_list: 'list', make_list_if: 'list', make_set: 'set', make_set_if: 'set', take_any: 'any', take_anyif: 'any'
+};
+
+const AGGREGATES = new Set([
+  'count', 'countif', 'dcount', 'dcountif', 'sum', 'sumif', 'avg', 'avgif', 'min', 'max', 'minif', 'maxif',
+  'make_list', 'make_list_if', 'make_set', 'make_set_if', 'any', 'take_any', 'take_anyif', 'arg_max', 'arg_min',
+  'percentile', 'stdev'
+]);
+
+function exprName(node) {
+  if (!node) return null;
+  if (node.kind === 'Name') return node.name;
+  if (node.kind === 'Member') {
+    const base = exprName(node.object);
+    return base ? `${base}_${node.name}` : null;
+  }
+  if (node.kind === 'Index' && node.index.kind === 'Literal') {
+    const base = exprName(node.object);
+    return base ? `${base}_${node.index.value}` : null;
+  }
+  return null;
+}
+
+// Column name the service gives an unnamed expression.
+function defaultColumnName(node, position, context) {
+  const direct = exprName(node);
+  if (direct) return direct;
+  if (node.kind === 'Call') {
+    const name = node.name.toLowerCase();
+    if (context === 'by' && (name === 'bin' || name === 'floor') && exprName(node.args[0])) return exprName(node.args[0]);
+    if (AGGREGATES.has(name)) {
+      const prefix = AGGREGATE_PREFIX[name] || name;
+      if (name === 'count' || name === 'countif') return `${name}_`;
+      const arg = exprName(node.args[0]);
+      return arg ? `${prefix}_${arg}` : `${prefix}_`;
+    }
+  }
+  return `Column${position}`;
+}
+
+class Evaluator {
+  constructor(options = {}) {
+    this.tables = options.tables || {};
+    this.now = options.now ? toDate(options.now) : new Date();
+    // Resource Graph-style databases resolve table names case-insensitively.
+    this.caseInsensitiveTables = !!options.caseInsensitiveTables;
+  }
+
+  // --- Statements -----------------------------------------------------------
+
+  run(ast) {
+    const scope = new Scope(null);
+    let result = null;
+    for (const stmt of ast.statements) {
+      if (stmt.kind === 'Let') {
+        scope.set(stmt.name, this.bindLet(stmt.value, scope));
+      } else if (stmt.kind === 'Expression') {
+        result = this.isTabular(stmt.value, scope)
+          ? this.tabular(stmt.value, scope)
+          : this.scalarAsTable(stmt.value, scope);
+      }
+    }
+    if (!result) throw new KqlRuntimeError('Query has no tabular expression statement');
+    return result;
+  }
+
+  bindLet(value, scope) {
+    if (value.kind === 'Lambda') return { kind: 'function', lambda: value };
+    if (this.isTabular(value, scope)) return { kind: 'table', table: this.tabular(value, scope) };
+    return { kind: 'scalar', value: this.scalar(value, null, scope), type: inferType(value, null, scope) };
+  }
+
+  scalarAsTable(node, scope) {
+    const value = this.scalar(node, null, scope);
+    return makeTable([{ name: 'print_0', type: inferType(node, null, scope) }], [{ print_0: value }]);
+  }
+
+  resolveTable(name) {
+    if (Object.prototype.hasOwnProperty.call(this.tables, name)) return this.tables[name];
+    if (this.caseInsensitiveTables) {
+      const key = Object.keys(this.tables).find(k => k.toLowerCase() === name.toLowerCase());
+      if (key) return this.tables[key];
+    }
+    return null;
+  }
+
+  isTabular(node, scope) {
+    switch (node.kind) {
+      case 'Pipeline':
+      case 'Print':
+      case 'Union':
+      case 'Range':
+        return true;
+      case 'Name': {
+        const b = scope.lookup(node.name);
+        if (b) return b.kind === 'table';
+        return !!this.resolveTable(node.name);
+      }
+      case 'Call': {
+        const name = node.name.toLowerCase();
+        if (name === 'materialize' || name === 'view') return true;
+        const b = scope.lookup(node.name);
+        return !!(b && b.kind === 'function' && this.lambdaIsTabular(b.lambda, scope));
+      }
+      default:
+        return false;
+    }
+  }
+
+  lambdaIsTabular(lambda, scope) {
+    const last = lambda.body.statements[lambda.body.statements.length - 1];
+    return !!last && last.kind === 'Expression' && this.isTabular(last.value, new Scope(scope));
+  }
+
+  callFunction(node, binding, row, scope, env) {
+    const { lambda } = binding;
+    const inner = new Scope(scope);
+    lambda.params.forEach((p, i) => {
+      const arg = node.args[i] || p.default;
+      if (!arg) throw new KqlRuntimeError(`Missing argument '${p.name}' calling ${node.name}()`, node);
+      if (p.type === 'table') inner.set(p.name, { kind: 'table', table: this.tabular(arg, scope) });
+      else inner.set(p.name, { kind: 'scalar', value: this.scalar(arg, row, scope, env), type: p.type });
+    });
+    let result = null;
+    for (const stmt of lambda.body.statements) {
+      if (stmt.kind === 'Let') inner.set(stmt.name, this.bindLet(stmt.value, inner));
+      else result = stmt.value;
+    }
+    if (!result) throw new KqlRuntimeError(`Function ${node.name}() has no result expression`, node);
+    return this.isTabular(result, inner)
+      ? { table: this.tabular(result, inner) }
+      : { value: this.scalar(result, row, inner, env) };
+  }
+
+  // --- Tabular expressions --------------------------------------------------
+
+  tabular(node, scope) {
+    switch (node.kind) {
+      case 'Pipeline': {
+        let table = this.tabular(node.source, scope);
+        for (const op of node.operators) table = this.applyOperator(op, table, scope);
+        return table;
+      }
+      case 'Print': {
+        const row = {};
+        const columns = [];
+        node.columns.forEach((c, i) => {
+          const name = c.name || `print_${i}`;
+          row[name] = this.scalar(c.expr, null, scope);
+          columns.push({ name, type: inferType(c.expr, null, scope) });
+        });
+        return makeTable(columns, [row]);
+      }
+      case 'Union':
+        return this.union(node.tables.map(t => this.tabular(t, scope)), node.params);
+      case 'Range': {
+        const from = this.scalar(node.from, null, scope);
+        const to = this.scalar(node.to, null, scope);
+        const step = this.scalar(node.step, null, scope);
+        const rows = [];
+        const type = inferType(node.from, null, scope);
+        let v = from;
+        while (compareValues(v, to) <= 0 && rows.length < 1000000) {
+          rows.push({ [node.column]: v });
+          v = add(v, step);
+        }
+        return makeTable([{ name: node.column, type }], rows);
+      }
+      case 'Name': {
+        const b = scope.lookup(node.name);
+        if (b) {
+          if (b.kind !== 'table') throw new KqlRuntimeError(`'${node.name}' is not a tabular expression`, node);
+          return b.table;
+        }
+        const t = this.resolveTable(node.name);
+        if (!t) throw new KqlRuntimeError(`Failed to resolve table or column expression named '${node.name}'`, node);
+        return t;
+      }
+      case 'Call': {
+        const name = node.name.toLowerCase();
+        if (name === 'materialize' || name === 'view') return this.tabular(node.args[0], scope);
+        const b = scope.lookup(node.name);
+        if (b && b.kind === 'function') {
+          const out = this.callFunction(node, b, null, scope);
+          if (out.table) return out.table;
+        }
+        throw new KqlRuntimeError(`'${node.name}(...)' is not a tabular expression`, node);
+      }
+      default:
+        throw new KqlRuntimeError(`Expected a tabular expression, got ${node.kind}`, node);
+    }
+  }
+
+  union(tables, params = {}) {
+    const columns = [];
+    const index = new Map();
+    for (const t of tables) {
+      for (const c of t.columns) {
+        if (!index.has(c.name)) {
+          index.set(c.name, columns.length);
+          columns.push({ name: c.name, type: c.type });
+        } else {
+          const existing = columns[index.get(c.name)];
+          if (existing.type !== c.type) {
+            existing.type = NUMERIC_TYPES.has(existing.type) && NUMERIC_TYPES.has(c.type) ? 'real' : 'dynamic';
+          }
+        }
+      }
+    }
+    let outColumns = columns;
+    if ((params.kind || '').toLowerCase() === 'inner') {
+      outColumns = columns.filter(c => tables.every(t => t.columns.some(tc => tc.name === c.name)));
+    }
+    const rows = [];
+    for (const t of tables) {
+      for (const r of t.rows) {
+        const row = {};
+        for (const c of outColumns) row[c.name] = r[c.name] === undefined ? null : r[c.name];
+        rows.push(row);
+      }
+    }
+    return makeTable(outColumns, rows);
+  }
+
+  // --- Operators ------------------------------------------------------------
+
+  applyOperator(op, table, scope) {
+    switch (op.kind) {
+      case 'Where': return this.opWhere(op, table, scope);
+      case 'Extend': return this.opExtend(op, table, scope);
+      case 'Project': return this.opProject(op, table, scope);
+      case 'ProjectAway': return this.opProjectAway(op, table);
+      case 'ProjectKeep': return this.opProjectKeep(op, table);
+      case 'ProjectReorder': return this.opProjectReorder(op, table);
+      case 'ProjectRename': return this.opProjectRename(op, table);
+      case 'Summarize': return this.opSummarize(op, table, scope);
+      case 'Order': return this.opOrder(op.keys, table, scope);
+      case 'Top': {
+        const sorted = this.opOrder(op.keys, table, scope);
+        const n = toNumber(this.scalar(op.count, null, scope));
+        return makeTable(sorted.columns, sorted.rows.slice(0, n));
+      }
+      case 'Take': {
+        const n = toNumber(this.scalar(op.count, null, scope));
+        return makeTable(table.columns, table.rows.slice(0, n));
+      }
+      case 'Distinct': return this.opDistinct(op, table, scope);
+      case 'Count':
+        return makeTable([{ name: 'Count', type: 'long' }], [{ Count: table.rows.length }]);
+      case 'Join': return this.opJoin(op, table, scope, false);
+      case 'Lookup': return this.opJoin(op, table, scope, true);
+      case 'Union':
+        return this.union([table, ...op.tables.map(t => this.tabular(t, scope))], op.params);
+      case 'MvExpand': return this.opMvExpand(op, table, scope);
+      case 'MvApply': return this.opMvApply(op, table, scope);
+      case 'Parse': return this.opParse(op, table, scope);
+      case 'MakeSeries': return this.opMakeSeries(op, table, scope);
+      case 'Render':
+        return table;
+      case 'As':
+        scope.set(op.name, { kind: 'table', table });
+        return table;
+      case 'GetSchema':
+        return makeTable(
+          [{ name: 'ColumnName', type: 'string' }, { name: 'ColumnOrdinal', type: 'int' }, { name: 'DataType', type: 'string' }, { name: 'ColumnType', type: 'string' }],
+          table.columns.map((c, i) => ({ ColumnName: c.name, ColumnOrdinal: i, DataType: c.type, ColumnType: c.type })));
+      default:
+        throw new KqlRuntimeError(`Operator '${op.kind}' is not supported by the local evaluator`, op);
+    }
+  }
+
+  rowEnv(table, scope) {
+    return { cols: columnTypes(table), rows: table.rows, index: 0 };
+  }
+
+  opWhere(op, table, scope) {
+    const env = this.rowEnv(table, scope);
+    const rows = table.rows.filter((row, i) => {
+      env.index = i;
+      return this.scalar(op.predicate, row, scope, env) === true;
+    });
+    return makeTable(table.columns, rows);
+  }
+
+  opExtend(op, table, scope) {
+    const columns = table.columns.map(c => Object.assign({}, c));
+    const env = this.rowEnv(table, scope);
+    const targets = [];
+    op.columns.forEach((c, i) => {
+      if (c.names) {
+        targets.push({ names: c.names, expr: c.expr });
+        return;
+      }
+      targets.push({ names: [c.name || defaultColumnName(c.expr, i + 1)], expr: c.expr });
+    });
+    const rows = table.rows.map((row, i) => {
+      env.index = i;
+      const out = Object.assign({}, row);
+      for (const t of targets) {
+        const value = this.scalar(t.expr, out, scope, env);
+        if (t.names.length > 1 || value instanceof Tuple) {
+          const values = value instanceof Tuple ? value.values : [value];
+          t.names.forEach((n, k) => { out[n] = values[k] === undefined ? null : values[k]; });
+        } else {
+          out[t.names[0]] = value;
+        }
+      }
+      return out;
+    });
+    // Column types (evaluated in order so later columns see earlier ones).
+    const cols = columnTypes(table);
+    for (const t of targets) {
+      let types;
+      if (t.names.length > 1) {
+        const sample = rows.length ? this.scalar(t.expr, rows[0], scope, Object.assign({}, env, { index: 0 })) : null;
+        types = sample instanceof Tuple ? sample.types : t.names.map(() => 'dynamic');
+      } else {
+        types = [inferType(t.expr, cols, scope)];
+      }
+      t.names.forEach((n, k) => {
+        const type = types[k] || 'dynamic';
+        cols.set(n, type);
+        const existing = columns.find(c => c.name === n);
+        if (existing) existing.type = type;
+        else columns.push({ name: n, type });
+      });
+    }
+    return makeTable(columns, rows);
+  }
+
+  opProject(op, table, scope) {
+    const cols = columnTypes(table);
+    const env = this.rowEnv(table, scope);
+    const specs = op.columns.map((c, i) => ({
+      name: c.name || defaultColumnName(c.expr, i + 1),
+      expr: c.expr,
+      type: inferType(c.expr, cols, scope)
+    }));
+    const rows = table.rows.map((row, i) => {
+      env.index = i;
+      const out = {};
+      for (const s of specs) out[s.name] = this.scalar(s.expr, row, scope, env);
+      return out;
+    });
+    return makeTable(specs.map(s => ({ name: s.name, type: s.type })), rows);
+  }
+
+  matchColumns(patterns, table) {
+    const matched = [];
+    for (const p of patterns) {
+      const re = new RegExp(`^${p.pattern.split('*').map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      for (const c of table.columns) if (re.test(c.name) && !matched.includes(c.name)) matched.push(c.name);
+    }
+    return matched;
+  }
+
+  opProjectAway(op, table) {
+    const drop = new Set(this.matchColumns(op.columns, table));
+    const columns = table.columns.filter(c => !drop.has(c.name));
+    return this.selectColumns(table, columns);
+  }
+
+  opProjectKeep(op, table) {
+    const keep = new Set(this.matchColumns(op.columns, table));
+    return this.selectColumns(table, table.columns.filter(c => keep.has(c.name)));
+  }
+
+  opProjectReorder(op, table) {
+    const first = this.matchColumns(op.columns, table);
+    const columns = [...first.map(n => table.columns.find(c => c.name === n)),
+      ...table.columns.filter(c => !first.includes(c.name))];
+    return this.selectColumns(table, columns);
+  }
+
+  opProjectRename(op, table) {
+    const map = new Map(op.renames.map(r => [r.from, r.to]));
+    const columns = table.columns.map(c => ({ name: map.get(c.name) || c.name, type: c.type }));
+    const rows = table.rows.map(r => {
+      const out = {};
+      for (const c of table.columns) out[map.get(c.name) || c.name] = r[c.name];
+      return out;
+    });
+    return makeTable(columns, rows);
+  }
+
+  selectColumns(table, columns) {
+    const rows = table.rows.map(r => {
+      const out = {};
+      for (const c of columns) out[c.name] = r[c.name];
+      return out;
+    });
+    return makeTable(columns.map(c => Object.assign({}, c)), rows);
+  }
+
+  groupRows(table, by, scope) {
+    const env = this.rowEnv(table, scope);
+    const groups = new Map();
+    table.rows.forEach((row, i) => {
+      env.index = i;
+      const keys = by.map(b => this.scalar(b.expr, row, scope, env));
+      const k = keyOf(keys);
+      if (!groups.has(k)) groups.set(k, { keys, rows: [] });
+      groups.get(k).rows.push(row);
+    });
+    return [...groups.values()];
+  }
+
+  opSummarize(op, table, scope) {
+    const cols = columnTypes(table);
+    const by = op.by.map((b, i) => ({
+      name: b.name || defaultColumnName(b.expr, i + 1, 'by'),
+      expr: b.expr,
+      type: inferType(b.expr, cols, scope)
+    }));
+    const groups = by.length === 0 && table.rows.length === 0
+      ? [{ keys: [], rows: [] }]
+      : this.groupRows(table, by, scope);
+    if (by.length === 0 && groups.length === 0) groups.push({ keys: [], rows: [] });
+
+    const columns = by.map(b => ({ name: b.name, type: b.type }));
+    const taken = new Set(columns.map(c => c.name));
+    const aggs = [];
+    op.aggregates.forEach((a, i) => {
+      const call = a.expr.kind === 'Call' ? a.expr.name.toLowerCase() : null;
+      if ((call === 'arg_max' || call === 'arg_min') && !a.name) {
+        // arg_max(ts, *) / arg_max(ts, c1, c2): one output column per argument.
+        const [tsNode, ...rest] = a.expr.args;
+        const outCols = [];
+        const tsName = uniqueName(exprName(tsNode) || `${call === 'arg_max' ? 'max' : 'min'}_`, taken);
+        taken.add(tsName);
+        outCols.push({ name: tsName, expr: tsNode, type: inferType(tsNode, cols, scope) });
+        for (const r of rest) {
+          if (r.kind === 'Star') {
+            for (const c of table.columns) {
+              if (by.some(b => b.name === c.name) || outCols.some(o => o.name === c.name) || exprName(tsNode) === c.name) continue;
+              const name = uniqueName(c.name, taken);
+              taken.add(name);
+              outCols.push({ name, expr: { kind: 'Name', name: c.name }, type: c.type });
+            }
+          } else {
+            const name = uniqueName(exprName(r) || `Column${outCols.length}`, taken);
+            taken.add(name);
+            outCols.push({ name, expr: r, type: inferType(r, cols, scope) });
+          }
+        }
+        aggs.push({ argExtreme: call, tsNode, outCols });
+        outCols.forEach(o => columns.push({ name: o.name, type: o.type }));
+        return;
+      }
+      const name = uniqueName(a.name || defaultColumnName(a.expr, i + 1), taken);
+      taken.add(name);
+      columns.push({ name, type: inferType(a.expr, cols, scope) });
+      aggs.push({ name, expr: a.expr });
+    });
+
+    const rows = groups.map(g => {
+      const out = {};
+      by.forEach((b, i) => { out[b.name] = g.keys[i]; });
+      const env = { cols, rows: g.rows, index: 0, aggRows: g.rows };
+      for (const a of aggs) {
+        if (a.argExtreme) {
+          let best = null;
+          let bestVal = null;
+          const rowEnv = { cols, rows: g.rows, index: 0 };
+          for (const r of g.rows) {
+            const v = this.scalar(a.tsNode, r, scope, rowEnv);
+            if (isNull(v)) continue;
+            const cmp = best === null ? 1 : compareValues(v, bestVal);
+            if (best === null || (a.argExtreme === 'arg_max' ? cmp > 0 : cmp < 0)) {
+              best = r;
+              bestVal = v;
+            }
+          }
+          for (const o of a.outCols) out[o.name] = best ? this.scalar(o.expr, best, scope, rowEnv) : null;
+        } else {
+          out[a.name] = this.scalar(a.expr, g.rows[0] || {}, scope, env);
+        }
+      }
+      return out;
+    });
+    return makeTable(columns, rows);
+  }
+
+  opOrder(keys, table, scope) {
+    const env = this.rowEnv(table, scope);
+    const decorated = table.rows.map((row, i) => {
+      env.index = i;
+      return { row, i, keys: keys.map(k => this.scalar(k.expr, row, scope, env)) };
+    });
+    decorated.sort((a, b) => {
+      for (let k = 0; k < keys.length; k++) {
+        const av = a.keys[k];
+        const bv = b.keys[k];
+        const an = isNull(av);
+        const bn = isNull(bv);
+        if (an || bn) {
+          if (an && bn) continue;
+          const nullsFirst = keys[k].nulls === 'first';
+          return an ? (nullsFirst ? -1 : 1) : (nullsFirst ? 1 : -1);
+        }
+        const c = compareValues(av, bv);
+        if (c !== 0) return keys[k].direction === 'asc' ? c : -c;
+      }
+      return a.i - b.i;
+    });
+    return makeTable(table.columns, decorated.map(d => d.row));
+  }
+
+  opDistinct(op, table, scope) {
+    if (!op.columns) {
+      const seen = new Set();
+      const rows = table.rows.filter(r => {
+        const k = keyOf(table.columns.map(c => r[c.name]));
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+      return makeTable(table.columns, rows);
+    }
+    const cols = columnTypes(table);
+    const specs = op.columns.map((e, i) => ({ name: defaultColumnName(e, i + 1), expr: e, type: inferType(e, cols, scope) }));
+    const groups = this.groupRows(table, specs, scope);
+    const rows = groups.map(g => {
+      const out = {};
+      specs.forEach((s, i) => { out[s.name] = g.keys[i]; });
+      return out;
+    });
+    return makeTable(specs.map(s => ({ name: s.name, type: s.type })), rows);
+  }
+
+  joinKeys(on) {
+    // `on a, $left.b == $right.c and $left.d == $right.e` → one key per term.
+    const terms = [];
+    const flatten = (e) => {
+      if (e.kind === 'Binary' && e.op === 'and') {
+        flatten(e.left);
+        flatten(e.right);
+      } else {
+        terms.push(e);
+      }
+    };
+    on.forEach(flatten);
+    return terms.map(e => {
+      if (e.kind === 'Name') return { left: e.name, right: e.name, same: true };
+      if (e.kind === 'Binary' && e.op === '==') {
+        // $left.col or $left.['Col Name']
+        const side = (n) => ((n.kind === 'Member' || n.kind === 'Index') && n.object.kind === 'Name' ? n.object.name.toLowerCase() : null);
+        const column = (n) => (n.kind === 'Member' ? n.name : n.index.value);
+        const pair = {};
+        for (const n of [e.left, e.right]) {
+          const s = side(n);
+          if (s === '$left') pair.left = column(n);
+          else if (s === '$right') pair.right = column(n);
+        }
+        if (pair.left && pair.right) return Object.assign(pair, { same: pair.left === pair.right });
+      }
+      throw new KqlRuntimeError("join/lookup 'on' must name columns or use $left.x == $right.y", e);
+    });
+  }
+
+  opJoin(op, left, scope, isLookup) {
+    const right = this.tabular(op.right, scope);
+    const keys = this.joinKeys(op.on);
+    const kind = (op.joinKind || (isLookup ? 'leftouter' : 'innerunique')).toLowerCase();
+
+    for (const k of keys) {
+      if (!left.columns.some(c => c.name === k.left)) throw new KqlRuntimeError(`join key '${k.left}' is not a column of the left side`, op);
+      if (!right.columns.some(c => c.name === k.right)) throw new KqlRuntimeError(`join key '${k.right}' is not a column of the right side`, op);
+    }
+
+    const rightIndex = new Map();
+    right.rows.forEach((r, i) => {
+      const k = keyOf(keys.map(key => r[key.right]));
+      if (!rightIndex.has(k)) rightIndex.set(k, []);
+      rightIndex.get(k).push(i);
+    });
+
+    let leftRows = left.rows;
+    if (kind === 'innerunique') {
+      const seen = new Set();
+      leftRows = left.rows.filter(r => {
+        const k = keyOf(keys.map(key => r[key.left]));
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+    }
+
+    if (kind === 'leftanti' || kind === 'leftantisemi' || kind === 'anti' || kind === 'leftsemi') {
+      const wantMatch = kind === 'leftsemi';
+      return makeTable(left.columns, left.rows.filter(r => rightIndex.has(keyOf(keys.map(key => r[key.left]))) === wantMatch));
+    }
+    if (kind === 'rightanti' || kind === 'rightantisemi' || kind === 'rightsemi') {
+      const leftKeys = new Set(left.rows.map(r => keyOf(keys.map(key => r[key.left]))));
+      const wantMatch = kind === 'rightsemi';
+      return makeTable(right.columns, right.rows.filter(r => leftKeys.has(keyOf(keys.map(key => r[key.right]))) === wantMatch));
+    }
+
+    // Output schema: left columns, then right columns (lookup drops the
+    // right-side copies of same-named keys); clashes get a numeric suffix.
+    const columns = left.columns.map(c => Object.assign({}, c));
+    const taken = new Set(columns.map(c => c.name));
+    const rightMap = [];
+    for (const c of right.columns) {
+      if (isLookup && keys.some(k => k.same && k.right === c.name)) continue;
+      const name = uniqueName(c.name, taken);
+      taken.add(name);
+      columns.push({ name, type: c.type });
+      rightMap.push({ from: c.name, to: name });
+    }
+    const combine = (l, r) => {
+      const out = {};
+      for (const c of left.columns) out[c.name] = l ? l[c.name] : null;
+      for (const m of rightMap) out[m.to] = r ? r[m.from] : null;
+      if (isLookup && !l) for (const k of keys) out[k.left] = r[k.right];
+      return out;
+    };
+
+    const rows = [];
+    const matchedRight = new Set();
+    for (const l of leftRows) {
+      const matches = rightIndex.get(keyOf(keys.map(key => l[key.left]))) || [];
+      const nullKey = keys.some(key => isNull(l[key.left]) && typeof l[key.left] !== 'string');
+      if (matches.length && !nullKey) {
+        for (const i of matches) {
+          matchedRight.add(i);
+          rows.push(combine(l, right.rows[i]));
+          if (isLookup) break;
+        }
+      } else if (kind === 'leftouter' || kind === 'fullouter') {
+        rows.push(combine(l, null));
+      }
+    }
+    if (kind === 'rightouter' || kind === 'fullouter') {
+      right.rows.forEach((r, i) => { if (!matchedRight.has(i)) rows.push(combine(null, r)); });
+    }
+    if (!['inner', 'innerunique', 'leftouter', 'rightouter', 'fullouter'].includes(kind)) {
+      throw new KqlRuntimeError(`join kind '${kind}' is not supported`, op);
+    }
+    return makeTable(columns, rows);
+  }
+
+  expandValues(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof Timespan)) {
+      return Object.keys(value).map(k => ({ [k]: value[k] }));
+    }
+    if (isNull(value)) return [];
+    return [value];
+  }
+
+  opMvExpand(op, table, scope) {
+    const cols = columnTypes(table);
+    const env = this.rowEnv(table, scope);
+    const items = op.items.map((it, i) => ({
+      name: it.name || exprName(it.expr) || `Column${i + 1}`,
+      expr: it.expr,
+      type: it.type ? normalizeType(it.type) : 'dynamic'
+    }));
+    const limit = op.limit ? toNumber(this.scalar(op.limit, null, scope)) : Infinity;
+    const rows = [];
+    table.rows.forEach((row, i) => {
+      env.index = i;
+      const arrays = items.map(it => this.expandValues(this.scalar(it.expr, row, scope, env)));
+      const length = Math.min(limit, Math.max(...arrays.map(a => a.length)));
+      for (let k = 0; k < length; k++) {
+        const out = Object.assign({}, row);
+        items.forEach((it, j) => {
+          const v = k < arrays[j].length ? arrays[j][k] : null;
+          out[it.name] = it.type === 'dynamic' ? (v === undefined ? null : v) : convertTo(it.type, v);
+        });
+        rows.push(out);
+      }
+    });
+    const columns = table.columns.map(c => Object.assign({}, c));
+    for (const it of items) {
+      const existing = columns.find(c => c.name === it.name);
+      if (existing) existing.type = it.type;
+      else columns.push({ name: it.name, type: it.type });
+      cols.set(it.name, it.type);
+    }
+    return makeTable(columns, rows);
+  }
+
+  opMvApply(op, table, scope) {
+    const expandOp = { kind: 'MvExpand', params: op.params, items: op.items, limit: null };
+    const outputs = [];
+    let columns = null;
+    for (const row of table.rows) {
+      let sub = this.opMvExpand(expandOp, makeTable(table.columns, [row]), scope);
+      for (const inner of op.operators) sub = this.applyOperator(inner, sub, scope);
+      if (!columns) columns = sub.columns;
+      outputs.push(...sub.rows);
+    }
+    if (!columns) {
+      // No input rows: derive the schema from an empty run.
+      let sub = this.opMvExpand(expandOp, makeTable(table.columns, []), scope);
+      for (const inner of op.operators) sub = this.applyOperator(inner, sub, scope);
+      columns = sub.columns;
+    }
+    return makeTable(columns, outputs);
+  }
+
+  opParse(op, table, scope) {
+    if (op.params.kind && op.params.kind.toLowerCase() !== 'simple') {
+      throw new KqlRuntimeError(`parse kind=${op.params.kind} is not supported`, op);
+    }
+    const env = this.rowEnv(table, scope);
+    const captures = op.pattern.filter(p => p.column);
+    const source = op.pattern.map((p, i) => {
+      if (p.text !== undefined) return p.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const last = i === op.pattern.length - 1;
+      if (p.wildcard) return last ? '[\\s\\S]*' : '[\\s\\S]*?';
+      return last ? '([\\s\\S]*)' : '([\\s\\S]*?)';
+    }).join('');
+    const re = new RegExp(`^${source}`);
+    const rows = [];
+    table.rows.forEach((row, i) => {
+      env.index = i;
+      const m = re.exec(toStr(this.scalar(op.source, row, scope, env)));
+      if (!m && op.where) return;
+      const out = Object.assign({}, row);
+      captures.forEach((c, k) => { out[c.column] = m ? convertTo(normalizeType(c.type), m[k + 1]) : null; });
+      rows.push(out);
+    });
+    const columns = table.columns.map(c => Object.assign({}, c));
+    for (const c of captures) {
+      const type = normalizeType(c.type);
+      const existing = columns.find(x => x.name === c.column);
+      if (existing) existing.type = type;
+      else columns.push({ name: c.column, type });
+    }
+    return makeTable(columns, rows);
+  }
+
+  opMakeSeries(op, table, scope) {
+    const cols = columnTypes(table);
+    const env = this.rowEnv(table, scope);
+    const axisName = exprName(op.axis) || 'Column1';
+    const axisValues = table.rows.map((row, i) => {
+      env.index = i;
+      return this.scalar(op.axis, row, scope, env);
+    });
+    const step = this.scalar(op.step, null, scope);
+    const stepNum = step instanceof Timespan ? step.ms : toNumber(step);
+    if (!stepNum || stepNum <= 0) throw new KqlRuntimeError('make-series step must be positive', op);
+    const num = (v) => (v instanceof Date ? v.getTime() : (v instanceof Timespan ? v.ms : toNumber(v)));
+    const isDate = axisValues.some(v => v instanceof Date) || (op.from && this.scalar(op.from, null, scope) instanceof Date);
+    const present = axisValues.filter(v => !isNull(v)).map(num);
+    let from = op.from ? num(this.scalar(op.from, null, scope)) : null;
+    let to = op.to ? num(this.scalar(op.to, null, scope)) : null;
+    if (from === null) from = present.length ? Math.floor(Math.min(...present) / stepNum) * stepNum : 0;
+    if (to === null) to = present.length ? Math.max(...present) + stepNum : from;
+    const binCount = Math.max(0, Math.ceil((to - from) / stepNum));
+    const axis = [];
+    for (let k = 0; k < binCount; k++) {
+      const v = from + k * stepNum;
+      axis.push(isDate ? new Date(v) : v);
+    }
+
+    const by = op.by.map((b, i) => ({
+      name: b.name || defaultColumnName(b.expr, i + 1, 'by'),
+      expr: b.expr,
+      type: inferType(b.expr, cols, scope)
+    }));
+    const groups = new Map();
+    table.rows.forEach((row, i) => {
+      env.index = i;
+      const a = axisValues[i];
+      if (isNull(a)) return;
+      const bin = Math.floor((num(a) - from) / stepNum);
+      if (bin < 0 || bin >= binCount) return;
+      const keys = by.map(b => this.scalar(b.expr, row, scope, env));
+      const k = keyOf(keys);
+      if (!groups.has(k)) groups.set(k, { keys, bins: axis.map(() => []) });
+      groups.get(k).bins[bin].push(row);
+    });
+
+    const aggs = op.aggregates.map((a, i) => ({
+      name: a.name || defaultColumnName(a.expr, i + 1),
+      expr: a.expr,
+      default: a.default ? this.scalar(a.default, null, scope) : 0
+    }));
+    const rows = [...groups.values()].map(g => {
+      const out = {};
+      by.forEach((b, i) => { out[b.name] = g.keys[i]; });
+      for (const a of aggs) {
+        out[a.name] = g.bins.map(binRows => (binRows.length
+          ? this.scalar(a.expr, binRows[0], scope, { cols, rows: binRows, index: 0, aggRows: binRows })
+          : a.default));
+      }
+      out[axisName] = axis.slice();
+      return out;
+    });
+    const columns = [
+      ...by.map(b => ({ name: b.name, type: b.type })),
+      ...aggs.map(a => ({ name: a.name, type: 'dynamic' })),
+      { name: axisName, type: 'dynamic' }
+    ];
+    return makeTable(columns, rows);
+  }
+
+  // --- Scalar expressions ---------------------------------------------------
+
+  /**
+   * Evaluate a scalar expression. `row` is the current row (null outside a
+   * table context); `env` carries column types, the row list/index for
+   * prev()/row_number() and, inside summarize, the group's rows.
+   */
+  scalar(node, row, scope, env) {
+    switch (node.kind) {
+      case 'Literal':
+        return this.literal(node);
+      case 'Name': {
+        if (row && Object.prototype.hasOwnProperty.call(row, node.name)) {
+          const v = row[node.name];
+          return v === undefined ? null : v;
+        }
+        const b = scope.lookup(node.name);
+        if (b && b.kind === 'scalar') return b.value;
+        if (b && b.kind === 'table') {
+          throw new KqlRuntimeError(`'${node.name}' is tabular; use toscalar() or 'in' to read it as a value`, node);
+        }
+        if (env && env.cols && env.cols.has(node.name)) return null;
+        throw new KqlRuntimeError(`Failed to resolve scalar expression named '${node.name}'`, node);
+      }
+      case 'Member': {
+        const obj = this.scalar(node.object, row, scope, env);
+        return memberOf(obj, node.name);
+      }
+      case 'Index': {
+        const obj = this.scalar(node.object, row, scope, env);
+        const idx = this.scalar(node.index, row, scope, env);
+        if (Array.isArray(obj) && typeof idx === 'number') {
+          const i = idx < 0 ? obj.length + idx : idx;
+          const v = obj[i];
+          return v === undefined ? null : v;
+        }
+        return memberOf(obj, toStr(idx));
+      }
+      case 'Unary': {
+        const v = this.scalar(node.operand, row, scope, env);
+        if (node.op === '+') return v;
+        if (isNull(v)) return null;
+        if (v instanceof Timespan) return new Timespan(-v.ms);
+        return -toNumber(v);
+      }
+      case 'Binary':
+        return this.binary(node, row, scope, env);
+      case 'In':
+        return this.inExpr(node, row, scope, env);
+      case 'Between': {
+        const v = this.scalar(node.expr, row, scope, env);
+        const lo = this.scalar(node.low, row, scope, env);
+        let hi = this.scalar(node.high, row, scope, env);
+        if (isNull(v) || isNull(lo) || isNull(hi)) return null;
+        if (lo instanceof Date && hi instanceof Timespan) hi = new Date(lo.getTime() + hi.ms);
+        const inside = compareValues(v, lo) >= 0 && compareValues(v, hi) <= 0;
+        return node.negated ? !inside : inside;
+      }
+      case 'Call':
+        return this.call(node, row, scope, env);
+      case 'Pipeline':
+      case 'Print':
+      case 'Union':
+        throw new KqlRuntimeError('A tabular expression was used where a scalar was expected (wrap it in toscalar())', node);
+      default:
+        throw new KqlRuntimeError(`Unsupported expression '${node.kind}'`, node);
+    }
+  }
+
+  literal(node) {
+    switch (node.type) {
+      case 'timespan':
+      case 'time':
+        return node.value === null ? null : new Timespan(node.value);
+      case 'datetime':
+        return node.value === null ? null : new Date(node.value);
+      case 'dynamic':
+        return node.value === undefined ? null : node.value;
+      case 'type':
+        return node.value;
+      default:
+        return node.value;
+    }
+  }
+
+  binary(node, row, scope, env) {
+    const op = node.op;
+    if (op === 'and') {
+      const l = this.scalar(node.left, row, scope, env);
+      if (l === false) return false;
+      const r = this.scalar(node.right, row, scope, env);
+      return l === true && r === true;
+    }
+    if (op === 'or') {
+      const l = this.scalar(node.left, row, scope, env);
+      if (l === true) return true;
+      const r = this.scalar(node.right, row, scope, env);
+      return r === true;
+    }
+    const l = this.scalar(node.left, row, scope, env);
+    const r = this.scalar(node.right, row, scope, env);
+    switch (op) {
+      case '==': return valuesEqual(l, r, false);
+      case '!=': return !valuesEqual(l, r, false);
+      case '=~': return valuesEqual(toStr(l), toStr(r), true);
+      case '!~': return !valuesEqual(toStr(l), toStr(r), true);
+      case '<': case '<=': case '>': case '>=': {
+        if (isNull(l) || isNull(r)) return null;
+        const c = compareValues(l, r);
+        return op === '<' ? c < 0 : op === '<=' ? c <= 0 : op === '>' ? c > 0 : c >= 0;
+      }
+      case '+': case '-': case '*': case '/': case '%':
+        return this.arithmetic(node, l, r, env, scope);
+      default:
+        return stringPredicate(op, l, r, node);
+    }
+  }
+
+  arithmetic(node, l, r, env, scope) {
+    if (isNull(l) || isNull(r)) return null;
+    const op = node.op;
+    if (l instanceof Date || r instanceof Date) {
+      if (l instanceof Date && r instanceof Date && op === '-') return new Timespan(l.getTime() - r.getTime());
+      if (l instanceof Date && r instanceof Timespan) return new Date(op === '-' ? l.getTime() - r.ms : l.getTime() + r.ms);
+      if (r instanceof Date && l instanceof Timespan && op === '+') return new Date(r.getTime() + l.ms);
+      throw new KqlRuntimeError(`Cannot apply '${op}' to datetime and ${typeOfValue(l instanceof Date ? r : l)}`, node);
+    }
+    if (l instanceof Timespan || r instanceof Timespan) {
+      if (l instanceof Timespan && r instanceof Timespan) {
+        if (op === '+') return new Timespan(l.ms + r.ms);
+        if (op === '-') return new Timespan(l.ms - r.ms);
+        if (op === '/') return r.ms === 0 ? null : l.ms / r.ms;
+        if (op === '%') return new Timespan(l.ms % r.ms);
+      }
+      if (l instanceof Timespan && op === '*') return new Timespan(l.ms * toNumber(r));
+      if (r instanceof Timespan && op === '*') return new Timespan(r.ms * toNumber(l));
+      if (l instanceof Timespan && op === '/') return new Timespan(l.ms / toNumber(r));
+      throw new KqlRuntimeError(`Cannot apply '${op}' to timespan and ${typeOfValue(l instanceof Timespan ? r : l)}`, node);
+    }
+    const a = toNumber(l);
+    const b = toNumber(r);
+    if (a === null || b === null) return null;
+    switch (op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': {
+        const integral = this.isIntegerDivision(node, env, scope);
+        if (integral) return b === 0 ? null : Math.trunc(a / b);
+        return a / b;
+      }
+      default:
+        return b === 0 ? null : a % b;
+    }
+  }
+
+  isIntegerDivision(node, env, scope) {
+    if (!this._divisionCache) this._divisionCache = new WeakMap();
+    if (this._divisionCache.has(node)) return this._divisionCache.get(node);
+    const cols = env && env.cols;
+    const l = inferType(node.left, cols, scope);
+    const r = inferType(node.right, cols, scope);
+    const integral = INTEGER_TYPES.has(l) && INTEGER_TYPES.has(r);
+    this._divisionCache.set(node, integral);
+    return integral;
+  }
+
+  inValues(list, row, scope, env) {
+    const values = [];
+    for (const item of list) {
+      if (this.isTabular(item, scope)) {
+        const t = this.tabular(item, scope);
+        const first = t.columns[0];
+        if (first) for (const r of t.rows) values.push(r[first.name]);
+        continue;
+      }
+      const v = this.scalar(item, row, scope, env);
+      if (Array.isArray(v)) values.push(...v);
+      else values.push(v);
+    }
+    return values;
+  }
+
+  inExpr(node, row, scope, env) {
+    const v = this.scalar(node.expr, row, scope, env);
+    // Constant lists (including tabular ones) are evaluated once per node.
+    if (!this._inCache) this._inCache = new WeakMap();
+    let values = this._inCache.get(node);
+    if (!values) {
+      values = this.inValues(node.list, row, scope, env);
+      if (node.list.every(n => this.isConstant(n, scope))) this._inCache.set(node, values);
+    }
+    let result;
+    if (node.op === 'has_any' || node.op === 'has_all') {
+      const s = toStr(v);
+      const hits = values.map(x => hasTerm(s, toStr(x), false));
+      result = node.op === 'has_any' ? hits.some(Boolean) : hits.every(Boolean);
+    } else {
+      result = values.some(x => valuesEqual(v, x, node.caseInsensitive));
+    }
+    return node.negated ? !result : result;
+  }
+
+  // True for expressions that do not depend on the current row.
+  isConstant(node, scope) {
+    if (!node || typeof node !== 'object') return true;
+    if (node.kind === 'Name') {
+      const b = scope.lookup(node.name);
+      return !!b || !!this.resolveTable(node.name);
+    }
+    if (node.kind === 'Call' && ['now', 'ago'].includes(node.name.toLowerCase())) return true;
+    if (node.kind === 'Call' && ['row_number', 'prev', 'next', 'rand'].includes(node.name.toLowerCase())) return false;
+    for (const key of Object.keys(node)) {
+      const child = node[key];
+      if (Array.isArray(child)) {
+        if (!child.every(c => (c && typeof c === 'object' && c.kind ? this.isConstant(c, scope) : true))) return false;
+      } else if (child && typeof child === 'object' && child.kind && !this.isConstant(child, scope)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // --- Function calls -------------------------------------------------------
+
+  call(node, row, scope, env) {
+    const name = node.name.toLowerCase();
+    const binding = scope.lookup(node.name);
+    if (binding && binding.kind === 'function') {
+      const out = this.callFunction(node, binding, row, scope, env);
+      if (out.table) throw new KqlRuntimeError(`${node.name}() returns a table; use it as a tabular source`, node);
+      return out.value;
+    }
+    if (AGGREGATES.has(name)) {
+      if (!env || !env.aggRows) throw new KqlRuntimeError(`Aggregate ${node.name}() used outside summarize/make-series`, node);
+      return this.aggregate(name, node, env, scope);
+    }
+    // Functions that need their argument nodes.
+    switch (name) {
+      case 'toscalar': {
+        if (!this._scalarCache) this._scalarCache = new WeakMap();
+        if (this._scalarCache.has(node)) return this._scalarCache.get(node);
+        const t = this.tabular(node.args[0], scope);
+        const first = t.columns[0];
+        const value = first && t.rows.length ? t.rows[0][first.name] : null;
+        if (this.isConstant(node.args[0], scope)) this._scalarCache.set(node, value);
+        return value;
+      }
+      case 'materialize':
+        return this.scalar(node.args[0], row, scope, env);
+      case 'row_number': {
+        const start = node.args[0] ? toNumber(this.scalar(node.args[0], row, scope, env)) : 1;
+        return (env ? env.index : 0) + start;
+      }
+      case 'prev':
+      case 'next': {
+        const offset = node.args[1] ? toNumber(this.scalar(node.args[1], row, scope, env)) : 1;
+        const i = (env ? env.index : 0) + (name === 'prev' ? -offset : offset);
+        const rows = env ? env.rows : [];
+        if (i < 0 || i >= rows.length) return node.args[2] ? this.scalar(node.args[2], row, scope, env) : null;
+        return this.scalar(node.args[0], rows[i], scope, Object.assign({}, env, { index: i }));
+      }
+      case 'iff':
+      case 'iif': {
+        const c = this.scalar(node.args[0], row, scope, env);
+        return this.scalar(node.args[c === true ? 1 : 2], row, scope, env);
+      }
+      case 'case': {
+        for (let i = 0; i + 1 < node.args.length; i += 2) {
+          if (this.scalar(node.args[i], row, scope, env) === true) return this.scalar(node.args[i + 1], row, scope, env);
+        }
+        return this.scalar(node.args[node.args.length - 1], row, scope, env);
+      }
+      default:
+        break;
+    }
+    const args = node.args.map(a => (a.kind === 'Star' ? a : this.scalar(a, row, scope, env)));
+    const fn = SCALAR_FUNCTIONS[name];
+    if (!fn) throw new KqlRuntimeError(`Function '${node.name}' is not supported by the local evaluator`, node);
+    return fn.call(this, args, node);
+  }
+
+  aggregate(name, node, env, scope) {
+    const rows = env.aggRows;
+    const rowEnv = { cols: env.cols, rows, index: 0 };
+    const argAt = (k) => rows.map((r, i) => {
+      rowEnv.index = i;
+      return this.scalar(node.args[k], r, scope, rowEnv);
+    });
+    const withPredicate = (valueIdx, predIdx) => {
+      const preds = argAt(predIdx);
+      const vals = valueIdx === null ? rows.map(() => null) : argAt(valueIdx);
+      return vals.filter((_, i) => preds[i] === true);
+    };
+    const nonNull = (vals) => vals.filter(v => !isNull(v));
+    const numeric = (vals) => nonNull(vals).map(toNumber).filter(v => v !== null);
+    const extreme = (vals, sign) => {
+      const present = nonNull(vals);
+      if (!present.length) return null;
+      return present.reduce((best, v) => (compareValues(v, best) * sign > 0 ? v : best));
+    };
+    const sum = (vals) => {
+      const present = nonNull(vals);
+      if (!present.length) return null;
+      if (present[0] instanceof Timespan) return new Timespan(present.reduce((s, v) => s + v.ms, 0));
+      return present.map(toNumber).reduce((s, v) => s + v, 0);
+    };
+    const avg = (vals) => {
+      const nums = numeric(vals);
+      return nums.length ? nums.reduce((s, v) => s + v, 0) / nums.length : null;
+    };
+    const distinct = (vals) => {
+      const seen = new Map();
+      for (const v of vals) {
+        if (isNull(v)) continue;
+        const k = keyOf([v]);
+        if (!seen.has(k)) seen.set(k, v);
+      }
+      return [...seen.values()];
+    };
+    const limited = (vals, idx) => (node.args[idx] ? vals.slice(0, toNumber(this.scalar(node.args[idx], null, scope))) : vals);
+    switch (name) {
+      case 'count': return rows.length;
+      case 'countif': return argAt(0).filter(v => v === true).length;
+      case 'dcount': return distinct(argAt(0)).length;
+      case 'dcountif': return distinct(withPredicate(0, 1)).length;
+      case 'sum': return sum(argAt(0));
+      case 'sumif': return sum(withPredicate(0, 1));
+      case 'avg': return avg(argAt(0));
+      case 'avgif': return avg(withPredicate(0, 1));
+      case 'min': return extreme(argAt(0), -1);
+      case 'max': return extreme(argAt(0), 1);
+      case 'minif': return extreme(withPredicate(0, 1), -1);
+      case 'maxif': return extreme(withPredicate(0, 1), 1);
+      case 'make_list': return limited(nonNull(argAt(0)).map(toPlainKeepDates), 1);
+      case 'make_list_if': return limited(nonNull(withPredicate(0, 1)).map(toPlainKeepDates), 2);
+      case 'make_set': return limited(distinct(argAt(0)).map(toPlainKeepDates), 1);
+      case 'make_set_if': return limited(distinct(withPredicate(0, 1)).map(toPlainKeepDates), 2);
+      case 'any':
+      case 'take_any': {
+        const vals = argAt(0);
+        const found = vals.find(v => !isNull(v));
+        return found === undefined ? (vals.length ? vals[0] : null) : found;
+      }
+      case 'take_anyif': {
+        const found = withPredicate(0, 1).find(v => !isNull(v));
+        return found === undefined ? null : found;
+      }
+      case 'percentile': {
+        const nums = numeric(argAt(0)).sort((a, b) => a - b);
+        if (!nums.length) return null;
+        const p = toNumber(this.scalar(node.args[1], null, scope));
+        // Nearest-rank, as Kusto's percentile() reports an actual sample.
+        const rank = Math.max(1, Math.ceil((p / 100) * nums.length));
+        return nums[Math.min(nums.length, rank) - 1];
+      }
+      case 'stdev': {
+        const nums = numeric(argAt(0));
+        if (nums.length < 2) return nums.length ? 0 : null;
+        const mean = nums.reduce((s, v) => s + v, 0) / nums.length;
+        return Math.sqrt(nums.reduce((s, v) => s + (v - mean) ** 2, 0) / (nums.length - 1));
+      }
+      case 'arg_max':
+      case 'arg_min': {
+        // Named arg_max (x = arg_max(ts, col)) yields the first extra column.
+        const ts = argAt(0);
+        let best = -1;
+        ts.forEach((v, i) => {
+          if (isNull(v)) return;
+          if (best < 0 || compareValues(v, ts[best]) * (name === 'arg_max' ? 1 : -1) > 0) best = i;
+        });
+        if (best < 0) return null;
+        const target = node.args[1] && node.args[1].kind !== 'Star' ? node.args[1] : node.args[0];
+        return this.scalar(target, rows[best], scope, rowEnv);
+      }
+      default:
+        throw new KqlRuntimeError(`Aggregate '${name}' is not supported`, node);
+    }
+  }
+}
+
+// Dynamic arrays built by make_list/make_set keep their element values.
+function toPlainKeepDates(v) {
+  return v;
+}
+
+function memberOf(obj, key) {
+  if (isNull(obj)) return null;
+  let target = obj;
+  if (typeof target === 'string') {
+    target = toDynamic(target);
+    if (typeof target === 'string') return null;
+  }
+  if (typeof target !== 'object' || target instanceof Date || target instanceof Timespan) return null;
+  if (Array.isArray(target)) {
+    const i = Number(key);
+    return Number.isInteger(i) && target[i] !== undefined ? target[i] : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(target, key)) {
+    const v = target[key];
+    return v === undefined ? null : v;
+  }
+  return null;
+}
+
+function stringPredicate(op, l, r, node) {
+  const negated = op.startsWith('!');
+  const base = negated ? op.slice(1) : op;
+  const s = toStr(l);
+  const t = toStr(r);
+  let result;
+  switch (base) {
+    case 'contains': result = s.toLowerCase().includes(t.toLowerCase()); break;
+    case 'contains_cs': result = s.includes(t); break;
+    case 'has': result = hasTerm(s, t, false); break;
+    case 'has_cs': result = hasTerm(s, t, true); break;
+    case 'hasprefix': result = new RegExp(`(^|[^A-Za-z0-9])${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i').test(s); break;
+    case 'hassuffix': result = new RegExp(`${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^A-Za-z0-9])`, 'i').test(s); break;
+    case 'startswith': result = s.toLowerCase().startsWith(t.toLowerCase()); break;
+    case 'startswith_cs': result = s.startsWith(t); break;
+    case 'endswith': result = s.toLowerCase().endsWith(t.toLowerCase()); break;
+    case 'endswith_cs': result = s.endsWith(t); break;
+    case 'matches regex': result = kqlRegex(t).test(s); break;
+    case 'like': result = new RegExp(`^${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i').test(s); break;
+    default:
+      throw new KqlRuntimeError(`Operator '${op}' is not supported by the local evaluator`, node);
+  }
+  return negated ? !result : result;
+}
+
+function add(a, b) {
+  if (a instanceof Date && b instanceof Timespan) return new Date(a.getTime() + b.ms);
+  if (a instanceof Timespan && b instanceof Timespan) return new Timespan(a.ms + b.ms);
+  return toNumber(a) + toNumber(b);
+}
+
+function binValue(v, size) {
+  if (isNull(v) || isNull(size)) return null;
+  if (v instanceof Date) {
+    const ms = size instanceof Timespan ? size.ms : toNumber(size) * MS_PER_DAY;
+    return new Date(Math.floor(v.getTime() / ms) * ms);
+  }
+  if (v instanceof Timespan) {
+    const ms = size instanceof Timespan ? size.ms : toNumber(size);
+    return new Timespan(Math.floor(v.ms / ms) * ms);
+  }
+  const n = toNumber(v);
+  const s = toNumber(size);
+  return Math.floor(n / s) * s;
+}
+
+// Scalar functions: called with evaluated arguments (`this` = Evaluator).
+const SCALAR_FUNCTIONS = {
+  now(args) { return args[0] instanceof Timespan ? new Date(this.now.getTime() + args[0].ms) : new Date(this.now.getTime()); },
+  ago(args) { return isNull(args[0]) ? null : new Date(this.now.getTime() - args[0].ms); },
+  bin: ([v, size]) => binValue(v, size),
+  floor: ([v, size]) => (size === undefined ? (isNull(v) ? null : Math.floor(toNumber(v))) : binValue(v, size)),
+  coalesce: (args) => {
+    for (const v of args) if (!isNull(v) && v !== '') return v;
+    return args.length && typeof args[args.length - 1] === 'string' ? '' : null;
+  },
+  isempty: ([v]) => isNull(v) || v === '',
+  isnotempty: ([v]) => !(isNull(v) || v === ''),
+  isnull: ([v]) => isNull(v),
+  isnotnull: ([v]) => !isNull(v),
+  isnan: ([v]) => typeof v === 'number' && Number.isNaN(v),
+  not: ([v]) => (isNull(v) ? null : !v),
+  max_of: (args) => {
+    const present = args.filter(v => !isNull(v));
+    return present.length ? present.reduce((a, b) => (compareValues(b, a) > 0 ? b : a)) : null;
+  },
+  min_of: (args) => {
+    const present = args.filter(v => !isNull(v));
+    return present.length ? present.reduce((a, b) => (compareValues(b, a) < 0 ? b : a)) : null;
+  },
+  abs: ([v]) => (isNull(v) ? null : (v instanceof Timespan ? new Timespan(Math.abs(v.ms)) : Math.abs(toNumber(v)))),
+  sqrt: ([v]) => (isNull(v) ? null : Math.sqrt(toNumber(v))),
+  pow: ([a, b]) => (isNull(a) || isNull(b) ? null : Math.pow(toNumber(a), toNumber(b))),
+  exp: ([v]) => (isNull(v) ? null : Math.exp(toNumber(v))),
+  log: ([v]) => (isNull(v) ? null : Math.log(toNumber(v))),
+  log10: ([v]) => (isNull(v) ? null : Math.log10(toNumber(v))),
+  ceiling: ([v]) => (isNull(v) ? null : Math.ceil(toNumber(v))),
+  round: ([v, digits]) => roundTo(toNumber(v), digits === undefined ? 0 : toNumber(digits)),
+  tostring: ([v]) => toStr(v),
+  tolower: ([v]) => toStr(v).toLowerCase(),
+  toupper: ([v]) => toStr(v).toUpperCase(),
+  todouble: ([v]) => toNumber(v),
+  toreal: ([v]) => toNumber(v),
+  toint: ([v]) => { const n = toNumber(v); return n === null ? null : Math.trunc(n); },
+  tolong: ([v]) => { const n = toNumber(v); return n === null ? null : Math.trunc(n); },
+  tobool: ([v]) => toBool(v),
+  todatetime: ([v]) => toDate(v),
+  todynamic: ([v]) => toDynamic(v),
+  parse_json: ([v]) => toDynamic(v),
+  parse_xml: ([v]) => parseXml(toStr(v)),
+  strcat: (args) => args.map(toStr).join(''),
+  strcat_array: ([arr, delim]) => (Array.isArray(arr) ? arr.map(toStr).join(toStr(delim)) : ''),
+  strlen: ([v]) => [...toStr(v)].length,
+  string_size: ([v]) => Buffer.byteLength(toStr(v), 'utf8'),
+  substring: ([v, start, length]) => {
+    const s = toStr(v);
+    const from = Math.max(0, toNumber(start) || 0);
+    return length === undefined ? s.slice(from) : s.slice(from, from + Math.max(0, toNumber(length)));
+  },
+  indexof: ([v, lookup, start]) => {
+    const s = toStr(v);
+    return s.indexOf(toStr(lookup), start === undefined ? 0 : toNumber(start));
+  },
+  replace_string: ([v, find, repl]) => toStr(v).split(toStr(find)).join(toStr(repl)),
+  trim_end: ([re, v]) => toStr(v).replace(new RegExp(`(?:${toStr(re)})+$`), ''),
+  trim: ([re, v]) => toStr(v).replace(new RegExp(`^(?:${toStr(re)})+|(?:${toStr(re)})+$`, 'g'), ''),
+  url_encode: ([v]) => encodeURIComponent(toStr(v)),
+  split: ([v, delim, index]) => {
+    if (isNull(v)) return [];
+    const parts = toStr(v).split(toStr(delim));
+    if (index === undefined) return parts;
+    const i = toNumber(index);
+    return i >= 0 && i < parts.length ? [parts[i]] : [];
+  },
+  extract: ([re, group, v, type]) => {
+    const m = kqlRegex(toStr(re)).exec(toStr(v));
+    if (!m || m[toNumber(group)] === undefined) return type ? null : '';
+    const captured = m[toNumber(group)];
+    return type ? convertTo(normalizeType(String(type)), captured) : captured;
+  },
+  pack_array: (args) => args.slice(),
+  pack: (args) => packBag(args),
+  bag_pack: (args) => packBag(args),
+  array_length: ([v]) => (Array.isArray(v) ? v.length : null),
+  array_reverse: ([v]) => (Array.isArray(v) ? v.slice().reverse() : null),
+  set_has_element: ([arr, v]) => (Array.isArray(arr) ? arr.some(x => valuesEqual(x, v, false)) : false),
+  range: ([start, stop, step]) => {
+    const out = [];
+    const inc = step === undefined ? 1 : step;
+    for (let v = start; compareValues(v, stop) <= 0 && out.length < 1000000; v = add(v, inc)) out.push(v);
+    return out;
+  },
+  startofday: ([v]) => { const d = toDate(v); return d && new Date(Math.floor(d.getTime() / MS_PER_DAY) * MS_PER_DAY); },
+  startofweek: ([v]) => {
+    const d = toDate(v);
+    if (!d) return null;
+    const day = Math.floor(d.getTime() / MS_PER_DAY);
+    return new Date((day - d.getUTCDay()) * MS_PER_DAY);
+  },
+  startofmonth: ([v]) => { const d = toDate(v); return d && new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)); },
+  datetime_diff: ([part, a, b]) => {
+    const fn = DATE_PARTS[toStr(part).toLowerCase()];
+    const da = toDate(a);
+    const db = toDate(b);
+    if (!fn || !da || !db) return null;
+    return fn(da) - fn(db);
+  },
+  datetime_add: ([part, amount, v]) => {
+    const d = toDate(v);
+    if (!d) return null;
+    const n = toNumber(amount);
+    const p = toStr(part).toLowerCase();
+    const out = new Date(d.getTime());
+    if (p === 'year') out.setUTCFullYear(out.getUTCFullYear() + n);
+    else if (p === 'month') out.setUTCMonth(out.getUTCMonth() + n);
+    else if (p === 'week') return new Date(d.getTime() + n * 7 * MS_PER_DAY);
+    else if (p === 'day') return new Date(d.getTime() + n * MS_PER_DAY);
+    else if (p === 'hour') return new Date(d.getTime() + n * 3600000);
+    else if (p === 'minute') return new Date(d.getTime() + n * 60000);
+    else if (p === 'second') return new Date(d.getTime() + n * 1000);
+    return out;
+  },
+  format_datetime: ([v, pattern]) => { const d = toDate(v); return d ? formatDatetimePattern(d, toStr(pattern)) : ''; },
+  gettype: ([v]) => {
+    const t = typeOfValue(v);
+    if (t === null) return 'null';
+    if (t === 'dynamic') return Array.isArray(v) ? 'array' : 'dictionary';
+    return t === 'real' ? 'real' : t;
+  },
+  series_fit_line: ([s]) => seriesFitLine(s),
+  series_stats_dynamic: ([s]) => seriesStats(s),
+  series_fill_linear: ([s, missing, fillEdges]) => fillLinear(s, missing, fillEdges),
+  series_fill_forward: ([s]) => fillForward(s),
+  series_fill_backward: ([s]) => fillBackward(s),
+  series_decompose_forecast: ([s, points, seasonality, trend]) =>
+    seriesDecomposeForecast(s, points, seasonality === undefined ? -1 : seasonality, trend === undefined ? 'linefit' : toStr(trend))
+};
+
+function packBag(args) {
+  const bag = {};
+  for (let i = 0; i + 1 < args.length; i += 2) bag[toStr(args[i])] = args[i + 1];
+  return bag;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/** Serialize a cell the way the query API returns it (JSON-safe). */
+function toResultValue(v) {
+  if (v instanceof Date) return formatDatetime(v);
+  if (v instanceof Timespan) return formatTimespan(v.ms);
+  if (typeof v === 'number' && !Number.isFinite(v)) return Number.isNaN(v) ? null : (v > 0 ? 'Infinity' : '-Infinity');
+  if (v && typeof v === 'object') return toPlain(v);
+  return v === undefined ? null : v;
+}
+
+/**
+ * Convert an evaluator table to the query API shape:
+ * { columns: [{ name, type }], rows: [[...], ...] } with datetimes as ISO
+ * strings and timespans as [d.]hh:mm:ss.
+ */
+function toResult(table) {
+  return {
+    columns: table.columns.map(c => ({ name: c.name, type: c.type || 'dynamic' })),
+    rows: table.rows.map(r => table.columns.map(c => toResultValue(r[c.name])))
+  };
+}
+
+/**
+ * Evaluate KQL text. Options:
+ *   tables                 { TableName: { columns, rows } } (rows as objects)
+ *   now                    ISO string or Date used by now()/ago()
+ *   caseInsensitiveTables  resolve table names ignoring case (Resource Graph)
+ */
+function evaluate(text, options = {}) {
+  const ast = typeof text === 'string' ? parse(text.replace(/\r\n/g, '\n')) : text;
+  return toResult(new Evaluator(options).run(ast));
+}
+
+module.exports = {
+  evaluate,
+  toResult,
+  makeTable,
+  Evaluator,
+  KqlRuntimeError,
+  Timespan,
+  convertTo,
+  formatDatetime,
+  formatTimespan
+};
@@ -0,0 +1,1144 @@
+/**
+ * scripts/lib/kql-parser.js — Offline tokenizer + recursive-descent parser
+ * for the subset of KQL (Log Analytics and Azure Resource Graph) that the
+ * LENS workbook queries use.
+ *
+ * This is NOT a full Kusto grammar. It covers what the workbook needs —
+ * let/materialize/toscalar, print/union sources, where/extend/project
+ * (+ -away/-rename/-keep/-reorder), summarize (arg_max, countif, ...),
+ * order/sort/top/take/distinct/count, join/lookup with kind=, mv-expand,
+ * mv-apply, parse, make-series (series_fit_line etc. are ordinary calls) —
+ * and rejects what the portal would reject: missing pipes, unbalanced
+ * parentheses/brackets, unterminated strings, unknown tabular operators,
+ * stray tokens after a complete clause and unresolved {Param} placeholders.
+ *
+ * The AST is plain objects tagged with `kind`. It is shared with the local
+ * query evaluators, so keep node shapes stable.
+ *
+ * Usage:
+ *   const { parse, KqlSyntaxError } = require('./lib/kql-parser');
+ *   try { parse(queryText); } catch (e) { if (e instanceof KqlSyntaxError) ... }
+ */
+
+class KqlSyntaxError extends Error {
+  constructor(message, token) {
+    const where = token ? ` (line ${token.line}, column ${token.column})` : '';
+    super(`${message}${where}`);
+    this.name = 'KqlSyntaxError';
+    this.reason = message;
+    this.line = token ? token.line : 0;
+    this.column = token ? token.column : 0;
+  }
+}
+
+// Tabular operator names spelled with a hyphen. The tokenizer glues
+// `mv` `-` `expand` back together only for these so `a-b` stays arithmetic.
+const HYPHENATED_WORDS = new Set([
+  'mv-expand', 'mv-apply', 'project-away', 'project-rename', 'project-reorder',
+  'project-keep', 'make-series', 'parse-where', 'top-nested', 'top-hitters'
+]);
+
+// Scalar types whose literal form is `type(raw-text)`, e.g. datetime(2026-01-01),
+// real(null), dynamic(["a"]). The raw text is captured verbatim.
+const TYPED_LITERALS = new Set([
+  'bool', 'boolean', 'int', 'long', 'real', 'double', 'decimal', 'datetime',
+  'date', 'timespan', 'time', 'guid', 'dynamic', 'string', 'typeof'
+]);
+
+const TIMESPAN_UNITS = {
+  d: 86400000, day: 86400000, days: 86400000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  m: 60000, min: 60000, minute: 60000, minutes: 60000,
+  s: 1000, sec: 1000, second: 1000, seconds: 1000,
+  ms: 1, milli: 1, millis: 1, millisecond: 1, milliseconds: 1,
+  microsecond: 0.001, microseconds: 0.001, tick: 0.0001, ticks: 0.0001
+};
+
+// Binary string/set predicates at comparison precedence. `!`-prefixed and
+// `in~` forms are produced by the tokenizer as single operator tokens.
+const STRING_OPERATORS = new Set([
+  'contains', 'contains_cs', 'has', 'has_cs', 'hasprefix', 'hasprefix_cs',
+  'hassuffix', 'hassuffix_cs', 'startswith', 'startswith_cs', 'endswith',
+  'endswith_cs', 'has_any', 'has_all', 'like', 'matches'
+]);
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=', '=~', '!~', '<>']);
+
+const PUNCTUATION = [
+  '..', '==', '!=', '<=', '>=', '=~', '!~', '<>',
+  '=', '<', '>', '(', ')', '[', ']', '{', '}', ',', ';', '|', '.', '+', '-', '*', '/', '%', ':', '~'
+];
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+function isIdentStart(ch) {
+  return /[A-Za-z_$]/.test(ch);
+}
+
+function isIdentPart(ch) {
+  return /[A-Za-z0-9_]/.test(ch);
+}
+
+/**
+ * Split query text into tokens: { type, value, raw, pos, line, column }.
+ * type is one of ident, number, timespan, string, typed, op, punct, eof.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const make = (type, value, start, startLine, startCol, extra) =>
+    Object.assign({ type, value, raw: text.slice(start, pos), pos: start, line: startLine, column: startCol }, extra);
+
+  while (pos < text.length) {
+    const ch = text[pos];
+
+    if (ch === '\n') { pos++; line++; lineStart = pos; continue; }
+    if (/\s/.test(ch)) { pos++; continue; }
+    if (ch === '/' && text[pos + 1] === '/') {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+      continue;
+    }
+
+    const start = pos;
+    const startLine = line;
+    const startCol = pos - lineStart + 1;
+    const here = { line: startLine, column: startCol };
+
+    // Strings: '...' / "..." with backslash escapes, @'...' / @"..." verbatim.
+    const verbatim = ch === '@' && (text[pos + 1] === '"' || text[pos + 1] === "'");
+    if (ch === '"' || ch === "'" || verbatim) {
+      if (verbatim) pos++;
+      const quote = text[pos++];
+      let value = '';
+      for (;;) {
+        if (pos >= text.length || text[pos] === '\n') {
+          throw new KqlSyntaxError('Unterminated string literal', here);
+        }
+        const c = text[pos];
+        if (!verbatim && c === '\\') {
+          const next = text[pos + 1];
+          const escapes = { n: '\n', r: '\r', t: '\t', '\\': '\\', '"': '"', "'": "'" };
+          value += next in escapes ? escapes[next] : next;
+          pos += 2;
+          continue;
+        }
+        if (c === quote) {
+          if (verbatim && text[pos + 1] === quote) { value += quote; pos += 2; continue; }
+          pos++;
+          break;
+        }
+        value += c;
+        pos++;
+      }
+      tokens.push(make('string', value, start, startLine, startCol));
+      continue;
+    }
+
+    // Numbers and timespan literals (1d, 30m, 1.5h, 100ms).
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(text[pos + 1] || '') && text[pos - 1] !== '.')) {
+      if (ch === '0' && /[xX]/.test(text[pos + 1] || '')) {
+        pos += 2;
+        while (/[0-9A-Fa-f]/.test(text[pos] || '')) pos++;
+        tokens.push(make('number', parseInt(text.slice(start, pos), 16), start, startLine, startCol));
+        continue;
+      }
+      while (/[0-9]/.test(text[pos] || '')) pos++;
+      if (text[pos] === '.' && text[pos + 1] !== '.' && /[0-9]/.test(text[pos + 1] || '')) {
+        pos++;
+        while (/[0-9]/.test(text[pos] || '')) pos++;
+      }
+      if (/[eE]/.test(text[pos] || '') && /[0-9+-]/.test(text[pos + 1] || '')) {
+        pos += 2;
+        while (/[0-9]/.test(text[pos] || '')) pos++;
+      }
+      const numText = text.slice(start, pos);
+      let suffixEnd = pos;
+      while (suffixEnd < text.length && /[A-Za-z]/.test(text[suffixEnd])) suffixEnd++;
+      const suffix = text.slice(pos, suffixEnd).toLowerCase();
+      if (suffix) {
+        if (!(suffix in TIMESPAN_UNITS) || isIdentPart(text[suffixEnd] || '')) {
+          pos = suffixEnd;
+          throw new KqlSyntaxError(`Invalid numeric literal '${text.slice(start, suffixEnd)}'`, here);
+        }
+        pos = suffixEnd;
+        tokens.push(make('timespan', Number(numText) * TIMESPAN_UNITS[suffix], start, startLine, startCol));
+        continue;
+      }
+      tokens.push(make('number', Number(numText), start, startLine, startCol,
+        { isReal: /[.eE]/.test(numText) }));
+      continue;
+    }
+
+    // Identifiers, hyphenated operator names and typed literals.
+    if (isIdentStart(ch)) {
+      pos++;
+      while (pos < text.length && isIdentPart(text[pos])) pos++;
+      let word = text.slice(start, pos);
+      if (text[pos] === '-' && isIdentStart(text[pos + 1] || '')) {
+        let end = pos + 1;
+        while (end < text.length && isIdentPart(text[end])) end++;
+        const joined = `${word}-${text.slice(pos + 1, end)}`;
+        if (HYPHENATED_WORDS.has(joined.toLowerCase())) {
+          word = joined;
+          pos = end;
+        }
+      }
+      if (word === 'in' && text[pos] === '~') {
+        pos++;
+        tokens.push(make('op', 'in~', start, startLine, startCol));
+        continue;
+      }
+      // Typed literal: capture the parenthesized raw text verbatim.
+      const lower = word.toLowerCase();
+      if (TYPED_LITERALS.has(lower)) {
+        let look = pos;
+        while (look < text.length && /[ \t]/.test(text[look])) look++;
+        if (text[look] === '(') {
+          pos = look + 1;
+          const rawStart = pos;
+          let depth = 1;
+          let quote = null;
+          while (pos < text.length && depth > 0) {
+            const c = text[pos];
+            if (quote) {
+              if (c === '\\') pos++;
+              else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") quote = c;
+            else if (c === '(' || c === '[' || c === '{') depth++;
+            else if (c === ')' || c === ']' || c === '}') depth--;
+            else if (c === '\n') { line++; lineStart = pos + 1; }
+            pos++;
+          }
+          if (depth > 0) {
+            throw new KqlSyntaxError(`Unterminated ${lower}(...) literal`, here);
+          }
+          tokens.push(make('typed', lower, start, startLine, startCol,
+            { literal: text.slice(rawStart, pos - 1).trim() }));
+          continue;
+        }
+      }
+      tokens.push(make('ident', word, start, startLine, startCol));
+      continue;
+    }
+
+    // Negated operators: !contains, !in, !in~, !has, !between, ...
+    if (ch === '!' && isIdentStart(text[pos + 1] || '')) {
+      pos++;
+      while (pos < text.length && isIdentPart(text[pos])) pos++;
+      if (text.slice(start, pos) === '!in' && text[pos] === '~') pos++;
+      tokens.push(make('op', text.slice(start, pos), start, startLine, startCol));
+      continue;
+    }
+
+    const punct = PUNCTUATION.find(p => text.startsWith(p, pos));
+    if (punct) {
+      pos += punct.length;
+      tokens.push(make('punct', punct, start, startLine, startCol));
+      continue;
+    }
+
+    throw new KqlSyntaxError(`Unexpected character '${ch}'`, here);
+  }
+
+  tokens.push({ type: 'eof', value: '<end of query>', raw: '', pos, line, column: pos - lineStart + 1 });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+class Parser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.i = 0;
+  }
+
+  peek(offset = 0) { return this.tokens[Math.min(this.i + offset, this.tokens.length - 1)]; }
+  next() { return this.tokens[this.i++]; }
+
+  isPunct(value, offset = 0) {
+    const t = this.peek(offset);
+    return t.type === 'punct' && t.value === value;
+  }
+
+  isWord(word, offset = 0) {
+    const t = this.peek(offset);
+    return t.type === 'ident' && t.value.toLowerCase() === word;
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) { this.i++; return true; }
+    return false;
+  }
+
+  acceptWord(word) {
+    if (this.isWord(word)) { this.i++; return true; }
+    return false;
+  }
+
+  expectPunct(value, context) {
+    if (!this.isPunct(value)) this.fail(`Expected '${value}'${context ? ` ${context}` : ''}`);
+    return this.next();
+  }
+
+  expectWord(word, context) {
+    if (!this.isWord(word)) this.fail(`Expected '${word}'${context ? ` ${context}` : ''}`);
+    return this.next();
+  }
+
+  fail(message, token = this.peek()) {
+    const found = token.type === 'eof' ? 'end of query' : `'${token.raw || token.value}'`;
+    throw new KqlSyntaxError(`${message} but found ${found}`, token);
+  }
+
+  // A clause ends at a pipe, a statement separator, a closing paren or EOF.
+  atClauseEnd() {
+    const t = this.peek();
+    return t.type === 'eof' || (t.type === 'punct' && (t.value === '|' || t.value === ';' || t.value === ')'));
+  }
+
+  expectClauseEnd(operator) {
+    if (!this.atClauseEnd()) {
+      this.fail(`Expected '|' or end of '${operator}' clause`);
+    }
+  }
+
+  identifier(context) {
+    const t = this.peek();
+    if (t.type === 'ident') { this.i++; return t.value; }
+    // ['Column Name'] / ["Column Name"]
+    if (t.type === 'punct' && t.value === '[' && this.peek(1).type === 'string' && this.isPunct(']', 2)) {
+      this.i += 3;
+      return this.tokens[this.i - 2].value;
+    }
+    this.fail(`Expected identifier${context ? ` ${context}` : ''}`);
+  }
+
+  isIdentifierAhead(offset = 0) {
+    const t = this.peek(offset);
+    if (t.type === 'ident') return 1;
+    if (t.type === 'punct' && t.value === '[' && this.peek(offset + 1).type === 'string' && this.isPunct(']', offset + 2)) return 3;
+    return 0;
+  }
+
+  // --- Statements -----------------------------------------------------------
+
+  parseQuery() {
+    const statements = [];
+    for (;;) {
+      while (this.acceptPunct(';')) { /* empty statement */ }
+      if (this.peek().type === 'eof') break;
+      const start = this.peek();
+      let stmt;
+      if (this.isWord('let')) stmt = this.parseLet();
+      else if (this.isWord('set')) stmt = this.parseSet();
+      else stmt = { kind: 'Expression', value: this.parsePipeline(), line: start.line };
+      statements.push(stmt);
+      if (this.peek().type === 'eof') break;
+      if (this.isPunct(')')) this.fail("Unbalanced parentheses: unexpected ')'");
+      this.expectPunct(';', 'between statements');
+    }
+    if (statements.length === 0) {
+      throw new KqlSyntaxError('Query is empty', this.peek());
+    }
+    return { kind: 'Query', statements };
+  }
+
+  parseLet() {
+    const start = this.next();
+    const name = this.identifier("after 'let'");
+    this.expectPunct('=', `after 'let ${name}'`);
+    let value;
+    if (this.isPunct('(') && (this.isPunct(')', 1) || (this.isIdentifierAhead(1) && this.isPunct(':', 1 + this.isIdentifierAhead(1))))) {
+      value = this.parseLambda();
+    } else {
+      value = this.parsePipeline();
+    }
+    return { kind: 'Let', name, value, line: start.line };
+  }
+
+  parseLambda() {
+    this.expectPunct('(');
+    const params = [];
+    if (!this.isPunct(')')) {
+      do {
+        const pname = this.identifier('as lambda parameter');
+        this.expectPunct(':', 'after lambda parameter name');
+        const ptype = this.parseTypeName();
+        let def;
+        if (this.acceptPunct('=')) def = this.parseExpression();
+        params.push({ name: pname, type: ptype, default: def });
+      } while (this.acceptPunct(','));
+    }
+    this.expectPunct(')', 'to close lambda parameters');
+    this.expectPunct('{', 'to open lambda body');
+    const statements = [];
+    for (;;) {
+      while (this.acceptPunct(';')) { /* separator */ }
+      if (this.isPunct('}')) break;
+      statements.push(this.isWord('let') ? this.parseLet() : { kind: 'Expression', value: this.parsePipeline() });
+      if (!this.isPunct('}')) this.expectPunct(';', 'in lambda body');
+    }
+    this.expectPunct('}', 'to close lambda body');
+    return { kind: 'Lambda', params, body: { kind: 'Query', statements } };
+  }
+
+  parseTypeName() {
+    const t = this.peek();
+    if (t.type === 'ident') { this.i++; return t.value.toLowerCase(); }
+    if (t.type === 'punct' && t.value === '(') {
+      // Tabular parameter schema: (*) or (col:type, ...)
+      let depth = 0;
+      do {
+        const tok = this.next();
+        if (tok.type === 'eof') this.fail("Expected ')' to close tabular parameter schema", tok);
+        if (tok.type === 'punct' && tok.value === '(') depth++;
+        if (tok.type === 'punct' && tok.value === ')') depth--;
+      } while (depth > 0);
+      return 'table';
+    }
+    this.fail('Expected type name');
+  }
+
+  parseSet() {
+    this.next();
+    const name = [this.identifier("after 'set'")];
+    while (this.acceptPunct('.')) name.push(this.identifier());
+    let value;
+    if (this.acceptPunct('=')) value = this.parseExpression();
+    return { kind: 'Set', name: name.join('.'), value };
+  }
+
+  // --- Tabular expressions --------------------------------------------------
+
+  parsePipeline() {
+    const source = this.parseSource();
+    const operators = [];
+    while (this.acceptPunct('|')) {
+      operators.push(this.parseOperator());
+    }
+    if (operators.length === 0 && source.kind !== 'Print' && source.kind !== 'Union' && source.kind !== 'Range') {
+      return source;
+    }
+    return { kind: 'Pipeline', source, operators };
+  }
+
+  parseSource() {
+    const t = this.peek();
+    if (t.type === 'ident') {
+      const word = t.value.toLowerCase();
+      if (word === 'print' && !this.isPunct('(', 1)) {
+        this.next();
+        return { kind: 'Print', columns: this.parseAssignmentList('print') };
+      }
+      if (word === 'union' && !this.isPunct('=', 1) && !this.isPunct('==', 1)) {
+        this.next();
+        return this.parseUnionBody();
+      }
+      if (word === 'range' && this.isIdentifierAhead(1) && this.isWord('from', 2)) {
+        this.next();
+        const column = this.identifier();
+        this.expectWord('from');
+        const from = this.parseExpression();
+        this.expectWord('to');
+        const to = this.parseExpression();
+        this.expectWord('step');
+        const step = this.parseExpression();
+        return { kind: 'Range', column, from, to, step };
+      }
+    }
+    return this.parseExpression();
+  }
+
+  parseOperatorParams(allowed) {
+    // name=value pairs such as kind=inner, hint.strategy=shuffle, bagexpansion=array
+    const params = {};
+    for (;;) {
+      const n = this.isIdentifierAhead();
+      if (!n) break;
+      let len = 1;
+      const parts = [this.peek().value];
+      while (this.isPunct('.', len) && this.peek(len + 1).type === 'ident') {
+        parts.push(this.peek(len + 1).value);
+        len += 2;
+      }
+      const key = parts.join('.').toLowerCase();
+      if (!this.isPunct('=', len) || !(allowed.includes(key) || key.startsWith('hint.'))) break;
+      this.i += len + 1;
+      const v = this.next();
+      if (v.type === 'eof' || v.type === 'punct') this.fail(`Expected value for '${key}'`, v);
+      params[key] = v.type === 'string' ? v.value : (v.type === 'number' ? v.value : String(v.value));
+    }
+    return params;
+  }
+
+  parseOperator() {
+    const t = this.peek();
+    if (t.type !== 'ident') this.fail('Expected query operator after \'|\'');
+    const op = t.value.toLowerCase();
+    this.next();
+    let node;
+    switch (op) {
+      case 'where':
+      case 'filter':
+        node = { kind: 'Where', predicate: this.parseExpression() };
+        break;
+      case 'extend':
+        node = { kind: 'Extend', columns: this.parseAssignmentList('extend') };
+        break;
+      case 'project':
+        node = { kind: 'Project', columns: this.parseAssignmentList('project') };
+        break;
+      case 'project-away':
+      case 'project-keep':
+        node = { kind: op === 'project-away' ? 'ProjectAway' : 'ProjectKeep', columns: this.parseColumnPatterns(op) };
+        break;
+      case 'project-reorder':
+        node = { kind: 'ProjectReorder', columns: this.parseColumnPatterns(op, true) };
+        break;
+      case 'project-rename': {
+        const renames = [];
+        do {
+          const to = this.identifier('in project-rename');
+          this.expectPunct('=', 'in project-rename');
+          const from = this.identifier('in project-rename');
+          renames.push({ to, from });
+        } while (this.acceptPunct(','));
+        node = { kind: 'ProjectRename', renames };
+        break;
+      }
+      case 'summarize':
+        node = this.parseSummarize();
+        break;
+      case 'order':
+      case 'sort':
+        this.expectWord('by', `after '${op}'`);
+        node = { kind: 'Order', keys: this.parseSortKeys() };
+        break;
+      case 'top': {
+        const count = this.parseExpression();
+        this.expectWord('by', "in 'top'");
+        const [key] = this.parseSortKeys(true);
+        node = { kind: 'Top', count, keys: [key] };
+        break;
+      }
+      case 'take':
+      case 'limit':
+        node = { kind: 'Take', count: this.parseExpression() };
+        break;
+      case 'sample':
+        node = { kind: 'Take', count: this.parseExpression() };
+        break;
+      case 'distinct':
+        if (this.acceptPunct('*')) node = { kind: 'Distinct', columns: null };
+        else node = { kind: 'Distinct', columns: this.parseExpressionList() };
+        break;
+      case 'count':
+        node = { kind: 'Count' };
+        break;
+      case 'join':
+      case 'lookup':
+        node = this.parseJoin(op);
+        break;
+      case 'union':
+        node = this.parseUnionBody();
+        break;
+      case 'mv-expand':
+        node = this.parseMvExpand();
+        break;
+      case 'mv-apply':
+        node = this.parseMvApply();
+        break;
+      case 'parse':
+      case 'parse-where':
+        node = this.parseParse(op);
+        break;
+      case 'make-series':
+        node = this.parseMakeSeries();
+        break;
+      case 'render': {
+        const visualization = this.identifier("after 'render'");
+        if (this.acceptWord('with')) this.skipBalanced();
+        node = { kind: 'Render', visualization };
+        break;
+      }
+      case 'serialize':
+        node = { kind: 'Extend', columns: this.atClauseEnd() ? [] : this.parseAssignmentList('serialize') };
+        break;
+      case 'as':
+        this.parseOperatorParams(['hint.materialized']);
+        node = { kind: 'As', name: this.identifier("after 'as'") };
+        break;
+      case 'getschema':
+        node = { kind: 'GetSchema' };
+        break;
+      case 'evaluate':
+      case 'invoke':
+        this.parseOperatorParams([]);
+        node = { kind: op === 'evaluate' ? 'Evaluate' : 'Invoke', call: this.parseExpression() };
+        break;
+      default:
+        throw new KqlSyntaxError(`Unknown query operator '${t.value}'`, t);
+    }
+    node.line = t.line;
+    this.expectClauseEnd(op);
+    return node;
+  }
+
+  skipBalanced() {
+    this.expectPunct('(');
+    let depth = 1;
+    while (depth > 0) {
+      const tok = this.next();
+      if (tok.type === 'eof') this.fail("Expected ')'", tok);
+      if (tok.type === 'punct' && tok.value === '(') depth++;
+      if (tok.type === 'punct' && tok.value === ')') depth--;
+    }
+  }
+
+  // [name =] expr, (a, b) = expr, ...
+  parseAssignment() {
+    const n = this.isIdentifierAhead();
+    if (n && this.isPunct('=', n)) {
+      const name = this.identifier();
+      this.next();
+      return { name, expr: this.parseExpression() };
+    }
+    if (this.isPunct('(')) {
+      // Tuple assignment: (a, b, c) = f(...)
+      let j = 1;
+      const names = [];
+      for (;;) {
+        const len = this.isIdentifierAhead(j);
+        if (!len) break;
+        names.push(j);
+        j += len;
+        if (this.isPunct(',', j)) { j++; continue; }
+        break;
+      }
+      if (names.length > 0 && this.isPunct(')', j) && this.isPunct('=', j + 1)) {
+        this.next();
+        const tuple = [];
+        do { tuple.push(this.identifier()); } while (this.acceptPunct(','));
+        this.expectPunct(')');
+        this.expectPunct('=');
+        return { names: tuple, expr: this.parseExpression() };
+      }
+    }
+    return { name: null, expr: this.parseExpression() };
+  }
+
+  parseAssignmentList(operator) {
+    if (this.atClauseEnd()) this.fail(`Expected expression after '${operator}'`);
+    const list = [];
+    do { list.push(this.parseAssignment()); } while (this.acceptPunct(','));
+    return list;
+  }
+
+  parseExpressionList() {
+    const list = [];
+    do { list.push(this.parseExpression()); } while (this.acceptPunct(','));
+    return list;
+  }
+
+  parseColumnPatterns(operator, allowDirection) {
+    const list = [];
+    do {
+      let pattern = '';
+      let tok = this.peek();
+      const start = tok;
+      // Glue adjacent identifier and '*' tokens: col*, *suffix, pre*fix
+      while ((tok.type === 'ident' || (tok.type === 'punct' && tok.value === '*')) &&
+             (pattern === '' || tok.pos === this.tokens[this.i - 1].pos + this.tokens[this.i - 1].raw.length)) {
+        pattern += tok.value;
+        this.i++;
+        tok = this.peek();
+      }
+      if (!pattern) {
+        if (this.isIdentifierAhead()) pattern = this.identifier();
+        else this.fail(`Expected column name in '${operator}'`, start);
+      }
+      const entry = { pattern };
+      if (allowDirection && (this.isWord('asc') || this.isWord('desc'))) entry.direction = this.next().value.toLowerCase();
+      list.push(entry);
+    } while (this.acceptPunct(','));
+    return list;
+  }
+
+  parseSortKeys(single) {
+    const keys = [];
+    do {
+      const expr = this.parseExpression();
+      let direction = 'desc';
+      if (this.isWord('asc') || this.isWord('desc')) direction = this.next().value.toLowerCase();
+      let nulls = direction === 'asc' ? 'first' : 'last';
+      if (this.acceptWord('nulls')) {
+        if (!this.isWord('first') && !this.isWord('last')) this.fail("Expected 'first' or 'last' after 'nulls'");
+        nulls = this.next().value.toLowerCase();
+      }
+      keys.push({ expr, direction, nulls });
+    } while (!single && this.acceptPunct(','));
+    return keys;
+  }
+
+  parseSummarize() {
+    const params = this.parseOperatorParams([]);
+    let aggregates = [];
+    if (!this.isWord('by') && !this.atClauseEnd()) {
+      aggregates = this.parseAssignmentList('summarize');
+    }
+    let by = [];
+    if (this.acceptWord('by')) by = this.parseAssignmentList('summarize ... by');
+    if (aggregates.length === 0 && by.length === 0) this.fail("Expected aggregation or 'by' after 'summarize'");
+    return { kind: 'Summarize', params, aggregates, by };
+  }
+
+  parseJoin(op) {
+    const params = this.parseOperatorParams(['kind', 'withsource']);
+    let right;
+    if (this.acceptPunct('(')) {
+      right = this.parsePipeline();
+      this.expectPunct(')', `to close '${op}' right side`);
+    } else {
+      right = { kind: 'Name', name: this.identifier(`as '${op}' right side`) };
+    }
+    this.expectWord('on', `in '${op}'`);
+    const on = this.parseExpressionList();
+    return { kind: op === 'join' ? 'Join' : 'Lookup', params, joinKind: params.kind || (op === 'join' ? 'innerunique' : 'leftouter'), right, on };
+  }
+
+  parseUnionBody() {
+    const params = this.parseOperatorParams(['kind', 'withsource', 'isfuzzy']);
+    const tables = [];
+    do {
+      if (this.acceptPunct('(')) {
+        tables.push(this.parsePipeline());
+        this.expectPunct(')', "to close 'union' leg");
+      } else {
+        tables.push({ kind: 'Name', name: this.identifier("in 'union'") });
+      }
+    } while (this.acceptPunct(','));
+    return { kind: 'Union', params, tables };
+  }
+
+  parseMvExpandItems(operator) {
+    const items = [];
+    do {
+      const a = this.parseAssignment();
+      const item = { name: a.name, expr: a.expr, type: null };
+      if (this.acceptWord('to')) {
+        const t = this.next();
+        if (t.type !== 'typed' || t.value !== 'typeof') this.fail("Expected 'typeof(...)' after 'to'", t);
+        item.type = t.literal.toLowerCase();
+      }
+      items.push(item);
+    } while (this.acceptPunct(','));
+    if (items.length === 0) this.fail(`Expected column in '${operator}'`);
+    return items;
+  }
+
+  parseMvExpand() {
+    const params = this.parseOperatorParams(['bagexpansion', 'with_itemindex', 'kind']);
+    const items = this.parseMvExpandItems('mv-expand');
+    let limit = null;
+    if (this.acceptWord('limit')) limit = this.parseExpression();
+    return { kind: 'MvExpand', params, items, limit };
+  }
+
+  parseMvApply() {
+    const params = this.parseOperatorParams(['with_itemindex']);
+    const items = this.parseMvExpandItems('mv-apply');
+    this.expectWord('on', "in 'mv-apply'");
+    this.expectPunct('(', "after 'mv-apply ... on'");
+    const operators = [this.parseOperator()];
+    while (this.acceptPunct('|')) operators.push(this.parseOperator());
+    this.expectPunct(')', "to close 'mv-apply' subquery");
+    return { kind: 'MvApply', params, items, operators };
+  }
+
+  parseParse(op) {
+    const params = this.parseOperatorParams(['kind', 'flags']);
+    const source = this.parseExpression();
+    this.expectWord('with', `in '${op}'`);
+    const pattern = [];
+    while (!this.atClauseEnd()) {
+      const t = this.peek();
+      if (t.type === 'string') { this.next(); pattern.push({ text: t.value }); continue; }
+      if (t.type === 'punct' && t.value === '*') { this.next(); pattern.push({ wildcard: true }); continue; }
+      if (this.isIdentifierAhead()) {
+        const column = this.identifier();
+        let type = 'string';
+        if (this.acceptPunct(':')) type = this.identifier('as parse column type').toLowerCase();
+        pattern.push({ column, type });
+        continue;
+      }
+      this.fail(`Expected string, '*' or column name in '${op}' pattern`);
+    }
+    if (pattern.length === 0) this.fail(`Expected pattern after '${op} ... with'`);
+    return { kind: 'Parse', params, source, pattern, where: op === 'parse-where' };
+  }
+
+  parseMakeSeries() {
+    const params = this.parseOperatorParams(['kind']);
+    const aggregates = [];
+    do {
+      const a = this.parseAssignment();
+      let def;
+      if (this.isWord('default') && this.isPunct('=', 1)) {
+        this.i += 2;
+        def = this.parseExpression();
+      }
+      aggregates.push({ name: a.name, expr: a.expr, default: def });
+    } while (this.acceptPunct(','));
+    this.expectWord('on', "in 'make-series'");
+    const axis = this.parseExpression();
+    let from = null;
+    let to = null;
+    let step = null;
+    if (this.acceptWord('in')) {
+      const r = this.parseExpression();
+      if (r.kind !== 'Call' || r.name.toLowerCase() !== 'range' || r.args.length !== 3) {
+        this.fail("Expected 'range(start, stop, step)' after 'make-series ... in'");
+      }
+      [from, to, step] = r.args;
+    } else {
+      if (this.acceptWord('from')) from = this.parseExpression();
+      if (this.acceptWord('to')) to = this.parseExpression();
+      this.expectWord('step', "in 'make-series'");
+      step = this.parseExpression();
+    }
+    let by = [];
+    if (this.acceptWord('by')) by = this.parseAssignmentList('make-series ... by');
+    return { kind: 'MakeSeries', params, aggregates, axis, from, to, step, by };
+  }
+
+  // --- Scalar expressions ---------------------------------------------------
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isWord('or')) {
+      this.next();
+      left = { kind: 'Binary', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.isWord('and')) {
+      this.next();
+      left = { kind: 'Binary', op: 'and', left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+    for (;;) {
+      const t = this.peek();
+      if (t.type === 'punct' && COMPARISON_OPERATORS.has(t.value)) {
+        this.next();
+        left = { kind: 'Binary', op: t.value === '<>' ? '!=' : t.value, left, right: this.parseAdditive() };
+        continue;
+      }
+      const word = t.type === 'ident' || t.type === 'op' ? t.value.toLowerCase() : null;
+      if (!word) break;
+      const negated = word.startsWith('!');
+      const base = negated ? word.slice(1) : word;
+      if ((base === 'in' || base === 'in~') && this.isPunct('(', 1)) {
+        this.next();
+        left = { kind: 'In', expr: left, list: this.parseInList(t.value), negated, caseInsensitive: base === 'in~' };
+        continue;
+      }
+      if (base === 'between') {
+        this.next();
+        this.expectPunct('(', "after 'between'");
+        const low = this.parseExpression();
+        this.expectPunct('..', "in 'between (low .. high)'");
+        const high = this.parseExpression();
+        this.expectPunct(')', "to close 'between'");
+        left = { kind: 'Between', expr: left, low, high, negated };
+        continue;
+      }
+      if (STRING_OPERATORS.has(base)) {
+        this.next();
+        if (base === 'matches') this.expectWord('regex', "after 'matches'");
+        if (base === 'has_any' || base === 'has_all') {
+          left = { kind: 'In', expr: left, list: this.parseInList(t.value), negated, caseInsensitive: true, op: base };
+          continue;
+        }
+        left = { kind: 'Binary', op: negated ? `!${base}` : (base === 'matches' ? 'matches regex' : base), left, right: this.parseAdditive() };
+        continue;
+      }
+      break;
+    }
+    return left;
+  }
+
+  parseInList(op) {
+    this.expectPunct('(', `after '${op}'`);
+    const list = [];
+    if (!this.isPunct(')')) {
+      do { list.push(this.parsePipeline()); } while (this.acceptPunct(','));
+    }
+    this.expectPunct(')', `to close '${op}' list`);
+    return list;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isPunct('+') || this.isPunct('-')) {
+      const op = this.next().value;
+      left = { kind: 'Binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isPunct('*') || this.isPunct('/') || this.isPunct('%')) {
+      const op = this.next().value;
+      left = { kind: 'Binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isPunct('-') || this.isPunct('+')) {
+      const op = this.next().value;
+      return { kind: 'Unary', op, operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expr = this.parsePrimary();
+    for (;;) {
+      if (this.isPunct('.') && (this.peek(1).type === 'ident' || this.isPunct('[', 1))) {
+        this.next();
+        if (this.isPunct('[')) continue; // a.['b'] is the same as a['b']
+        expr = { kind: 'Member', object: expr, name: this.next().value };
+        continue;
+      }
+      if (this.isPunct('[')) {
+        this.next();
+        const index = this.parseExpression();
+        this.expectPunct(']', 'to close index');
+        expr = { kind: 'Index', object: expr, index };
+        continue;
+      }
+      break;
+    }
+    return expr;
+  }
+
+  parsePrimary() {
+    const t = this.peek();
+    switch (t.type) {
+      case 'number':
+        this.next();
+        return { kind: 'Literal', type: t.isReal ? 'real' : 'long', value: t.value };
+      case 'timespan':
+        this.next();
+        return { kind: 'Literal', type: 'timespan', value: t.value };
+      case 'string': {
+        this.next();
+        let value = t.value;
+        // Adjacent string literals concatenate: "a" "b" == "ab"
+        while (this.peek().type === 'string') value += this.next().value;
+        return { kind: 'Literal', type: 'string', value };
+      }
+      case 'typed':
+        this.next();
+        return parseTypedLiteral(t);
+      case 'ident': {
+        const lower = t.value.toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+          this.next();
+          return { kind: 'Literal', type: 'bool', value: lower === 'true' };
+        }
+        this.next();
+        if (this.isPunct('(')) return this.parseCallArgs(t.value);
+        return { kind: 'Name', name: t.value, line: t.line, column: t.column };
+      }
+      case 'punct':
+        if (t.value === '(') {
+          this.next();
+          const inner = this.parsePipeline();
+          if (this.isPunct(',')) this.fail("Expected ')' (tuple expressions are only valid on the left of '=')");
+          this.expectPunct(')', 'to close parenthesized expression');
+          return inner;
+        }
+        if (t.value === '[' && this.isIdentifierAhead()) {
+          return { kind: 'Name', name: this.identifier(), line: t.line, column: t.column };
+        }
+        if (t.value === '{') {
+          throw new KqlSyntaxError("Unexpected '{' (unresolved workbook parameter placeholder?)", t);
+        }
+        break;
+      default:
+        break;
+    }
+    this.fail('Expected expression');
+  }
+
+  parseCallArgs(name) {
+    this.expectPunct('(');
+    const args = [];
+    if (!this.isPunct(')')) {
+      do {
+        if (this.isPunct('*') && (this.isPunct(',', 1) || this.isPunct(')', 1))) {
+          this.next();
+          args.push({ kind: 'Star' });
+        } else {
+          args.push(this.parsePipeline());
+        }
+      } while (this.acceptPunct(','));
+    }
+    this.expectPunct(')', `to close '${name}(' call`);
+    return { kind: 'Call', name, args };
+  }
+}
+
+// ============================================================================
+// TYPED LITERALS
+// ============================================================================
+
+/**
+ * Minimal JSON-with-KQL-quirks reader for dynamic(...) bodies: accepts
+ * single- or double-quoted strings, numbers, true/false/null, arrays and
+ * property bags. Throws KqlSyntaxError with the literal's position.
+ */
+function parseDynamicLiteral(raw, token) {
+  let i = 0;
+  const fail = (msg) => { throw new KqlSyntaxError(`Invalid dynamic literal: ${msg}`, token); };
+  const ws = () => { while (i < raw.length && /\s/.test(raw[i])) i++; };
+  function value() {
+    ws();
+    const c = raw[i];
+    if (c === '[') {
+      i++;
+      const arr = [];
+      ws();
+      if (raw[i] === ']') { i++; return arr; }
+      for (;;) {
+        arr.push(value());
+        ws();
+        if (raw[i] === ',') { i++; continue; }
+        if (raw[i] === ']') { i++; return arr; }
+        fail(`expected ',' or ']' at offset ${i}`);
+      }
+    }
+    if (c === '{') {
+      i++;
+      const obj = {};
+      ws();
+      if (raw[i] === '}') { i++; return obj; }
+      for (;;) {
+        ws();
+        const key = raw[i] === '"' || raw[i] === "'" ? str() : ident();
+        ws();
+        if (raw[i] !== ':') fail(`expected ':' at offset ${i}`);
+        i++;
+        obj[key] = value();
+        ws();
+        if (raw[i] === ',') { i++; continue; }
+        if (raw[i] === '}') { i++; return obj; }
+        fail(`expected ',' or '}' at offset ${i}`);
+      }
+    }
+    if (c === '"' || c === "'") return str();
+    const m = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(raw.slice(i));
+    if (m) { i += m[0].length; return Number(m[0]); }
+    const word = ident();
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return fail(`unexpected '${word || raw[i] || 'end'}'`);
+  }
+  function str() {
+    const q = raw[i++];
+    let s = '';
+    while (i < raw.length && raw[i] !== q) {
+      if (raw[i] === '\\') { i++; s += raw[i] === 'n' ? '\n' : raw[i]; } else s += raw[i];
+      i++;
+    }
+    if (raw[i] !== q) fail('unterminated string');
+    i++;
+    return s;
+  }
+  function ident() {
+    const m = /^[A-Za-z_$][A-Za-z0-9_]*/.exec(raw.slice(i));
+    if (!m) return '';
+    i += m[0].length;
+    return m[0];
+  }
+  if (raw.trim() === '') fail('empty');
+  const v = value();
+  ws();
+  if (i < raw.length) fail(`unexpected trailing text '${raw.slice(i, i + 20)}'`);
+  return v;
+}
+
+function parseTypedLiteral(t) {
+  const raw = t.literal;
+  const type = t.value === 'boolean' ? 'bool' : (t.value === 'date' ? 'datetime' : (t.value === 'double' ? 'real' : t.value));
+  if (type === 'typeof') return { kind: 'Literal', type: 'type', value: raw.toLowerCase() };
+  if (raw.toLowerCase() === 'null' && type !== 'string') return { kind: 'Literal', type, value: null };
+  switch (type) {
+    case 'dynamic':
+      return { kind: 'Literal', type, value: parseDynamicLiteral(raw, t) };
+    case 'datetime': {
+      const ms = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(raw) || !/T|\d:\d/.test(raw) ? raw : `${raw}Z`);
+      if (Number.isNaN(ms)) throw new KqlSyntaxError(`Invalid datetime literal '${raw}'`, t);
+      return { kind: 'Literal', type, value: ms };
+    }
+    case 'timespan': {
+      const m = /^(-?\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(raw);
+      if (m && (m[2] === '' || m[2].toLowerCase() in TIMESPAN_UNITS)) {
+        return { kind: 'Literal', type, value: Number(m[1]) * (m[2] ? TIMESPAN_UNITS[m[2].toLowerCase()] : 86400000) };
+      }
+      const hms = /^(?:(\d+)\.)?(\d+):(\d+)(?::(\d+(?:\.\d+)?))?$/.exec(raw);
+      if (!hms) throw new KqlSyntaxError(`Invalid timespan literal '${raw}'`, t);
+      const [, d = 0, h, mi, s = 0] = hms;
+      return { kind: 'Literal', type, value: ((Number(d) * 24 + Number(h)) * 60 + Number(mi)) * 60000 + Number(s) * 1000 };
+    }
+    case 'bool':
+      if (!/^(true|false)$/i.test(raw)) throw new KqlSyntaxError(`Invalid bool literal '${raw}'`, t);
+      return { kind: 'Literal', type, value: raw.toLowerCase() === 'true' };
+    case 'int':
+    case 'long':
+    case 'real':
+    case 'decimal': {
+      const n = Number(raw);
+      if (raw === '' || Number.isNaN(n)) throw new KqlSyntaxError(`Invalid ${t.value} literal '${raw}'`, t);
+      return { kind: 'Literal', type, value: n };
+    }
+    default:
+      return { kind: 'Literal', type, value: raw.replace(/^(['"])(.*)\1$/, '$2') };
+  }
+}
+
+/**
+ * Parse a KQL query string into an AST. Throws KqlSyntaxError (with
+ * .line/.column/.reason) on the first syntax error.
+ */
+function parse(text) {
+  return new Parser(text).parseQuery();
+}
+
+module.exports = {
+  parse,
+  tokenize,
+  KqlSyntaxError,
+  TIMESPAN_UNITS
+};
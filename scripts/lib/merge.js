@@ -0,0 +1,253 @@
+/**
+ * scripts/lib/merge.js — Validator and evaluator for Merge (queryType 7)
+ * items.
+ *
+ * A Merge item's `query` is JSON (version "Merge/1.0"):
+ *
+ *   merges        [{ id, mergeType, leftTable, rightTable?, leftColumn?, rightColumn? }]
+ *                 leftTable/rightTable name other query items in the same
+ *                 workbook; mergeType "table" passes leftTable through,
+ *                 "union" appends rightTable, the rest are joins on
+ *                 leftColumn == rightColumn (inner, leftouter, rightouter,
+ *                 fullouter, leftanti, rightanti, leftsemi, rightsemi).
+ *   projectRename [{ originalName: "[item].column", mergedName?, fromId? }]
+ *                 the output columns, in order. Entries without mergedName
+ *                 are columns the author removed from the output.
+ *
+ * Merges apply in order to one accumulated table: the first merge's
+ * leftTable seeds it, and every later merge joins its rightTable onto it
+ * (a later leftTable must already be part of the accumulated table).
+ * Columns are tracked as "[item].column" so same-named columns from
+ * different sources never collide.
+ *
+ * validateMerge() checks the references statically (source items exist,
+ * merge ids are unique, projectRename names a merged source and a known
+ * merge id) and, given source schemas, that join and projected columns
+ * exist. evaluateMerge() builds the merged table from source results in
+ * the query API shape ({ columns: [{ name, type }], rows: [[...]] }).
+ */
+const QUERY_TYPE_MERGE = 7;
+
+const JOIN_TYPES = new Set(['inner', 'leftouter', 'rightouter', 'fullouter', 'leftanti', 'rightanti', 'leftsemi', 'rightsemi']);
+const MERGE_TYPES = new Set([...JOIN_TYPES, 'table', 'union']);
+
+// "[all-clusters-base].hciClusterRG" → { table: 'all-clusters-base', column: 'hciClusterRG' }
+function splitColumnRef(ref) {
+  const m = /^\[([^\]]+)\]\.(.+)$/.exec(String(ref));
+  return m ? { table: m[1], column: m[2] } : null;
+}
+
+/** Parse a Merge item's query; throws with the item name on bad JSON. */
+function parseMerge(item) {
+  let spec;
+  try {
+    spec = JSON.parse(item.content.query);
+  } catch (e) {
+    throw new Error(`Merge item ${item.name}: query is not valid JSON (${e.message})`);
+  }
+  return {
+    version: spec.version,
+    merges: Array.isArray(spec.merges) ? spec.merges : [],
+    projectRename: Array.isArray(spec.projectRename) ? spec.projectRename : []
+  };
+}
+
+// Tables in the order they join the accumulated result.
+function mergedTables(spec) {
+  const tables = [];
+  for (const m of spec.merges) {
+    for (const t of [m.leftTable, m.rightTable]) if (t && !tables.includes(t)) tables.push(t);
+  }
+  return tables;
+}
+
+/** Every Merge item in a workbook document, in document order. */
+function collectMergeItems(doc) {
+  const out = [];
+  (function walk(list) {
+    if (!Array.isArray(list)) return;
+    for (const o of list) {
+      if (!o || typeof o !== 'object') continue;
+      if (o.type === 3 && o.content && o.content.queryType === QUERY_TYPE_MERGE) out.push(o);
+      if (o.content && Array.isArray(o.content.items)) walk(o.content.items);
+    }
+  })(doc.items);
+  return out;
+}
+
+function queryItemNames(doc) {
+  const names = new Set();
+  (function walk(list) {
+    if (!Array.isArray(list)) return;
+    for (const o of list) {
+      if (!o || typeof o !== 'object') continue;
+      if (o.type === 3 && o.name) names.add(o.name);
+      if (o.content && Array.isArray(o.content.items)) walk(o.content.items);
+    }
+  })(doc.items);
+  return names;
+}
+
+/**
+ * Validate a Merge item against its document. `schemas` (optional) maps
+ * source item names to their output column names; column checks run only
+ * for sources that have a schema. Returns a list of error strings.
+ */
+function validateMerge(doc, item, schemas = {}) {
+  const errors = [];
+  let spec;
+  try {
+    spec = parseMerge(item);
+  } catch (e) {
+    return [e.message];
+  }
+  if (spec.version !== 'Merge/1.0') errors.push(`unexpected version '${spec.version}' (expected Merge/1.0)`);
+  if (spec.merges.length === 0) errors.push('no merges defined');
+
+  const items = queryItemNames(doc);
+  const ids = new Set();
+  const joined = new Set();
+  const hasColumn = (table, column) => !schemas[table] || schemas[table].includes(column);
+
+  spec.merges.forEach((m, i) => {
+    const label = `merge ${m.id || `#${i + 1}`}`;
+    if (!m.id) errors.push(`${label}: missing id`);
+    else if (ids.has(m.id)) errors.push(`${label}: duplicate id`);
+    ids.add(m.id);
+    if (!MERGE_TYPES.has(m.mergeType)) errors.push(`${label}: unknown mergeType '${m.mergeType}'`);
+    for (const side of ['leftTable', 'rightTable']) {
+      const name = m[side];
+      if (side === 'rightTable' && m.mergeType === 'table') continue;
+      if (!name) errors.push(`${label}: missing ${side}`);
+      else if (name === item.name) errors.push(`${label}: ${side} refers to the merge item itself`);
+      else if (!items.has(name)) errors.push(`${label}: ${side} '${name}' is not a query item in this workbook`);
+    }
+    if (i > 0 && m.leftTable && !joined.has(m.leftTable)) {
+      errors.push(`${label}: leftTable '${m.leftTable}' is not part of the result of the earlier merges`);
+    }
+    if (JOIN_TYPES.has(m.mergeType)) {
+      if (!m.leftColumn || !m.rightColumn) {
+        errors.push(`${label}: ${m.mergeType} merge needs leftColumn and rightColumn`);
+      } else {
+        if (m.leftTable && !hasColumn(m.leftTable, m.leftColumn)) errors.push(`${label}: join column '${m.leftColumn}' is not a column of '${m.leftTable}'`);
+        if (m.rightTable && !hasColumn(m.rightTable, m.rightColumn)) errors.push(`${label}: join column '${m.rightColumn}' is not a column of '${m.rightTable}'`);
+      }
+    }
+    if (m.leftTable) joined.add(m.leftTable);
+    if (m.rightTable) joined.add(m.rightTable);
+  });
+
+  const outputNames = new Set();
+  for (const p of spec.projectRename) {
+    const ref = splitColumnRef(p.originalName);
+    if (!ref) {
+      errors.push(`projectRename '${p.originalName}': expected "[item].column"`);
+      continue;
+    }
+    if (!joined.has(ref.table)) errors.push(`projectRename '${p.originalName}': '${ref.table}' is not one of the merged tables`);
+    else if (!hasColumn(ref.table, ref.column)) errors.push(`projectRename '${p.originalName}': '${ref.column}' is not a column of '${ref.table}'`);
+    if (p.fromId && p.fromId !== 'unknown' && !ids.has(p.fromId)) errors.push(`projectRename '${p.originalName}': fromId '${p.fromId}' is not a merge id`);
+    if (p.mergedName) {
+      if (outputNames.has(p.mergedName)) errors.push(`projectRename: output column '${p.mergedName}' is defined twice`);
+      outputNames.add(p.mergedName);
+    }
+  }
+  return errors;
+}
+
+// Source result ({ columns, rows: [[...]] }) → rows keyed "[table].column".
+function qualify(table, result) {
+  const columns = result.columns.map(c => ({ name: `[${table}].${c.name}`, type: c.type }));
+  const rows = result.rows.map(r => {
+    const row = {};
+    columns.forEach((c, i) => { row[c.name] = r[i] === undefined ? null : r[i]; });
+    return row;
+  });
+  return { columns, rows };
+}
+
+function keyOf(v) {
+  return v === null || v === undefined || v === '' ? null : JSON.stringify(v);
+}
+
+function joinTables(kind, left, right, leftKey, rightKey) {
+  const columns = [...left.columns, ...right.columns.filter(c => !left.columns.some(l => l.name === c.name))];
+  const index = new Map();
+  right.rows.forEach((r, i) => {
+    const k = keyOf(r[rightKey]);
+    if (k === null) return;
+    if (!index.has(k)) index.set(k, []);
+    index.get(k).push(i);
+  });
+  const blank = (cols) => Object.fromEntries(cols.map(c => [c.name, null]));
+  const rows = [];
+  const matchedRight = new Set();
+  for (const l of left.rows) {
+    const k = keyOf(l[leftKey]);
+    const matches = (k !== null && index.get(k)) || [];
+    matches.forEach(i => matchedRight.add(i));
+    if (kind === 'leftsemi' || kind === 'leftanti') {
+      if ((matches.length > 0) === (kind === 'leftsemi')) rows.push(Object.assign(blank(columns), l));
+      continue;
+    }
+    if (matches.length) {
+      for (const i of matches) rows.push(Object.assign(blank(columns), right.rows[i], l));
+    } else if (kind === 'leftouter' || kind === 'fullouter') {
+      rows.push(Object.assign(blank(columns), l));
+    }
+  }
+  if (kind === 'rightsemi' || kind === 'rightanti') {
+    const wanted = kind === 'rightsemi';
+    return {
+      columns,
+      rows: right.rows.filter((_, i) => matchedRight.has(i) === wanted).map(r => Object.assign(blank(columns), r))
+    };
+  }
+  if (kind === 'rightouter' || kind === 'fullouter') {
+    right.rows.forEach((r, i) => { if (!matchedRight.has(i)) rows.push(Object.assign(blank(columns), r)); });
+  }
+  return { columns, rows };
+}
+
+/**
+ * Evaluate a Merge item from its sources. `sources` maps item names to
+ * results ({ columns, rows: [[...]] }); a missing source is an error.
+ */
+function evaluateMerge(item, sources) {
+  const spec = parseMerge(item);
+  const source = (name) => {
+    if (!sources[name]) throw new Error(`Merge item ${item.name}: no result for source item '${name}'`);
+    return qualify(name, sources[name]);
+  };
+  let acc = null;
+  for (const m of spec.merges) {
+    if (!acc) acc = source(m.leftTable);
+    if (m.mergeType === 'table') continue;
+    const right = source(m.rightTable);
+    if (m.mergeType === 'union') {
+      const columns = [...acc.columns, ...right.columns];
+      const blank = Object.fromEntries(columns.map(c => [c.name, null]));
+      acc = { columns, rows: [...acc.rows, ...right.rows].map(r => Object.assign({}, blank, r)) };
+      continue;
+    }
+    if (!JOIN_TYPES.has(m.mergeType)) throw new Error(`Merge item ${item.name}: unsupported mergeType '${m.mergeType}'`);
+    acc = joinTables(m.mergeType, acc, right, `[${m.leftTable}].${m.leftColumn}`, `[${m.rightTable}].${m.rightColumn}`);
+  }
+  if (!acc) throw new Error(`Merge item ${item.name}: no merges defined`);
+
+  const outputs = spec.projectRename.filter(p => p.mergedName);
+  const types = new Map(acc.columns.map(c => [c.name, c.type]));
+  return {
+    columns: outputs.map(p => ({ name: p.mergedName, type: types.get(p.originalName) || 'string' })),
+    rows: acc.rows.map(r => outputs.map(p => (r[p.originalName] === undefined ? null : r[p.originalName])))
+  };
+}
+
+module.exports = {
+  parseMerge,
+  mergedTables,
+  collectMergeItems,
+  validateMerge,
+  evaluateMerge,
+  QUERY_TYPE_MERGE
+};
@@ -0,0 +1,163 @@
+/**
+ * scripts/lib/navigation.js — The tab strip (main-tabs) and the Capacity
+ * section strip (cap-section-tabs), generated from scripts/template-ids.json
+ * so adding, renaming or reordering a tab is a change to that file only.
+ *
+ * In the sources both nav items are shells with an empty "links" array
+ * (shared/header.json, the main-tabs copy in every sub-template and
+ * cap-section-tabs in the Capacity orchestrator); readSources() in
+ * build-monolithic.js fills them in. A nav item that already has links (an
+ * older checkout, a portal export) is left as it is.
+ *
+ * template-ids.json fields used:
+ *   tabStrip            tab slugs in tab-strip order (default: "tabs" order)
+ *   tabs[].label        link label
+ *   tabs[].selectedTab  value the link sets
+ *   tabs[].navId        link id (default: "<slug>-tab", lower case)
+ *   tabs[].sectionStrip section slugs in section-strip order (default:
+ *                       "subSections" order), with the same label / navId
+ *                       fields on each section and "value" for CapacitySection;
+ *                       sub-sections without a value (see scripts/lib/splitter.js)
+ *                       have no link
+ *
+ * validateNavigation() checks an assembled workbook: every selectedTab /
+ * CapacitySection visibility must be reachable from a nav link and every nav
+ * link must show something.
+ *
+ * Usage:
+ *   const { fillNavigation, validateNavigation } = require('./lib/navigation');
+ *   fillNavigation(header.items, tabMap);
+ */
+const { Workbook, Links, Parameters } = require('./workbook');
+
+const TAB_PARAM = 'selectedTab';
+const SECTION_PARAM = 'CapacitySection';
+const MAIN_NAV = 'main-tabs';
+const SECTION_NAV = 'cap-section-tabs';
+
+function navLink(entry, cellValue, subTarget) {
+  return {
+    id: entry.navId || `${entry.slug.toLowerCase()}-tab`,
+    cellValue,
+    linkTarget: 'parameter',
+    linkLabel: entry.label,
+    subTarget,
+    style: 'link'
+  };
+}
+
+// `entries` ordered by `order` (slugs); throws on unknown or missing slugs.
+function ordered(entries, order, where) {
+  if (!order) return entries;
+  const bySlug = new Map(entries.map(e => [e.slug, e]));
+  const unknown = order.filter(slug => !bySlug.has(slug));
+  const missing = entries.filter(e => !order.includes(e.slug)).map(e => e.slug);
+  if (unknown.length || missing.length || new Set(order).size !== order.length) {
+    throw new Error(`${where} must list each slug once (${[
+      unknown.length && `unknown: ${unknown.join(', ')}`,
+      missing.length && `missing: ${missing.join(', ')}`,
+      new Set(order).size !== order.length && 'duplicates'
+    ].filter(Boolean).join('; ')})`);
+  }
+  return order.map(slug => bySlug.get(slug));
+}
+
+/** The main-tabs links for `tabMap`, in tab-strip order. */
+function mainTabLinks(tabMap) {
+  return ordered(tabMap.tabs, tabMap.tabStrip, 'template-ids.json tabStrip')
+    .map(tab => navLink(tab, TAB_PARAM, tab.selectedTab));
+}
+
+// Sub-sections with a cap-section-tabs link.
+const linkedSections = (tab) => (tab.subSections || []).filter(s => s.value !== undefined);
+
+/** The cap-section-tabs links for a tab with subSections. */
+function sectionTabLinks(tab) {
+  return ordered(linkedSections(tab), tab.sectionStrip, `template-ids.json ${tab.slug}.sectionStrip`)
+    .map(sect => navLink(sect, SECTION_PARAM, sect.value));
+}
+
+/**
+ * Fill the empty main-tabs / cap-section-tabs shells in `items` (searched
+ * recursively) from `tabMap`, in place. Returns `items`.
+ */
+function fillNavigation(items, tabMap) {
+  const sectioned = tabMap.tabs.find(t => linkedSections(t).length);
+  const walk = (list) => {
+    for (const item of list) {
+      if (!item) continue;
+      const links = item.content && item.content.links;
+      if (Array.isArray(links) && links.length === 0) {
+        if (item.name === MAIN_NAV) item.content.links = mainTabLinks(tabMap);
+        else if (item.name === SECTION_NAV && sectioned) item.content.links = sectionTabLinks(sectioned);
+      }
+      if (item.content && Array.isArray(item.content.items)) walk(item.content.items);
+    }
+  };
+  walk(items);
+  return items;
+}
+
+/** Empty the links of every main-tabs / cap-section-tabs item in `items`, in place. */
+function clearNavigation(items) {
+  for (const item of items) {
+    if (!item) continue;
+    if ([MAIN_NAV, SECTION_NAV].includes(item.name) && item.content && Array.isArray(item.content.links)) item.content.links = [];
+    if (item.content && Array.isArray(item.content.items)) clearNavigation(item.content.items);
+  }
+  return items;
+}
+
+/**
+ * Navigation problems in an assembled workbook (empty when consistent):
+ * selectedTab / CapacitySection visibilities with no nav link, nav links
+ * that show nothing, and a CapacitySection default with no section.
+ */
+function validateNavigation(doc) {
+  const problems = [];
+  const navValues = { [TAB_PARAM]: new Map(), [SECTION_PARAM]: new Map() };
+  const shown = { [TAB_PARAM]: new Set(), [SECTION_PARAM]: new Set() };
+  const uses = [];
+  for (const item of new Workbook(doc).all()) {
+    const where = item.path;
+    for (const cv of item.visibilities) {
+      if (cv.parameterName in shown) {
+        shown[cv.parameterName].add(String(cv.value));
+        uses.push({ where, param: cv.parameterName, value: String(cv.value), cv: true });
+      }
+    }
+    if (item instanceof Links) {
+      for (const link of item.links) {
+        if (link.linkTarget === 'parameter' && link.cellValue in navValues) navValues[link.cellValue].set(String(link.subTarget), where);
+      }
+    }
+    if (item instanceof Parameters) {
+      const section = item.parameter(SECTION_PARAM);
+      if (section) uses.push({ where, param: SECTION_PARAM, value: String(section.value), cv: false });
+    }
+  }
+
+  for (const u of uses) {
+    if (!navValues[u.param].has(u.value)) {
+      problems.push(u.cv
+        ? `${u.where}: visible only when ${u.param} = "${u.value}", which no nav link selects`
+        : `${u.where}: ${u.param} defaults to "${u.value}", which no nav link selects`);
+    }
+  }
+  for (const param of Object.keys(navValues)) {
+    for (const [value, where] of navValues[param]) {
+      if (!shown[param].has(value)) problems.push(`${where}: link sets ${param} = "${value}" but no item is shown for it`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  NAV_ITEMS: [MAIN_NAV, SECTION_NAV],
+  SECTION_PARAM,
+  mainTabLinks,
+  sectionTabLinks,
+  fillNavigation,
+  clearNavigation,
+  validateNavigation
+};
@@ -0,0 +1,74 @@
+/**
+ * scripts/lib/nunit.js — Reads the NUnit XML report that run-tests.js writes
+ * (test-results/nunit.xml), for the job summary (generate-summary.js) and
+ * `lens test --json`.
+ *
+ * Only the shape run-tests.js writes is understood: one test-run, one
+ * Assembly suite, a TestFixture per suite, one line per element.
+ *
+ * Usage:
+ *   const { readNunit } = require('./lib/nunit');
+ *   const { total, passed, failed, suites } = readNunit('test-results/nunit.xml');
+ *   // suites: [{ name, cases: [{ name, result, message }] }]
+ */
+const fs = require('fs');
+
+// The last name attribute of a line is the fullname, <namespace>.<suite>.<test>;
+// readers show the short forms.
+const NAMESPACE = 'LENS.Workbook.Tests.';
+
+function decodeXml(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/** Parse report text: { total, passed, failed, suites } (totals null when there is no test-run). */
+function parseNunit(xml) {
+  const run = xml.match(/test-run[^>]*total="(\d+)"[^>]*passed="(\d+)"[^>]*failed="(\d+)"/);
+  const suites = [];
+  let suite = null;
+  let test = null;
+  let message = null;
+  for (const line of xml.split('\n')) {
+    const suiteMatch = line.match(/test-suite type="TestFixture"[^>]*name="([^"]+)"/);
+    if (suiteMatch) {
+      let name = decodeXml(suiteMatch[1]);
+      if (name.startsWith(NAMESPACE)) name = name.substring(NAMESPACE.length);
+      suite = { name, cases: [] };
+      suites.push(suite);
+    }
+    const caseMatch = line.match(/test-case[^>]*name="([^"]+)"[^>]*result="([^"]+)"/);
+    if (caseMatch && suite) {
+      let name = decodeXml(caseMatch[1]);
+      const prefix = [`${NAMESPACE}${suite.name}.`, `${suite.name}.`].find(p => name.startsWith(p));
+      if (prefix) name = name.substring(prefix.length);
+      test = { name, result: caseMatch[2], message: null };
+      suite.cases.push(test);
+    }
+    // A failure message may span lines (multi-line expected/actual values).
+    const messageAt = line.indexOf('<message><![CDATA[');
+    if (messageAt >= 0 && test) {
+      message = [line.substring(messageAt + '<message><![CDATA['.length)];
+    } else if (message) {
+      message.push(line);
+    }
+    if (message && /\]\]><\/message>/.test(message[message.length - 1])) {
+      test.message = message.join('\n').replace(/\]\]><\/message>.*$/, '').replace(/]]]]><!\[CDATA\[>/g, ']]>');
+      message = null;
+    }
+  }
+  const [total, passed, failed] = run ? run.slice(1).map(Number) : [null, null, null];
+  return { total, passed, failed, suites };
+}
+
+/** Read the report at `file` (see parseNunit), or null when there is none. */
+function readNunit(file) {
+  if (!fs.existsSync(file)) return null;
+  return parseNunit(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { readNunit, parseNunit, decodeXml };
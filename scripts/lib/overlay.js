@@ -0,0 +1,267 @@
+/**
+ * scripts/lib/overlay.js — Organization overlays: declarative patches applied
+ * to the split sources at build time, so an organization can keep its
+ * changes (extra quick links, other thresholds, hidden or extra items) in
+ * overlays/<org>/ instead of a fork.
+ *
+ * An overlay is a directory of *.json files, applied in file-name order:
+ *
+ *   {
+ *     "description": "Contoso quick links and thresholds",
+ *     "patches": [
+ *       { "op": "add", "item": "quick-actions-links", "path": "/content/links/-", "value": { "id": "contoso-runbook", ... } },
+ *       { "op": "test", "item": "exhaustion-forecast-filters", "path": "/content/parameters/WarningThreshold/value", "value": "80" },
+ *       { "op": "replace", "item": "exhaustion-forecast-filters", "path": "/content/parameters/WarningThreshold/value", "value": "75" },
+ *       { "op": "hide", "item": "pie-arb-status" },
+ *       { "op": "insert", "into": "azure-local-vms", "after": "vm-total-tile", "items": [ { "type": 1, "name": "contoso-note", ... } ] }
+ *     ]
+ *   }
+ *
+ * Operations:
+ *   add, remove, replace, test   JSON Patch (RFC 6902) on the item named by
+ *                                `item`; `path` is a JSON Pointer into it in
+ *                                which an array element may also be selected
+ *                                by its `name` or `id` instead of its index
+ *   hide                         leave the named item out of the build
+ *   insert                       add `items` to the group `into`, after or
+ *                                before a named child (default: at the end)
+ *
+ * Items are found by name wherever they occur — shared/parameters.json,
+ * shared/header.json or a sub-template — and every copy is patched (the
+ * global parameters and main-tabs live in each sub-template too). A patch
+ * whose item, element or path does not exist, a failing test, or an inserted
+ * item whose name is already taken fails the whole overlay, listing every
+ * problem.
+ *
+ * Usage:
+ *   const { loadOverlay, applyOverlay } = require('./lib/overlay');
+ *   const sources = applyOverlay(readSources(root), loadOverlay('overlays/contoso'));
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PATCH_KEYS = {
+  add: ['item', 'path', 'value'],
+  remove: ['item', 'path'],
+  replace: ['item', 'path', 'value'],
+  test: ['item', 'path', 'value'],
+  hide: ['item'],
+  insert: ['into', 'items']
+};
+const OPTIONAL_KEYS = { insert: ['after', 'before'] };
+
+// Items that hold a sub-template together; they cannot be hidden.
+const PROTECTED_ITEMS = ['global-subscription-param', 'main-tabs', 'cap-shared-params'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const clone = (o) => JSON.parse(JSON.stringify(o));
+
+/** Problems with the shape of one patch (empty when valid). */
+function validatePatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return ['is not an object'];
+  if (!(patch.op in PATCH_KEYS)) return [`unknown op ${JSON.stringify(patch.op)} (expected one of: ${Object.keys(PATCH_KEYS).join(', ')})`];
+  const required = PATCH_KEYS[patch.op];
+  const allowed = new Set(['op', 'description', ...required, ...(OPTIONAL_KEYS[patch.op] || [])]);
+  const problems = [];
+  for (const k of required) if (!(k in patch)) problems.push(`missing "${k}"`);
+  for (const k of Object.keys(patch)) if (!allowed.has(k)) problems.push(`unexpected "${k}" for op "${patch.op}"`);
+  if ('item' in patch && (typeof patch.item !== 'string' || !patch.item)) problems.push('"item" must be an item name');
+  if ('path' in patch && (typeof patch.path !== 'string' || !patch.path.startsWith('/'))) problems.push('"path" must be a JSON Pointer starting with "/"');
+  if (patch.op === 'insert') {
+    if (typeof patch.into !== 'string' || !patch.into) problems.push('"into" must be a group name');
+    if (!Array.isArray(patch.items) || patch.items.length === 0) problems.push('"items" must be a non-empty array');
+    else if (patch.items.some(i => !i || typeof i !== 'object' || typeof i.name !== 'string' || !i.name || i.type === undefined)) {
+      problems.push('every inserted item needs a "type" and a "name"');
+    }
+    if ('after' in patch && 'before' in patch) problems.push('use "after" or "before", not both');
+  }
+  return problems;
+}
+
+/**
+ * Read the overlay in `dir`: { name, dir, patches: [{ source, patch }] } with
+ * `source` as "<org>/<file>#<n>". Throws on unreadable files or malformed
+ * patches.
+ */
+function loadOverlay(dir) {
+  const full = path.resolve(dir);
+  if (!fs.existsSync(full) || !fs.statSync(full).isDirectory()) throw new Error(`Overlay directory not found: ${dir}`);
+  const name = path.basename(full);
+  const files = fs.readdirSync(full).filter(f => f.endsWith('.json')).sort();
+  if (files.length === 0) throw new Error(`Overlay ${name} has no *.json patch files`);
+
+  const patches = [];
+  const problems = [];
+  for (const file of files) {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(path.join(full, file), 'utf8').replace(/^\uFEFF/, ''));
+    } catch (e) {
+      problems.push(`${name}/${file}: not valid JSON (${e.message})`);
+      continue;
+    }
+    if (!json || !Array.isArray(json.patches)) {
+      problems.push(`${name}/${file}: expected { "description": ..., "patches": [...] }`);
+      continue;
+    }
+    json.patches.forEach((patch, i) => {
+      const source = `${name}/${file}#${i + 1}`;
+      validatePatch(patch).forEach(p => problems.push(`${source}: ${p}`));
+      patches.push({ source, patch });
+    });
+  }
+  if (problems.length) throw new Error(`Overlay ${name} is invalid:\n   ${problems.join('\n   ')}`);
+  return { name, dir: full, patches };
+}
+
+// Every occurrence of the item `name` in `lists` (arrays of items, searched
+// recursively): [{ item, list, index }].
+function findItems(lists, name) {
+  const found = [];
+  const walk = (list) => {
+    list.forEach((item, index) => {
+      if (!item) return;
+      if (item.name === name) found.push({ item, list, index });
+      if (item.content && Array.isArray(item.content.items)) walk(item.content.items);
+    });
+  };
+  lists.forEach(walk);
+  return found;
+}
+
+function decodeSegment(seg) {
+  return seg.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+// Index of the array element addressed by `seg`: an index, or a name / id.
+function arrayIndex(arr, seg, { append = false } = {}) {
+  if (seg === '-' && append) return arr.length;
+  if (/^(0|[1-9]\d*)$/.test(seg)) {
+    const i = Number(seg);
+    if (i < arr.length || (append && i === arr.length)) return i;
+    throw new Error(`index ${seg} is out of range (${arr.length} elements)`);
+  }
+  const i = arr.findIndex(el => el && typeof el === 'object' && (el.name === seg || el.id === seg));
+  if (i < 0) throw new Error(`no element named "${seg}"`);
+  return i;
+}
+
+/**
+ * Resolve `pointer` in `root` to { parent, key } of its last segment; the
+ * parents must exist. For arrays `key` is the resolved index.
+ */
+function resolvePointer(root, pointer, { append = false } = {}) {
+  const segs = pointer.split('/').slice(1).map(decodeSegment);
+  let node = root;
+  let walked = '';
+  for (let i = 0; i < segs.length; i++) {
+    const last = i === segs.length - 1;
+    const seg = segs[i];
+    let key;
+    try {
+      if (Array.isArray(node)) key = arrayIndex(node, seg, { append: append && last });
+      else if (node && typeof node === 'object') key = seg;
+      else throw new Error('not an object or array');
+    } catch (e) {
+      throw new Error(`${walked || '/'}: ${e.message}`);
+    }
+    if (last) return { parent: node, key };
+    if (!(key in node)) throw new Error(`${walked}/${seg} does not exist`);
+    node = node[key];
+    walked += `/${seg}`;
+  }
+  throw new Error('empty path');
+}
+
+function applyPointerOp(item, patch) {
+  const { op, path: pointer, value } = patch;
+  const { parent, key } = resolvePointer(item, pointer, { append: op === 'add' });
+  const exists = Array.isArray(parent) ? key < parent.length : Object.prototype.hasOwnProperty.call(parent, key);
+  if (op !== 'add' && !exists) throw new Error(`${pointer} does not exist`);
+  if (op === 'test') {
+    if (!same(parent[key], value)) throw new Error(`test failed at ${pointer}: expected ${JSON.stringify(value)}, found ${JSON.stringify(parent[key])}`);
+  } else if (op === 'remove') {
+    if (Array.isArray(parent)) parent.splice(key, 1);
+    else delete parent[key];
+  } else if (op === 'add' && Array.isArray(parent)) {
+    parent.splice(key, 0, clone(value));
+  } else {
+    parent[key] = clone(value);
+  }
+}
+
+function applyInsert(lists, patch, names) {
+  const groups = findItems(lists, patch.into);
+  if (groups.length === 0) throw new Error(`group "${patch.into}" not found (renamed or removed?)`);
+  const taken = patch.items.map(i => i.name).filter(n => names.has(n));
+  if (taken.length) throw new Error(`item name(s) already in use: ${taken.join(', ')}`);
+  for (const { item } of groups) {
+    if (!item.content || !Array.isArray(item.content.items)) throw new Error(`"${patch.into}" is not a group`);
+    const children = item.content.items;
+    const anchor = patch.after || patch.before;
+    let at = children.length;
+    if (anchor) {
+      const i = children.findIndex(c => c && c.name === anchor);
+      if (i < 0) throw new Error(`"${anchor}" is not an item of "${patch.into}"`);
+      at = patch.after ? i + 1 : i;
+    }
+    children.splice(at, 0, ...clone(patch.items));
+  }
+  patch.items.forEach(i => names.add(i.name));
+}
+
+function allNames(lists) {
+  const names = new Set();
+  const walk = (list) => list.forEach(item => {
+    if (!item) return;
+    if (item.name) names.add(item.name);
+    if (item.content && Array.isArray(item.content.items)) walk(item.content.items);
+  });
+  lists.forEach(walk);
+  return names;
+}
+
+/**
+ * Apply `overlay` (from loadOverlay) to split sources { tabMap, params,
+ * header, templates: { slug: doc } }, returning patched copies. Throws one
+ * error listing every patch that does not apply.
+ */
+function applyOverlay(sources, overlay) {
+  const out = clone(sources);
+  const paramsHolder = [out.params];
+  const lists = [paramsHolder, out.header.items, ...Object.values(out.templates).map(t => t.items)];
+  const roots = new Set(Object.values(out.templates).flatMap(t => t.items.slice(0, 3)));
+  const names = allNames(lists);
+  const problems = [];
+
+  for (const { source, patch } of overlay.patches) {
+    try {
+      if (patch.op === 'insert') {
+        applyInsert(lists, patch, names);
+        continue;
+      }
+      const found = findItems(lists, patch.item);
+      if (found.length === 0) throw new Error(`item "${patch.item}" not found (renamed or removed?)`);
+      if (patch.op === 'hide') {
+        if (PROTECTED_ITEMS.includes(patch.item) || found.some(f => roots.has(f.item))) {
+          throw new Error(`"${patch.item}" holds a tab or the shared parameters together and cannot be hidden`);
+        }
+        // Highest index first, in case copies share a list.
+        found.sort((a, b) => b.index - a.index).forEach(f => f.list.splice(f.index, 1));
+        continue;
+      }
+      for (const { item } of found) applyPointerOp(item, patch);
+    } catch (e) {
+      problems.push(`${source} (${patch.op}): ${e.message}`);
+    }
+  }
+  if (problems.length) throw new Error(`Overlay ${overlay.name} does not apply:\n   ${problems.join('\n   ')}`);
+  out.params = paramsHolder[0];
+  return out;
+}
+
+module.exports = {
+  loadOverlay,
+  applyOverlay,
+  validatePatch
+};
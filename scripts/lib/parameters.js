@@ -0,0 +1,433 @@
+/**
+ * scripts/lib/parameters.js — Workbook parameter placeholder substitution.
+ *
+ * Resolves every {Name} / {Name:format} placeholder in a query (or markdown,
+ * title, link) the way the Azure Monitor Workbooks runtime does, against a
+ * declared fixture of parameter selections, so tests can render the exact
+ * query text a user would run for a given selection.
+ *
+ * Value resolution for each parameter, first hit wins:
+ *   1. the fixture selection            (what the user picked)
+ *   2. criteriaData rules               (text parameters with criteria)
+ *   3. the saved `value`                (null counts as unset)
+ *   4. `defaultValue`
+ *   5. jsonData items with selected:true
+ *   6. a typed mock value               (only when { mock: true }, for
+ *                                        syntax checks; never for goldens)
+ *
+ * Formatting rules:
+ *   - Multi-select dropdowns/resource pickers: each value wrapped in `quote`
+ *     (default ') and joined with `delimiter` (default ,). "value::all" is
+ *     replaced by typeSettings.selectAllValue when set, otherwise expanded to
+ *     every option value (from jsonData or the fixture's `options`).
+ *     Single-select values are never quoted.
+ *   - :label — option label(s) joined by ", " ("All" for value::all); the
+ *     time range label ("Last 30 days") for time range pickers.
+ *   - :value — the unquoted value(s); JSON for time ranges.
+ *   - Time range pickers in a query: bare → "> ago(30d)" (relative) or
+ *     "between (datetime(a) .. datetime(b))" (absolute); :start/:end →
+ *     datetime(ISO); :grain → a bin-size timespan; :startISO/:endISO → ISO.
+ *     Outside queries (markdown/titles) :start/:end render as ISO text and
+ *     a bare reference renders as the label.
+ *   - Text parameters whose selection is an array/object (the hidden
+ *     ClusterRGMap-style maps) render as compact JSON, matching the
+ *     tostring(make_list(...)) values the runtime would store.
+ *
+ * Parameters are scoped in document order: a definition applies to every
+ * item after it, and a later definition of the same name (e.g. a tab-local
+ * NodeTrendsTimeRange) overrides the earlier one from that point on.
+ *
+ * Usage:
+ *   const { createResolver, loadFixture } = require('./lib/parameters');
+ *   const resolver = createResolver(workbookDoc, loadFixture(file));
+ *   const { text, missing } = resolver.renderItem('mc-cpu-forecast');
+ */
+const fs = require('fs');
+
+const PARAM_TYPE_TEXT = 1;
+const PARAM_TYPE_DROPDOWN = 2;
+const PARAM_TYPE_TIME_RANGE = 4;
+const PARAM_TYPE_RESOURCE = 5;
+const PARAM_TYPE_SUBSCRIPTION = 6;
+const PARAM_TYPE_OPTIONS_GROUP = 10;
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)(?::([\w$]+))?\}/g;
+
+const DEFAULT_NOW = '2026-01-31T00:00:00.000Z';
+
+const MS_PER = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load a parameter fixture file:
+ *   { "now": "<ISO>", "parameters": { "<Name>": <selection>, ... } }
+ * A selection is either the bare value (string, array, { durationMs } /
+ * { start, end } for time ranges) or { value, label?, options? }.
+ */
+function loadFixture(file) {
+  const fixture = readJson(file);
+  if (!fixture || typeof fixture.parameters !== 'object') {
+    throw new Error(`Parameter fixture ${file} has no "parameters" object`);
+  }
+  return fixture;
+}
+
+// Normalize a fixture selection to { value, label, options }.
+function normalizeSelection(sel) {
+  if (sel && typeof sel === 'object' && !Array.isArray(sel) && 'value' in sel) {
+    return { value: sel.value, label: sel.label, options: sel.options };
+  }
+  return { value: sel };
+}
+
+function parseJsonData(param) {
+  if (typeof param.jsonData !== 'string') return null;
+  try {
+    const data = JSON.parse(param.jsonData);
+    if (!Array.isArray(data)) return null;
+    return data.map(d => (d && typeof d === 'object')
+      ? { value: String(d.value), label: d.label !== undefined ? String(d.label) : String(d.value), selected: !!d.selected }
+      : { value: String(d), label: String(d), selected: false });
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatDuration(ms) {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms % MS_PER[unit] === 0) return `${ms / MS_PER[unit]}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+function timeRangeLabel(durationMs) {
+  if (durationMs % 86400000 === 0) {
+    const days = durationMs / 86400000;
+    return days === 1 ? 'Last 24 hours' : `Last ${days} days`;
+  }
+  if (durationMs % 3600000 === 0) {
+    const hours = durationMs / 3600000;
+    return hours === 1 ? 'Last hour' : `Last ${hours} hours`;
+  }
+  return `Last ${Math.round(durationMs / 60000)} minutes`;
+}
+
+// Auto grain: the smallest standard bin that keeps the range at or under
+// ~200 points, which is what the runtime's "Automatic" grain approximates.
+function timeRangeGrain(durationMs) {
+  const grains = [60000, 300000, 900000, 1800000, 3600000, 21600000, 43200000, 86400000, 604800000];
+  return grains.find(g => durationMs / g <= 200) || grains[grains.length - 1];
+}
+
+/**
+ * Turn a time range selection into { start, end, durationMs, relative }.
+ * Accepts { durationMs } (relative to `now`) or { start, end } (absolute).
+ */
+function resolveTimeRange(value, now) {
+  const nowMs = Date.parse(now);
+  if (value && typeof value === 'object') {
+    if (value.start && value.end) {
+      const start = Date.parse(value.start);
+      const end = Date.parse(value.end);
+      return { start, end, durationMs: end - start, relative: false };
+    }
+    if (typeof value.durationMs === 'number') {
+      return { start: nowMs - value.durationMs, end: nowMs, durationMs: value.durationMs, relative: true };
+    }
+  }
+  return null;
+}
+
+// Typed mock selection used when a parameter has no value at all.
+function mockSelection(param) {
+  switch (param.type) {
+    case PARAM_TYPE_TIME_RANGE:
+      return { value: { durationMs: 86400000 } };
+    case PARAM_TYPE_TEXT:
+      // Query-backed hidden text parameters hold tostring(make_list(...)).
+      return { value: param.query ? [] : '' };
+    default: {
+      const options = parseJsonData(param);
+      if (options && options.length) return { value: param.multiSelect ? [options[0].value] : options[0].value };
+      return { value: param.multiSelect ? ['sample'] : 'sample', label: 'sample' };
+    }
+  }
+}
+
+function evalCriteria(param, lookup) {
+  if (!Array.isArray(param.criteriaData)) return undefined;
+  for (const entry of param.criteriaData) {
+    const c = entry && entry.criteriaContext;
+    if (!c) continue;
+    const resultOf = () => (c.resultValType === 'param' ? lookup(String(c.resultVal)) : c.resultVal);
+    if (c.operator === 'Default') return resultOf();
+    const left = lookup(`{${c.leftOperand}}`);
+    const right = c.rightValType === 'param' ? lookup(String(c.rightVal)) : c.rightVal;
+    const l = left === undefined || left === null ? '' : String(left);
+    const r = right === undefined || right === null ? '' : String(right);
+    const matched = {
+      '==': l === r,
+      '!=': l !== r,
+      '>': Number(l) > Number(r),
+      '<': Number(l) < Number(r),
+      '>=': Number(l) >= Number(r),
+      '<=': Number(l) <= Number(r),
+      startsWith: l.startsWith(r),
+      endsWith: l.endsWith(r),
+      contains: l.includes(r),
+      isNull: l === '',
+      isNotNull: l !== ''
+    }[c.operator];
+    if (matched) return resultOf();
+  }
+  return undefined;
+}
+
+/**
+ * Pick the selection for one parameter definition. Returns
+ * { value, label, options, source } or null when the parameter is unset.
+ */
+function selectionFor(param, fixtureParams, lookup, mock) {
+  if (fixtureParams && Object.prototype.hasOwnProperty.call(fixtureParams, param.name)) {
+    return Object.assign(normalizeSelection(fixtureParams[param.name]), { source: 'fixture' });
+  }
+  const fromCriteria = evalCriteria(param, lookup);
+  if (fromCriteria !== undefined) return { value: fromCriteria, source: 'criteria' };
+  if (param.value !== undefined && param.value !== null) return { value: param.value, source: 'value' };
+  if (param.defaultValue !== undefined && param.defaultValue !== null) return { value: param.defaultValue, source: 'defaultValue' };
+  const options = parseJsonData(param);
+  const selected = options ? options.filter(o => o.selected).map(o => o.value) : [];
+  if (selected.length) return { value: param.multiSelect ? selected : selected[0], source: 'jsonData' };
+  if (mock) return Object.assign(mockSelection(param), { source: 'mock' });
+  return null;
+}
+
+function optionList(param, selection) {
+  return (selection && selection.options) || parseJsonData(param) || null;
+}
+
+function labelFor(param, selection, value) {
+  const options = optionList(param, selection);
+  const match = options && options.find(o => (typeof o === 'object' ? String(o.value) : String(o)) === String(value));
+  if (match) return typeof match === 'object' ? String(match.label !== undefined ? match.label : match.value) : String(match);
+  return String(value);
+}
+
+/**
+ * Format one parameter reference. `context` is 'query' (KQL/ARG text) or
+ * 'text' (markdown, titles, labels). Returns { text } or { error }.
+ */
+function formatParameter(param, selection, format, context, now) {
+  const fmt = (format || '').toLowerCase();
+  const value = selection.value;
+
+  if (param.type === PARAM_TYPE_TIME_RANGE) {
+    const range = resolveTimeRange(value, now);
+    if (!range) return { error: `time range parameter ${param.name} has no durationMs or start/end` };
+    const startIso = new Date(range.start).toISOString();
+    const endIso = new Date(range.end).toISOString();
+    switch (fmt) {
+      case '':
+      case 'query':
+        if (context !== 'query' && fmt === '') return { text: timeRangeLabel(range.durationMs) };
+        return {
+          text: range.relative
+            ? `> ago(${formatDuration(range.durationMs)})`
+            : `between (datetime(${startIso}) .. datetime(${endIso}))`
+        };
+      case 'start': return { text: context === 'query' ? `datetime(${startIso})` : startIso };
+      case 'end': return { text: context === 'query' ? `datetime(${endIso})` : endIso };
+      case 'startiso': return { text: startIso };
+      case 'endiso': return { text: endIso };
+      case 'grain': return { text: formatDuration(timeRangeGrain(range.durationMs)) };
+      case 'label': return { text: range.relative ? timeRangeLabel(range.durationMs) : `${startIso} - ${endIso}` };
+      case 'value': return { text: JSON.stringify(range.relative ? { durationMs: range.durationMs } : { start: startIso, end: endIso }) };
+      default: return { error: `unsupported time range format ':${format}' on ${param.name}` };
+    }
+  }
+
+  // Text parameters (and anything else holding a structured value): JSON.
+  if (value !== null && typeof value === 'object' && !(Array.isArray(value) && (param.multiSelect || param.type !== PARAM_TYPE_TEXT))) {
+    return { text: JSON.stringify(value) };
+  }
+
+  let values = Array.isArray(value) ? value.map(String) : [String(value)];
+  const isAll = values.includes('value::all');
+  if (isAll) {
+    const selectAllValue = param.typeSettings && param.typeSettings.selectAllValue;
+    if (fmt === 'label') return { text: 'All' };
+    if (selectAllValue !== undefined) {
+      values = [String(selectAllValue)];
+    } else {
+      const options = optionList(param, selection);
+      if (options) values = options.map(o => (typeof o === 'object' ? String(o.value) : String(o)));
+    }
+  } else if (values.length === 1 && values[0] === 'value::1') {
+    const options = optionList(param, selection);
+    if (options && options.length) values = [typeof options[0] === 'object' ? String(options[0].value) : String(options[0])];
+  }
+
+  switch (fmt) {
+    case '':
+      if (param.multiSelect && (param.type === PARAM_TYPE_DROPDOWN || param.type === PARAM_TYPE_RESOURCE ||
+          param.type === PARAM_TYPE_SUBSCRIPTION || param.type === PARAM_TYPE_OPTIONS_GROUP)) {
+        const quote = param.quote === undefined ? "'" : param.quote;
+        const delimiter = param.delimiter === undefined ? ',' : param.delimiter;
+        return { text: values.map(v => `${quote}${v}${quote}`).join(delimiter) };
+      }
+      return { text: values.join(',') };
+    case 'value':
+      return { text: values.join(',') };
+    case 'label':
+      return { text: values.map(v => labelFor(param, selection, v)).join(', ') };
+    case 'escape':
+      return { text: values.join(',').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/'/g, "\\'") };
+    default:
+      return { error: `unsupported format ':${format}' on ${param.name}` };
+  }
+}
+
+/**
+ * Walk a workbook document in order and return every parameter definition
+ * with its document-order index, plus every named item's index (used for
+ * scope lookups).
+ */
+function indexDocument(doc) {
+  const params = [];
+  const items = new Map();
+  let order = 0;
+  (function walk(list) {
+    if (!Array.isArray(list)) return;
+    for (const item of list) {
+      if (!item || typeof item !== 'object') continue;
+      const at = order++;
+      if (item.name && !items.has(item.name)) items.set(item.name, { item, order: at });
+      if (item.type === 9 && item.content && Array.isArray(item.content.parameters)) {
+        for (const p of item.content.parameters) {
+          if (p && p.name) params.push({ param: p, order: at, group: item.name });
+        }
+      }
+      if (item.content && Array.isArray(item.content.items)) walk(item.content.items);
+    }
+  })(doc.items);
+  return { params, items };
+}
+
+/**
+ * Build a resolver over a workbook document and a fixture.
+ *
+ * Options:
+ *   mock  — fill unset parameters with typed mock values (default false)
+ *   now   — override fixture.now (ISO string)
+ */
+function createResolver(doc, fixture = {}, options = {}) {
+  const fixtureParams = fixture.parameters || {};
+  const now = options.now || fixture.now || DEFAULT_NOW;
+  const mock = !!options.mock;
+  const index = indexDocument(doc);
+
+  // Definition in scope at a document position: the last one at or before
+  // it, falling back to the first definition for forward references.
+  function definitionAt(name, order) {
+    let found = null;
+    for (const entry of index.params) {
+      if (entry.param.name !== name) continue;
+      if (entry.order > order) {
+        if (!found) found = entry;
+        break;
+      }
+      found = entry;
+    }
+    return found && found.param;
+  }
+
+  function render(text, opts = {}) {
+    const context = opts.context || 'query';
+    const order = opts.order === undefined ? Infinity : opts.order;
+    const missing = [];
+    const errors = [];
+    const stack = opts._stack || [];
+
+    // Criteria of parameter `via` look up other parameters; `via` stays on
+    // the stack while they resolve, so a cycle is reported, not followed.
+    const lookupAt = (placeholder, via) => {
+      const nested = render(placeholder, Object.assign({}, opts, { context: 'text', _stack: [...stack, via] }));
+      errors.push(...nested.errors);
+      return nested.text;
+    };
+
+    const out = String(text).replace(PLACEHOLDER_PATTERN, (match, name, format) => {
+      const param = definitionAt(name, order);
+      if (!param) {
+        if (opts.strict) missing.push(name);
+        return match;
+      }
+      if (stack.includes(name)) {
+        errors.push(`circular criteria reference through ${name}`);
+        return '';
+      }
+      const selection = selectionFor(param, fixtureParams, (p) => lookupAt(p, name), mock);
+      if (!selection) {
+        missing.push(name);
+        return '';
+      }
+      const formatted = formatParameter(param, selection, format, context, now);
+      if (formatted.error) {
+        errors.push(formatted.error);
+        return match;
+      }
+      return formatted.text;
+    });
+    return { text: out, missing: [...new Set(missing)], errors: [...new Set(errors)] };
+  }
+
+  return {
+    now,
+    /** Render arbitrary text as seen from the end of the document (or opts.order). */
+    render,
+
+    /**
+     * Render a named item's query (type 3) or markdown (type 1) with the
+     * parameters in scope at that item.
+     */
+    renderItem(name, opts = {}) {
+      const entry = index.items.get(name);
+      if (!entry) throw new Error(`Item not found: ${name}`);
+      const { item, order } = entry;
+      const source = item.type === 1 ? item.content.json : item.content && item.content.query;
+      if (typeof source !== 'string') throw new Error(`Item ${name} has no query or markdown text`);
+      return render(source, Object.assign({ context: item.type === 1 ? 'text' : 'query', order }, opts));
+    },
+
+    /** Resolved selection for a parameter as seen from the end of the document. */
+    selection(name) {
+      const param = definitionAt(name, Infinity);
+      if (!param) return null;
+      return selectionFor(param, fixtureParams, (p) => render(p, { context: 'text', _stack: [name] }).text, mock);
+    },
+
+    /** The named item object, or null. */
+    item(name) {
+      const entry = index.items.get(name);
+      return entry ? entry.item : null;
+    },
+
+    /** Document-order position of a named item (for render({ order })). */
+    orderOf(name) {
+      const entry = index.items.get(name);
+      return entry ? entry.order : undefined;
+    }
+  };
+}
+
+module.exports = {
+  createResolver,
+  loadFixture,
+  formatParameter,
+  resolveTimeRange,
+  timeRangeLabel,
+  PLACEHOLDER_PATTERN
+};
@@ -0,0 +1,197 @@
+/**
+ * scripts/lib/profile.js — Build profiles: a workbook with only some of the
+ * tabs (e.g. no AKS Arc, Capacity only), for sites that do not need the
+ * rest loaded.
+ *
+ * A profile is a comma-separated list of slugs from scripts/template-ids.json
+ * (a tab slug brings all of its sub-sections; a sub-section slug brings its
+ * tab; continuations always go with their tab or section, see
+ * scripts/lib/splitter.js) or the name of an entry in its "profiles" object:
+ *
+ *   "profiles": {
+ *     "no-aks": { "description": "...", "exclude": ["AksArc"] },
+ *     "capacity-only": { "description": "...", "tabs": ["Capacity"] }
+ *   }
+ *
+ * Applying a profile to the split sources:
+ *   - drops the excluded sub-templates and their main-tabs / cap-section-tabs
+ *     links, and quick links whose "quickLinks" owners (template-ids.json)
+ *     are all excluded; a link row left empty is dropped
+ *   - renumbers selectedTab 0..n-1 in tab-strip order, rewriting every
+ *     conditionalVisibility and link that uses it
+ *   - drops items only visible for an excluded tab or section, and moves the
+ *     CapacitySection default to the first remaining section
+ * build-monolithic.js then checks the assembled workbook with
+ * validateNavigation() (scripts/lib/navigation.js).
+ *
+ * Usage:
+ *   const { resolveProfile, applyProfile } = require('./lib/profile');
+ *   const selection = resolveProfile(tabMap, 'Overview,Machines,UpdateProgress');
+ *   const sources = applyProfile(readSources(), selection);
+ */
+const TAB_PARAM = 'selectedTab';
+const SECTION_PARAM = 'CapacitySection';
+const MAIN_NAV = 'main-tabs';
+
+const { sectionTabLinks } = require('./navigation');
+const { isContinuation, groupSections, navSections } = require('./splitter');
+
+const clone = (o) => JSON.parse(JSON.stringify(o));
+
+const visibilities = (item) => [item.conditionalVisibility, ...(item.conditionalVisibilities || [])].filter(Boolean);
+
+/**
+ * Resolve `spec` (profile name or comma-separated slugs) against `tabMap`:
+ * { name, slugs: Set } where slugs holds the kept tab and sub-section slugs.
+ */
+function resolveProfile(tabMap, spec) {
+  const profiles = tabMap.profiles || {};
+  const parentOf = new Map();
+  const tabsBySlug = new Map(tabMap.tabs.map(t => [t.slug, t]));
+  tabMap.tabs.forEach(t => groupSections(t).forEach(s => parentOf.set(s.slug, t)));
+  const known = [...tabsBySlug.keys(), ...parentOf.keys()];
+  const check = (slugs, where) => {
+    const unknown = slugs.filter(s => !tabsBySlug.has(s) && !parentOf.has(s));
+    if (unknown.length) throw new Error(`${where}: unknown tab or section ${unknown.map(u => `"${u}"`).join(', ')} (expected: ${known.join(', ')})`);
+  };
+  const expand = (slugs) => {
+    const out = new Set();
+    for (const slug of slugs) {
+      out.add(slug);
+      if (tabsBySlug.has(slug)) groupSections(tabsBySlug.get(slug)).forEach(s => out.add(s.slug));
+      else out.add(parentOf.get(slug).slug);
+    }
+    return out;
+  };
+
+  let name;
+  let slugs;
+  if (Object.prototype.hasOwnProperty.call(profiles, spec)) {
+    name = spec;
+    const profile = profiles[spec];
+    const where = `Profile "${spec}"`;
+    if (profile.tabs) check(profile.tabs, where);
+    if (profile.exclude) check(profile.exclude, where);
+    slugs = expand(profile.tabs || [...tabsBySlug.keys()]);
+    for (const slug of profile.exclude || []) {
+      slugs.delete(slug);
+      if (tabsBySlug.has(slug)) groupSections(tabsBySlug.get(slug)).forEach(s => slugs.delete(s.slug));
+    }
+  } else {
+    const list = String(spec).split(',').map(s => s.trim()).filter(Boolean);
+    if (list.length === 1 && !tabsBySlug.has(list[0]) && !parentOf.has(list[0])) {
+      const names = Object.keys(profiles);
+      throw new Error(`Unknown profile or tab "${list[0]}" (profiles: ${names.length ? names.join(', ') : 'none'}; tabs: ${known.join(', ')})`);
+    }
+    check(list, '--tabs');
+    name = 'custom';
+    slugs = expand(list);
+  }
+
+  for (const tab of tabMap.tabs) {
+    const sections = navSections(tab);
+    if (slugs.has(tab.slug) && sections.length && !sections.some(s => slugs.has(s.slug))) {
+      throw new Error(`Profile "${name}" keeps ${tab.slug} but none of its sections`);
+    }
+  }
+  if (slugs.size === 0) throw new Error(`Profile "${name}" keeps no tabs`);
+  return { name, slugs };
+}
+
+// Remove items failing `keep` (recursively) and let `visit` edit the rest.
+function filterItems(list, keep, visit) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    const item = list[i];
+    if (item && !keep(item)) {
+      list.splice(i, 1);
+      continue;
+    }
+    if (item) visit(item);
+    if (item && item.content && Array.isArray(item.content.items)) filterItems(item.content.items, keep, visit);
+  }
+}
+
+/**
+ * Apply `selection` (from resolveProfile) to split sources { tabMap, params,
+ * header, templates }, returning trimmed copies. See the header comment.
+ */
+function applyProfile(sources, selection) {
+  const out = clone(sources);
+  const { slugs } = selection;
+  const allTabs = out.tabMap.tabs;
+
+  // Quick links owned by tabs that are all excluded.
+  const owners = new Map();
+  for (const tab of allTabs) {
+    for (const id of tab.quickLinks || []) owners.set(id, [...(owners.get(id) || []), tab.slug]);
+  }
+  const droppedLinks = new Set([...owners].filter(([, tabs]) => !tabs.some(t => slugs.has(t))).map(([id]) => id));
+
+  // New selectedTab values: position in the tab strip.
+  const nav = out.header.items.find(i => i.name === MAIN_NAV);
+  if (!nav) throw new Error(`shared/header.json has no ${MAIN_NAV} item`);
+  const kept = allTabs.filter(t => slugs.has(t.slug));
+  const keptValues = new Set(kept.map(t => t.selectedTab));
+  const tabValues = new Map();
+  for (const link of nav.content.links) {
+    if (link.cellValue === TAB_PARAM && keptValues.has(link.subTarget) && !tabValues.has(link.subTarget)) {
+      tabValues.set(link.subTarget, String(tabValues.size));
+    }
+  }
+  const missing = kept.filter(t => !tabValues.has(t.selectedTab));
+  if (missing.length) throw new Error(`No ${MAIN_NAV} link for ${missing.map(t => t.slug).join(', ')}`);
+  const sectionValues = new Set(kept.flatMap(t => navSections(t).filter(s => slugs.has(s.slug)).map(s => s.value)));
+
+  out.tabMap.tabs = kept.map(t => {
+    const tab = { ...t, selectedTab: tabValues.get(t.selectedTab) };
+    if (t.subSections) tab.subSections = t.subSections.filter(s => isContinuation(s) || slugs.has(s.slug));
+    return tab;
+  });
+  for (const slug of Object.keys(out.templates)) {
+    if (!slugs.has(slug)) delete out.templates[slug];
+  }
+
+  const visible = (cv) => (cv.parameterName === TAB_PARAM ? tabValues.has(cv.value)
+    : cv.parameterName === SECTION_PARAM ? sectionValues.has(cv.value) : true);
+  const keepLink = (link) => {
+    if (droppedLinks.has(link.id)) return false;
+    if (link.linkTarget !== 'parameter') return true;
+    if (link.cellValue === TAB_PARAM) return tabValues.has(link.subTarget);
+    if (link.cellValue === SECTION_PARAM) return sectionValues.has(link.subTarget);
+    return true;
+  };
+  const keep = (item) => {
+    if (!visibilities(item).every(visible)) return false;
+    if (item.type === 11 && item.content && Array.isArray(item.content.links)) {
+      item.content.links = item.content.links.filter(keepLink);
+      return item.content.links.length > 0;
+    }
+    return true;
+  };
+  const sectioned = allTabs.find(t => navSections(t).length && slugs.has(t.slug));
+  const firstSection = () => sectionTabLinks(sectioned).map(l => l.subTarget).find(v => sectionValues.has(v));
+  const visit = (item) => {
+    for (const cv of visibilities(item)) {
+      if (cv.parameterName === TAB_PARAM) cv.value = tabValues.get(cv.value);
+    }
+    if (item.type === 11) {
+      for (const link of item.content.links) {
+        if (link.linkTarget === 'parameter' && link.cellValue === TAB_PARAM) link.subTarget = tabValues.get(link.subTarget);
+      }
+    }
+    if (item.type === 9 && item.content && Array.isArray(item.content.parameters)) {
+      for (const p of item.content.parameters) {
+        if (p.name === SECTION_PARAM && sectionValues.size && !sectionValues.has(p.value)) p.value = firstSection();
+      }
+    }
+  };
+
+  filterItems(out.header.items, keep, visit);
+  for (const doc of Object.values(out.templates)) filterItems(doc.items, keep, visit);
+  return out;
+}
+
+module.exports = {
+  resolveProfile,
+  applyProfile
+};
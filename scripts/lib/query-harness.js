@@ -0,0 +1,106 @@
+/**
+ * scripts/lib/query-harness.js — Runs workbook items locally against
+ * fixture tables.
+ *
+ * Ties the pieces together: the item's query is rendered with the
+ * parameters in scope at that item (parameters.js, using the fixture's
+ * selections — never mocks), parsed (kql-parser.js) and evaluated
+ * (kql-eval.js) against the tables for its data source:
+ *
+ *   queryType 0 (Log Analytics)  → `logs` tables, e.g. Perf, Heartbeat,
+ *                                  InsightsMetrics, Event
+ *   queryType 1 (Resource Graph) → `resourceGraph` tables (resource-graph.js),
+ *                                  scoped to the subscriptions in the item's
+ *                                  rendered crossComponentResources
+ *   queryType 7 (Merge)          → merge.js over the results of its source
+ *                                  items, each run the same way unless
+ *                                  `outputs` supplies a fixture result for it
+ *
+ * Results use the query API shape: { columns: [{ name, type }], rows: [[...]] }
+ * with datetimes as ISO strings.
+ *
+ * Usage:
+ *   const harness = createHarness({
+ *     doc, fixture: loadFixture(paramsFile),
+ *     logs: loadTables(laDir), resourceGraph: loadSnapshots(argDir)
+ *   });
+ *   const { columns, rows } = harness.runItem('mc-cpu-forecast');
+ */
+const { createResolver } = require('./parameters');
+const { evaluate } = require('./kql-eval');
+const { scopeToSubscriptions, subscriptionsIn } = require('./resource-graph');
+const { parseMerge, mergedTables, evaluateMerge } = require('./merge');
+
+const QUERY_TYPE_LOG_ANALYTICS = 0;
+const QUERY_TYPE_RESOURCE_GRAPH = 1;
+const QUERY_TYPE_MERGE = 7;
+
+function createHarness(options = {}) {
+  const { doc, fixture = {}, logs = {}, resourceGraph = {}, outputs = {} } = options;
+  const resolver = createResolver(doc, fixture);
+
+  function sourceFor(item, name) {
+    const queryType = item.content.queryType;
+    if (queryType === QUERY_TYPE_LOG_ANALYTICS) return { tables: logs };
+    if (queryType === QUERY_TYPE_RESOURCE_GRAPH) {
+      const order = resolver.orderOf(name);
+      const scope = (item.content.crossComponentResources || [])
+        .map(r => resolver.render(r, { order, context: 'text' }).text);
+      return { tables: scopeToSubscriptions(resourceGraph, subscriptionsIn(scope)), caseInsensitiveTables: true };
+    }
+    throw new Error(`Item ${name}: queryType ${queryType} cannot be run locally`);
+  }
+
+  return {
+    resolver,
+
+    /**
+     * Render a named query item and return its rendered text. Throws when a
+     * placeholder is left unresolved, since the result would be meaningless.
+     */
+    renderItem(name) {
+      const item = resolver.item(name);
+      if (!item || item.type !== 3) throw new Error(`Query item not found: ${name}`);
+      const { text, missing, errors } = resolver.renderItem(name, { strict: true });
+      if (missing.length || errors.length) {
+        throw new Error(`Item ${name}: cannot render query (${[...missing.map(m => `{${m}} unresolved`), ...errors].join('; ')})`);
+      }
+      return text.replace(/\r\n/g, '\n');
+    },
+
+    /**
+     * Run a named query item and return { columns, rows }. A result in
+     * `outputs` stands in for running the item.
+     */
+    runItem(name, _stack = []) {
+      if (outputs[name]) return outputs[name];
+      const item = resolver.item(name);
+      if (!item || item.type !== 3) throw new Error(`Query item not found: ${name}`);
+      if (item.content.queryType === QUERY_TYPE_MERGE) {
+        if (_stack.includes(name)) throw new Error(`Merge item ${name}: circular reference through ${_stack.join(' → ')}`);
+        const sources = {};
+        for (const table of mergedTables(parseMerge(item))) sources[table] = this.runItem(table, [..._stack, name]);
+        return evaluateMerge(item, sources);
+      }
+      const source = sourceFor(item, name);
+      return evaluate(this.renderItem(name), Object.assign({ now: resolver.now }, source));
+    }
+  };
+}
+
+/**
+ * Convert a { columns, rows } result to row objects keyed by column name,
+ * which reads better in assertions.
+ */
+function resultObjects(result) {
+  return result.rows.map(r => {
+    const o = {};
+    result.columns.forEach((c, i) => { o[c.name] = r[i]; });
+    return o;
+  });
+}
+
+module.exports = {
+  createHarness,
+  resultObjects
+};
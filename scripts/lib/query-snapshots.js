@@ -0,0 +1,161 @@
+/**
+ * scripts/lib/query-snapshots.js — Golden-file snapshots of rendered query
+ * text.
+ *
+ * A change to shared/parameters.json or to a query shows up in the
+ * .workbook diff as one long escaped JSON string. Snapshots render every KQL
+ * query in a sub-template (type=3 items and query-backed parameters) with
+ * the parameter fixture, pretty-print it one clause per line and store it as
+ * plain text, so the review diff is the query diff:
+ *
+ *   test-results/snapshots/<slug>/<item-name>.kql   written on every run
+ *   scripts/fixtures/snapshots/<slug>/<item-name>.kql   committed goldens
+ *
+ * Parameter queries are stored as "parameter-<Name>.kql". Characters other
+ * than letters, digits, '.', '_' and '-' in a name become '-'.
+ *
+ * Formatting (formatKql) works on the tokens from kql-parser.js, so it never
+ * changes string literals: top-level statements end with ';' on their own
+ * line, every '|' starts a new line indented by its bracket depth, a
+ * parenthesized sub-query opens on its own lines, and other whitespace
+ * collapses to one space. Comments are dropped — the snapshot shows what
+ * runs.
+ *
+ * Usage:
+ *   const { renderSnapshots, compareSnapshots } = require('./lib/query-snapshots');
+ *   const snapshots = renderSnapshots(doc, fixture);
+ *   const { changed, added, removed } = compareSnapshots(snapshots, goldenDir);
+ */
+const fs = require('fs');
+const path = require('path');
+const { tokenize, KqlSyntaxError } = require('./kql-parser');
+const { collectKqlQueries } = require('./kql-check');
+const { createResolver } = require('./parameters');
+
+const OPEN = new Set(['(', '[', '{']);
+const CLOSE = new Set([')', ']', '}']);
+const INDENT = '    ';
+
+/** Pretty-print KQL text one clause per line. Unparseable text is returned trimmed. */
+function formatKql(text) {
+  const src = String(text).replace(/\r\n/g, '\n');
+  let tokens;
+  try {
+    tokens = tokenize(src).filter(t => t.type !== 'eof');
+  } catch (e) {
+    if (!(e instanceof KqlSyntaxError)) throw e;
+    return `${src.trim()}\n`;
+  }
+
+  // Index of each opening bracket's partner, and whether a '(' holds a
+  // piped sub-query (a '|' directly inside it).
+  const partner = new Map();
+  const subQuery = new Set();
+  const stack = [];
+  tokens.forEach((t, i) => {
+    if (t.type !== 'punct') return;
+    if (OPEN.has(t.value)) stack.push(i);
+    else if (CLOSE.has(t.value) && stack.length) partner.set(stack.pop(), i);
+    else if (t.value === '|' && stack.length && tokens[stack[stack.length - 1]].value === '(') subQuery.add(stack[stack.length - 1]);
+  });
+  const closesSubQuery = new Set([...subQuery].map(i => partner.get(i)));
+
+  const lines = [];
+  let line = '';
+  let depth = 0;
+  const newLine = (indent) => {
+    if (line.trim()) lines.push(line.replace(/\s+$/, ''));
+    line = INDENT.repeat(indent);
+  };
+  tokens.forEach((t, i) => {
+    const raw = t.type === 'typed' ? t.raw.replace(/\s*\n\s*/g, ' ') : t.raw;
+    const prev = tokens[i - 1];
+    const gap = prev ? src.slice(prev.pos + prev.raw.length, t.pos) : '';
+    if (t.type === 'punct' && t.value === '|') {
+      newLine(depth);
+    } else if (closesSubQuery.has(i)) {
+      depth--;
+      newLine(depth);
+    } else if (line.trim() && /\s|\/\//.test(gap)) {
+      line += ' ';
+    }
+    line += raw;
+    if (t.type !== 'punct') return;
+    if (OPEN.has(t.value)) {
+      depth++;
+      if (subQuery.has(i)) newLine(depth);
+    } else if (CLOSE.has(t.value) && !closesSubQuery.has(i)) {
+      depth = Math.max(0, depth - 1);
+    } else if (t.value === ';' && depth === 0) {
+      newLine(0);
+    }
+  });
+  newLine(0);
+  return `${lines.join('\n')}\n`;
+}
+
+/** File name for a query collected by kql-check.collectKqlQueries(). */
+function snapshotFileName(queryName) {
+  return `${String(queryName).replace(/[^A-Za-z0-9._-]+/g, '-')}.kql`;
+}
+
+/**
+ * Render every KQL query in `doc` with `fixture` (parameters.js) and format
+ * it. Returns [{ name, file, text, missing }] in document order; `missing`
+ * lists placeholders the fixture left unresolved (kept verbatim in `text`).
+ */
+function renderSnapshots(doc, fixture = {}) {
+  const resolver = createResolver(doc, fixture);
+  const seen = new Map();
+  return collectKqlQueries(doc).map(q => {
+    const { text, missing, errors } = resolver.render(q.query.replace(/\r\n/g, '\n'), { order: resolver.orderOf(q.scope) });
+    const file = snapshotFileName(q.name);
+    if (seen.has(file)) throw new Error(`Queries "${seen.get(file)}" and "${q.name}" map to the same snapshot file ${file}`);
+    seen.set(file, q.name);
+    return { name: q.name, file, text: formatKql(text), missing: [...missing, ...errors] };
+  });
+}
+
+/** Write snapshots to `dir`, replacing any .kql files already there. */
+function writeSnapshots(dir, snapshots) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const f of fs.readdirSync(dir)) {
+    if (f.endsWith('.kql')) fs.unlinkSync(path.join(dir, f));
+  }
+  for (const s of snapshots) fs.writeFileSync(path.join(dir, s.file), s.text);
+}
+
+/**
+ * Compare snapshots with the goldens in `dir`. Returns
+ * { changed: [{ file, line, expected, actual }], added: [file], removed: [file] }
+ * where `line` is the first differing line (1-based).
+ */
+function compareSnapshots(snapshots, dir) {
+  const goldens = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.kql')) : [];
+  const changed = [];
+  const added = [];
+  for (const s of snapshots) {
+    const file = path.join(dir, s.file);
+    if (!goldens.includes(s.file)) {
+      added.push(s.file);
+      continue;
+    }
+    const expected = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+    if (expected === s.text) continue;
+    const a = expected.split('\n');
+    const b = s.text.split('\n');
+    let n = 0;
+    while (n < a.length && n < b.length && a[n] === b[n]) n++;
+    changed.push({ file: s.file, line: n + 1, expected: a[n] === undefined ? '<end of file>' : a[n], actual: b[n] === undefined ? '<end of file>' : b[n] });
+  }
+  const current = new Set(snapshots.map(s => s.file));
+  return { changed, added, removed: goldens.filter(f => !current.has(f)) };
+}
+
+module.exports = {
+  formatKql,
+  snapshotFileName,
+  renderSnapshots,
+  writeSnapshots,
+  compareSnapshots
+};
@@ -0,0 +1,275 @@
+/**
+ * scripts/lib/release-notes.js — Builds the README "What's New" section from
+ * a per-version changes file plus an item-level workbook diff, and applies a
+ * version bump to the README and the header banner text.
+ *
+ * A changes file (changelog/vX.Y.Z.json) holds what a diff cannot say:
+ *
+ *   {
+ *     "summary": "One paragraph: why this release exists.",
+ *     "changes": [
+ *       { "title": "Update Progress — Status filter extended",
+ *         "body": "What changed and why (Markdown).",
+ *         "items": ["update-history-table"] }
+ *     ],
+ *     "notes": "Optional closing paragraph."
+ *   }
+ *
+ * `items` (optional) names the workbook items an entry covers; coverage()
+ * compares them with the diff so entries that drifted from the workbook, and
+ * changed items no entry mentions, are reported.
+ *
+ * Versions follow release.yml: X.Y.Z with an optional pre-release suffix
+ * (X.Y.Z-rc.N), which release.yml publishes as a pre-release. nextVersion()
+ * and compareVersions() order them like semver (1.1.0-rc.1 < 1.1.0).
+ *
+ * Usage:
+ *   const { renderWhatsNew, updateReadme } = require('./lib/release-notes');
+ *   const section = renderWhatsNew('1.0.4', changes, diffWorkbooks(prev, next), { from: 'v1.0.3' });
+ *   fs.writeFileSync('README.md', updateReadme(readme, '1.0.4', section));
+ */
+const { formatMarkdown } = require('./workbook-diff');
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?$/;
+const BANNER_PATTERN = /Workbook Version: v\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?/g;
+const VERSION_IN_TEXT = /\bv\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?(?![0-9A-Za-z.-])/g;
+const BANNER_ITEM = 'version-update-banner';
+const TITLE_ITEM = 'workbook-title-version';
+const PENDING_MARKER = '<!-- release-notes: pending -->';
+const APPENDIX_HEADING = '## Appendix: Previous Versions Change Log';
+
+/** "v1.0.4" or "1.0.4" → "1.0.4"; throws on anything release.yml would not tag. */
+function parseVersion(input) {
+  const version = String(input || '').replace(/^v/, '');
+  if (!VERSION_PATTERN.test(version)) {
+    throw new Error(`Invalid version "${input}" (expected X.Y.Z or X.Y.Z-suffix, e.g. 1.0.4 or 1.1.0-rc.1)`);
+  }
+  return version;
+}
+
+function splitVersion(version) {
+  const [core, pre] = version.split(/-(.*)/);
+  return { nums: core.split('.').map(Number), pre: pre ? pre.split('.') : [] };
+}
+
+/** Semver precedence of two X.Y.Z[-suffix] versions: negative, 0 or positive. */
+function compareVersions(a, b) {
+  const x = splitVersion(parseVersion(a));
+  const y = splitVersion(parseVersion(b));
+  for (let i = 0; i < 3; i++) if (x.nums[i] !== y.nums[i]) return x.nums[i] - y.nums[i];
+  if (!x.pre.length || !y.pre.length) return y.pre.length - x.pre.length;
+  for (let i = 0; i < Math.max(x.pre.length, y.pre.length); i++) {
+    const p = x.pre[i];
+    const q = y.pre[i];
+    if (p === undefined || q === undefined) return p === undefined ? -1 : 1;
+    if (p === q) continue;
+    const pn = /^\d+$/.test(p);
+    const qn = /^\d+$/.test(q);
+    if (pn && qn) return Number(p) - Number(q);
+    if (pn !== qn) return pn ? -1 : 1;
+    return p < q ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * The version after `current` for "major", "minor" or "patch", or `spec`
+ * itself when it is a version. A pre-release is released by the bump that
+ * reaches it (1.1.0-rc.2 + minor → 1.1.0), as with npm version.
+ */
+function nextVersion(current, spec) {
+  if (!['major', 'minor', 'patch'].includes(spec)) return parseVersion(spec);
+  const { nums: [major, minor, patch], pre } = splitVersion(parseVersion(current));
+  const released = pre.length > 0;
+  if (spec === 'major') return released && minor === 0 && patch === 0 ? `${major}.0.0` : `${major + 1}.0.0`;
+  if (spec === 'minor') return released && patch === 0 ? `${major}.${minor}.0` : `${major}.${minor + 1}.0`;
+  return released ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+}
+
+/** Problems with a parsed changes file, as messages; empty when valid. */
+function validateChanges(changes) {
+  const problems = [];
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return ['changes file must be a JSON object'];
+  if (typeof changes.summary !== 'string' || !changes.summary.trim()) problems.push('"summary" must be a non-empty string');
+  if (!Array.isArray(changes.changes) || changes.changes.length === 0) {
+    problems.push('"changes" must be a non-empty array');
+  } else {
+    changes.changes.forEach((c, i) => {
+      const where = `changes[${i}]`;
+      if (!c || typeof c.title !== 'string' || !c.title.trim()) problems.push(`${where}.title must be a non-empty string`);
+      if (!c || typeof c.body !== 'string' || !c.body.trim()) problems.push(`${where}.body must be a non-empty string`);
+      if (c && c.items !== undefined && !(Array.isArray(c.items) && c.items.every(n => typeof n === 'string'))) {
+        problems.push(`${where}.items must be an array of item names`);
+      }
+    });
+  }
+  if (changes.notes !== undefined && typeof changes.notes !== 'string') problems.push('"notes" must be a string');
+  return problems;
+}
+
+/** GitHub's anchor for the "What's New (vX.Y.Z)" heading, e.g. "whats-new-v104". */
+function whatsNewAnchor(version) {
+  return `What's New (v${version})`.toLowerCase().replace(/[^a-z0-9 _-]/g, '').replace(/ /g, '-');
+}
+
+/**
+ * Replace the "Workbook Version: vX.Y.Z" banner in `text` (shared/header.json
+ * or a serialized workbook). Throws unless there is exactly one banner.
+ */
+function setBannerVersion(text, version) {
+  const found = String(text).match(BANNER_PATTERN) || [];
+  if (found.length !== 1) throw new Error(`Expected one "Workbook Version: vX.Y.Z" banner, found ${found.length}`);
+  return String(text).replace(BANNER_PATTERN, `Workbook Version: v${version}`);
+}
+
+/** Version in the header banner (shared/header.json object), or null. */
+function headerVersion(header) {
+  const banner = (header.items || []).find(i => i.name === BANNER_ITEM);
+  const m = banner && /Workbook Version: v(\S+)/.exec(banner.content.json);
+  return m ? m[1] : null;
+}
+
+/**
+ * Copy of the shared/header.json object at `version`: the banner is required;
+ * a version in the title markdown, if any, is updated too.
+ */
+function setHeaderVersion(header, version) {
+  const out = JSON.parse(JSON.stringify(header));
+  const banner = (out.items || []).find(i => i.name === BANNER_ITEM);
+  if (!banner) throw new Error(`Header has no ${BANNER_ITEM} item`);
+  banner.content.json = setBannerVersion(banner.content.json, version);
+  const title = out.items.find(i => i.name === TITLE_ITEM);
+  if (title && typeof title.content.json === 'string') title.content.json = title.content.json.replace(VERSION_IN_TEXT, `v${version}`);
+  return out;
+}
+
+/**
+ * Placeholder section for a bump without a changes file. release.yml refuses
+ * to publish a section carrying PENDING_MARKER.
+ */
+function pendingSection(version) {
+  return [
+    `## What's New (v${version})`,
+    '',
+    PENDING_MARKER,
+    `Release notes for v${version} have not been written yet: add \`changelog/v${version}.json\` and run \`node scripts/release-notes.js ${version}\`.`,
+    '',
+    ''
+  ].join('\n');
+}
+
+// Item names a diff touches (the last path segment; for parameters also the
+// parameters item). The version banner changes with every bump and is not
+// reported.
+function changedItems(diff) {
+  const byName = new Map();
+  const note = (name, itemPath) => {
+    if (name && name !== BANNER_ITEM && !byName.has(name)) byName.set(name, itemPath);
+  };
+  for (const key of ['added', 'removed', 'queries', 'text', 'visualization', 'other']) {
+    for (const e of diff[key]) note(e.path.split('/').pop(), e.path);
+  }
+  for (const m of diff.moved) note(m.name, m.to);
+  for (const p of diff.parameters) {
+    const segments = p.path.split('/');
+    note(segments[segments.length - 2], segments.slice(0, -1).join('/'));
+  }
+  return byName;
+}
+
+/**
+ * Compare the items named in a changes file with a diff. Returns
+ * { undocumented: [path], unchanged: [name] } — changed items no entry lists
+ * (only when at least one entry lists items) and listed items the diff does
+ * not show as changed.
+ */
+function coverage(changes, diff) {
+  const changed = changedItems(diff);
+  const listed = new Set();
+  for (const c of changes.changes) (c.items || []).forEach(n => listed.add(n));
+  const paramNames = new Set(diff.parameters.map(p => p.path.split('/').pop()));
+  return {
+    undocumented: listed.size === 0 ? [] : [...changed].filter(([name]) => !listed.has(name)).map(([, p]) => p),
+    unchanged: [...listed].filter(n => !changed.has(n) && !paramNames.has(n))
+  };
+}
+
+/**
+ * The README section for `version`: summary, numbered entries, notes and the
+ * item-level changes since `from`, listed without line diffs unless `diffs`
+ * is set (GitHub release notes). Ends with a blank line.
+ */
+function renderWhatsNew(version, changes, diff, { from = 'previous release', diffs = false } = {}) {
+  const out = [`## What's New (v${version})`, '', changes.summary.trim(), ''];
+  changes.changes.forEach((c, i) => {
+    const title = c.title.trim();
+    out.push(`${i + 1}. **${title}${/[.!?]$/.test(title) ? '' : '.'}** ${c.body.trim()}`, '');
+  });
+  if (changes.notes && changes.notes.trim()) out.push(changes.notes.trim(), '');
+  out.push(formatMarkdown(diff, { from, to: `v${version}`, level: 3, diffs }).replace(/\n*$/, '\n'));
+  return `${out.join('\n')}\n`;
+}
+
+// Push every heading below "##" one level deeper, outside code fences.
+function demoteHeadings(text) {
+  let fenced = false;
+  return text.split('\n').map(line => {
+    if (/^\s*```/.test(line)) fenced = !fenced;
+    return !fenced && /^#{3,5} /.test(line) ? `#${line}` : line;
+  }).join('\n');
+}
+
+function replaceLine(text, pattern, replacement, what) {
+  if (!pattern.test(text)) throw new Error(`README has no ${what}`);
+  return text.replace(pattern, replacement);
+}
+
+/**
+ * Apply `section` (from renderWhatsNew) for `version` to the README text:
+ * the "Latest Version" header, the TOC link and the first "What's New"
+ * section. A section for another version is moved to the top of the
+ * appendix as "### vX.Y.Z"; one for the same version is replaced, so the
+ * bump can be re-run.
+ */
+function updateReadme(readme, version, section) {
+  const heading = /^## What's New \(v([^)]+)\)[^\n]*\n/m.exec(readme);
+  if (!heading) throw new Error('README has no "## What\'s New (vX.Y.Z)" section');
+  const start = heading.index;
+  const rest = readme.slice(start + heading[0].length);
+  const next = /^## /m.exec(rest);
+  const end = start + heading[0].length + (next ? next.index : rest.length);
+  const previous = heading[1];
+
+  let out = `${readme.slice(0, start)}${section.replace(/\n*$/, '\n\n')}${readme.slice(end)}`;
+  if (previous !== version) {
+    const archived = `### v${previous}\n\n${demoteHeadings(readme.slice(start + heading[0].length, end).trim())}\n\n`;
+    if (new RegExp(`^### v${previous.replace(/\./g, '\\.')}$`, 'm').test(out)) {
+      throw new Error(`README appendix already has a "### v${previous}" entry`);
+    }
+    const appendix = out.indexOf(`${APPENDIX_HEADING}\n`);
+    if (appendix < 0) throw new Error(`README has no "${APPENDIX_HEADING}" section`);
+    const at = appendix + APPENDIX_HEADING.length + 1;
+    const gap = out.slice(at).match(/^\n*/)[0].length;
+    out = `${out.slice(0, at)}\n${archived}${out.slice(at + gap)}`;
+  }
+  out = replaceLine(out, /^## Latest Version: v\S+$/m, `## Latest Version: v${version}`, '"## Latest Version" header');
+  return replaceLine(out, /^- \[What's New \(v[^)]+\)\]\(#[^)]*\)$/m,
+    `- [What's New (v${version})](#${whatsNewAnchor(version)})`, '"What\'s New" table of contents link');
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  nextVersion,
+  headerVersion,
+  setHeaderVersion,
+  pendingSection,
+  validateChanges,
+  whatsNewAnchor,
+  setBannerVersion,
+  coverage,
+  renderWhatsNew,
+  updateReadme,
+  VERSION_PATTERN,
+  PENDING_MARKER
+};
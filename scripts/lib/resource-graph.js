@@ -0,0 +1,132 @@
+/**
+ * scripts/lib/resource-graph.js — Local stand-in for Azure Resource Graph.
+ *
+ * Loads resource snapshots (portal / `az graph query` style JSON objects)
+ * into the ARG tables the workbook queries — resources,
+ * extensibilityresources, resourcecontainers and
+ * kubernetesconfigurationresources — so kql-eval.js can run queryType 1
+ * items offline.
+ *
+ * Snapshots live in one directory, one JSON array per table
+ * (<table>.json). Each resource needs at least `id` and `type`; like the
+ * service, the emulator:
+ *   - derives name, resourceGroup and subscriptionId from `id` when absent
+ *   - lower-cases type, resourceGroup, subscriptionId and location
+ *   - exposes every standard column (missing ones are null)
+ *   - resolves table names case-insensitively (ExtensibilityResources)
+ *   - scopes rows to the subscriptions an item targets
+ *     (crossComponentResources)
+ *
+ * Usage:
+ *   const { loadSnapshots, scopeToSubscriptions } = require('./lib/resource-graph');
+ *   const tables = loadSnapshots('scripts/fixtures/resource-graph');
+ */
+const fs = require('fs');
+const path = require('path');
+const { makeTable } = require('./kql-eval');
+
+const ARG_TABLES = ['resources', 'extensibilityresources', 'resourcecontainers', 'kubernetesconfigurationresources'];
+
+const ARG_COLUMNS = [
+  { name: 'id', type: 'string' },
+  { name: 'name', type: 'string' },
+  { name: 'type', type: 'string' },
+  { name: 'tenantId', type: 'string' },
+  { name: 'kind', type: 'string' },
+  { name: 'location', type: 'string' },
+  { name: 'resourceGroup', type: 'string' },
+  { name: 'subscriptionId', type: 'string' },
+  { name: 'managedBy', type: 'string' },
+  { name: 'sku', type: 'dynamic' },
+  { name: 'plan', type: 'dynamic' },
+  { name: 'properties', type: 'dynamic' },
+  { name: 'tags', type: 'dynamic' },
+  { name: 'identity', type: 'dynamic' },
+  { name: 'zones', type: 'dynamic' },
+  { name: 'extendedLocation', type: 'dynamic' },
+  { name: 'systemData', type: 'dynamic' }
+];
+
+const LOWERCASE_COLUMNS = ['type', 'resourceGroup', 'subscriptionId', 'location'];
+
+/** Normalize one snapshot resource to an ARG row. */
+function normalizeResource(res, file) {
+  if (!res || typeof res.id !== 'string' || typeof res.type !== 'string') {
+    throw new Error(`Resource snapshot ${file}: every resource needs string "id" and "type" (got ${JSON.stringify(res).slice(0, 80)})`);
+  }
+  const row = {};
+  for (const c of ARG_COLUMNS) {
+    const v = res[c.name];
+    row[c.name] = v === undefined ? (c.type === 'string' ? '' : null) : v;
+  }
+  const sub = /^\/subscriptions\/([^/]+)/i.exec(res.id);
+  const rg = /\/resourceGroups\/([^/]+)/i.exec(res.id);
+  if (!row.subscriptionId && sub) row.subscriptionId = sub[1];
+  if (!row.resourceGroup && rg) row.resourceGroup = rg[1];
+  if (!row.name) row.name = res.id.split('/').filter(Boolean).pop();
+  // ARG exports carry null for columns a resource does not have (a
+  // subscription's location).
+  for (const name of LOWERCASE_COLUMNS) row[name] = row[name] == null ? row[name] : String(row[name]).toLowerCase();
+  return row;
+}
+
+/**
+ * Load <table>.json snapshots from `dir`. Every ARG table is present in the
+ * result (empty when it has no file); unknown file names are rejected so a
+ * typo does not silently produce an empty table.
+ */
+function loadSnapshots(dir) {
+  const tables = {};
+  for (const name of ARG_TABLES) tables[name] = makeTable(ARG_COLUMNS.map(c => Object.assign({}, c)), []);
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (path.extname(file).toLowerCase() !== '.json') continue;
+    const name = path.basename(file, '.json').toLowerCase();
+    if (!ARG_TABLES.includes(name)) {
+      throw new Error(`Resource snapshot ${file}: unknown Resource Graph table (expected one of ${ARG_TABLES.join(', ')})`);
+    }
+    const full = path.join(dir, file);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(full, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to read resource snapshot ${full}: ${e.message}`);
+    }
+    if (!Array.isArray(data)) throw new Error(`Resource snapshot ${full} must be a JSON array of resources`);
+    tables[name].rows.push(...data.map(r => normalizeResource(r, file)));
+  }
+  return tables;
+}
+
+/**
+ * Restrict every table to rows in `subscriptionIds` (what ARG does with an
+ * item's crossComponentResources). An empty list leaves the tables as-is.
+ */
+function scopeToSubscriptions(tables, subscriptionIds) {
+  if (!subscriptionIds || subscriptionIds.length === 0) return tables;
+  const allowed = new Set(subscriptionIds.map(s => s.toLowerCase()));
+  const scoped = {};
+  for (const [name, table] of Object.entries(tables)) {
+    scoped[name] = makeTable(table.columns, table.rows.filter(r => allowed.has(String(r.subscriptionId).toLowerCase())));
+  }
+  return scoped;
+}
+
+/** Subscription ids referenced by rendered crossComponentResources entries. */
+function subscriptionsIn(values) {
+  const ids = [];
+  for (const v of values || []) {
+    const re = /\/subscriptions\/([0-9a-fA-F-]{36})/g;
+    let m;
+    while ((m = re.exec(String(v)))) if (!ids.includes(m[1].toLowerCase())) ids.push(m[1].toLowerCase());
+  }
+  return ids;
+}
+
+module.exports = {
+  loadSnapshots,
+  scopeToSubscriptions,
+  subscriptionsIn,
+  normalizeResource,
+  ARG_TABLES,
+  ARG_COLUMNS
+};
@@ -0,0 +1,252 @@
+/**
+ * scripts/lib/scaffold.js — Plans a new tab or Capacity section: the
+ * sub-template under workbooks/<Slug>/ and its scripts/template-ids.json
+ * entry. Everything else follows from template-ids.json: the nav link
+ * (scripts/lib/navigation.js), the gallery stub (build-gallery.js) and the
+ * per-tab test suites.
+ *
+ * A new tab gets the next unused selectedTab and goes at the end of the tab
+ * strip (or after --after); a new section gets the CapacitySection value
+ * and group name pattern of its siblings. Its starter content is a header
+ * markdown and one Resource Graph table of the clusters in scope, filtered
+ * like every other query and with a noDataMessage, to copy from.
+ *
+ * Usage:
+ *   const { planTab, planSection } = require('./lib/scaffold');
+ *   const { entry, files } = planTab(ROOT, { slug: 'Storage', label: '💾 Storage' });
+ *   // files: [{ file: 'workbooks/Storage/Storage.workbook', text }, { file: 'scripts/template-ids.json', text }]
+ */
+const fs = require('fs');
+const path = require('path');
+const { templateEntries, navSections } = require('./splitter');
+const { serialize } = require('./workbook');
+const { sourceText } = require('./format');
+
+const SCHEMA = 'https://github.com/Microsoft/Application-Insights-Workbooks/blob/master/schema/workbook.json';
+const SLUG = /^[A-Z][A-Za-z0-9]*(-[A-Z][A-Za-z0-9]*)*$/;
+
+const SAMPLE_QUERY = [
+  'resources',
+  '| where type == "microsoft.azurestackhci/clusters"',
+  "| where '{ResourceGroupFilter}' == '' or resourceGroup matches regex strcat('(?i)', replace_string(replace_string('{ResourceGroupFilter}', '*', '.*'), '?', '.'))",
+  "| where '{ClusterTagName}' == '' or ('{ClusterTagValue}' != '' and tostring(tags['{ClusterTagName}']) =~ '{ClusterTagValue}')",
+  '| project Cluster = name, resourceGroup, Status = tostring(properties.status)',
+  '| order by Cluster asc'
+].join('\r\n');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+const kebab = (s) => s.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+// "💾 Storage pools" → "Storage-pools"
+const folderWords = (label) => label.replace(/[^A-Za-z0-9 -]/g, ' ').trim().split(/[\s-]+/).filter(Boolean).join('-');
+
+// Every item name in the sources, to keep new names unique.
+function usedNames(root, tabMap) {
+  const names = new Set();
+  const walk = (items) => items.forEach(i => {
+    if (!i) return;
+    if (i.name) names.add(i.name);
+    if (i.content && Array.isArray(i.content.items)) walk(i.content.items);
+  });
+  walk(readJson(path.join(root, 'shared', 'header.json')).items);
+  for (const slug of templateEntries(tabMap).map(e => e.slug)) {
+    const file = path.join(root, 'workbooks', slug, `${slug}.workbook`);
+    if (fs.existsSync(file)) walk(readJson(file).items);
+  }
+  return names;
+}
+
+function starterItems(name, label, what) {
+  return [
+    {
+      type: 1,
+      content: {
+        json: `## ${label}\r\nDescribe what this ${what} shows and when to use it.\r\n\r\n**Scope:** the clusters matching the Subscription / Resource Group / Cluster Tag filters above.`
+      },
+      name: `text-${name}-header`
+    },
+    {
+      type: 3,
+      content: {
+        version: 'KqlItem/1.0',
+        query: SAMPLE_QUERY,
+        size: 0,
+        showAnalytics: true,
+        title: 'Azure Local clusters in scope',
+        showExportToExcel: true,
+        queryType: 1,
+        resourceType: 'microsoft.resourcegraph/resources',
+        crossComponentResources: ['{Subscriptions}'],
+        gridSettings: {
+          rowLimit: 2000
+        },
+        noDataMessage: 'No Azure Local clusters match the current Subscription / Resource Group / Cluster Tag filters.',
+        noDataMessageStyle: 4
+      },
+      name: `${name}-clusters-table`
+    }
+  ];
+}
+
+function checkCommon(root, tabMap, { slug, label, groupName }) {
+  const problems = [];
+  if (!SLUG.test(slug || '')) problems.push(`slug "${slug}" must be PascalCase (e.g. Storage, Capacity-Storage)`);
+  if (!label || !String(label).trim()) problems.push('a --label is required (e.g. "💾 Storage")');
+  const slugs = templateEntries(tabMap).map(e => e.slug);
+  if (slugs.includes(slug)) problems.push(`${slug} is already in scripts/template-ids.json`);
+  else if (slug && fs.existsSync(path.join(root, 'workbooks', slug))) problems.push(`workbooks/${slug}/ already exists`);
+  if (groupName && usedNames(root, tabMap).has(groupName)) problems.push(`item name "${groupName}" is already in use`);
+  return problems;
+}
+
+// New strip order with `slug` appended, or inserted after `after`.
+function placeIn(strip, slug, after, what) {
+  if (!after) return [...strip, slug];
+  const i = strip.indexOf(after);
+  if (i < 0) throw new Error(`--after ${after}: not a ${what} (expected one of: ${strip.join(', ')})`);
+  return [...strip.slice(0, i + 1), slug, ...strip.slice(i + 1)];
+}
+
+/**
+ * Plan a new tab. Options: slug, label, groupName (default
+ * "<slug>-tab-group"), galleryFolderName (default "LENS-<Label-Words>"),
+ * after (tab slug it follows in the tab strip). Returns { entry, files }.
+ */
+function planTab(root, options) {
+  const tabMap = readJson(path.join(root, 'scripts', 'template-ids.json'));
+  const { slug, label } = options;
+  const groupName = options.groupName || `${kebab(slug || '')}-tab-group`;
+  const problems = checkCommon(root, tabMap, { slug, label, groupName });
+  if (problems.length) throw new Error(`Cannot add tab ${slug}:\n   ${problems.join('\n   ')}`);
+
+  const taken = new Set(tabMap.tabs.map(t => Number(t.selectedTab)));
+  let selectedTab = 0;
+  while (taken.has(selectedTab)) selectedTab++;
+  const entry = {
+    selectedTab: String(selectedTab),
+    slug,
+    groupName,
+    label,
+    navId: `${slug.toLowerCase()}-tab`,
+    galleryFolderName: options.galleryFolderName || `LENS-${folderWords(label)}`,
+    galleryTemplateId: ''
+  };
+  const strip = tabMap.tabStrip || tabMap.tabs.map(t => t.slug);
+  const next = { ...tabMap, tabStrip: placeIn(strip, slug, options.after, 'tab'), tabs: [...tabMap.tabs, entry] };
+
+  const params = readJson(path.join(root, 'shared', 'parameters.json'));
+  const header = readJson(path.join(root, 'shared', 'header.json'));
+  const mainTabs = header.items.find(i => i.name === 'main-tabs');
+  const doc = {
+    version: 'Notebook/1.0',
+    items: [
+      params,
+      { ...mainTabs, content: { ...mainTabs.content, links: [] } },
+      {
+        type: 12,
+        content: {
+          version: 'NotebookGroup/1.0',
+          groupType: 'editable',
+          title: label.replace(/^[^A-Za-z0-9]+/, ''),
+          items: starterItems(kebab(slug), label, 'tab')
+        },
+        name: groupName
+      }
+    ],
+    fallbackResourceIds: ['azure monitor'],
+    $schema: SCHEMA
+  };
+  return {
+    entry,
+    files: [
+      { file: `workbooks/${slug}/${slug}.workbook`, text: sourceText(doc) },
+      { file: 'scripts/template-ids.json', text: serialize(next) }
+    ]
+  };
+}
+
+/**
+ * Plan a new section of `parent` (default: the tab with Capacity-style
+ * sections).
+ * Options: slug, label, value (CapacitySection value, default the lower-case
+ * slug suffix), groupName (default: the siblings' pattern, e.g.
+ * "cap-<value>-section"), galleryFolderName, after (section slug it follows
+ * in the section strip). Returns { entry, files }.
+ */
+function planSection(root, options) {
+  const tabMap = readJson(path.join(root, 'scripts', 'template-ids.json'));
+  const parents = tabMap.tabs.filter(t => navSections(t).length);
+  const parent = options.parent ? parents.find(t => t.slug === options.parent) : parents[0];
+  if (!parent) {
+    throw new Error(options.parent
+      ? `${options.parent} has no sections (tabs with sections: ${parents.map(t => t.slug).join(', ') || 'none'})`
+      : 'No tab in scripts/template-ids.json has sections');
+  }
+  const { slug, label } = options;
+  const suffix = (slug || '').startsWith(`${parent.slug}-`) ? slug.slice(parent.slug.length + 1) : slug || '';
+  const value = options.value || suffix.toLowerCase();
+  const sibling = navSections(parent)[0];
+  const prefix = sibling.groupName.endsWith(`${sibling.value}-section`)
+    ? sibling.groupName.slice(0, -`${sibling.value}-section`.length) : `${parent.slug.toLowerCase()}-`;
+  const groupName = options.groupName || `${prefix}${value}-section`;
+  const problems = checkCommon(root, tabMap, { slug, label, groupName });
+  if (slug && !slug.startsWith(`${parent.slug}-`)) problems.push(`section slugs start with "${parent.slug}-" (e.g. ${parent.slug}-Storage)`);
+  if (parent.subSections.some(s => s.value === value)) problems.push(`CapacitySection value "${value}" is already used`);
+  if (problems.length) throw new Error(`Cannot add section ${slug}:\n   ${problems.join('\n   ')}`);
+
+  const entry = {
+    value,
+    slug,
+    groupName,
+    label,
+    navId: `tab-${value}`,
+    galleryFolderName: options.galleryFolderName || `${parent.galleryFolderName || `LENS-${parent.slug}`}-${folderWords(label)}`,
+    galleryTemplateId: ''
+  };
+  const strip = parent.sectionStrip || navSections(parent).map(s => s.slug);
+  const nextParent = { ...parent, subSections: [...parent.subSections, entry] };
+  if (parent.sectionStrip || options.after) nextParent.sectionStrip = placeIn(strip, slug, options.after, `${parent.slug} section`);
+  const next = { ...tabMap, tabs: tabMap.tabs.map(t => (t === parent ? nextParent : t)) };
+
+  // Section sub-templates carry the parameters and the section driver
+  // (cap-shared-params) of their siblings.
+  const siblingDoc = readJson(path.join(root, 'workbooks', sibling.slug, `${sibling.slug}.workbook`));
+  const doc = {
+    version: 'Notebook/1.0',
+    items: [
+      readJson(path.join(root, 'shared', 'parameters.json')),
+      siblingDoc.items[1],
+      {
+        type: 12,
+        content: {
+          version: 'NotebookGroup/1.0',
+          groupType: 'editable',
+          items: starterItems(kebab(slug), label, 'section')
+        },
+        conditionalVisibility: {
+          parameterName: 'CapacitySection',
+          comparison: 'isEqualTo',
+          value
+        },
+        name: groupName
+      }
+    ],
+    fallbackResourceIds: ['azure monitor'],
+    $schema: SCHEMA
+  };
+  return {
+    entry,
+    files: [
+      { file: `workbooks/${slug}/${slug}.workbook`, text: sourceText(doc) },
+      { file: 'scripts/template-ids.json', text: serialize(next) }
+    ]
+  };
+}
+
+module.exports = {
+  planTab,
+  planSection
+};
@@ -0,0 +1,195 @@
+/**
+ * scripts/lib/schema.js — Validates workbook documents against the Azure
+ * Workbooks schemas kept in scripts/schemas/ (workbook.json and the item
+ * schemas it refers to), offline and without dependencies. The schema
+ * files are written after the upstream ones, not copied from them.
+ *
+ * Implements the part of JSON Schema draft-07 those files use: $ref (within
+ * a file, or "<file>.json#/pointer" to another one), type, enum, const,
+ * properties, required, additionalProperties, items, minimum, maximum,
+ * pattern, allOf and if / then / else.
+ *
+ * Every error names the value by its JSON pointer into the document
+ * ("/items/3/content/gridsettings"). An unknown property close to a known
+ * one says which ("did you mean gridSettings?"). Unknown properties listed
+ * in scripts/schemas/allowlist.json for the object schema they appear
+ * under are not errors.
+ *
+ * Usage:
+ *   const { loadSchemas, validateSource } = require('./lib/schema');
+ *   const schemas = loadSchemas();
+ *   validateSource(doc, schemas);   // [{ pointer, message }]
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.resolve(__dirname, '..', 'schemas');
+const WORKBOOK = 'workbook.json';
+
+/** A JSON pointer token: "~" and "/" escaped (RFC 6901). */
+const token = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * The schemas in `dir`: { files: { name: schema }, allowlist: Map of
+ * "<file>#<pointer>" → Set of property names }. Throws on a file that is
+ * not valid JSON or an allowlist entry without schema, property or reason.
+ */
+function loadSchemas(dir = SCHEMA_DIR) {
+  const files = {};
+  let allowlist = { properties: [] };
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+    } catch (e) {
+      throw new Error(`${f} is not valid JSON: ${e.message}`);
+    }
+    if (f === 'allowlist.json') allowlist = doc;
+    else files[f] = doc;
+  }
+  if (!files[WORKBOOK]) throw new Error(`${WORKBOOK} not found in ${dir}`);
+  const allowed = new Map();
+  (allowlist.properties || []).forEach((entry, i) => {
+    if (!entry.schema || !entry.property || !entry.reason) {
+      throw new Error(`allowlist.json: properties[${i}] needs schema, property and reason`);
+    }
+    const key = entry.schema.includes('#') ? entry.schema : `${entry.schema}#`;
+    if (!allowed.has(key)) allowed.set(key, new Set());
+    allowed.get(key).add(entry.property);
+  });
+  return { files, allowlist: allowed };
+}
+
+/** The schema at `ref` ("#/definitions/x", "file.json", "file.json#/..."), seen from `file`: { file, at, schema }. */
+function resolve(schemas, ref, file) {
+  const [refFile, pointer = ''] = ref.split('#');
+  const target = refFile || file;
+  let schema = schemas.files[target];
+  if (!schema) throw new Error(`${file}: $ref to unknown schema file ${target}`);
+  for (const part of pointer.split('/').filter(Boolean)) {
+    schema = schema[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    if (schema === undefined) throw new Error(`${file}: $ref ${ref} does not resolve`);
+  }
+  return { file: target, at: pointer, schema };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const typeMatches = (value, type) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+const show = (value) => JSON.stringify(value);
+
+/** Edit distance of `a` and `b`, for "did you mean". */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const here = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = here;
+    }
+  }
+  return row[b.length];
+}
+
+/** The known property `key` is most likely a misspelling of, if any. */
+function suggestion(key, known) {
+  const lower = key.toLowerCase();
+  const exact = known.find(k => k.toLowerCase() === lower);
+  if (exact) return exact;
+  const close = known
+    .map(k => ({ k, d: distance(lower, k.toLowerCase()) }))
+    .filter(c => c.d <= Math.max(1, Math.floor(key.length / 5)))
+    .sort((a, b) => a.d - b.d);
+  return close.length ? close[0].k : null;
+}
+
+/**
+ * Check `value` against `schema` (at `file`#`at`); push { pointer, message }
+ * for every problem onto `errors`.
+ */
+function check(value, schema, pointer, errors, schemas, file, at) {
+  if (schema.$ref) {
+    const target = resolve(schemas, schema.$ref, file);
+    check(value, target.schema, pointer, errors, schemas, target.file, target.at);
+    return;
+  }
+  const where = pointer || '/';
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => typeMatches(value, t))) {
+      errors.push({ pointer: where, message: `expected ${types.join(' or ')}, found ${typeOf(value)}` });
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ pointer: where, message: `must be ${show(schema.const)}, found ${show(value)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ pointer: where, message: `${show(value)} is not one of ${schema.enum.map(show).join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ pointer: where, message: `${value} is below the minimum ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ pointer: where, message: `${value} is above the maximum ${schema.maximum}` });
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ pointer: where, message: `${show(value)} does not match ${schema.pattern}` });
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ pointer: where, message: `missing required property "${key}"` });
+    }
+    const properties = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      const child = `${pointer}/${token(key)}`;
+      if (properties[key]) {
+        check(v, properties[key], child, errors, schemas, file, `${at}/properties/${token(key)}`);
+      } else if (schema.additionalProperties === false) {
+        const allowed = schemas.allowlist.get(`${file}#${at}`);
+        if (allowed && allowed.has(key)) continue;
+        const near = suggestion(key, Object.keys(properties));
+        errors.push({ pointer: child, message: `unknown property "${key}"${near ? ` (did you mean "${near}"?)` : ''}` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(v, schema.additionalProperties, child, errors, schemas, file, `${at}/additionalProperties`);
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => check(v, schema.items, `${pointer}/${i}`, errors, schemas, file, `${at}/items`));
+  }
+  (schema.allOf || []).forEach((sub, i) => check(value, sub, pointer, errors, schemas, file, `${at}/allOf/${i}`));
+  if (schema.if) {
+    const probe = [];
+    check(value, schema.if, pointer, probe, schemas, file, `${at}/if`);
+    const branch = probe.length ? 'else' : 'then';
+    if (schema[branch]) check(value, schema[branch], pointer, errors, schemas, file, `${at}/${branch}`);
+  }
+}
+
+/** Errors of `value` against the schema at `ref` (default: a whole workbook): [{ pointer, message }]. */
+function validate(value, schemas = loadSchemas(), ref = WORKBOOK) {
+  const errors = [];
+  const target = resolve(schemas, ref, WORKBOOK);
+  check(value, target.schema, '', errors, schemas, target.file, target.at);
+  return errors;
+}
+
+/**
+ * Errors of a source document, by its shape: a workbook (a sub-template or
+ * the monolithic build), an items list (shared/header.json) or a single
+ * item (shared/parameters.json).
+ */
+function validateSource(doc, schemas = loadSchemas()) {
+  if (doc && doc.version !== undefined) return validate(doc, schemas, WORKBOOK);
+  if (doc && Array.isArray(doc.items)) return validate(doc, schemas, `${WORKBOOK}#/definitions/fragment`);
+  return validate(doc, schemas, `${WORKBOOK}#/definitions/item`);
+}
+
+module.exports = { loadSchemas, validate, validateSource, SCHEMA_DIR };
@@ -0,0 +1,141 @@
+/**
+ * scripts/lib/sidecars.js — Sidecar source files for queries and markdown.
+ *
+ * A sub-template may keep the text of its items outside the .workbook JSON:
+ *
+ *   type=3 query item    workbooks/<Tab>/queries/<item-name>.kql
+ *   type=1 markdown item workbooks/<Tab>/markdown/<item-name>.md
+ *
+ * The item's field (`content.query` / `content.json`) then holds a reference
+ * instead of the text, e.g. "sidecar:queries/tile-total-clusters.kql", so the
+ * JSON key order is unchanged and a missing file is an error rather than an
+ * empty query. Builds inline the files (loadWorkbook) and produce exactly
+ * the same output as the all-inline layout.
+ *
+ * Sidecar files use LF line endings and end with one newline. Workbook text
+ * uses CRLF, which inlining restores; text that used bare LF carries
+ * ";eol=lf" on its reference. Text mixing both cannot round-trip and stays
+ * inline. Characters other than letters, digits, '.', '_' and '-' in an
+ * item name become '-' in its file name.
+ *
+ * Usage:
+ *   const { loadWorkbook } = require('./lib/sidecars');
+ *   const doc = loadWorkbook('workbooks/Overview/Overview.workbook');
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SIDECAR_PREFIX = 'sidecar:';
+
+// Item type → where its text lives and which content field it replaces.
+const SIDECAR_KINDS = {
+  3: { dir: 'queries', ext: '.kql', field: 'query' },
+  1: { dir: 'markdown', ext: '.md', field: 'json' }
+};
+
+// "sidecar:queries/x.kql;eol=lf" → { file: 'queries/x.kql', eol: '\n' }
+function parseRef(value) {
+  if (typeof value !== 'string' || !value.startsWith(SIDECAR_PREFIX)) return null;
+  const [file, ...options] = value.slice(SIDECAR_PREFIX.length).split(';');
+  return { file, eol: options.includes('eol=lf') ? '\n' : '\r\n' };
+}
+
+function sidecarFile(kind, name) {
+  return `${kind.dir}/${String(name).replace(/[^A-Za-z0-9._-]+/g, '-')}${kind.ext}`;
+}
+
+// Visit every item (depth-first, document order) with its sidecar kind.
+function walkItems(doc, visit) {
+  (function walk(list) {
+    if (!Array.isArray(list)) return;
+    for (const o of list) {
+      if (!o || typeof o !== 'object') continue;
+      const kind = SIDECAR_KINDS[o.type];
+      if (kind && o.content) visit(o, kind);
+      if (o.content && Array.isArray(o.content.items)) walk(o.content.items);
+    }
+  })(doc.items);
+}
+
+/** Sidecar paths (relative to the sub-template folder) referenced by `doc`. */
+function sidecarRefs(doc) {
+  const refs = [];
+  walkItems(doc, (item, kind) => {
+    const ref = parseRef(item.content[kind.field]);
+    if (ref) refs.push(ref.file);
+  });
+  return refs;
+}
+
+/**
+ * Return a copy of `doc` with every sidecar reference replaced by its text.
+ * `readFile(relativePath)` returns the file's contents; a reference to a
+ * missing file throws.
+ */
+function inlineSidecars(doc, readFile) {
+  const out = JSON.parse(JSON.stringify(doc));
+  walkItems(out, (item, kind) => {
+    const ref = parseRef(item.content[kind.field]);
+    if (!ref) return;
+    let text;
+    try {
+      text = readFile(ref.file);
+    } catch (e) {
+      throw new Error(`Item ${item.name}: cannot read sidecar ${ref.file} (${e.code || e.message})`);
+    }
+    text = text.replace(/\r\n/g, '\n').replace(/\n$/, '');
+    item.content[kind.field] = ref.eol === '\n' ? text : text.replace(/\n/g, '\r\n');
+  });
+  return out;
+}
+
+/**
+ * Move item text out of `doc`. Returns { doc, files: [{ file, text }],
+ * skipped: [{ name, reason }] }; `doc` is a copy holding references. Items
+ * that already reference a sidecar are left as they are.
+ */
+function extractSidecars(doc) {
+  const out = JSON.parse(JSON.stringify(doc));
+  const files = [];
+  const skipped = [];
+  const owners = new Map();
+  walkItems(out, (item, kind) => {
+    const text = item.content[kind.field];
+    if (typeof text !== 'string' || parseRef(text)) return;
+    if (!item.name) {
+      skipped.push({ name: '(unnamed)', reason: `type ${item.type} item has no name` });
+      return;
+    }
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    if (/\r(?!\n)/.test(text) || (crlf && lf)) {
+      skipped.push({ name: item.name, reason: 'mixed line endings' });
+      return;
+    }
+    const file = sidecarFile(kind, item.name);
+    if (owners.has(file)) {
+      skipped.push({ name: item.name, reason: `file name ${file} already used by ${owners.get(file)}` });
+      return;
+    }
+    owners.set(file, item.name);
+    files.push({ file, text: `${text.replace(/\r\n/g, '\n')}\n` });
+    item.content[kind.field] = `${SIDECAR_PREFIX}${file}${lf ? ';eol=lf' : ''}`;
+  });
+  return { doc: out, files, skipped };
+}
+
+/** Read a .workbook file and inline its sidecars (relative to its folder). */
+function loadWorkbook(file) {
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const dir = path.dirname(file);
+  return inlineSidecars(doc, rel => fs.readFileSync(path.join(dir, rel), 'utf8'));
+}
+
+module.exports = {
+  loadWorkbook,
+  inlineSidecars,
+  extractSidecars,
+  sidecarRefs,
+  SIDECAR_KINDS,
+  SIDECAR_PREFIX
+};
@@ -0,0 +1,496 @@
+/**
+ * scripts/lib/splitter.js — Sub-sections: how a tab or Capacity section
+ * sub-template is split into smaller sub-templates, and the size-driven
+ * planner behind scripts/split-tab.js.
+ *
+ * A "subSections" entry in scripts/template-ids.json is one of:
+ *
+ *   group section   a group at the end of its tab's content group (the
+ *                   Capacity sections), in its own sub-template [parameters,
+ *                   driver, group]. build-monolithic.js appends the group to
+ *                   the tab; with a "value" it is also a cap-section-tabs link
+ *                   target. The driver is the parameters item of the tab that
+ *                   the group's conditionalVisibility reads (cap-shared-params)
+ *                   or else the main-tabs copy.
+ *   continuation    ("from": name of its first item) the rest of the content
+ *                   group from that item on, in a sub-template [parameters,
+ *                   owner's items[1], group named "groupName"]. readSources()
+ *                   splices the items back into the owner, so builds,
+ *                   overlays, profiles and tests see the whole tab or section.
+ *
+ * Tabs may have both (continuations are listed first); Capacity sections may
+ * have continuations. In the gallery each sub-section is a template stub
+ * appended to its owner, with the group's own conditionalVisibility.
+ *
+ * The planner only cuts where the monolithic build stays byte-identical:
+ * trailing groups of a tab become group sections, then the rest is cut into
+ * continuations before named items, preferring section headers and pieces
+ * of even size, so each gallery file fits the byte budget.
+ *
+ * Usage:
+ *   const { planSplit, planSplitFiles } = require('./lib/splitter');
+ *   const plan = planSplit(readSources(), 'Capacity-SingleNode', { budget: 150 * 1024 });
+ *   // plan: { entry, sizes: [{ slug, bytes }], problems, changed }
+ */
+const fs = require('fs');
+const path = require('path');
+const { SECTION_PARAM } = require('./navigation');
+const { sidecarRefs } = require('./sidecars');
+const { serialize } = require('./workbook');
+const { sourceText } = require('./format');
+
+const DEFAULT_BUDGET = 200 * 1024;
+const GROUP_VERSION = 'NotebookGroup/1.0';
+const TEMPLATE_PREFIX = 'community-Azure Local/';
+
+// Indentation of the items of a content group in a serialized sub-template.
+const ITEM_INDENT = 10;
+
+const clone = (o) => JSON.parse(JSON.stringify(o));
+
+const bytes = (doc) => Buffer.byteLength(serialize(doc), 'utf8');
+
+// Bytes an item adds to the content group it sits in (close enough to plan
+// cuts; plans are measured exactly before they are returned).
+function itemBytes(item) {
+  const pad = ' '.repeat(ITEM_INDENT);
+  return Buffer.byteLength(pad + JSON.stringify(item, null, 2).replace(/\n/g, `\r\n${pad}`), 'utf8') + 3;
+}
+
+const isContinuation = (entry) => typeof entry.from === 'string';
+
+/** The continuation entries of a tab or section. */
+const continuations = (entry) => (entry.subSections || []).filter(isContinuation);
+
+/** The group section entries of a tab (the Capacity sections). */
+const groupSections = (entry) => (entry.subSections || []).filter(s => !isContinuation(s));
+
+/** The group sections that have a cap-section-tabs link ("value"). */
+const navSections = (entry) => groupSections(entry).filter(s => s.value !== undefined);
+
+/**
+ * Every sub-template entry of `tabMap` in build order: each tab, its
+ * continuations, then each of its group sections with their continuations.
+ */
+function templateEntries(tabMap) {
+  const out = [];
+  const add = (entry) => out.push(entry, ...continuations(entry));
+  for (const tab of tabMap.tabs) {
+    add(tab);
+    groupSections(tab).forEach(add);
+  }
+  return out;
+}
+
+/** { entry, tab } for a tab or group section slug; throws for anything else. */
+function findEntry(tabMap, slug) {
+  for (const tab of tabMap.tabs) {
+    if (tab.slug === slug) return { entry: tab, tab };
+    const sect = groupSections(tab).find(s => s.slug === slug);
+    if (sect) return { entry: sect, tab };
+  }
+  const owners = tabMap.tabs.flatMap(t => [t.slug, ...groupSections(t).map(s => s.slug)]);
+  const part = templateEntries(tabMap).find(e => e.slug === slug);
+  throw new Error(part
+    ? `${slug} is a continuation; split its tab or section instead (one of: ${owners.join(', ')})`
+    : `Unknown tab or section "${slug}" (expected one of: ${owners.join(', ')})`);
+}
+
+const visibilities = (item) => [item.conditionalVisibility, ...(item.conditionalVisibilities || [])].filter(Boolean);
+
+// The item in `items` defining the parameter `group` is shown by, if any.
+function driverOf(items, group) {
+  const names = new Set(visibilities(group).map(cv => cv.parameterName));
+  return items.find(i => i && i.type === 9 && i.content && Array.isArray(i.content.parameters)
+    && i.content.parameters.some(p => names.has(p.name)));
+}
+
+function continuationGroup(entry, items) {
+  return {
+    type: 12,
+    content: {
+      version: GROUP_VERSION,
+      groupType: 'editable',
+      items
+    },
+    name: entry.groupName
+  };
+}
+
+/**
+ * Splice the items of `parts` (continuation sub-templates, in order) back
+ * into a copy of `doc`. `entries` are their template-ids.json entries.
+ */
+function joinTemplate(doc, parts, entries = []) {
+  if (!parts.length) return doc;
+  const out = clone(doc);
+  parts.forEach((part, i) => {
+    const group = Array.isArray(part.items) && part.items[2];
+    const entry = entries[i];
+    if (!group || !group.content || !Array.isArray(group.content.items)) {
+      throw new Error(`Continuation ${entry ? entry.slug : i} has no content group at items[2]`);
+    }
+    if (entry && group.name !== entry.groupName) {
+      throw new Error(`Continuation ${entry.slug} group name mismatch: expected "${entry.groupName}", got "${group.name}"`);
+    }
+    out.items[2].content.items.push(...clone(group.content.items));
+  });
+  return out;
+}
+
+/**
+ * Split `doc` (a whole tab or section sub-template) along `entries` (its
+ * subSections, or some of them): group sections must be its trailing groups
+ * in that order, continuations must start at named items before them.
+ * Returns { doc, parts: [{ entry, doc }] } in `entries` order.
+ */
+function splitTemplate(doc, entries) {
+  const owner = clone(doc);
+  const where = owner.items[2] ? owner.items[2].name : 'sub-template';
+  let items = owner.items[2].content.items;
+  const groups = entries.filter(e => !isContinuation(e));
+  const conts = entries.filter(isContinuation);
+  const parts = new Map();
+
+  const tail = items.slice(items.length - groups.length);
+  groups.forEach((entry, i) => {
+    const group = tail[i];
+    if (!group || group.type !== 12 || group.name !== entry.groupName) {
+      throw new Error(`${where}: ${entry.slug} expects group "${entry.groupName}" at position ${items.length - groups.length + i + 1} of ${items.length} (group sections are the trailing groups, in subSections order)`);
+    }
+  });
+  items = items.slice(0, items.length - groups.length);
+  groups.forEach((entry, i) => {
+    const driver = driverOf(items, tail[i]) || owner.items[1];
+    parts.set(entry, { ...owner, items: [clone(owner.items[0]), clone(driver), tail[i]] });
+  });
+
+  let end = items.length;
+  const starts = conts.map(entry => {
+    const at = items.findIndex(i => i && i.name === entry.from);
+    if (at <= 0) {
+      throw new Error(`${where}: ${entry.slug} starts at "${entry.from}", ${at === 0 ? 'the first item' : 'which is not in it'}`);
+    }
+    return at;
+  });
+  starts.forEach((at, i) => {
+    if (i > 0 && at <= starts[i - 1]) throw new Error(`${where}: ${conts[i].slug} must start after ${conts[i - 1].slug}`);
+  });
+  for (let i = conts.length - 1; i >= 0; i--) {
+    const group = continuationGroup(conts[i], items.slice(starts[i], end));
+    parts.set(conts[i], { ...owner, items: [clone(owner.items[0]), clone(owner.items[1]), group] });
+    end = starts[i];
+  }
+  owner.items[2].content.items = items.slice(0, end);
+  return { doc: owner, parts: entries.map(entry => ({ entry, doc: parts.get(entry) })) };
+}
+
+/**
+ * Split a whole tab sub-template (as split.js extracts it from the
+ * monolithic) into every file of the split layout: [{ entry, doc }], the
+ * tab first, each group section followed by its continuations.
+ */
+function splitAll(doc, entry) {
+  const { doc: owner, parts } = splitTemplate(doc, entry.subSections || []);
+  const out = [{ entry, doc: owner }];
+  for (const part of parts) {
+    if (isContinuation(part.entry) || !continuations(part.entry).length) {
+      out.push(part);
+      continue;
+    }
+    const nested = splitTemplate(part.doc, continuations(part.entry));
+    out.push({ entry: part.entry, doc: nested.doc }, ...nested.parts);
+  }
+  return out;
+}
+
+/** The gallery template id of a sub-template (placeholder while unassigned). */
+const templateId = (entry) => entry.galleryTemplateId || `${TEMPLATE_PREFIX}${entry.galleryFolderName || entry.slug}`;
+
+/**
+ * A gallery stub loading `entry`'s sub-template, shown like `group` (the
+ * section group; none for continuations).
+ */
+function templateStub(entry, group) {
+  const stub = {
+    type: 12,
+    content: {
+      version: GROUP_VERSION,
+      groupType: 'template',
+      loadFromTemplateId: templateId(entry),
+      items: []
+    }
+  };
+  if (group && group.conditionalVisibility) stub.conditionalVisibility = clone(group.conditionalVisibility);
+  if (group && group.conditionalVisibilities) stub.conditionalVisibilities = clone(group.conditionalVisibilities);
+  stub.name = `${entry.slug.toLowerCase()}-template-group`;
+  return stub;
+}
+
+/**
+ * The gallery form of every sub-template in `sources` (readSources()):
+ * Map slug → doc, continuations split out again and a template stub per
+ * sub-section appended to its owner's content group.
+ */
+function galleryTemplates(sources) {
+  const out = new Map();
+  const emit = (entry) => {
+    const { doc, parts } = splitTemplate(sources.templates[entry.slug], continuations(entry));
+    const sections = groupSections(entry).filter(s => sources.templates[s.slug]);
+    doc.items[2].content.items.push(
+      ...parts.map(p => templateStub(p.entry)),
+      ...sections.map(s => templateStub(s, sources.templates[s.slug].items[2])));
+    out.set(entry.slug, doc);
+    parts.forEach(p => out.set(p.entry.slug, p.doc));
+    sections.forEach(emit);
+  };
+  sources.tabMap.tabs.filter(t => sources.templates[t.slug]).forEach(emit);
+  return out;
+}
+
+// Cut before a section header when possible.
+const isHeading = (item) => item.type === 1 && ((item.content && /^\s*#/.test(item.content.json || ''))
+  || /(header|heading|divider)$/i.test(item.name || ''));
+
+/**
+ * Cut points (indices into `sizes`) splitting it into pieces of at most
+ * `first` bytes (the first piece) and `rest` bytes; null if an item alone is
+ * too big. Even pieces cut at headings are preferred over greedy ones.
+ */
+function chooseCuts(sizes, cuttable, heading, first, rest) {
+  const greedy = [];
+  let start = 0;
+  let acc = 0;
+  let cap = first;
+  for (let i = 0; i < sizes.length; i++) {
+    if (acc + sizes[i] <= cap) {
+      acc += sizes[i];
+      continue;
+    }
+    let at = -1;
+    for (let j = i; j > start; j--) {
+      if (cuttable[j] && heading[j]) { at = j; break; }
+    }
+    if (at < 0) for (let j = i; j > start; j--) if (cuttable[j]) { at = j; break; }
+    if (at < 0) return null;
+    greedy.push(at);
+    start = at;
+    cap = rest;
+    acc = sizes.slice(at, i + 1).reduce((a, b) => a + b, 0);
+    if (acc > cap) return null;
+  }
+
+  const fits = (cuts) => [0, ...cuts].every((from, k) => {
+    const to = k < cuts.length ? cuts[k] : sizes.length;
+    return sizes.slice(from, to).reduce((a, b) => a + b, 0) <= (k === 0 ? first : rest);
+  });
+  const cum = [0];
+  sizes.forEach(s => cum.push(cum[cum.length - 1] + s));
+  const pieces = greedy.length + 1;
+  const even = [];
+  for (let k = 1; k < pieces; k++) {
+    const target = (cum[sizes.length] * k) / pieces;
+    let best = -1;
+    for (let j = (even[k - 2] || 0) + 1; j < sizes.length; j++) {
+      if (!cuttable[j] || !heading[j]) continue;
+      if (best < 0 || Math.abs(cum[j] - target) < Math.abs(cum[best] - target)) best = j;
+    }
+    if (best < 0) break;
+    even.push(best);
+  }
+  return even.length === greedy.length && fits(even) ? even : greedy;
+}
+
+// `tabMap` with the tab or section `slug` replaced by `next`.
+function replaceEntry(tabMap, slug, next) {
+  return {
+    ...tabMap,
+    tabs: tabMap.tabs.map(t => {
+      if (t.slug === slug) return next;
+      if (!groupSections(t).some(s => s.slug === slug)) return t;
+      return { ...t, subSections: t.subSections.map(s => (s.slug === slug ? next : s)) };
+    })
+  };
+}
+
+/**
+ * Propose a split of the tab or section `slug` so that each of its gallery
+ * sub-templates is at most `budget` bytes: trailing groups of a tab first,
+ * then continuations. Existing continuations are re-planned; existing group
+ * sections are kept. Returns { entry (with the new subSections), sizes:
+ * [{ slug, bytes }] in gallery form, problems, changed }.
+ */
+function planSplit(sources, slug, { budget = DEFAULT_BUDGET } = {}) {
+  const { entry, tab } = findEntry(sources.tabMap, slug);
+  const doc = sources.templates[slug];
+  if (!doc) throw new Error(`${slug} is not in the sources`);
+  const items = doc.items[2].content.items;
+  const kept = groupSections(entry);
+  const previous = continuations(entry);
+  const problems = [];
+
+  // Owner bytes without its content items but with the stubs of `peeled`
+  // and of the group sections it keeps.
+  const ownerBase = (peeled) => {
+    const base = clone(doc);
+    base.items[2].content.items = [
+      ...peeled.map(p => templateStub(p.entry, p.group)),
+      ...kept.map(s => templateStub(s, sources.templates[s.slug] && sources.templates[s.slug].items[2]))
+    ];
+    return bytes(base);
+  };
+  let head = items.length;
+  const headBytes = () => items.slice(0, head).reduce((a, i) => a + itemBytes(i), 0);
+
+  // Peel trailing groups (tabs only: sections cannot hold group sections).
+  const peeled = [];
+  while (entry === tab && head > 1 && items[head - 1].type === 12 && ownerBase(peeled) + headBytes() > budget) {
+    const group = items[head - 1];
+    const part = { ...doc, items: [doc.items[0], driverOf(items.slice(0, head - 1), group) || doc.items[1], group] };
+    if (bytes(part) > budget) break;
+    const cv = visibilities(group).find(v => v.parameterName === SECTION_PARAM);
+    const sect = {
+      ...(cv ? { value: String(cv.value) } : {}),
+      slug: `${slug}-${pascal(group.name)}`,
+      groupName: group.name,
+      ...(cv ? { label: (group.content && group.content.title) || group.name } : {}),
+      galleryFolderName: `${entry.galleryFolderName || `LENS-${slug}`}-${pascal(group.name)}`,
+      galleryTemplateId: ''
+    };
+    peeled.unshift({ entry: sect, group, doc: part });
+    head--;
+  }
+
+  // Continuations for whatever is still over budget.
+  let conts = [];
+  if (ownerBase(peeled) + headBytes() > budget) {
+    const rest = items.slice(0, head);
+    const sizes = rest.map(itemBytes);
+    const cuttable = rest.map((i, k) => k > 0 && !!i.name);
+    const heading = rest.map(isHeading);
+    const partOverhead = bytes({ ...doc, items: [doc.items[0], doc.items[1], continuationGroup({ groupName: `${entry.groupName}-part9` }, [])] });
+    const stubBytes = itemBytes(templateStub({ slug: `${slug}-Part9`, galleryFolderName: `${entry.galleryFolderName || slug}-Part-9` }));
+    let cuts = null;
+    for (let stubs = 1; stubs < rest.length && !cuts; stubs++) {
+      const found = chooseCuts(sizes, cuttable, heading, budget - ownerBase(peeled) - stubs * stubBytes, budget - partOverhead);
+      if (!found) break;
+      if (found.length <= stubs) cuts = found;
+    }
+    if (!cuts) {
+      const big = rest.map((i, k) => ({ name: i.name || `(item ${k + 1})`, size: sizes[k] })).filter(s => s.size + partOverhead > budget);
+      let problem = `no cut of ${slug} fits ${kb(budget)} KB (not enough named items to cut before)`;
+      if (Math.min(partOverhead, ownerBase(peeled)) >= budget) problem = `parameters, navigation and stubs alone take ${kb(Math.min(partOverhead, ownerBase(peeled)))} KB of the ${kb(budget)} KB budget`;
+      else if (big.length) problem = `${big.map(b => `${b.name} (${kb(b.size)} KB)`).join(', ')} cannot fit a ${kb(budget)} KB sub-template on its own`;
+      return { entry, sizes: [], problems: [problem], changed: false };
+    }
+    conts = cuts.map((at, k) => {
+      const n = k + 2;
+      const old = previous.find(p => p.slug === `${slug}-Part${n}`);
+      return {
+        slug: `${slug}-Part${n}`,
+        groupName: `${entry.groupName}-part${n}`,
+        from: rest[at].name,
+        galleryFolderName: `${entry.galleryFolderName || `LENS-${slug}`}-Part-${n}`,
+        galleryTemplateId: old ? old.galleryTemplateId : ''
+      };
+    });
+  }
+
+  const next = { ...entry };
+  delete next.subSections;
+  const subSections = [...conts, ...peeled.map(p => p.entry), ...kept];
+  if (subSections.length) next.subSections = subSections;
+
+  // Measure the result exactly, in gallery form.
+  const trial = { ...sources, tabMap: replaceEntry(sources.tabMap, slug, next), templates: { ...sources.templates } };
+  trial.templates[slug] = { ...doc, items: [doc.items[0], doc.items[1], { ...doc.items[2], content: { ...doc.items[2].content, items: items.slice(0, head) } }] };
+  peeled.forEach(p => { trial.templates[p.entry.slug] = p.doc; });
+  trial.tabMap.tabs = trial.tabMap.tabs.filter(t => t.slug === tab.slug);
+  const gallery = galleryTemplates(trial);
+  const sizes = [slug, ...conts.map(c => c.slug), ...peeled.map(p => p.entry.slug)].map(s => ({ slug: s, bytes: bytes(gallery.get(s)) }));
+  for (const s of sizes) {
+    if (s.bytes > budget) problems.push(`${s.slug} would be ${kb(s.bytes)} KB, over the ${kb(budget)} KB budget`);
+  }
+  return { entry: next, sizes, problems, changed: JSON.stringify(next) !== JSON.stringify(entry) };
+}
+
+const kb = (n) => (n / 1024).toFixed(1);
+
+// "cap-dcr-setup-group" → "CapDcrSetupGroup"
+const pascal = (name) => String(name).split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * The files that carry out `plan` (from planSplit) in the checkout `root`:
+ * { files: [{ file, text }], remove: [file or folder] }, paths relative to
+ * `root`. Sub-templates are split as stored, so sidecar references stay
+ * references and their files move with their items.
+ */
+function planSplitFiles(root, plan) {
+  const tabMapFile = path.join(root, 'scripts', 'template-ids.json');
+  const tabMap = readJson(tabMapFile);
+  const { entry: before } = findEntry(tabMap, plan.entry.slug);
+  const after = plan.entry;
+  const rel = (slug, file = `${slug}.workbook`) => `workbooks/${slug}/${file}`;
+  const load = (slug) => readJson(path.join(root, rel(slug)));
+
+  // The stored (un-inlined) whole sub-template and where each sidecar lives.
+  const oldParts = continuations(before);
+  const raw = joinTemplate(load(before.slug), oldParts.map(p => load(p.slug)), oldParts);
+  const sidecarHome = new Map();
+  for (const slug of [before.slug, ...oldParts.map(p => p.slug)]) {
+    for (const ref of sidecarRefs(load(slug))) sidecarHome.set(ref, slug);
+  }
+
+  const peeled = groupSections(after).filter(s => !groupSections(before).some(k => k.slug === s.slug));
+  const { doc: ownerDoc, parts } = splitTemplate(raw, [...continuations(after), ...peeled]);
+  const check = joinTemplate(ownerDoc, parts.filter(p => isContinuation(p.entry)).map(p => p.doc));
+  const unsplit = clone(raw);
+  unsplit.items[2].content.items = unsplit.items[2].content.items.slice(0, unsplit.items[2].content.items.length - peeled.length);
+  if (serialize(check) !== serialize(unsplit)) throw new Error(`${after.slug}: the split sub-templates do not join back to the original; nothing written`);
+
+  const files = [];
+  const remove = [];
+  const moved = new Set();
+  for (const { entry, doc } of [{ entry: after, doc: ownerDoc }, ...parts]) {
+    files.push({ file: rel(entry.slug), text: sourceText(doc) });
+    for (const ref of sidecarRefs(doc)) {
+      const home = sidecarHome.get(ref);
+      if (home === entry.slug) continue;
+      files.push({ file: rel(entry.slug, ref), text: fs.readFileSync(path.join(root, rel(home, ref)), 'utf8') });
+      moved.add(rel(home, ref));
+    }
+  }
+  const keep = new Set(continuations(after).map(e => e.slug));
+  for (const part of oldParts) {
+    if (!keep.has(part.slug)) remove.push(`workbooks/${part.slug}`);
+  }
+  for (const file of moved) {
+    if (!remove.some(dir => file.startsWith(`${dir}/`))) remove.push(file);
+  }
+
+  const next = replaceEntry(tabMap, before.slug, after);
+  files.push({ file: 'scripts/template-ids.json', text: serialize(next) });
+  return { files, remove };
+}
+
+module.exports = {
+  DEFAULT_BUDGET,
+  isContinuation,
+  continuations,
+  groupSections,
+  navSections,
+  templateEntries,
+  findEntry,
+  joinTemplate,
+  splitTemplate,
+  splitAll,
+  templateId,
+  templateStub,
+  galleryTemplates,
+  planSplit,
+  planSplitFiles
+};
@@ -0,0 +1,215 @@
+/**
+ * scripts/lib/upgrade-merge.js — Three-way merge of a customized workbook
+ * copy onto a new release.
+ *
+ *   base      the release the copy was made from
+ *   custom    the customized copy (extra links, changed thresholds, ...)
+ *   release   the new AzureLocal-LENS-Workbook.json
+ *
+ * Values are merged recursively. Where only one side changed something
+ * relative to base, that change is taken; where both changed it differently
+ * the `prefer` side wins ('release' by default) and a conflict is recorded.
+ * Arrays of workbook items are matched by item name (so the path of an item
+ * is the names of its enclosing groups, as in workbook-diff.js); parameter
+ * lists by parameter name and link lists by link id. Any other array, and
+ * every string (queries included), is one value. An item the release moved
+ * to another group counts as removed and added, so customer edits to it are
+ * reported as conflicts.
+ *
+ * Usage:
+ *   const { mergeWorkbooks, formatReport } = require('./lib/upgrade-merge');
+ *   const result = mergeWorkbooks(base, custom, release);   // { doc, conflicts, custom, release }
+ *   fs.writeFileSync('merge-report.md', formatReport(result, { base: 'v1.0.2', release: 'v1.0.3' }));
+ */
+const { lineDiff } = require('./workbook-diff');
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Arrays whose elements are matched by key instead of position.
+const KEYED_ARRAYS = {
+  items: (o) => o.name,
+  parameters: (p) => p.name || p.id,
+  links: (l) => l.id || l.linkLabel
+};
+
+// Key of each element; unnamed ones get "(type N #k)" / "#k", counted per list.
+function keyedMap(list, keyOf) {
+  const map = new Map();
+  const counts = new Map();
+  for (const el of Array.isArray(list) ? list : []) {
+    let key = el && typeof el === 'object' ? keyOf(el) : undefined;
+    if (!key) {
+      const kind = el && el.type !== undefined ? `(type ${el.type} ` : '(';
+      counts.set(kind, (counts.get(kind) || 0) + 1);
+      key = `${kind}#${counts.get(kind)})`;
+    }
+    map.set(String(key), el);
+  }
+  return map;
+}
+
+function createContext(prefer) {
+  return { prefer, conflicts: [], custom: [], release: [] };
+}
+
+const fieldName = (field) => field.join('.').replace(/\.\[/g, '[');
+
+function conflict(ctx, where, kind, base, custom, release) {
+  ctx.conflicts.push({
+    path: where.itemPath || '(workbook)',
+    field: fieldName(where.field),
+    kind,
+    resolution: ctx.prefer,
+    base: clone(base),
+    custom: clone(custom),
+    release: clone(release)
+  });
+  return clone(ctx.prefer === 'custom' ? custom : release);
+}
+
+function note(ctx, side, where, change) {
+  ctx[side].push({ path: where.itemPath || '(workbook)', field: fieldName(where.field), change });
+}
+
+// One-sided changes to objects are descended into too, so the lists of
+// changes name the fields (and links, parameters, items) that changed.
+function merge3(b, o, t, where, ctx) {
+  if (same(o, t)) return clone(o);
+  if (isObject(o) && isObject(t) && (b === undefined || isObject(b))) return mergeObject(b || {}, o, t, where, ctx);
+  if (same(b, o)) {
+    note(ctx, 'release', where, b === undefined ? 'added' : t === undefined ? 'removed' : 'changed');
+    return clone(t);
+  }
+  if (same(b, t)) {
+    note(ctx, 'custom', where, b === undefined ? 'added' : o === undefined ? 'removed' : 'changed');
+    return clone(o);
+  }
+  return conflict(ctx, where, b === undefined ? 'both added' : 'both changed', b, o, t);
+}
+
+function mergeObject(b, o, t, where, ctx) {
+  const out = {};
+  const keys = [...Object.keys(t), ...Object.keys(o).filter(k => !(k in t))];
+  for (const k of keys) {
+    const keyOf = KEYED_ARRAYS[k];
+    const arrays = [b[k], o[k], t[k]].every(v => v === undefined || Array.isArray(v));
+    const value = keyOf && arrays && Array.isArray(o[k]) && Array.isArray(t[k])
+      ? mergeKeyed(b[k], o[k], t[k], k, where, ctx)
+      : merge3(b[k], o[k], t[k], { itemPath: where.itemPath, field: [...where.field, k] }, ctx);
+    if (value !== undefined) out[k] = value;
+  }
+  return out;
+}
+
+function mergeKeyed(b, o, t, kind, where, ctx) {
+  const keyOf = KEYED_ARRAYS[kind];
+  const kb = keyedMap(b, keyOf);
+  const ko = keyedMap(o, keyOf);
+  const kt = keyedMap(t, keyOf);
+
+  // Release order, with elements only the customized copy has placed after
+  // the nearest element before them there that is still in the list (the
+  // release may have removed the one right before), or first when none is.
+  const order = [...kt.keys()];
+  const seen = [];
+  for (const key of ko.keys()) {
+    if (!kt.has(key)) {
+      let at = 0;
+      for (let i = seen.length - 1; i >= 0; i--) {
+        const index = order.indexOf(seen[i]);
+        if (index >= 0) {
+          at = index + 1;
+          break;
+        }
+      }
+      order.splice(at, 0, key);
+    }
+    seen.push(key);
+  }
+
+  const child = (key) => (kind === 'items'
+    ? { itemPath: where.itemPath ? `${where.itemPath}/${key}` : key, field: [] }
+    : { itemPath: where.itemPath, field: [...where.field, `${kind}[${key}]`] });
+  const out = [];
+  for (const key of order) {
+    const vb = kb.get(key);
+    const vo = ko.get(key);
+    const vt = kt.get(key);
+    const at = child(key);
+    let value;
+    if (vb === undefined) {
+      value = vo !== undefined && vt !== undefined ? merge3(undefined, vo, vt, at, ctx) : clone(vo !== undefined ? vo : vt);
+      if (vt === undefined) note(ctx, 'custom', at, 'added');
+      if (vo === undefined) note(ctx, 'release', at, 'added');
+    } else if (vo === undefined && vt === undefined) {
+      value = undefined;
+    } else if (vo === undefined) {
+      if (same(vb, vt)) note(ctx, 'custom', at, 'removed');
+      else value = conflict(ctx, at, 'removed in custom, changed in release', vb, undefined, vt);
+    } else if (vt === undefined) {
+      if (same(vb, vo)) note(ctx, 'release', at, 'removed');
+      else value = conflict(ctx, at, 'changed in custom, removed in release', vb, vo, undefined);
+    } else {
+      value = merge3(vb, vo, vt, at, ctx);
+    }
+    if (value !== undefined) out.push(value);
+  }
+  return out;
+}
+
+/**
+ * Merge `custom` and `release`, both derived from `base`. Returns { doc,
+ * conflicts: [{ path, field, kind, resolution, base, custom, release }],
+ * custom: [{ path, field, change }], release: [...] } — `custom` lists the
+ * customer changes carried over, `release` the release changes taken.
+ * `prefer` ('release' or 'custom') resolves conflicts.
+ */
+function mergeWorkbooks(base, custom, release, { prefer = 'release' } = {}) {
+  if (!['release', 'custom'].includes(prefer)) throw new Error(`prefer must be "release" or "custom", got "${prefer}"`);
+  const ctx = createContext(prefer);
+  const doc = merge3(base, custom, release, { itemPath: '', field: [] }, ctx);
+  return { doc, conflicts: ctx.conflicts, custom: ctx.custom, release: ctx.release };
+}
+
+function describe(value) {
+  if (value === undefined) return '_(absent)_';
+  const text = JSON.stringify(value);
+  return `\`${text.length > 160 ? `${text.slice(0, 157)}...` : text}\``;
+}
+
+/** Render a mergeWorkbooks() result as a Markdown conflict report. */
+function formatReport(result, { base = 'base', release = 'release' } = {}) {
+  const where = (e) => `\`${e.path}\`${e.field ? ` — \`${e.field}\`` : ''}`;
+  const out = [
+    `## Upgrade merge: ${base} → ${release}`,
+    '',
+    '| | Count |',
+    '|---|---|',
+    `| Customer changes carried over | ${result.custom.length} |`,
+    `| Release changes applied | ${result.release.length} |`,
+    `| Conflicts | ${result.conflicts.length} |`,
+    ''
+  ];
+  if (result.conflicts.length) {
+    out.push('### Conflicts', '', 'Both sides changed these; the merged workbook has the value named in each heading. Re-apply or drop the other side by hand.', '');
+    for (const c of result.conflicts) {
+      out.push(`#### ${where(c)}`, '', `${c.kind[0].toUpperCase()}${c.kind.slice(1)}; kept the **${c.resolution === 'custom' ? 'customized' : 'release'}** value.`, '');
+      if (typeof c.custom === 'string' && typeof c.release === 'string') {
+        out.push('```diff', ...lineDiff(c.custom, c.release), '```', '', '(`-` customized, `+` release)', '');
+      } else {
+        out.push(`- Base: ${describe(c.base)}`, `- Customized: ${describe(c.custom)}`, `- Release: ${describe(c.release)}`, '');
+      }
+    }
+  }
+  if (result.custom.length) {
+    out.push('### Customer changes carried over', '', ...result.custom.map(e => `- ${where(e)} (${e.change})`), '');
+  }
+  return out.join('\n');
+}
+
+module.exports = {
+  mergeWorkbooks,
+  formatReport
+};
@@ -0,0 +1,287 @@
+/**
+ * scripts/lib/workbook-diff.js — Item-level semantic diff between two
+ * workbook documents (monolithic form).
+ *
+ * Items are matched by their name path — the `name` of every enclosing group
+ * down to the item, e.g. "summary-tiles-group/tile-total-clusters" — so a
+ * reformatted or re-escaped query string is not a change. An item whose name
+ * turns up under a different path is reported as moved (item names are
+ * unique in LENS); unnamed items are keyed by type and position. Queries and
+ * markdown are compared line by line, so CRLF and LF line endings are the
+ * same text and an edit that leaves no line diff is not reported.
+ *
+ * For items present on both sides the diff reports:
+ *   queries        content.query of type=3 items, as a line diff (Merge
+ *                  items' JSON is indented first)
+ *   text           content.json of type=1 markdown items, as a line diff
+ *   parameters     parameters added/removed/changed inside type=9 groups
+ *                  (with a line diff when a parameter's query changed)
+ *   visualization  changed display settings of type=3 items (VISUALIZATION_KEYS)
+ *   other          any other changed field (conditionalVisibility, links, ...)
+ *
+ * formatMarkdown() renders the result for release notes.
+ *
+ * Usage:
+ *   const { diffWorkbooks, formatMarkdown } = require('./lib/workbook-diff');
+ *   const md = formatMarkdown(diffWorkbooks(oldDoc, newDoc), { from: 'v1.0.2', to: 'v1.0.3' });
+ */
+const { Workbook } = require('./workbook');
+
+const VISUALIZATION_KEYS = [
+  'visualization', 'size', 'chartSettings', 'gridSettings', 'tileSettings',
+  'graphSettings', 'mapSettings', 'sortBy', 'noDataMessage', 'noDataMessageStyle'
+];
+
+const ITEM_KINDS = { 1: 'markdown', 3: 'query', 9: 'parameters', 10: 'metric', 11: 'links', 12: 'group' };
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const lines = (text) => String(text === undefined || text === null ? '' : text).replace(/\r\n/g, '\n').split('\n');
+
+/** Map every item in `doc` to { path, name, type, item } keyed by path. */
+function flattenWorkbook(doc) {
+  return new Map(new Workbook(doc).all().map(i => [i.path, { path: i.path, name: i.name, type: i.type, item: i.raw }]));
+}
+
+/**
+ * Unified line diff of two texts (LCS). Returns hunk lines ("@@ -a,b +c,d @@",
+ * " ctx", "-old", "+new") with `context` unchanged lines around each change;
+ * empty when the texts are equal.
+ */
+function lineDiff(oldText, newText, context = 2) {
+  const a = lines(oldText);
+  const b = lines(newText);
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) ops.push({ op: ' ', text: a[i], i: i++, j: j++ });
+    else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push({ op: '-', text: a[i], i: i++, j });
+    else ops.push({ op: '+', text: b[j], i, j: j++ });
+  }
+  const changed = ops.map((o, k) => (o.op !== ' ' ? k : -1)).filter(k => k >= 0);
+  if (changed.length === 0) return [];
+
+  const out = [];
+  let start = 0;
+  while (start < changed.length) {
+    let end = start;
+    while (end + 1 < changed.length && changed[end + 1] - changed[end] <= context * 2 + 1) end++;
+    const from = Math.max(0, changed[start] - context);
+    const to = Math.min(ops.length - 1, changed[end] + context);
+    const hunk = ops.slice(from, to + 1);
+    const oldCount = hunk.filter(o => o.op !== '+').length;
+    const newCount = hunk.filter(o => o.op !== '-').length;
+    out.push(`@@ -${ops[from].i + (oldCount ? 1 : 0)},${oldCount} +${ops[from].j + (newCount ? 1 : 0)},${newCount} @@`);
+    for (const o of hunk) out.push(`${o.op}${o.text}`);
+    start = end + 1;
+  }
+  return out;
+}
+
+// Merge (queryType 7) queries are one-line JSON; indent them so the diff
+// shows the merge or column that changed.
+function queryText(content) {
+  if (content.queryType === 7) {
+    try {
+      return JSON.stringify(JSON.parse(content.query), null, 2);
+    } catch (e) {
+      // Not JSON — diff the raw text
+    }
+  }
+  return content.query;
+}
+
+// Keys of two objects whose values differ, in first-seen order.
+function changedKeys(a = {}, b = {}, skip = []) {
+  const keys = [];
+  for (const k of [...Object.keys(a), ...Object.keys(b)]) {
+    if (!keys.includes(k) && !skip.includes(k) && !same(a[k], b[k])) keys.push(k);
+  }
+  return keys;
+}
+
+function diffParameters(itemPath, oldItem, newItem, result) {
+  const oldParams = (oldItem.content && oldItem.content.parameters) || [];
+  const newParams = (newItem.content && newItem.content.parameters) || [];
+  const byName = (list) => new Map(list.map((p, i) => [p.name || p.id || `#${i + 1}`, p]));
+  const before = byName(oldParams);
+  const after = byName(newParams);
+  for (const name of before.keys()) {
+    if (!after.has(name)) result.parameters.push({ path: `${itemPath}/${name}`, change: 'removed', fields: [], queryDiff: [] });
+  }
+  for (const [name, p] of after) {
+    const old = before.get(name);
+    if (!old) {
+      result.parameters.push({ path: `${itemPath}/${name}`, change: 'added', fields: [], queryDiff: [] });
+      continue;
+    }
+    const queryDiff = lineDiff(old.query, p.query);
+    const fields = changedKeys(old, p, ['id']).filter(k => k !== 'query' || queryDiff.length);
+    if (fields.length === 0) continue;
+    result.parameters.push({ path: `${itemPath}/${name}`, change: 'changed', fields, queryDiff });
+  }
+}
+
+function diffItem(itemPath, oldItem, newItem, result) {
+  const oldContent = oldItem.content || {};
+  const newContent = newItem.content || {};
+  const other = changedKeys(oldItem, newItem, ['content', 'name']);
+  if (oldItem.type === 3 && !same(oldContent.query, newContent.query)) {
+    const diff = lineDiff(queryText(oldContent), queryText(newContent));
+    if (diff.length) result.queries.push({ path: itemPath, diff });
+  }
+  if (oldItem.type === 1 && !same(oldContent.json, newContent.json)) {
+    const diff = lineDiff(oldContent.json, newContent.json);
+    if (diff.length) result.text.push({ path: itemPath, diff });
+  }
+  if (oldItem.type === 9) diffParameters(itemPath, oldItem, newItem, result);
+
+  const handled = ['items', ...(oldItem.type === 3 ? ['query'] : []), ...(oldItem.type === 1 ? ['json'] : []), ...(oldItem.type === 9 ? ['parameters'] : [])];
+  const contentKeys = changedKeys(oldContent, newContent, handled);
+  const vis = oldItem.type === 3 ? contentKeys.filter(k => VISUALIZATION_KEYS.includes(k)) : [];
+  if (vis.length) result.visualization.push({ path: itemPath, fields: vis });
+  other.push(...contentKeys.filter(k => !vis.includes(k)).map(k => `content.${k}`));
+  if (other.length) result.other.push({ path: itemPath, fields: other });
+}
+
+/**
+ * Compare two workbook documents. Returns { added, removed, moved, queries,
+ * text, parameters, visualization, other } — see the file header. The
+ * descendants of an added, removed or moved group are not listed separately.
+ */
+function diffWorkbooks(oldDoc, newDoc) {
+  const before = flattenWorkbook(oldDoc);
+  const after = flattenWorkbook(newDoc);
+  const result = { added: [], removed: [], moved: [], queries: [], text: [], parameters: [], visualization: [], other: [] };
+  const under = (p, roots) => roots.some(r => p.startsWith(`${r}/`));
+
+  // Items at new paths, by name: candidates for a move.
+  const arrivals = new Map([...after.values()].filter(e => e.name && !before.has(e.path)).map(e => [e.name, e]));
+  const moves = [];
+  const mapPath = (p) => {
+    const mv = moves.find(m => p.startsWith(`${m.from}/`));
+    return mv ? `${mv.to}${p.slice(mv.from.length)}` : p;
+  };
+  const matched = new Set();
+  const removedRoots = [];
+  for (const e of before.values()) {
+    let target = after.get(mapPath(e.path));
+    if (!target && e.name && arrivals.has(e.name)) {
+      target = arrivals.get(e.name);
+      arrivals.delete(e.name);
+      moves.push({ from: e.path, to: target.path });
+      result.moved.push({ name: e.name, from: e.path, to: target.path });
+    }
+    if (!target) {
+      if (!under(e.path, removedRoots)) result.removed.push({ path: e.path, type: e.type });
+      removedRoots.push(e.path);
+      continue;
+    }
+    matched.add(target.path);
+    diffItem(target.path, e.item, target.item, result);
+  }
+  const addedRoots = [];
+  for (const e of after.values()) {
+    if (matched.has(e.path)) continue;
+    if (!under(e.path, addedRoots)) result.added.push({ path: e.path, type: e.type });
+    addedRoots.push(e.path);
+  }
+  return result;
+}
+
+/** "v1.0.3" from the version banner, or null. */
+function workbookVersion(doc) {
+  const m = /Workbook Version: (v\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?)/.exec(JSON.stringify(doc));
+  return m ? m[1] : null;
+}
+
+function diffBlock(diff) {
+  return ['```diff', ...diff, '```'];
+}
+
+/**
+ * Render a diffWorkbooks() result as Markdown. `level` is the heading level
+ * of the title (sections are one deeper); with `diffs: false` changed queries
+ * and markdown are listed by path without their line diffs, as in the README.
+ */
+function formatMarkdown(result, { from = 'old', to = 'new', level = 2, diffs = true } = {}) {
+  const kind = (type) => ITEM_KINDS[type] || `type ${type}`;
+  const h = (depth) => '#'.repeat(level + depth);
+  const out = [`${h(0)} Workbook changes: ${from} → ${to}`, ''];
+  const counts = [
+    ['Added items', result.added.length],
+    ['Removed items', result.removed.length],
+    ['Moved items', result.moved.length],
+    ['Changed queries', result.queries.length],
+    ['Changed markdown', result.text.length],
+    ['Changed parameters', result.parameters.length],
+    ['Changed visualization settings', result.visualization.length],
+    ['Other changes', result.other.length]
+  ];
+  if (counts.every(([, n]) => n === 0)) {
+    out.push('No item-level changes.', '');
+    return out.join('\n');
+  }
+  out.push('| Change | Count |', '|---|---|');
+  for (const [label, n] of counts) if (n) out.push(`| ${label} | ${n} |`);
+  out.push('');
+
+  const textChanges = (title, list) => {
+    out.push(`${h(1)} ${title}`, '');
+    if (!diffs) {
+      out.push(...list.map(e => `- \`${e.path}\``), '');
+      return;
+    }
+    for (const e of list) out.push(`${h(2)} \`${e.path}\``, '', ...diffBlock(e.diff), '');
+  };
+
+  if (result.added.length) {
+    out.push(`${h(1)} Added items`, '', ...result.added.map(e => `- \`${e.path}\` (${kind(e.type)})`), '');
+  }
+  if (result.removed.length) {
+    out.push(`${h(1)} Removed items`, '', ...result.removed.map(e => `- \`${e.path}\` (${kind(e.type)})`), '');
+  }
+  if (result.moved.length) {
+    out.push(`${h(1)} Moved items`, '', ...result.moved.map(m => `- \`${m.name}\`: \`${m.from}\` → \`${m.to}\``), '');
+  }
+  if (result.queries.length) textChanges('Changed queries', result.queries);
+  if (result.text.length) textChanges('Changed markdown', result.text);
+  if (result.parameters.length) {
+    out.push(`${h(1)} Changed parameters`, '');
+    for (const p of result.parameters) {
+      if (p.change !== 'changed') {
+        out.push(`- \`${p.path}\` ${p.change}`);
+        continue;
+      }
+      out.push(`- \`${p.path}\`: ${p.fields.map(f => `\`${f}\``).join(', ')}`);
+      if (diffs && p.queryDiff.length) out.push('', ...diffBlock(p.queryDiff).map(l => `  ${l}`), '');
+    }
+    out.push('');
+  }
+  if (result.visualization.length) {
+    out.push(`${h(1)} Changed visualization settings`, '',
+      ...result.visualization.map(v => `- \`${v.path}\`: ${v.fields.map(f => `\`${f}\``).join(', ')}`), '');
+  }
+  if (result.other.length) {
+    out.push(`${h(1)} Other changes`, '',
+      ...result.other.map(o => `- \`${o.path}\`: ${o.fields.map(f => `\`${f}\``).join(', ')}`), '');
+  }
+  return out.join('\n');
+}
+
+module.exports = {
+  diffWorkbooks,
+  formatMarkdown,
+  flattenWorkbook,
+  lineDiff,
+  workbookVersion,
+  VISUALIZATION_KEYS
+};
@@ -0,0 +1,307 @@
+/**
+ * scripts/lib/workbook.js — Object model over a workbook document (the
+ * monolithic build, a sub-template or shared/header.json), so scripts
+ * stop re-implementing the item walk, type detection and serialization.
+ *
+ * Every item is wrapped by type:
+ *
+ *   type=1   Markdown     text (content.json)
+ *   type=3   Query        query, visualization, renders (what it displays as)
+ *   type=9   Parameters   parameters, parameter(name)
+ *   type=11  Links        links, isTabStrip (style "tabs")
+ *   type=12  Group        items (the nested item wrappers)
+ *   Tab      a top-level Group shown for one selectedTab value (a tab's
+ *            content group in the monolithic build)
+ *   Item     anything else (metrics, unknown types)
+ *
+ * Wrappers are views: `raw` is the item object of the document itself, so
+ * changes made through them (or to `raw`) are changes to the document.
+ * Items are wrapped when the model is created; after adding or removing
+ * items, create a new model.
+ *
+ * Items are addressed by their name path, the name of every enclosing item
+ * down to the item ("capacity-page/cap-section-tabs"), as in
+ * scripts/lib/workbook-diff.js. An item's visibility is its own
+ * conditionalVisibility / conditionalVisibilities and those of every
+ * enclosing group; isShown(values) evaluates them for a set of parameter
+ * values.
+ *
+ * serialize() is the canonical file form: 2-space JSON, CRLF line endings,
+ * one trailing CRLF.
+ *
+ * Usage:
+ *   const { Workbook, Query, serialize } = require('./lib/workbook');
+ *   const wb = Workbook.read('workbooks/VMs/VMs.workbook');
+ *   for (const q of wb.all(Query)) console.log(q.path, q.visualization);
+ *   wb.get('azure-local-vms/vm-total-tile').ancestors();
+ *   fs.writeFileSync(file, serialize(wb.doc));
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TAB_PARAM = 'selectedTab';
+
+/** The canonical file form of `obj`: 2-space JSON, CRLF, trailing CRLF. */
+function serialize(obj) {
+  return JSON.stringify(obj, null, 2).replace(/\n/g, '\r\n') + '\r\n';
+}
+
+/** The conditionalVisibility and conditionalVisibilities of an item object, in that order. */
+const visibilities = (item) => [item.conditionalVisibility, ...(item.conditionalVisibilities || [])].filter(Boolean);
+
+/** Whether one visibility condition holds for `values` ({ parameterName: value }). */
+function conditionHolds(cv, values) {
+  const value = values[cv.parameterName];
+  const equal = value !== undefined && value !== null && String(value) === String(cv.value);
+  if (cv.comparison === 'isEqualTo') return equal;
+  if (cv.comparison === 'isNotEqualTo') return !equal;
+  throw new Error(`Unsupported visibility comparison "${cv.comparison}" on ${cv.parameterName}`);
+}
+
+/**
+ * `obj` with `key` set to `value`. A new key goes right after the first of
+ * `after` (key names) that `obj` has, or at the end; the object is rebuilt
+ * so the key order of the file stays stable.
+ */
+function withKey(obj, key, value, after = []) {
+  if (key in obj) {
+    obj[key] = value;
+    return obj;
+  }
+  const anchor = after.find(k => k in obj);
+  if (!anchor) return Object.assign(obj, { [key]: value });
+  const out = {};
+  for (const k of Object.keys(obj)) {
+    out[k] = obj[k];
+    if (k === anchor) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * The query texts of one item object, nested items not included:
+ * [{ name, query, parameter }] for content.query (parameter null) and each
+ * parameter with a query.
+ */
+function itemQueries(raw) {
+  const out = [];
+  const content = raw && raw.content;
+  if (!content) return out;
+  if (content.query) out.push({ name: raw.name || content.title || 'unnamed', query: content.query, parameter: null });
+  for (const p of content.parameters || []) {
+    if (p.query) out.push({ name: p.name || p.label || 'unnamed-param', query: p.query, parameter: p });
+  }
+  return out;
+}
+
+class Item {
+  constructor(raw, parent, index, depth) {
+    this.raw = raw;
+    this.parent = parent;
+    this.index = index;
+    this.depth = depth;
+    const key = raw.name || `(type ${raw.type} #${index + 1})`;
+    this.path = parent ? `${parent.path}/${key}` : key;
+  }
+
+  get type() { return this.raw.type; }
+  get name() { return this.raw.name || null; }
+  get content() { return this.raw.content; }
+
+  /** Enclosing groups, innermost first. */
+  ancestors() {
+    const out = [];
+    for (let p = this.parent; p; p = p.parent) out.push(p);
+    return out;
+  }
+
+  /** This item's own visibility conditions. */
+  get visibilities() { return visibilities(this.raw); }
+
+  /** Every condition the item is shown under: its enclosing groups' (outermost first), then its own. */
+  conditions() {
+    return [...this.ancestors().reverse(), this].flatMap(i => i.visibilities);
+  }
+
+  /** Whether the item is shown for the parameter values `values` ({ name: value }). */
+  isShown(values) {
+    return this.conditions().every(cv => conditionHolds(cv, values));
+  }
+
+  /** The tab the item belongs to (itself if it is one), or null. */
+  get tab() {
+    for (let i = this; i; i = i.parent) if (i instanceof Tab) return i;
+    return null;
+  }
+
+  /**
+   * Set content[key] to `value`, a new key placed after the first of
+   * `after` the content has (see withKey). Returns this.
+   */
+  setContent(key, value, { after = [] } = {}) {
+    this.raw.content = withKey(this.raw.content, key, value, after);
+    return this;
+  }
+
+  /** Remove content[key]; true if it was there. */
+  removeContent(key) {
+    if (!this.raw.content || !(key in this.raw.content)) return false;
+    delete this.raw.content[key];
+    return true;
+  }
+}
+
+class Markdown extends Item {
+  get text() { return this.content.json; }
+  set text(value) { this.content.json = value; }
+}
+
+// Display settings that imply what a query without a visualization renders as.
+const SETTINGS_RENDERS = [
+  ['gridSettings', 'table'],
+  ['tileSettings', 'tiles'],
+  ['chartSettings', 'chart'],
+  ['graphSettings', 'graph'],
+  ['mapSettings', 'map']
+];
+
+class Query extends Item {
+  get query() { return this.content.query; }
+  set query(value) { this.content.query = value; }
+  /** content.visualization, or null when the item leaves it to the default. */
+  get visualization() { return this.content.visualization || null; }
+  get title() { return this.content.title || null; }
+
+  /**
+   * What the item renders as (lower-case visualization, "table" for the
+   * default grid), or null for a data-only item with no display settings
+   * (a Merge source or helper query).
+   */
+  get renders() {
+    const c = this.content;
+    if (typeof c.visualization === 'string' && c.visualization) return c.visualization.toLowerCase();
+    const implied = SETTINGS_RENDERS.find(([key]) => c[key]);
+    if (implied) return implied[1];
+    if (typeof c.size === 'number' && !c.mergeOnRender) return 'table';
+    return null;
+  }
+}
+
+class Parameters extends Item {
+  get parameters() { return this.content.parameters || []; }
+  parameter(name) { return this.parameters.find(p => p.name === name) || null; }
+}
+
+class Links extends Item {
+  get links() { return this.content.links || []; }
+  get isTabStrip() { return this.content.style === 'tabs'; }
+}
+
+class Group extends Item {
+  constructor(raw, parent, index, depth) {
+    super(raw, parent, index, depth);
+    this.items = wrapItems(raw.content.items, this, depth + 1);
+  }
+}
+
+class Tab extends Group {
+  /** The selectedTab value the tab is shown for. */
+  get value() { return String(this.visibilities.find(cv => cv.parameterName === TAB_PARAM).value); }
+}
+
+const TYPES = { 1: Markdown, 3: Query, 9: Parameters, 11: Links };
+
+function wrap(raw, parent, index, depth) {
+  if (raw.content && Array.isArray(raw.content.items)) {
+    const isTab = !parent && visibilities(raw).some(cv => cv.parameterName === TAB_PARAM && cv.comparison === 'isEqualTo');
+    return new (isTab ? Tab : Group)(raw, parent, index, depth);
+  }
+  const Type = raw.content ? TYPES[raw.type] || Item : Item;
+  return new Type(raw, parent, index, depth);
+}
+
+function wrapItems(list, parent, depth) {
+  const out = [];
+  (list || []).forEach((raw, i) => {
+    if (raw && typeof raw === 'object') out.push(wrap(raw, parent, i, depth));
+  });
+  return out;
+}
+
+class Workbook {
+  /** A model of `doc` (anything with an `items` array; a bare array is taken as the items). */
+  constructor(doc) {
+    this.doc = Array.isArray(doc) ? { items: doc } : doc;
+    this.items = wrapItems(this.doc.items, null, 0);
+  }
+
+  /** Read a JSON workbook file as it is on disk (sidecar references not inlined). */
+  static read(file) {
+    return new Workbook(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /** Every item, depth-first in document order; only those of class `Type` if given. */
+  all(Type = null) {
+    const out = [];
+    const walk = (list) => {
+      for (const item of list) {
+        if (!Type || item instanceof Type) out.push(item);
+        if (item instanceof Group) walk(item.items);
+      }
+    };
+    walk(this.items);
+    return out;
+  }
+
+  /** The first item named `name`, or null. */
+  find(name) {
+    return this.all().find(i => i.name === name) || null;
+  }
+
+  /** The item at name path `itemPath` ("group/child"), or null. */
+  get(itemPath) {
+    return this.all().find(i => i.path === itemPath) || null;
+  }
+
+  /** Every query text: { item, name, query, parameter } (see itemQueries). */
+  queries() {
+    return this.all().flatMap(item => itemQueries(item.raw).map(q => ({ item, ...q })));
+  }
+
+  /** The document in canonical file form (serialize()). */
+  serialize() {
+    return serialize(this.doc);
+  }
+}
+
+/**
+ * The source files under `root` that hold workbook items: every
+ * workbooks/<Slug>/<Slug>.workbook, plus shared/header.json with `header`.
+ */
+function sourceFiles(root, { header = false } = {}) {
+  const files = header ? [path.join(root, 'shared', 'header.json')] : [];
+  const dir = path.join(root, 'workbooks');
+  if (!fs.existsSync(dir)) return files;
+  for (const slug of fs.readdirSync(dir).sort()) {
+    const f = path.join(dir, slug, `${slug}.workbook`);
+    if (fs.existsSync(f)) files.push(f);
+  }
+  return files;
+}
+
+module.exports = {
+  Workbook,
+  Item,
+  Markdown,
+  Query,
+  Parameters,
+  Links,
+  Group,
+  Tab,
+  serialize,
+  visibilities,
+  conditionHolds,
+  withKey,
+  itemQueries,
+  sourceFiles
+};
@@ -0,0 +1,117 @@
+/**
+ * scripts/new-tab.js — Scaffolds a new tab, or with --section a new Capacity
+ * section (see scripts/lib/scaffold.js):
+ *
+ *   workbooks/<Slug>/<Slug>.workbook     canonical parameters, main-tabs (or
+ *                                        cap-shared-params) and a content
+ *                                        group with a header and a sample query
+ *   scripts/template-ids.json            the tab / section entry, which also
+ *                                        adds its nav link and gallery stub
+ *   scripts/fixtures/snapshots/<Slug>/   query goldens for the sample query
+ *
+ * Then build and test as after any source edit. Pass --dry-run to only list
+ * the files and the new entry.
+ *
+ * Usage:
+ *   node scripts/new-tab.js <Slug> --label "<emoji> <Label>" [--after <Slug>] [--group <name>] [--gallery-folder <name>] [--dry-run]
+ *   node scripts/new-tab.js --section <Capacity-Slug> --label "<emoji> <Label>" [--value <CapacitySection value>] [--after <Slug>] [--group <name>] [--gallery-folder <name>] [--dry-run]
+ *
+ * Example:
+ *   node scripts/new-tab.js Storage --label "💾 Storage" --after Machines
+ */
+const fs = require('fs');
+const path = require('path');
+const { planTab, planSection } = require('./lib/scaffold');
+const { loadWorkbook } = require('./lib/sidecars');
+const { loadFixture } = require('./lib/parameters');
+const { renderSnapshots, writeSnapshots } = require('./lib/query-snapshots');
+
+const ROOT = path.resolve(__dirname, '..');
+const USAGE = [
+  'Usage: node scripts/new-tab.js <Slug> --label "<emoji> <Label>" [--after <Slug>] [--group <name>] [--gallery-folder <name>] [--dry-run]',
+  '       node scripts/new-tab.js --section <Capacity-Slug> --label "<emoji> <Label>" [--value <value>] [--after <Slug>] [--group <name>] [--gallery-folder <name>] [--dry-run]'
+].join('\n');
+
+/**
+ * Plan a new tab of `root`, or with `section` a new Capacity section
+ * (scaffold.planTab / planSection): { entry, files }. Throws on a bad slug,
+ * label or position.
+ */
+function planNew(root, options, { section = false } = {}) {
+  return section ? planSection(root, options) : planTab(root, options);
+}
+
+/**
+ * Write a `plan` of planNew into `root`, with query goldens for its sample
+ * query under scripts/fixtures/snapshots/<Slug>/: { snapshots }.
+ */
+function writeNew(root, plan) {
+  for (const { file, text } of plan.files) {
+    const full = path.join(root, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, text, 'utf8');
+  }
+  const slug = plan.entry.slug;
+  const fixtures = path.join(root, 'scripts', 'fixtures');
+  const doc = loadWorkbook(path.join(root, 'workbooks', slug, `${slug}.workbook`));
+  const snapshots = renderSnapshots(doc, loadFixture(path.join(fixtures, 'parameters.json')));
+  writeSnapshots(path.join(fixtures, 'snapshots', slug), snapshots);
+  return { snapshots };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const valued = ['--label', '--after', '--group', '--gallery-folder', '--value', '--section'];
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const valueAt = new Set(valued.map(o => args.indexOf(o) + 1).filter(i => i > 0));
+  const positional = args.filter((a, i) => !a.startsWith('--') && !valueAt.has(i));
+  const section = args.includes('--section');
+  const slug = section ? option('--section') : positional[0];
+  const dryRun = args.includes('--dry-run');
+  if (!slug || positional.length > (section ? 0 : 1) || valued.some(o => args.includes(o) && !option(o))
+      || (!section && args.includes('--value'))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let plan;
+  try {
+    const options = {
+      slug,
+      label: option('--label'),
+      after: option('--after'),
+      groupName: option('--group'),
+      galleryFolderName: option('--gallery-folder')
+    };
+    plan = planNew(ROOT, section ? { ...options, value: option('--value') } : options, { section });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const what = section ? `section ${slug} (CapacitySection = "${plan.entry.value}")` : `tab ${slug} (selectedTab = "${plan.entry.selectedTab}")`;
+  if (dryRun) {
+    console.log(`Would add ${what}:`);
+    plan.files.forEach(f => console.log(`   ${f.file}`));
+    console.log(`   scripts/fixtures/snapshots/${slug}/`);
+    console.log(JSON.stringify(plan.entry, null, 2).replace(/^/gm, '   '));
+    return;
+  }
+
+  const { snapshots } = writeNew(ROOT, plan);
+  plan.files.forEach(({ file }) => console.log(`✏️  ${file}`));
+  console.log(`✏️  scripts/fixtures/snapshots/${slug}/ (${snapshots.length} golden(s))`);
+
+  console.log(`\n✅ Added ${what}. Next:`);
+  console.log(`   - replace the starter content in workbooks/${slug}/${slug}.workbook`);
+  console.log('   - node scripts/build-monolithic.js');
+  console.log('   - node scripts/run-tests.js --snapshot --update   (after changing queries)');
+  console.log('   - node scripts/run-tests.js --snapshot');
+}
+
+if (require.main === module) main();
+
+module.exports = { planNew, writeNew };
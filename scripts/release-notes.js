@@ -0,0 +1,179 @@
+/**
+ * scripts/release-notes.js — Generates the README "What's New" section for a
+ * release and applies the version bump in one step.
+ *
+ * Inputs:
+ *   changelog/vX.Y.Z.json    summary and numbered entries, written by hand
+ *                            (format: scripts/lib/release-notes.js)
+ *   previous release         the workbook at the previous tag (default: the
+ *                            newest v* tag other than vX.Y.Z), or --previous
+ *                            <git-ref | workbook.json | split-tree/>
+ *
+ * Steps:
+ *   1. Sets the "Workbook Version: vX.Y.Z" banner (and a version in the
+ *      title markdown, if any) in shared/header.json
+ *   2. Rebuilds AzureLocal-LENS-Workbook.json (as build-monolithic.js)
+ *   3. Diffs the previous workbook against the new build by item name path
+ *      (scripts/lib/workbook-diff.js)
+ *   4. Writes "## What's New (vX.Y.Z)" into README.md — summary, entries and
+ *      the item-level changes — moves the previous section to the appendix
+ *      and updates "## Latest Version" and the TOC link
+ *
+ * These are the inputs of the Version Consistency tests and of release.yml,
+ * which tags the release from the README heading. Re-running for the same
+ * version regenerates the section in place — e.g. after bump-version.js left
+ * a pending section because the changes file did not exist yet. Entries may list the items they
+ * cover ("items"); changed items no entry lists, and listed items that did
+ * not change, are printed as warnings.
+ *
+ * Usage:
+ *   node scripts/release-notes.js <X.Y.Z[-suffix]> [--previous <ref|file|dir>]
+ *                                 [--notes <file.md>] [--dry-run]
+ *
+ *   --notes     also write the section with full query/markdown line diffs
+ *               (for the GitHub release body or PR description)
+ *   --dry-run   print the section; leave the sources and README unchanged
+ *
+ * Examples:
+ *   node scripts/release-notes.js 1.0.4
+ *   node scripts/release-notes.js 1.1.0-rc.1 --previous v1.0.4 --notes release-notes.md
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { buildMonolithic, serialize } = require('./build-monolithic');
+const { loadSide } = require('./diff-workbook');
+const { diffWorkbooks, workbookVersion } = require('./lib/workbook-diff');
+const { sourceText } = require('./lib/format');
+const {
+  parseVersion, validateChanges, setHeaderVersion, pendingSection, coverage, renderWhatsNew, updateReadme
+} = require('./lib/release-notes');
+
+const ROOT = path.resolve(__dirname, '..');
+const CHANGELOG_DIR = path.join(ROOT, 'changelog');
+const HEADER = path.join(ROOT, 'shared', 'header.json');
+const TARGET = path.join(ROOT, 'AzureLocal-LENS-Workbook.json');
+const README = path.join(ROOT, 'README.md');
+
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+/** Newest v* tag other than `tag`, or null. */
+function previousTag(tag) {
+  const tags = git(['tag', '--list', 'v*', '--sort=-v:refname']).split('\n').filter(Boolean);
+  return tags.find(t => t !== tag) || null;
+}
+
+/** The previous release's workbook: a file or split tree on disk, or a git ref. */
+function loadPrevious(ref) {
+  if (fs.existsSync(ref)) return loadSide(ref);
+  let text;
+  try {
+    text = git(['show', `${ref}:${path.basename(TARGET)}`]);
+  } catch (e) {
+    throw new Error(`Cannot read ${path.basename(TARGET)} at "${ref}" (not a file, directory or git ref)`);
+  }
+  return JSON.parse(text.replace(/^\uFEFF/, ''));
+}
+
+/** changelog/v<version>.json, validated; null when the file does not exist. */
+function loadChanges(version) {
+  const file = path.join(CHANGELOG_DIR, `v${version}.json`);
+  if (!fs.existsSync(file)) return null;
+  const changes = readJson(file);
+  const problems = validateChanges(changes);
+  if (problems.length) throw new Error(`${path.relative(ROOT, file)}:\n   ${problems.join('\n   ')}`);
+  return changes;
+}
+
+/**
+ * Compute a release at `version` without writing anything: returns
+ * { header, doc, readme, section, changes, diff, from } (diff and from are
+ * null for a pending section). Without a changes file the README gets
+ * pendingSection() when `pending` is set, otherwise this throws.
+ */
+function planRelease(version, { previous = null, pending = false } = {}) {
+  const header = setHeaderVersion(readJson(HEADER), version);
+  const doc = buildMonolithic(undefined, { header });
+  const readme = fs.readFileSync(README, 'utf8');
+  const changes = loadChanges(version);
+  if (!changes) {
+    if (!pending) throw new Error(`changelog/v${version}.json not found — write the summary and entries for v${version} first`);
+    const section = pendingSection(version);
+    return { header, doc, readme: updateReadme(readme, version, section), section, changes: null, diff: null, from: null };
+  }
+  const ref = previous || previousTag(`v${version}`);
+  if (!ref) throw new Error('No previous release tag (v*) found; pass --previous <ref|file|dir>');
+  const prevDoc = loadPrevious(ref);
+  const diff = diffWorkbooks(prevDoc, doc);
+  const from = workbookVersion(prevDoc) || ref;
+  const section = renderWhatsNew(version, changes, diff, { from });
+  return { header, doc, readme: updateReadme(readme, version, section), section, changes, diff, from };
+}
+
+/**
+ * Write a planned release: shared/header.json first, then the root workbook
+ * rebuilt from the sources (as build-monolithic.js), then README.md.
+ */
+function writeRelease(plan) {
+  fs.writeFileSync(HEADER, sourceText(plan.header), 'utf8');
+  fs.writeFileSync(TARGET, serialize(buildMonolithic()), 'utf8');
+  fs.writeFileSync(README, plan.readme, 'utf8');
+}
+
+/** Print coverage warnings for a plan with a changes file. */
+function reportCoverage(plan) {
+  if (!plan.changes) return;
+  const { undocumented, unchanged } = coverage(plan.changes, plan.diff);
+  undocumented.forEach(p => console.warn(`⚠️  Changed but not listed in any entry's "items": ${p}`));
+  unchanged.forEach(n => console.warn(`⚠️  Listed in "items" but unchanged since ${plan.from}: ${n}`));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : null;
+  };
+  const dryRun = args.includes('--dry-run');
+  const previousArg = valueOf('--previous');
+  const notesFile = valueOf('--notes');
+  const positional = args.filter((a, i) => !a.startsWith('--') && !['--previous', '--notes'].includes(args[i - 1]));
+  if (positional.length !== 1 || (args.includes('--previous') && !previousArg) || (args.includes('--notes') && !notesFile)) {
+    console.error('Usage: node scripts/release-notes.js <X.Y.Z[-suffix]> [--previous <ref|file|dir>] [--notes <file.md>] [--dry-run]');
+    process.exit(1);
+  }
+
+  // Everything is computed before anything is written, so a README without
+  // the expected headings leaves the tree untouched.
+  let version;
+  let plan;
+  try {
+    version = parseVersion(positional[0]);
+    plan = planRelease(version, { previous: previousArg });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    process.stdout.write(plan.section);
+  } else {
+    writeRelease(plan);
+    console.log(`✅ v${version}: banner in ${path.relative(ROOT, HEADER)}, ${path.basename(TARGET)} rebuilt, README "What's New" written (changes since ${plan.from})`);
+  }
+  if (notesFile) {
+    fs.writeFileSync(notesFile, renderWhatsNew(version, plan.changes, plan.diff, { from: plan.from, diffs: true }));
+    console.log(`✅ Wrote ${notesFile}`);
+  }
+  reportCoverage(plan);
+}
+
+if (require.main === module) main();
+
+module.exports = { planRelease, writeRelease, reportCoverage, loadChanges, previousTag, loadPrevious };
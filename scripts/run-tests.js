@@ -1,12 +1,54 @@
 /**
  * Run Azure Local LENS Workbook unit tests and generate NUnit XML report
- * Usage: node scripts/run-tests.js
+ * Usage: node scripts/run-tests.js [--snapshot [--update]] [--overlay <overlays/org/>] [--gallery]
+ *
+ *   --snapshot  also render every query to test-results/snapshots/<slug>/
+ *               and fail when it differs from the goldens in
+ *               scripts/fixtures/snapshots/ (see scripts/lib/query-snapshots.js)
+ *   --update    with --snapshot: accept the rendered queries as the new goldens
+ *   --overlay   test the workbook as built with an organization overlay
+ *               (scripts/lib/overlay.js): the monolithic build, sub-templates
+ *               and shared/ files under test are the overlaid ones. Query
+ *               goldens are read from (and --update writes) <overlay>/snapshots/;
+ *               without that directory the golden comparison is skipped.
+ *               Results go to test-results/overlays/<org>/.
+ *   --gallery   test the gallery form instead of the monolithic build: the
+ *               outer in dist/gallery/ (dist/overlays/<org>/gallery/ with
+ *               --overlay; run scripts/build-gallery.js first) with every
+ *               template stub resolved (scripts/lib/gallery-resolver.js).
+ *               Results go to a gallery/ subdirectory.
  * 
  * Validates the workbook JSON structure, KQL queries, chart configurations,
  * version consistency, and other quality checks.
  */
 const path = require('path');
 const fs = require('fs');
+const { parse: parseKql, KqlSyntaxError } = require('./lib/kql-parser');
+const { checkWorkbookQueries, collectKqlQueries, formatError: formatKqlError } = require('./lib/kql-check');
+const { createResolver, loadFixture } = require('./lib/parameters');
+const { evaluate: evaluateKql } = require('./lib/kql-eval');
+const { loadTables } = require('./lib/fixture-tables');
+const { createHarness, resultObjects } = require('./lib/query-harness');
+const { loadSnapshots } = require('./lib/resource-graph');
+const { loadWorkbook: loadWorkbookFile, extractSidecars, inlineSidecars, sidecarRefs } = require('./lib/sidecars');
+const { buildMonolithic, readSources, checkBuild } = require('./build-monolithic');
+const { loadOverlay, applyOverlay } = require('./lib/overlay');
+const { loadGallery, resolveTemplates } = require('./lib/gallery-resolver');
+const { NAV_ITEMS, mainTabLinks, sectionTabLinks, validateNavigation } = require('./lib/navigation');
+const { isContinuation, continuations, groupSections, navSections, templateEntries, splitTemplate } = require('./lib/splitter');
+const { collectMergeItems, mergedTables, parseMerge, validateMerge } = require('./lib/merge');
+const { Workbook, Query, Tab, itemQueries, serialize } = require('./lib/workbook');
+const { diffWorkbooks, formatMarkdown: formatDiffMarkdown, lineDiff } = require('./lib/workbook-diff');
+const { formatKql, renderSnapshots, writeSnapshots, compareSnapshots } = require('./lib/query-snapshots');
+const {
+    compareVersions, coverage, headerVersion, nextVersion, parseVersion, pendingSection, renderWhatsNew,
+    setBannerVersion, setHeaderVersion, updateReadme, validateChanges, PENDING_MARKER
+} = require('./lib/release-notes');
+
+const SNAPSHOT_MODE = process.argv.includes('--snapshot');
+const UPDATE_SNAPSHOTS = SNAPSHOT_MODE && process.argv.includes('--update');
+const OVERLAY_DIR = process.argv.includes('--overlay') ? process.argv[process.argv.indexOf('--overlay') + 1] : null;
+const GALLERY_MODE = process.argv.includes('--gallery');
 
 // ============================================================================
 // TEST FRAMEWORK
@@ -150,49 +192,19 @@ function generateNUnitXML(results, passed, failed, total) {
 
 /**
  * Recursively collect all items from the workbook JSON, including nested groups
+ * (copies carrying their nesting depth as _depth; scripts/lib/workbook.js)
  */
-function collectAllItems(items, depth = 0) {
-    const allItems = [];
-    if (!Array.isArray(items)) return allItems;
-
-    items.forEach(item => {
-        allItems.push({ ...item, _depth: depth });
-        // NotebookGroup items have nested items
-        if (item.content && item.content.items) {
-            allItems.push(...collectAllItems(item.content.items, depth + 1));
-        }
-    });
-    return allItems;
+function collectAllItems(items) {
+    return new Workbook(items || []).all().map(item => ({ ...item.raw, _depth: item.depth }));
 }
 
 /**
  * Extract all KQL queries from the workbook
  */
 function extractQueries(items) {
-    const queries = [];
-    items.forEach(item => {
-        if (item.content && item.content.query) {
-            queries.push({
-                name: item.name || item.content.title || 'unnamed',
-                query: item.content.query,
-                type: item.type,
-                visualization: item.content.visualization
-            });
-        }
-        // Also check parameter items
-        if (item.content && item.content.parameters) {
-            item.content.parameters.forEach(param => {
-                if (param.query) {
-                    queries.push({
-                        name: param.name || param.label || 'unnamed-param',
-                        query: param.query,
-                        type: 'parameter'
-                    });
-                }
-            });
-        }
-    });
-    return queries;
+    return items.flatMap(item => itemQueries(item).map(({ name, query, parameter }) => (parameter
+        ? { name, query, type: 'parameter' }
+        : { name, query, type: item.type, visualization: item.content.visualization })));
 }
 
 /**
@@ -222,14 +234,74 @@ const workbookPath = path.resolve(__dirname, '..', 'AzureLocal-LENS-Workbook.jso
 const readmePath = path.resolve(__dirname, '..', 'README.md');
 
 let workbook, workbookRaw;
+let overlay = null;
+let sources = null;
 try {
-    workbookRaw = fs.readFileSync(workbookPath, 'utf8');
+    if (OVERLAY_DIR !== null) {
+        if (!OVERLAY_DIR) throw new Error('--overlay needs a directory (e.g. overlays/contoso/)');
+        overlay = loadOverlay(OVERLAY_DIR);
+        sources = applyOverlay(readSources(), overlay);
+        workbookRaw = serialize(buildMonolithic(undefined, { overlay }));
+    } else {
+        sources = readSources();
+        workbookRaw = fs.readFileSync(workbookPath, 'utf8');
+    }
+    if (GALLERY_MODE) {
+        const galleryDir = path.resolve(__dirname, '..', 'dist', ...(overlay ? ['overlays', overlay.name] : []), 'gallery');
+        const { outer, lookup, continuationIds } = loadGallery(galleryDir, sources.tabMap);
+        workbookRaw = serialize(resolveTemplates(outer, lookup, continuationIds));
+    }
     workbook = JSON.parse(workbookRaw);
 } catch (e) {
     console.error('Failed to load workbook:', e.message);
     process.exit(1);
 }
 
+const RESULTS_DIR = path.resolve(__dirname, '..', 'test-results',
+    ...(overlay ? ['overlays', overlay.name] : []),
+    ...(GALLERY_MODE ? ['gallery'] : []));
+const GOLDENS_DIR = overlay ? path.join(overlay.dir, 'snapshots') : path.resolve(__dirname, 'fixtures', 'snapshots');
+
+// Every sub-template file of readSources(), continuations split out again
+// (scripts/lib/splitter.js).
+const splitFiles = new Map();
+for (const tab of sources.tabMap.tabs) {
+    for (const entry of [tab, ...groupSections(tab)]) {
+        const { doc, parts } = splitTemplate(sources.templates[entry.slug], continuations(entry));
+        splitFiles.set(entry.slug, doc);
+        parts.forEach(p => splitFiles.set(p.entry.slug, p.doc));
+    }
+}
+
+/**
+ * Load a sub-template; sub-templates of this repo come from readSources()
+ * (navigation generated, overlaid with --overlay): a tab or section with
+ * its continuations joined in, a continuation on its own.
+ */
+function loadWorkbook(file) {
+    const slug = path.basename(file, '.workbook');
+    if (splitFiles.has(slug)
+        && path.resolve(file) === path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`)) {
+        return JSON.parse(JSON.stringify(sources.templates[slug] || splitFiles.get(slug)));
+    }
+    return loadWorkbookFile(file);
+}
+
+/** Tab and section slugs; their continuations are joined in (loadWorkbook). */
+function contentSlugs() {
+    return Object.keys(sources.templates);
+}
+
+/** Every sub-template file slug, continuations included. */
+function fileSlugs() {
+    return templateEntries(sources.tabMap).map(e => e.slug);
+}
+
+/** shared/parameters.json or shared/header.json as built (navigation generated, overlaid with --overlay). */
+function readShared(name) {
+    return JSON.parse(JSON.stringify(name === 'parameters.json' ? sources.params : sources.header));
+}
+
 // README is loaded lazily — only the Version Consistency and README Structure Validation
 // suites need it, so defer the read until first access.
 let readmeCache = null;
@@ -255,6 +327,8 @@ allItems.filter(i => i.type === 9 && i.content && i.content.parameters).forEach(
 console.log('========================================');
 console.log(' Azure Local LENS Workbook - Unit Tests');
 console.log('========================================');
+if (overlay) console.log(`Overlay: ${overlay.name} (${overlay.patches.length} patch(es) applied to the sources)`);
+if (GALLERY_MODE) console.log('Gallery form: the outer workbook with every template stub resolved from the gallery package');
 console.log(`Loaded workbook: ${allItems.length} items, ${allQueries.length} queries, ${allCharts.length} charts\n`);
 
 // ============================================================================
@@ -350,14 +424,14 @@ testSuite('Tab Structure Validation', () => {
 // --- 4. Version Consistency ---
 testSuite('Version Consistency', () => {
     // Extract version from workbook JSON banner
-    const versionMatch = workbookRaw.match(/Workbook Version: v([\d.]+)/);
+    const versionMatch = workbookRaw.match(/Workbook Version: v(\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?)/);
     const jsonVersion = versionMatch ? versionMatch[1] : null;
     assert(jsonVersion !== null,
         'Workbook JSON contains version banner', 'version found', jsonVersion || 'not found');
 
     // Extract version from README
     const readme = getReadme();
-    const readmeVersionMatch = readme.match(/## Latest Version: v([\d.]+)/);
+    const readmeVersionMatch = readme.match(/## Latest Version: v(\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?)$/m);
     const readmeVersion = readmeVersionMatch ? readmeVersionMatch[1] : null;
     assert(readmeVersion !== null,
         'README contains latest version header', 'version found', readmeVersion || 'not found');
@@ -369,6 +443,13 @@ testSuite('Version Consistency', () => {
             jsonVersion, readmeVersion);
     }
 
+    // release.yml tags the release from the first "What's New" heading
+    const whatsNewMatch = readme.match(/^## What's New \(v([^)]+)\)/m);
+    const whatsNewVersion = whatsNewMatch ? whatsNewMatch[1] : null;
+    assert(whatsNewVersion === jsonVersion,
+        'JSON version matches README What\'s New version',
+        jsonVersion, whatsNewVersion || 'not found');
+
     // Extract version from README recent changes section
     const recentChangesMatch = readme.match(/## Recent Changes \(v([\d.]+)\)/);
     const recentChangesVersion = recentChangesMatch ? recentChangesMatch[1] : null;
@@ -1178,7 +1259,7 @@ testSuite('Split Architecture - Sub-Template Existence', () => {
             'true', String(exists));
         if (exists) {
             try {
-                const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
+                const sub = loadWorkbook(file);
                 assert(sub.version === 'Notebook/1.0',
                     `${tab.slug} has version Notebook/1.0`, 'Notebook/1.0', sub.version);
                 assert(Array.isArray(sub.items) && sub.items.length === 3,
@@ -1197,34 +1278,37 @@ testSuite('Split Architecture - Sub-Template Existence', () => {
             }
         }
 
-        // Sub-sections (currently only Capacity has them) — each section is its
+        // Sub-sections (the Capacity sections, continuations) — each is its
         // own gallery-ready sub-template under workbooks/<slug>/.
-        if (Array.isArray(tab.subSections)) {
-            for (const sect of tab.subSections) {
-                const sFile = path.join(workbooksDir, sect.slug, `${sect.slug}.workbook`);
-                const sExists = fs.existsSync(sFile);
-                assert(sExists, `Sub-section template exists: workbooks/${sect.slug}/${sect.slug}.workbook`,
-                    'true', String(sExists));
-                if (!sExists) continue;
-                try {
-                    const ss = JSON.parse(fs.readFileSync(sFile, 'utf8'));
-                    assert(ss.version === 'Notebook/1.0',
-                        `${sect.slug} has version Notebook/1.0`, 'Notebook/1.0', ss.version);
-                    assert(Array.isArray(ss.items) && ss.items.length === 3,
-                        `${sect.slug} has exactly 3 top-level items`, 3,
-                        Array.isArray(ss.items) ? ss.items.length : 'not array');
-                    if (Array.isArray(ss.items) && ss.items.length === 3) {
-                        assert(ss.items[2].name === sect.groupName,
-                            `${sect.slug} content group name matches subSections entry`,
-                            sect.groupName, ss.items[2].name);
-                        const cv = ss.items[2].conditionalVisibility;
+        for (const sect of templateEntries({ tabs: [tab] }).slice(1)) {
+            const sFile = path.join(workbooksDir, sect.slug, `${sect.slug}.workbook`);
+            const sExists = fs.existsSync(sFile);
+            assert(sExists, `Sub-section template exists: workbooks/${sect.slug}/${sect.slug}.workbook`,
+                'true', String(sExists));
+            if (!sExists) continue;
+            try {
+                const ss = loadWorkbookFile(sFile);
+                assert(ss.version === 'Notebook/1.0',
+                    `${sect.slug} has version Notebook/1.0`, 'Notebook/1.0', ss.version);
+                assert(Array.isArray(ss.items) && ss.items.length === 3,
+                    `${sect.slug} has exactly 3 top-level items`, 3,
+                    Array.isArray(ss.items) ? ss.items.length : 'not array');
+                if (Array.isArray(ss.items) && ss.items.length === 3) {
+                    assert(ss.items[2].name === sect.groupName,
+                        `${sect.slug} content group name matches subSections entry`,
+                        sect.groupName, ss.items[2].name);
+                    const cv = ss.items[2].conditionalVisibility;
+                    if (isContinuation(sect)) {
+                        assert(cv === undefined, `${sect.slug} continuation group has no conditionalVisibility`,
+                            'undefined', JSON.stringify(cv));
+                    } else if (sect.value !== undefined) {
                         assert(cv && cv.parameterName === 'CapacitySection' && cv.value === sect.value,
                             `${sect.slug} content group has CapacitySection=${sect.value} conditionalVisibility`,
                             `CapacitySection=${sect.value}`, cv ? `${cv.parameterName}=${cv.value}` : 'missing');
                     }
-                } catch (e) {
-                    assert(false, `${sect.slug} parses as JSON`, 'parses', e.message);
                 }
+            } catch (e) {
+                assert(false, `${sect.slug} parses as JSON`, 'parses', e.message);
             }
         }
     }
@@ -1240,20 +1324,14 @@ testSuite('Split Architecture - Shared Parameters Parity', () => {
         assert(false, 'shared/parameters.json available for parity check', 'exists', 'missing');
         return;
     }
-    const canonical = JSON.stringify(JSON.parse(fs.readFileSync(sharedParamsPath, 'utf8')));
+    const canonical = JSON.stringify(readShared('parameters.json'));
 
-    const slugs = [];
-    for (const tab of tabMap.tabs) {
-        slugs.push(tab.slug);
-        if (Array.isArray(tab.subSections)) {
-            for (const sect of tab.subSections) slugs.push(sect.slug);
-        }
-    }
+    const slugs = fileSlugs();
 
     for (const slug of slugs) {
         const file = path.join(workbooksDir, slug, `${slug}.workbook`);
         if (!fs.existsSync(file)) continue;
-        const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const sub = loadWorkbook(file);
         const subParamsJson = JSON.stringify(sub.items[0]);
         assert(subParamsJson === canonical,
             `${slug} items[0] matches shared/parameters.json`,
@@ -1267,26 +1345,22 @@ testSuite('Split Architecture - Round-Trip Integrity', () => {
     // If the round-trip fails the on-disk file must be regenerated:
     //   node scripts/build-monolithic.js
     const tabMap = require('./template-ids.json');
-    const sharedParams = JSON.parse(fs.readFileSync(
-        path.resolve(__dirname, '..', 'shared', 'parameters.json'), 'utf8'));
-    const sharedHeader = JSON.parse(fs.readFileSync(
-        path.resolve(__dirname, '..', 'shared', 'header.json'), 'utf8'));
+    const sharedParams = readShared('parameters.json');
+    const sharedHeader = readShared('header.json');
 
     const items = [sharedParams, ...sharedHeader.items];
     for (const tab of tabMap.tabs) {
         const file = path.resolve(__dirname, '..', 'workbooks', tab.slug, `${tab.slug}.workbook`);
         if (!fs.existsSync(file)) continue;
-        const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const sub = loadWorkbook(file);
         const contentGroup = JSON.parse(JSON.stringify(sub.items[2]));
 
-        // Merge in sub-section content groups (currently only Capacity has them).
-        if (Array.isArray(tab.subSections)) {
-            for (const sect of tab.subSections) {
-                const sFile = path.resolve(__dirname, '..', 'workbooks', sect.slug, `${sect.slug}.workbook`);
-                if (!fs.existsSync(sFile)) continue;
-                const sSub = JSON.parse(fs.readFileSync(sFile, 'utf8'));
-                contentGroup.content.items.push(JSON.parse(JSON.stringify(sSub.items[2])));
-            }
+        // Merge in section content groups (currently only Capacity has them).
+        for (const sect of groupSections(tab)) {
+            const sFile = path.resolve(__dirname, '..', 'workbooks', sect.slug, `${sect.slug}.workbook`);
+            if (!fs.existsSync(sFile)) continue;
+            const sSub = loadWorkbook(sFile);
+            contentGroup.content.items.push(JSON.parse(JSON.stringify(sSub.items[2])));
         }
 
         const ordered = {
@@ -1311,12 +1385,62 @@ testSuite('Split Architecture - Round-Trip Integrity', () => {
         fallbackResourceIds: ['azure monitor'],
         $schema: 'https://github.com/Microsoft/Application-Insights-Workbooks/blob/master/schema/workbook.json'
     };
-    const builtText = JSON.stringify(built, null, 2).replace(/\n/g, '\r\n') + '\r\n';
+    const builtText = serialize(built);
 
     assert(builtText === workbookRaw,
         'AzureLocal-LENS-Workbook.json is in sync with split sources (run scripts/build-monolithic.js if this fails)',
         'identical', builtText === workbookRaw ? 'identical'
             : `drift (${builtText.length} vs ${workbookRaw.length} bytes)`);
+
+    // Sidecar layout (scripts/extract-sidecars.js): moving every query and
+    // markdown text into .kql/.md files and inlining them again must give back
+    // the sub-template byte for byte, in memory and through files on disk.
+    const slugs = fileSlugs();
+    const tmpRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-sidecars-'));
+    try {
+        for (const slug of slugs) {
+            const dir = path.resolve(__dirname, '..', 'workbooks', slug);
+            const file = path.join(dir, `${slug}.workbook`);
+            if (!fs.existsSync(file)) continue;
+            const source = serialize(loadWorkbook(file));
+            const { doc, files, skipped } = extractSidecars(JSON.parse(source));
+            const tmpDir = path.join(tmpRoot, slug);
+            for (const f of files) {
+                fs.mkdirSync(path.dirname(path.join(tmpDir, f.file)), { recursive: true });
+                fs.writeFileSync(path.join(tmpDir, f.file), f.text);
+            }
+            fs.writeFileSync(path.join(tmpDir, `${slug}.workbook`), serialize(doc));
+            const rebuilt = serialize(loadWorkbook(path.join(tmpDir, `${slug}.workbook`)));
+            assert(rebuilt === source && files.length > 0,
+                `${slug}: sidecar extraction round-trips (${files.length} file(s), ${skipped.length} left inline)`,
+                'identical', rebuilt === source ? 'identical' : `drift (${rebuilt.length} vs ${source.length} bytes)`);
+
+            // Committed sidecars: every reference resolves (loadWorkbook above
+            // throws otherwise) and every file is referenced.
+            const refs = new Set(sidecarRefs(JSON.parse(fs.readFileSync(file, 'utf8'))));
+            const orphans = [];
+            for (const sub of ['queries', 'markdown']) {
+                const subDir = path.join(dir, sub);
+                if (!fs.existsSync(subDir)) continue;
+                for (const f of fs.readdirSync(subDir)) if (!refs.has(`${sub}/${f}`)) orphans.push(`${sub}/${f}`);
+            }
+            assert(orphans.length === 0, `${slug}: every sidecar file is referenced by an item`, '0 orphans',
+                orphans.length === 0 ? '0 orphans' : orphans.join(', '));
+        }
+    } finally {
+        fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+
+    const lfOnly = { items: [{ type: 1, name: 'note', content: { json: 'a\nb' } }, { type: 3, name: 'q', content: { query: 'T\r\n| take 1' } }] };
+    const extracted = extractSidecars(lfOnly);
+    const back = inlineSidecars(extracted.doc, rel => extracted.files.find(f => f.file === rel).text);
+    assert(JSON.stringify(back) === JSON.stringify(lfOnly) && extracted.doc.items[0].content.json === 'sidecar:markdown/note.md;eol=lf',
+        'Sidecars keep each item\'s line endings (LF text is marked ;eol=lf)', JSON.stringify(lfOnly), JSON.stringify(back));
+
+    // extract-sidecars.js takes one sub-template as --tab <Slug>; a bare slug is a usage error, not "all of them".
+    const bare = require('child_process').spawnSync(process.execPath, [path.join(__dirname, 'extract-sidecars.js'), 'VMs'], { encoding: 'utf8' });
+    assert(bare.status === 1 && bare.stderr.startsWith('Usage:') && !bare.stdout.includes('Extracted'),
+        'extract-sidecars.js rejects positional and unknown arguments with its usage', 'usage, exit 1', `${bare.status}: ${(bare.stdout + bare.stderr).trim().split('\n')[0]}`);
 });
 
 // --- 27. Split Architecture: Sub-Template Size Recommendations ---
@@ -1327,13 +1451,7 @@ testSuite('Split Architecture - Sub-Template Size Recommendations', () => {
     const HARD_LIMIT_KB = 350;
     const WARN_LIMIT_KB = 200;
 
-    const slugs = [];
-    for (const tab of tabMap.tabs) {
-        slugs.push(tab.slug);
-        if (Array.isArray(tab.subSections)) {
-            for (const sect of tab.subSections) slugs.push(sect.slug);
-        }
-    }
+    const slugs = fileSlugs();
 
     for (const slug of slugs) {
         const file = path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`);
@@ -1369,6 +1487,1570 @@ testSuite('Accessibility - No Inline-Style HTML', () => {
         '0', String(occurrences));
 });
 
+// --- 29. KQL Syntax Check ---
+testSuite('KQL Syntax Check', () => {
+    // Parses every Log Analytics / Resource Graph query (type=3 items and
+    // query-backed parameters) in every sub-template with the offline parser
+    // in scripts/lib/kql-parser.js, after substituting {Param} placeholders
+    // from scripts/fixtures/parameters.json (typed mocks for the rest).
+    // Catches missing pipes, unbalanced parens and unterminated strings
+    // before they ship to the portal.
+    const paramFixture = loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json'));
+    const slugs = contentSlugs();
+
+    for (const slug of slugs) {
+        const file = path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`);
+        if (!fs.existsSync(file)) continue;
+        const sub = loadWorkbook(file);
+        const { checked, errors } = checkWorkbookQueries(sub, paramFixture);
+        assert(errors.length === 0,
+            `${slug}: all ${checked} KQL queries parse`,
+            '0 syntax errors',
+            errors.length === 0 ? '0 syntax errors'
+                : `${errors.length} syntax error(s):\n     ${errors.map(e => formatKqlError(e, slug)).join('\n     ')}`);
+    }
+
+    // The checker must reject the mistakes it exists to catch.
+    const rejects = (text) => {
+        try { parseKql(text); return false; } catch (e) { return e instanceof KqlSyntaxError; }
+    };
+    const negativeCases = [
+        ['missing pipe between operators', 'resources\n| where type == "x"\n  extend a = 1'],
+        ['unbalanced parenthesis', 'resources | where (type == "x"'],
+        ['unterminated string', "resources | where name == 'x"],
+        ['unknown operator', 'resources | summarise count()'],
+        ['missing semicolon after let', 'let a = 1\nlet b = 2;\nresources'],
+        ['unresolved placeholder', 'resources | where name == {ClusterName}']
+    ];
+    for (const [label, text] of negativeCases) {
+        assert(rejects(text), `Parser rejects ${label}`, 'KqlSyntaxError', rejects(text) ? 'KqlSyntaxError' : 'parsed');
+    }
+
+    // Error positions point at the offending token.
+    try {
+        parseKql('resources\n| where type == "x"\n  extend a = 1');
+        assert(false, 'Syntax error reports line/column', 'line 3, column 3', 'no error');
+    } catch (e) {
+        assert(e.line === 3 && e.column === 3, 'Syntax error reports line/column',
+            'line 3, column 3', `line ${e.line}, column ${e.column}`);
+    }
+});
+
+// --- 30. Parameter Substitution ---
+testSuite('Parameter Substitution', () => {
+    // Renders queries with scripts/lib/parameters.js against the declared
+    // fixture (scripts/fixtures/parameters.json) and the workbook's own
+    // value/defaultValue rules, and compares exact query text.
+    const tabMap = require('./template-ids.json');
+    const paramFixture = loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json'));
+    const loadSub = (slug) => loadWorkbook(
+        path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`));
+
+    // Every placeholder in every query resolves to a defined, set parameter.
+    for (const tab of tabMap.tabs) {
+        const slugs = [tab.slug, ...groupSections(tab).map(s => s.slug)];
+        for (const slug of slugs) {
+            const sub = loadSub(slug);
+            const resolver = createResolver(sub, paramFixture);
+            const unresolved = new Set();
+            for (const q of collectKqlQueries(sub)) {
+                const out = resolver.render(q.query, { order: resolver.orderOf(q.scope), strict: true });
+                out.missing.forEach(name => unresolved.add(`${q.name}: {${name}}`));
+                out.errors.forEach(err => unresolved.add(`${q.name}: ${err}`));
+            }
+            assert(unresolved.size === 0, `${slug}: all query placeholders resolve against the fixture`,
+                'none unresolved', unresolved.size === 0 ? 'none unresolved' : [...unresolved].slice(0, 5).join('; '));
+        }
+    }
+
+    // Exact rendered text for a known tile (unset tag filters render empty).
+    const overview = createResolver(loadSub('Overview'), paramFixture);
+    const expectedTile = [
+        'resources',
+        '| where type == "microsoft.azurestackhci/clusters"',
+        "| where '' == '' or resourceGroup matches regex strcat('(?i)', replace_string(replace_string('', '*', '.*'), '?', '.'))",
+        "| where '' == '' or ('' != '' and tostring(tags['']) =~ '')",
+        '| where properties.status == "ConnectedRecently"',
+        '| summarize ConnectedClusters = count()',
+        "| extend Label = 'Connected Clusters'"
+    ].join('\n');
+    const renderedTile = overview.renderItem('tile-connected-clusters').text.replace(/\r\n/g, '\n');
+    const firstDiff = renderedTile.split('\n').findIndex((line, i) => line !== expectedTile.split('\n')[i]);
+    assert(renderedTile === expectedTile, 'tile-connected-clusters renders exact query text',
+        'identical', firstDiff === -1 ? 'identical' : `line ${firstDiff + 1}: ${renderedTile.split('\n')[firstDiff]}`);
+
+    // Formatters against the fixture clock (2026-01-31) and workbook defaults.
+    const updates = createResolver(loadSub('UpdateProgress'), paramFixture);
+    const formatCases = [
+        ['{UpdateHistoryTimeRange}', '> ago(45d)'],
+        ['{UpdateHistoryTimeRange:start}', 'datetime(2025-12-17T00:00:00.000Z)'],
+        ['{UpdateHistoryTimeRange:end}', 'datetime(2026-01-31T00:00:00.000Z)'],
+        ['{UpdateHistoryTimeRange:label}', 'Last 45 days'],
+        ['{UpdateHistoryTimeRange:grain}', '6h'],
+        ['{UpdateHistoryStateFilter}', "'Failed'"],
+        ['{UpdatesAvailableFilter:label}', 'All'],
+        ['{UpdateAttemptsTimeFilter:label}', '3 months'],
+        ['{Subscriptions}', "'/subscriptions/00000000-0000-0000-0000-000000000001'"]
+    ];
+    for (const [placeholder, expected] of formatCases) {
+        const actual = updates.render(placeholder).text;
+        assert(actual === expected, `${placeholder} renders as ${expected}`, expected, actual);
+    }
+
+    // Hidden map parameters render as the JSON array the runtime stores.
+    const nodeMapText = overview.render('dynamic({ClusterRGMap})').text;
+    const expectedMap = 'dynamic(["rg-lens-demo:lens-clu01","rg-lens-branch:lens-clu02"])';
+    assert(nodeMapText === expectedMap, 'Text parameter with array selection renders as JSON', expectedMap, nodeMapText);
+
+    // Synthetic document: selectAllValue, explicit multi-select, criteriaData
+    // and document-order scoping of a redefined parameter.
+    const synthetic = {
+        items: [
+            { type: 9, name: 'params-a', content: { parameters: [
+                { name: 'Status', type: 2, multiSelect: true, quote: "'", delimiter: ',', value: ['value::all'],
+                    typeSettings: { selectAllValue: '*' }, jsonData: '["Up","Down"]' },
+                { name: 'Nodes', type: 2, multiSelect: true, quote: '"', delimiter: '|', jsonData: '[{"value":"n1","label":"Node 1"},{"value":"n2","label":"Node 2"}]' },
+                { name: 'Mode', type: 1, value: 'fast' },
+                { name: 'Window', type: 1, criteriaData: [
+                    { criteriaContext: { leftOperand: 'Mode', operator: '==', rightValType: 'static', rightVal: 'fast', resultValType: 'static', resultVal: '1h' } },
+                    { criteriaContext: { operator: 'Default', resultValType: 'static', resultVal: '1d' } }
+                ] },
+                { name: 'Range', type: 4, value: { durationMs: 86400000 } }
+            ] } },
+            { type: 3, name: 'query-a', content: { query: 'T | where s in ({Status}) | where n in ({Nodes}) | where TimeGenerated {Range} | summarize by bin(TimeGenerated, {Window})' } },
+            { type: 9, name: 'params-b', content: { parameters: [{ name: 'Range', type: 4, value: { durationMs: 3600000 } }] } },
+            { type: 3, name: 'query-b', content: { query: 'T | where TimeGenerated {Range}' } }
+        ]
+    };
+    const syn = createResolver(synthetic, { now: '2026-01-31T00:00:00.000Z', parameters: { Nodes: ['n1', 'n2'] } });
+    const synCases = [
+        ['query-a', `T | where s in ('*') | where n in ("n1"|"n2") | where TimeGenerated > ago(1d) | summarize by bin(TimeGenerated, 1h)`],
+        ['query-b', 'T | where TimeGenerated > ago(1h)']
+    ];
+    for (const [name, expected] of synCases) {
+        const actual = syn.renderItem(name).text;
+        assert(actual === expected, `Synthetic ${name} renders selectAllValue, quoting, criteriaData and scoped redefinition`, expected, actual);
+    }
+    const nodeLabels = syn.render('{Nodes:label}').text;
+    assert(nodeLabels === 'Node 1, Node 2', 'Multi-select :label joins option labels', 'Node 1, Node 2', nodeLabels);
+    const unset = createResolver(synthetic, {}).render('{Nodes}', { order: syn.orderOf('query-a') });
+    assert(unset.text === '' && unset.missing.includes('Nodes'), 'Unset parameter renders empty and is reported missing',
+        "'' + missing Nodes", `'${unset.text}' + missing ${unset.missing.join(',') || '(none)'}`);
+    const cyclic = createResolver({ items: [{ type: 9, name: 'params-cycle', content: { parameters: [
+        { name: 'A', type: 1, criteriaData: [{ criteriaContext: { operator: 'Default', resultValType: 'param', resultVal: '{B}' } }] },
+        { name: 'B', type: 1, criteriaData: [{ criteriaContext: { operator: 'Default', resultValType: 'param', resultVal: '{A}' } }] }
+    ] } }] }, {});
+    let cycle;
+    try { cycle = cyclic.render('{A}'); } catch (e) { cycle = { text: '', errors: [e.message] }; }
+    assert(cycle.errors.includes('circular criteria reference through A'), 'Criteria parameters that reference each other are reported as a cycle',
+        'circular criteria reference through A', cycle.errors.join('; ') || '(no errors)');
+});
+
+// --- 31. Local Query Execution (Log Analytics) ---
+testSuite('Local Query Execution (Log Analytics)', () => {
+    // Runs Capacity queries end to end with scripts/lib/query-harness.js:
+    // rendered with the parameter fixture, evaluated by kql-eval.js against
+    // the fixture tables in scripts/fixtures/log-analytics (one 3-node
+    // cluster plus three VMs, a week of Perf/Heartbeat/InsightsMetrics
+    // samples). Node CPU averages 30 + 2×day across the cluster, memory
+    // sits at 50% and storage drains from 60% used by 0.5%/day.
+    const paramFixture = loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json'));
+    const logs = loadTables(path.resolve(__dirname, 'fixtures', 'log-analytics'));
+    const harnessFor = (slug) => createHarness({
+        doc: loadWorkbook(path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`)),
+        fixture: paramFixture,
+        logs
+    });
+    const run = (harness, name) => {
+        try {
+            return { result: harness.runItem(name) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    };
+    const columnsOf = (result) => result.columns.map(c => c.name).join(', ');
+    const near = (a, b) => typeof a === 'number' && Math.abs(a - b) < 1e-6;
+
+    assert(['Perf', 'Heartbeat', 'InsightsMetrics', 'Event'].every(t => logs[t]),
+        'Fixture tables Perf, Heartbeat, InsightsMetrics and Event load', 'all four', Object.keys(logs).join(', '));
+
+    const multi = harnessFor('Capacity-MultiNode');
+
+    // node-exhaustion-forecast-table: one row per resource, days-to-threshold
+    // from the daily trend (CPU: (80 - 36) / 2 = 22 days to warning).
+    const exhaustion = run(multi, 'node-exhaustion-forecast-table');
+    assert(!exhaustion.error, 'node-exhaustion-forecast-table runs', 'a result', exhaustion.error);
+    if (exhaustion.result) {
+        const expectedCols = 'Cluster Name, Resource, Current Avg %%, Trend, Days to Warning, Days to Critical, Status';
+        assert(columnsOf(exhaustion.result) === expectedCols, 'node-exhaustion-forecast-table columns', expectedCols, columnsOf(exhaustion.result));
+        const expectedRows = [
+            ['lens-clu01', 'CPU', 36, '↑ Rising', '~22 days', '~27 days', '🟡 Warning'],
+            ['lens-clu01', 'Memory', 50, '→ Stable', 'N/A (stable/declining)', 'N/A (stable/declining)', '🟢 OK'],
+            ['lens-clu01', 'Storage', 58.5, '↓ Declining', 'N/A (stable/declining)', 'N/A (stable/declining)', '🟢 OK']
+        ];
+        const actual = JSON.stringify(exhaustion.result.rows);
+        assert(actual === JSON.stringify(expectedRows), 'node-exhaustion-forecast-table rows (ordered by Status, Resource)',
+            JSON.stringify(expectedRows), actual);
+    }
+
+    // mc-cpu-forecast: 8 actual daily points (today forward-filled) followed
+    // by a 30-day horizon, of which 29 points fall after the trend end.
+    const forecast = run(multi, 'mc-cpu-forecast');
+    assert(!forecast.error, 'mc-cpu-forecast runs', 'a result', forecast.error);
+    if (forecast.result) {
+        assert(columnsOf(forecast.result) === 'TimeGenerated, Series, Value', 'mc-cpu-forecast columns',
+            'TimeGenerated, Series, Value', columnsOf(forecast.result));
+        const rows = resultObjects(forecast.result);
+        const actual = rows.filter(r => r.Series === 'lens-clu01 - Actual');
+        const predicted = rows.filter(r => r.Series === 'lens-clu01 - Forecast');
+        const actualValues = actual.map(r => r.Value).join(',');
+        assert(actualValues === '30,32,34,36,38,40,42,42', 'mc-cpu-forecast actual series is the daily cluster average',
+            '30,32,34,36,38,40,42,42', actualValues);
+        assert(actual.length && actual[0].TimeGenerated === '2026-01-24T00:00:00Z' && actual[actual.length - 1].TimeGenerated === '2026-01-31T00:00:00Z',
+            'mc-cpu-forecast actual series spans the trend window', '2026-01-24 .. 2026-01-31',
+            actual.length ? `${actual[0].TimeGenerated} .. ${actual[actual.length - 1].TimeGenerated}` : '(none)');
+        const trendOk = predicted.length === 29 && predicted.every((r, i) => near(r.Value, 46 + 2 * i));
+        assert(trendOk, 'mc-cpu-forecast extends the linear trend over the horizon', '29 points, 46 + 2/day',
+            `${predicted.length} points: ${predicted.slice(0, 3).map(r => r.Value).join(', ')} ...`);
+        const sorted = rows.every((r, i) => i === 0 || rows[i - 1].TimeGenerated <= r.TimeGenerated);
+        assert(sorted, 'mc-cpu-forecast is ordered by TimeGenerated', 'ascending', 'out of order');
+    }
+
+    // sc-vms-table merges this Log Analytics leg with Resource Graph; the
+    // Perf and InsightsMetrics (Azure Monitor agent) sources are unioned.
+    const single = harnessFor('Capacity-SingleNode');
+    const vms = run(single, 'sc-vms-perf-data');
+    assert(!vms.error, 'sc-vms-perf-data runs', 'a result', vms.error);
+    if (vms.result) {
+        assert(columnsOf(vms.result) === 'vmName, AvgCPU, MaxCPU, AvgMemory, MaxMemory', 'sc-vms-perf-data columns',
+            'vmName, AvgCPU, MaxCPU, AvgMemory, MaxMemory', columnsOf(vms.result));
+        const byName = new Map(vms.result.rows.map(r => [r[0], r.slice(1)]));
+        const expected = {
+            'vm-app01': [30, 40, 60, 60],
+            'vm-db01': [60, 70, 75, 80],
+            'vm-web01': [20, 30, null, null]
+        };
+        for (const [vm, values] of Object.entries(expected)) {
+            const actual = JSON.stringify(byName.get(vm) || null);
+            assert(actual === JSON.stringify(values), `sc-vms-perf-data ${vm} averages and peaks`, JSON.stringify(values), actual);
+        }
+    }
+
+    // The merged table: one row per Arc VM in the Resource Graph fixtures
+    // (only vm-app01), with its perf columns from the leg above.
+    const merged = run(createHarness({
+        doc: loadWorkbook(path.resolve(__dirname, '..', 'workbooks', 'Capacity-SingleNode', 'Capacity-SingleNode.workbook')),
+        fixture: paramFixture,
+        logs,
+        resourceGraph: loadSnapshots(path.resolve(__dirname, 'fixtures', 'resource-graph'))
+    }), 'sc-vms-table');
+    assert(!merged.error, 'sc-vms-table runs', 'a result', merged.error);
+    if (merged.result) {
+        const expectedCols = 'vmName, vmLink, clusterName, status, osSku, osVersion, AvgCPU, MaxCPU, AvgMemory, MaxMemory';
+        assert(columnsOf(merged.result) === expectedCols, 'sc-vms-table columns', expectedCols, columnsOf(merged.result));
+        const expectedRows = [[
+            'vm-app01',
+            'https://portal.azure.com/#@/resource/subscriptions/00000000-0000-0000-0000-000000000001/resourceGroups/rg-lens-demo/providers/Microsoft.HybridCompute/machines/vm-app01',
+            'lens-clu01', 'Connected', 'Windows Server 2022 Datacenter', '10.0.20348.2849', 30, 40, 60, 60
+        ]];
+        const actual = JSON.stringify(merged.result.rows);
+        assert(actual === JSON.stringify(expectedRows), 'sc-vms-table merges the Resource Graph VM with its perf averages and peaks',
+            JSON.stringify(expectedRows), actual);
+    }
+
+    // Evaluator semantics the forecasts depend on.
+    const scalar = (text) => evaluateKql(text, { now: '2026-01-31T00:00:00Z' }).rows[0][0];
+    const semantics = [
+        ['long division truncates', 'print 7 / 2', 3],
+        ['real division does not', 'print 7 / 2.0', 3.5],
+        ['timespan ratio is real', 'print ratio = (7d / 2) / 1d', 3.5],
+        ['round is half away from zero', 'print round(-2.5)', -3],
+        ['ago() uses the pinned now', 'print ago(1d)', '2026-01-30T00:00:00Z'],
+        ['null string equals empty', 'print tostring(dynamic(null)) == ""', true],
+        ['has matches whole terms', 'print "node01.contoso.local" has "contoso"', true]
+    ];
+    for (const [label, text, expected] of semantics) {
+        const actual = scalar(text);
+        assert(actual === expected, `Evaluator: ${label}`, JSON.stringify(expected), JSON.stringify(actual));
+    }
+    const fit = evaluateKql('print s = dynamic([1, 3, 5, 7]) | extend (rsq, slope, v, rv, icpt, line) = series_fit_line(s) | project slope, icpt');
+    assert(near(fit.rows[0][0], 2) && near(fit.rows[0][1], 1), 'Evaluator: series_fit_line tuple destructuring', 'slope 2, intercept 1',
+        `slope ${fit.rows[0][0]}, intercept ${fit.rows[0][1]}`);
+});
+
+// --- 32. Local Query Execution (Resource Graph) ---
+testSuite('Local Query Execution (Resource Graph)', () => {
+    // Runs queryType 1 items against the resource snapshots in
+    // scripts/fixtures/resource-graph: lens-clu01 (3 nodes, connected,
+    // update available) and lens-clu02 (2 nodes, disconnected, ARB offline,
+    // health warning, one failed node extension), plus one Azure Local VM
+    // and one AKS Arc cluster on lens-clu01.
+    const paramFixture = loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json'));
+    const resourceGraph = loadSnapshots(path.resolve(__dirname, 'fixtures', 'resource-graph'));
+    const loadSub = (slug) => loadWorkbook(
+        path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`));
+    const harnessFor = (slug, fixture = paramFixture) => createHarness({ doc: loadSub(slug), fixture, resourceGraph });
+
+    const clusters = resourceGraph.resources.rows.filter(r => r.type === 'microsoft.azurestackhci/clusters');
+    assert(clusters.length === 2 && clusters.every(r => r.resourceGroup && r.subscriptionId === '00000000-0000-0000-0000-000000000001'),
+        'Snapshots normalize type and derive resourceGroup/subscriptionId from id', '2 clusters with derived columns',
+        JSON.stringify(clusters.map(r => [r.type, r.resourceGroup, r.subscriptionId])));
+    const subscription = resourceGraph.resourcecontainers.rows.find(r => r.type === 'microsoft.resources/subscriptions');
+    assert(subscription && subscription.location === null && subscription.subscriptionId === '00000000-0000-0000-0000-000000000001',
+        'A snapshot row with a null location loads (subscriptions have none)', 'location null', JSON.stringify(subscription && [subscription.location, subscription.subscriptionId]));
+
+    // Every Resource Graph query on the ARG-backed tabs evaluates.
+    for (const slug of ['Overview', 'Machines', 'VMs', 'AksArc', 'ArbStatus', 'SystemHealth', 'UpdateProgress']) {
+        const harness = harnessFor(slug);
+        const names = [...new Set(collectKqlQueries(loadSub(slug))
+            .filter(q => q.queryType === 1 && !q.name.startsWith('parameter '))
+            .map(q => q.name))];
+        const failures = [];
+        for (const name of names) {
+            try {
+                harness.runItem(name);
+            } catch (e) {
+                failures.push(`${name}: ${e.message}`);
+            }
+        }
+        assert(failures.length === 0, `${slug}: all ${names.length} Resource Graph queries run locally`, '0 failures',
+            failures.length === 0 ? '0 failures' : failures.join('\n     '));
+    }
+
+    // Golden results for the Overview tiles.
+    const overview = harnessFor('Overview');
+    const connected = overview.runItem('tile-connected-clusters');
+    const connectedActual = JSON.stringify(connected);
+    const connectedExpected = JSON.stringify({
+        columns: [{ name: 'ConnectedClusters', type: 'long' }, { name: 'Label', type: 'string' }],
+        rows: [[1, 'Connected Clusters']]
+    });
+    assert(connectedActual === connectedExpected, 'tile-connected-clusters golden result', connectedExpected, connectedActual);
+
+    const tileGoldens = [
+        ['tile-total-clusters', 'TotalClusters', 2],
+        ['tile-disconnected-clusters', 'DisconnectedClusters', 1],
+        ['tile-total-azure-local-nodes', 'TotalNodes', 5],
+        ['tile-healthy-clusters', 'HealthyClusters', 1],
+        ['tile-warnings', 'Warnings', 1],
+        ['tile-failed-extensions', 'FailedExtensions', 1],
+        ['tile-total-vms', 'TotalVMs', 1],
+        ['tile-total-aks-arc', 'TotalAKSArc', 1],
+        ['tile-update-available', 'UpdateAvailable', 1]
+    ];
+    for (const [name, column, expected] of tileGoldens) {
+        const row = resultObjects(overview.runItem(name))[0] || {};
+        assert(row[column] === expected, `${name} counts ${expected}`, `${column} = ${expected}`, `${column} = ${row[column]}`);
+    }
+
+    // Detail tables resolve cross-resource joins (appliance → cluster → update summary).
+    const offline = resultObjects(harnessFor('ArbStatus').runItem('arb-offline-base'));
+    const offlineSummary = offline.map(r => `${r.ARBResourceName} ${r.ClusterName} ${r.daysSinceLastModified}d ${r.currentVersion}`).join('; ');
+    assert(offlineSummary === 'lens-clu02-arcbridge lens-clu02 10d 10.2408.2.7', 'arb-offline-base lists the offline appliance with its cluster',
+        'lens-clu02-arcbridge lens-clu02 10d 10.2408.2.7', offlineSummary);
+
+    // Rows outside the selected subscriptions are invisible, as in ARG.
+    const otherSub = JSON.parse(JSON.stringify(paramFixture));
+    otherSub.parameters.Subscriptions = { value: ['/subscriptions/00000000-0000-0000-0000-000000000002'] };
+    const scoped = resultObjects(harnessFor('Overview', otherSub).runItem('tile-total-clusters'))[0] || {};
+    assert(scoped.TotalClusters === 0, 'Queries only see the subscriptions in crossComponentResources', 'TotalClusters = 0',
+        `TotalClusters = ${scoped.TotalClusters}`);
+});
+
+// --- 33. Merge Items ---
+testSuite('Merge Items', () => {
+    // Validates every Merge (queryType 7) item with scripts/lib/merge.js —
+    // source items exist, join and projected columns exist in the source
+    // results — and evaluates merges from the local query fixtures or from
+    // fixture outputs supplied for their source items.
+    const paramFixture = loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json'));
+    const logs = loadTables(path.resolve(__dirname, 'fixtures', 'log-analytics'));
+    const resourceGraph = loadSnapshots(path.resolve(__dirname, 'fixtures', 'resource-graph'));
+    const loadSub = (slug) => loadWorkbook(
+        path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`));
+    const harnessFor = (slug, outputs = {}) => createHarness({ doc: loadSub(slug), fixture: paramFixture, logs, resourceGraph, outputs });
+
+    const tabMap = require('./template-ids.json');
+    const slugs = contentSlugs();
+
+    let mergeCount = 0;
+    for (const slug of slugs) {
+        const doc = loadSub(slug);
+        const harness = harnessFor(slug);
+        for (const item of collectMergeItems(doc)) {
+            mergeCount++;
+            const schemas = {};
+            const unrun = [];
+            for (const table of mergedTables(parseMerge(item))) {
+                try {
+                    schemas[table] = harness.runItem(table).columns.map(c => c.name);
+                } catch (e) {
+                    // A missing source is reported by validateMerge; one that exists but does
+                    // not run has no schema, which would skip its column checks.
+                    if (!e.message.startsWith('Query item not found')) unrun.push(`source '${table}' did not run, so its columns went unchecked: ${e.message}`);
+                }
+            }
+            const errors = [...unrun, ...validateMerge(doc, item, schemas)];
+            assert(errors.length === 0, `${slug}: ${item.name} references existing sources and columns`, '0 errors',
+                errors.length === 0 ? '0 errors' : errors.join('\n     '));
+        }
+    }
+    assert(mergeCount >= 10, 'Merge items found across sub-templates', '>= 10', mergeCount);
+
+    // Golden: per-cluster VM / AKS Arc counts joined onto the cluster list by resource group.
+    const allClusters = resultObjects(harnessFor('Overview').runItem('table-all-clusters'))
+        .map(r => `${r.ClusterName}:${r.VMCount}:${r.AKSArcCount}`).join(', ');
+    assert(allClusters === 'lens-clu01:1:1, lens-clu02:null:null', 'table-all-clusters merges counts onto each cluster',
+        'lens-clu01:1:1, lens-clu02:null:null', allClusters);
+
+    // Fixture outputs for the sources stand in for running them.
+    const aks = harnessFor('AksArc', {
+        'aks-all-clusters-base': {
+            columns: [{ name: 'ClusterName', type: 'string' }, { name: 'customLocKey', type: 'string' }, { name: 'clusterResourceId', type: 'string' }],
+            rows: [['aks-a', 'cl-1', '/a'], ['aks-b', 'cl-2', '/b'], ['aks-c', '', '/c']]
+        },
+        'aks-azurelocal-mapping': {
+            columns: [{ name: 'customLocKey', type: 'string' }, { name: 'azureLocalClusterName', type: 'string' }],
+            rows: [['cl-1', 'clu-one'], ['', 'clu-blank']]
+        }
+    }).runItem('aks-all-clusters');
+    const aksRows = resultObjects(aks).map(r => `${r.ClusterName}→${r.azureLocalClusterName}`).join(', ');
+    assert(aksRows === 'aks-a→clu-one, aks-b→null, aks-c→null', 'aks-all-clusters left-outer joins the mapping (empty keys never match)',
+        'aks-a→clu-one, aks-b→null, aks-c→null', aksRows);
+    assert(!aks.columns.some(c => c.name === 'customLocKey' || c.name === 'clusterResourceId'),
+        'Merge output drops projectRename entries without mergedName', 'no customLocKey/clusterResourceId', aks.columns.map(c => c.name).join(', '));
+
+    // The validator catches broken references.
+    const overview = harnessFor('Overview');
+    const doc = loadSub('Overview');
+    const merge = collectMergeItems(doc).find(i => i.name === 'table-all-clusters');
+    const schemas = {};
+    for (const table of mergedTables(parseMerge(merge))) schemas[table] = overview.runItem(table).columns.map(c => c.name);
+    const broken = (mutate) => {
+        const item = JSON.parse(JSON.stringify(merge));
+        const spec = JSON.parse(item.content.query);
+        mutate(spec);
+        item.content.query = JSON.stringify(spec);
+        return validateMerge(doc, item, schemas).join('; ');
+    };
+    const missingSource = broken(s => { s.merges[1].rightTable = 'all-clusters-vm-total'; });
+    assert(/rightTable 'all-clusters-vm-total' is not a query item/.test(missingSource), 'Validator reports a missing source item',
+        "rightTable 'all-clusters-vm-total' is not a query item", missingSource);
+    const missingJoin = broken(s => { s.merges[0].rightColumn = 'arcBridgeResourceGroup'; });
+    assert(/join column 'arcBridgeResourceGroup' is not a column of 'all-clusters-aksarc-count'/.test(missingJoin),
+        'Validator reports a join column missing from its source', "join column 'arcBridgeResourceGroup' …", missingJoin);
+    const missingProjection = broken(s => { s.projectRename.push({ originalName: '[all-clusters-vm-count].VMTotal', mergedName: 'VMTotal' }); });
+    assert(/'VMTotal' is not a column of 'all-clusters-vm-count'/.test(missingProjection),
+        'Validator reports a projected column missing from its source', "'VMTotal' is not a column of 'all-clusters-vm-count'", missingProjection);
+});
+
+// --- 34. Query Snapshots ---
+testSuite('Query Snapshots', () => {
+    // Pretty-printing keeps literals intact and puts one clause per line.
+    const formatted = formatKql("let t = 1d;\r\nPerf  | where CounterName == 'a | b'   // note\r\n| join kind=inner (Heartbeat | project Computer) on Computer");
+    const formattedExpected = [
+        'let t = 1d;',
+        "Perf",
+        "| where CounterName == 'a | b'",
+        '| join kind=inner (',
+        '    Heartbeat',
+        '    | project Computer',
+        ') on Computer',
+        ''
+    ].join('\n');
+    assert(formatted === formattedExpected, 'formatKql puts one clause per line and indents sub-queries',
+        JSON.stringify(formattedExpected), JSON.stringify(formatted));
+
+    // With --snapshot, every query in every sub-template is rendered with the
+    // parameter fixture and compared to its golden .kql file.
+    if (!SNAPSHOT_MODE) {
+        console.log('  ⏭️  Golden comparison skipped (run with --snapshot)');
+        return;
+    }
+    const compareGoldens = UPDATE_SNAPSHOTS || fs.existsSync(GOLDENS_DIR);
+    const updateHint = `node scripts/run-tests.js --snapshot --update${overlay ? ` --overlay ${OVERLAY_DIR}` : ''}`;
+    if (!compareGoldens) console.log(`  ⏭️  Golden comparison skipped (no ${path.relative(path.resolve(__dirname, '..'), GOLDENS_DIR)}/; create it with ${updateHint})`);
+    const tabMap = require('./template-ids.json');
+    const paramFixture = loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json'));
+    const slugs = contentSlugs();
+    for (const slug of slugs) {
+        const doc = loadWorkbook(path.resolve(__dirname, '..', 'workbooks', slug, `${slug}.workbook`));
+        const snapshots = renderSnapshots(doc, paramFixture);
+        const goldenDir = path.join(GOLDENS_DIR, slug);
+        writeSnapshots(path.join(RESULTS_DIR, 'snapshots', slug), snapshots);
+
+        const unresolved = snapshots.filter(s => s.missing.length).map(s => `${s.name}: ${s.missing.join(', ')}`);
+        assert(unresolved.length === 0, `${slug}: every snapshot renders from the parameter fixture`, '0 unresolved',
+            unresolved.length === 0 ? '0 unresolved' : unresolved.join('\n     '));
+
+        if (!compareGoldens) continue;
+        if (UPDATE_SNAPSHOTS) {
+            writeSnapshots(goldenDir, snapshots);
+            assert(true, `${slug}: ${snapshots.length} golden snapshot(s) updated`, 'updated', 'updated');
+            continue;
+        }
+        const { changed, added, removed } = compareSnapshots(snapshots, goldenDir);
+        const problems = [
+            ...changed.map(c => `${c.file} line ${c.line}:\n       golden: ${c.expected}\n       actual: ${c.actual}`),
+            ...added.map(f => `${f}: no golden (new query)`),
+            ...removed.map(f => `${f}: golden has no matching query`)
+        ];
+        assert(problems.length === 0, `${slug}: ${snapshots.length} rendered queries match their goldens`, 'no differences',
+            problems.length === 0 ? 'no differences'
+                : `${problems.join('\n     ')}\n     (review ${path.relative(path.resolve(__dirname, '..'), path.join(RESULTS_DIR, 'snapshots', slug))}/, then run: ${updateHint})`);
+    }
+});
+
+// --- 35. Workbook Diff ---
+testSuite('Workbook Diff', () => {
+    // scripts/diff-workbook.js compares two versions by item name path.
+    const { loadSide } = require('./diff-workbook');
+    const current = loadSide(path.resolve(__dirname, '..', 'AzureLocal-LENS-Workbook.json'));
+    const fromTree = loadSide(path.resolve(__dirname, '..'));
+    const none = diffWorkbooks(fromTree, current);
+    const noneCount = Object.values(none).reduce((n, list) => n + list.length, 0);
+    assert(noneCount === 0, 'Split tree and monolithic file of the same version have no item-level differences', '0', noneCount);
+
+    // Edit a copy: move a tile to another tab, change its query and chart,
+    // change a parameter, drop a tab group.
+    const next = JSON.parse(JSON.stringify(current));
+    const overview = next.items.find(i => i.name === 'summary-tiles-group');
+    const tile = overview.content.items.find(i => i.name === 'pie-cluster-connectivity');
+    overview.content.items.splice(overview.content.items.indexOf(tile), 1);
+    next.items.find(i => i.name === 'capacity-tab-group').content.items.push(tile);
+    tile.content.query = tile.content.query.replace('| where type', '| where isnotempty(id)\r\n| where type');
+    tile.content.chartSettings = { showLegend: true };
+    next.items[0].content.parameters.find(p => p.name === 'TimeRange').value = { durationMs: 86400000 };
+    next.items.splice(next.items.findIndex(i => i.name === 'arcbridge-page'), 1);
+    const result = diffWorkbooks(current, next);
+
+    assert(result.moved.length === 1 && result.moved[0].to === 'capacity-tab-group/pie-cluster-connectivity',
+        'Moved item is reported with its old and new path', 'capacity-tab-group/pie-cluster-connectivity', JSON.stringify(result.moved));
+    assert(result.removed.length === 1 && result.removed[0].path === 'arcbridge-page' && result.added.length === 0,
+        'A removed tab group is reported once (not item by item)', 'removed: arcbridge-page', JSON.stringify(result.removed.concat(result.added)));
+    const queryDiff = (result.queries[0] || { diff: [] }).diff;
+    assert(result.queries.length === 1 && queryDiff.includes('+| where isnotempty(id)') && !queryDiff.some(l => l.startsWith('-')),
+        'Changed query is reported as a line diff', '+| where isnotempty(id)', queryDiff.join(' / '));
+    assert(result.visualization.length === 1 && result.visualization[0].fields.join() === 'chartSettings',
+        'Changed chart settings are reported as visualization changes', 'chartSettings', JSON.stringify(result.visualization));
+    assert(result.parameters.length === 1 && result.parameters[0].path === 'global-subscription-param/TimeRange' && result.parameters[0].fields.join() === 'value',
+        'Changed parameter is reported with the fields that changed', 'global-subscription-param/TimeRange: value', JSON.stringify(result.parameters));
+
+    // Line endings alone are not a change (the source formatter rewrites them).
+    const relined = JSON.parse(JSON.stringify(current));
+    const relinedItems = new Workbook(relined).all().map(i => i.raw).filter(i => (i.type === 3 && /\r\n/.test(i.content.query)) || (i.type === 1 && /\r\n/.test(i.content.json)));
+    relinedItems.forEach(i => { if (i.type === 3) i.content.query = i.content.query.replace(/\r\n/g, '\n'); else i.content.json = i.content.json.replace(/\r\n/g, '\n'); });
+    const relinedDiff = diffWorkbooks(current, relined);
+    assert(relinedItems.length > 0 && relinedDiff.queries.length === 0 && relinedDiff.text.length === 0,
+        'Queries and markdown that differ only in CRLF / LF line endings are not reported as changed', '0 changes',
+        `${relinedDiff.queries.length + relinedDiff.text.length} of ${relinedItems.length}`);
+
+    const md = formatDiffMarkdown(result, { from: 'v1.0.3', to: 'v1.0.4' });
+    assert(md.startsWith('## Workbook changes: v1.0.3 → v1.0.4') && md.includes('### Moved items') && md.includes('```diff\n@@ '),
+        'Markdown output has the release-notes sections and diff blocks', 'headings + ```diff', md.split('\n').slice(0, 3).join(' / '));
+
+    const hunks = lineDiff('a\nb\nc\nd\ne\nf\ng\nh', 'a\nB\nc\nd\ne\nf\ng\nh\ni', 1);
+    const hunksExpected = ['@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c', '@@ -8,1 +8,2 @@', ' h', '+i'];
+    assert(JSON.stringify(hunks) === JSON.stringify(hunksExpected), 'lineDiff produces unified hunks with context',
+        JSON.stringify(hunksExpected), JSON.stringify(hunks));
+});
+
+// --- 36. Release Notes ---
+testSuite('Release Notes', () => {
+    // scripts/release-notes.js writes the README section and the version bump.
+    const readme = getReadme();
+    const header = fs.readFileSync(path.resolve(__dirname, '..', 'shared', 'header.json'), 'utf8');
+    const banner = setBannerVersion(header, '1.1.0-rc.1');
+    const bannerExpected = header.replace(`Workbook Version: v${headerVersion(JSON.parse(header))}`, 'Workbook Version: v1.1.0-rc.1');
+    assert(banner === bannerExpected && banner.includes('Workbook Version: v1.1.0-rc.1') && banner.includes('\r\n'),
+        'Version banner in shared/header.json is replaced in place (pre-release suffix, CRLF kept)', 'v1.1.0-rc.1', (banner.match(/Workbook Version: \S+/) || [''])[0]);
+
+    let rejected = [];
+    for (const v of ['1.0', 'v1.0.4.1', '1.0.4-']) {
+        try { parseVersion(v); } catch (e) { rejected.push(v); }
+    }
+    assert(parseVersion('v1.0.4') === '1.0.4' && rejected.length === 3, 'Versions are validated like release.yml', '3 rejected', rejected.join(', '));
+
+    const changes = {
+        summary: 'A patch release.',
+        changes: [{ title: 'Overview — pie chart legend', body: 'The legend is shown.', items: ['pie-cluster-connectivity', 'tile-removed-long-ago'] }]
+    };
+    assert(validateChanges(changes).length === 0 && validateChanges({ summary: 'x', changes: [{ body: 'no title' }] }).join() === 'changes[0].title must be a non-empty string',
+        'Changes files are validated', 'changes[0].title', validateChanges({ summary: 'x', changes: [{ body: 'no title' }] }).join());
+
+    const current = JSON.parse(workbookRaw);
+    const next = JSON.parse(setBannerVersion(JSON.stringify(current), '1.0.4'));
+    const tile = collectAllItems(next.items).find(i => i.name === 'pie-cluster-connectivity');
+    tile.content.chartSettings = { showLegend: true };
+    next.items.find(i => i.name === 'quick-actions-links').content.style = 'tabs';
+    const diff = diffWorkbooks(current, next);
+    const { undocumented, unchanged } = coverage(changes, diff);
+    assert(undocumented.join() === 'quick-actions-links' && unchanged.join() === 'tile-removed-long-ago',
+        'Coverage reports changed items no entry lists and listed items that did not change (banner ignored)',
+        'quick-actions-links / tile-removed-long-ago', `${undocumented.join()} / ${unchanged.join()}`);
+
+    const section = renderWhatsNew('1.0.4', changes, diff, { from: 'v1.0.3' });
+    assert(section.startsWith("## What's New (v1.0.4)\n\nA patch release.\n\n1. **Overview — pie chart legend.** The legend is shown.\n\n### Workbook changes: v1.0.3 → v1.0.4")
+        && section.includes('#### Changed markdown\n\n- `version-update-banner`') && !section.includes('```diff'),
+        'What\'s New section has the summary, numbered entries and item-level changes without line diffs', 'section', section.split('\n').slice(0, 5).join(' / '));
+
+    const bumped = updateReadme(readme, '1.0.4', section);
+    const oldVersion = readme.match(/^## What's New \(v([^)]+)\)/m)[1];
+    const oldBody = readme.split(/^## What's New \(v[^)]+\)\n/m)[1].split(/^## /m)[0].trim();
+    const appendix = bumped.slice(bumped.indexOf('## Appendix: Previous Versions Change Log'));
+    assert(bumped.includes('## Latest Version: v1.0.4\n') && bumped.includes("- [What's New (v1.0.4)](#whats-new-v104)\n")
+        && bumped.indexOf("## What's New (v1.0.4)") < bumped.indexOf('## v1.1.0 — Planned') && !bumped.includes(`## What's New (v${oldVersion})`),
+        'README bump updates Latest Version, the TOC link and the What\'s New section', 'v1.0.4', (bumped.match(/^## Latest Version: \S+/m) || [''])[0]);
+    assert(appendix.startsWith(`## Appendix: Previous Versions Change Log\n\n### v${oldVersion}\n\n${oldBody.split('\n')[0]}`) && appendix.includes(oldBody.slice(-200)),
+        'Previous What\'s New section moves to the top of the appendix', `### v${oldVersion}`, appendix.split('\n')[2]);
+    assert(updateReadme(bumped, '1.0.4', section) === bumped, 'Re-running the bump for the same version changes nothing', 'unchanged', 'changed');
+});
+
+// --- 37. Version Bump ---
+testSuite('Version Bump', () => {
+    // scripts/bump-version.js: every version reference moves together.
+    const bumps = ['1.0.3', '1.1.0-rc.2', '2.0.0-rc.1'].map(v => ['major', 'minor', 'patch'].map(k => nextVersion(v, k)).join(' '));
+    const bumpsExpected = ['2.0.0 1.1.0 1.0.4', '2.0.0 1.1.0 1.1.0', '2.0.0 2.0.0 2.0.0'];
+    assert(JSON.stringify(bumps) === JSON.stringify(bumpsExpected), 'major/minor/patch bumps release a pre-release first (npm semantics)',
+        JSON.stringify(bumpsExpected), JSON.stringify(bumps));
+    const order = ['1.0.9', '1.0.10', '1.1.0-alpha', '1.1.0-alpha.1', '1.1.0-rc.2', '1.1.0-rc.10', '1.1.0'];
+    const sorted = order.slice().reverse().sort(compareVersions);
+    assert(JSON.stringify(sorted) === JSON.stringify(order), 'Versions sort by semver precedence', order.join(' < '), sorted.join(' < '));
+    let rejected = null;
+    try { nextVersion('1.0.3', '1.0.4-rc_1'); } catch (e) { rejected = e.message; }
+    assert(rejected !== null, 'Explicit versions outside release.yml\'s X.Y.Z[-suffix] pattern are rejected', 'error', rejected || 'accepted');
+
+    const header = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'shared', 'header.json'), 'utf8'));
+    const current = headerVersion(header);
+    const titled = JSON.parse(JSON.stringify(header));
+    titled.items.find(i => i.name === 'workbook-title-version').content.json += `\r\n\r\nv${current}`;
+    const next = setHeaderVersion(titled, '1.1.0-rc.1');
+    const title = next.items.find(i => i.name === 'workbook-title-version').content.json;
+    assert(headerVersion(next) === '1.1.0-rc.1' && title.endsWith('\r\n\r\nv1.1.0-rc.1') && headerVersion(header) === current,
+        'Header bump sets the banner and a version in the title (input unchanged)', 'v1.1.0-rc.1', `${headerVersion(next)} / ${title.slice(-12)}`);
+    const doc = buildMonolithic(undefined, { header: next });
+    const docText = JSON.stringify(doc);
+    const tabLinks = (d) => d.items.find(i => i.name === 'main-tabs').content.links.length;
+    assert((docText.match(/Workbook Version: v1\.1\.0-rc\.1/g) || []).length === 1 && tabLinks(doc) === tabLinks(buildMonolithic()) && tabLinks(doc) > 0,
+        'A bumped header builds with its banner and the generated tab strip', 'one banner at v1.1.0-rc.1', (docText.match(/Workbook Version: \S+?\\/g) || []).join());
+
+    const readme = updateReadme(getReadme(), '1.1.0-rc.1', pendingSection('1.1.0-rc.1'));
+    const latest = readme.match(/^## Latest Version: v(\S+)$/m)[1];
+    const whatsNew = readme.match(/^## What's New \(v([^)]+)\)/m)[1];
+    assert(latest === headerVersion(next) && whatsNew === headerVersion(next) && readme.includes("- [What's New (v1.1.0-rc.1)](#whats-new-v110-rc1)"),
+        'README Latest Version, What\'s New heading and TOC link agree with the banner after a bump', '1.1.0-rc.1', `${latest} / ${whatsNew}`);
+    assert(readme.split(/^## What's New/m)[1].split(/^## /m)[0].includes(PENDING_MARKER),
+        'A bump without a changes file leaves the pending marker release.yml refuses to publish', PENDING_MARKER, 'missing');
+
+    const headerFile = path.resolve(__dirname, '..', 'shared', 'header.json');
+    const headerText = fs.readFileSync(headerFile, 'utf8');
+    require('./bump-version');
+    assert(fs.readFileSync(headerFile, 'utf8') === headerText, 'Loading bump-version.js as a module bumps nothing', 'unchanged', 'changed');
+
+    // The bump itself, in a copy of the tree: the root it writes is the build of the sources it writes.
+    const repo = path.resolve(__dirname, '..');
+    const tmpRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-bump-'));
+    try {
+        for (const dir of ['shared', 'workbooks']) fs.cpSync(path.join(repo, dir), path.join(tmpRoot, dir), { recursive: true });
+        fs.cpSync(__dirname, path.join(tmpRoot, 'scripts'), { recursive: true, filter: src => path.basename(src) !== 'fixtures' });
+        for (const file of ['AzureLocal-LENS-Workbook.json', 'README.md']) fs.copyFileSync(path.join(repo, file), path.join(tmpRoot, file));
+        const r = require('child_process').spawnSync(process.execPath, [path.join(tmpRoot, 'scripts', 'bump-version.js'), 'major'], { encoding: 'utf8' });
+        const bumped = JSON.parse(fs.readFileSync(path.join(tmpRoot, 'AzureLocal-LENS-Workbook.json'), 'utf8'));
+        const expected = nextVersion(current, 'major');
+        assert(r.status === 0 && checkBuild(tmpRoot).upToDate && tabLinks(bumped) === tabLinks(buildMonolithic())
+            && headerVersion(JSON.parse(fs.readFileSync(path.join(tmpRoot, 'shared', 'header.json'), 'utf8'))) === expected,
+            'bump-version.js writes a root workbook that matches its split sources, tab strip included', `v${expected}, up to date`,
+            `${r.status}: ${(r.stdout + r.stderr).trim().split('\n').pop()}`);
+    } finally {
+        fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+});
+
+// --- 38. ARM / Bicep Deployment Template ---
+testSuite('ARM / Bicep Deployment Template', () => {
+    // scripts/build-arm.js embeds the workbook as serializedData.
+    const { buildArmTemplate, buildBicep, bicepString, parseBicepString } = require('./build-arm');
+    const doc = JSON.parse(workbookRaw);
+    const monolithic = JSON.stringify(doc);
+    const arm = buildArmTemplate(doc);
+    const resources = arm.resources.filter(r => r.type === 'Microsoft.Insights/workbooks');
+    assert(arm.resources.length === 1 && resources.length === 1 && resources[0].kind === 'shared',
+        'ARM template declares one shared Microsoft.Insights/workbooks resource', '1', arm.resources.map(r => r.type).join());
+    const wb = resources[0] || { properties: {} };
+    assert(JSON.stringify(JSON.parse(wb.properties.serializedData)) === monolithic,
+        'ARM serializedData round-trips to AzureLocal-LENS-Workbook.json', 'identical', 'differs');
+    const params = Object.keys(arm.parameters).join();
+    assert(params === 'workbookDisplayName,location,workbookSourceId,workbookId' && wb.properties.displayName === "[parameters('workbookDisplayName')]"
+        && wb.location === "[parameters('location')]" && wb.properties.sourceId === "[parameters('workbookSourceId')]",
+        'ARM template parameterizes display name, location, sourceId and workbook ID', 'workbookDisplayName,location,workbookSourceId,workbookId', params);
+    const nameDefault = arm.parameters.workbookId.defaultValue;
+    assert(wb.name === "[parameters('workbookId')]" && /^\[guid\(/.test(nameDefault) && !/newGuid/.test(JSON.stringify(arm)),
+        'Workbook name is a stable guid() (no newGuid), so redeploys update in place', '[guid(...)]', nameDefault);
+    const banner = (workbookRaw.match(/Workbook Version: v(\d+\.\d+\.\d+)/) || [])[1];
+    assert(arm.contentVersion === `${banner}.0`, 'contentVersion follows the version banner', `${banner}.0`, arm.contentVersion);
+
+    const bicep = buildBicep(doc);
+    const literal = (bicep.match(/^ {4}serializedData: ('.*')$/m) || [])[1];
+    assert(literal !== undefined && JSON.stringify(JSON.parse(parseBicepString(literal))) === monolithic,
+        'Bicep serializedData round-trips to AzureLocal-LENS-Workbook.json', 'identical', literal === undefined ? 'not found' : 'differs');
+    const bicepParams = (bicep.match(/^param \w+/gm) || []).map(p => p.slice(6)).join();
+    assert(bicepParams === params && /resource workbook 'Microsoft\.Insights\/workbooks@[\d-]+' = \{/.test(bicep)
+        && bicep.includes('param workbookId string = guid(resourceGroup().id, workbookDisplayName)'),
+        'Bicep file declares the same parameters, resource and stable name', params, bicepParams);
+    const tricky = "it's ${notInterpolated} C:\\path\r\n\ttab \u0001";
+    assert(parseBicepString(bicepString(tricky)) === tricky && bicepString(tricky).includes("\\${"),
+        'Bicep strings escape quotes, backslashes, ${ and control characters', tricky, parseBicepString(bicepString(tricky)));
+});
+
+// --- 39. Workbook Import ---
+testSuite('Workbook Import', () => {
+    // scripts/import-workbook.js maps a portal export back onto the sub-templates.
+    const { parseExport, planImport } = require('./lib/import-workbook');
+    const { buildArmTemplate } = require('./build-arm');
+    const tabMap = require('./template-ids.json');
+    const loadExisting = slug => JSON.parse(JSON.stringify(splitFiles.get(slug)));
+    const shared = {
+        params: readShared('parameters.json'),
+        header: readShared('header.json')
+    };
+
+    const same = planImport(parseExport(JSON.parse(workbookRaw)), tabMap, loadExisting, shared);
+    const slugCount = fileSlugs().length;
+    assert(same.updates.length === slugCount && same.updates.every(u => !u.changed) && same.warnings.length === 0,
+        'Importing the monolithic build changes no sub-template', `${slugCount} unchanged`, `${same.updates.filter(u => !u.changed).length} unchanged, ${same.warnings.length} warning(s)`);
+
+    // Portal edits: a query on the VMs tab, an item removed from a Capacity
+    // section, the filter instructions in the header.
+    const edited = JSON.parse(workbookRaw);
+    const editedItems = collectAllItems(edited.items);
+    const tile = editedItems.find(i => i.name === 'vm-total-tile');
+    tile.content.query = `// edited in the portal\r\n${tile.content.query}`;
+    editedItems.find(i => i.name === 'cap-hyperv-section').content.items.pop();
+    edited.items.find(i => i.name === 'filter-instructions').content.json += ' (edited)';
+    const arm = buildArmTemplate(edited);
+    const fromArm = planImport(parseExport(arm), tabMap, loadExisting, shared);
+    const changed = fromArm.updates.filter(u => u.changed).map(u => u.slug).join();
+    assert(changed === 'Capacity-HyperV,VMs', 'Only the sub-templates holding edited items change (ARM template input)', 'Capacity-HyperV,VMs', changed);
+    const vms = (fromArm.updates.find(u => u.slug === 'VMs') || { doc: { items: [] } }).doc;
+    const hyperv = (fromArm.updates.find(u => u.slug === 'Capacity-HyperV') || { doc: { items: [] } }).doc;
+    const capacity = (fromArm.updates.find(u => u.slug === 'Capacity') || { doc: { items: [] } }).doc;
+    assert(vms.items[2] && vms.items[2].name === 'azure-local-vms' && !('conditionalVisibility' in vms.items[2])
+        && collectAllItems(vms.items).find(i => i.name === 'vm-total-tile').content.query === tile.content.query,
+        'Tab group is imported without its selectedTab conditionalVisibility', 'no conditionalVisibility', JSON.stringify(vms.items[2] && vms.items[2].conditionalVisibility));
+    assert(hyperv.items[2] && hyperv.items[2].conditionalVisibility && hyperv.items[2].conditionalVisibility.parameterName === 'CapacitySection'
+        && capacity.items[2] && !capacity.items[2].content.items.some(i => /^cap-.*-section$/.test(i.name)),
+        'Capacity sections are split out again (orchestrator keeps only its base items)', 'sections split', capacity.items[2] ? capacity.items[2].content.items.map(i => i.name).join() : 'missing');
+    assert(fromArm.warnings.length === 1 && fromArm.warnings[0].startsWith('filter-instructions differs from shared/header.json'),
+        'Header edits are reported, not imported', 'filter-instructions warning', fromArm.warnings.join(' | '));
+
+    const resource = parseExport(arm.resources[0]);
+    const sub = loadExisting('Capacity-SingleNode');
+    const single = planImport(parseExport(sub), tabMap, loadExisting, shared);
+    assert(JSON.stringify(resource) === JSON.stringify(edited) && single.updates.length === 1 && single.updates[0].slug === 'Capacity-SingleNode' && !single.updates[0].changed,
+        'ARM resources and standalone sub-template exports are accepted', 'Capacity-SingleNode unchanged', single.updates.map(u => `${u.slug}:${u.changed}`).join());
+    let error = null;
+    try { planImport(parseExport({ version: 'Notebook/1.0', items: [{ type: 1, name: 'note', content: { json: 'x' } }] }), tabMap, loadExisting); } catch (e) { error = e.message; }
+    assert(error !== null && error.startsWith('No tab group found in the export'), 'An export without tab groups is rejected', 'No tab group found', error || 'accepted');
+});
+
+// --- 40. Upgrade Merge ---
+testSuite('Upgrade Merge', () => {
+    // scripts/upgrade-merge.js carries a customized copy's edits onto a new release.
+    const { mergeWorkbooks, formatReport } = require('./lib/upgrade-merge');
+    const base = JSON.parse(workbookRaw);
+    const find = (doc, name) => collectAllItems(doc.items).find(i => i.name === name);
+
+    const unchanged = mergeWorkbooks(base, JSON.parse(workbookRaw), JSON.parse(workbookRaw));
+    assert(JSON.stringify(unchanged.doc) === JSON.stringify(base) && unchanged.conflicts.length === 0 && unchanged.custom.length === 0,
+        'Merging three identical workbooks returns the workbook unchanged', 'no changes', `${unchanged.custom.length} change(s), ${unchanged.conflicts.length} conflict(s)`);
+
+    // Customized copy: an extra quick link, a removed table, a changed threshold.
+    // New release: a changed banner and the same query changed differently.
+    const custom = JSON.parse(workbookRaw);
+    const release = JSON.parse(workbookRaw);
+    find(custom, 'quick-actions-links').content.links.splice(1, 0, { id: 'custom-runbook', linkTarget: 'Url', linkLabel: 'Runbook', style: 'link', url: 'https://contoso.example/runbook' });
+    const summary = find(custom, 'summary-tiles-group');
+    summary.content.items = summary.content.items.filter(i => i.name !== 'pie-arb-status');
+    find(custom, 'pie-cluster-health').content.query += '\n| where Count > 5';
+    find(release, 'pie-cluster-health').content.query += '\n| where Count > 0';
+    find(release, 'version-update-banner').content.json = find(release, 'version-update-banner').content.json.replace(/v\d+\.\d+\.\d+\S*/, 'v9.9.9');
+    find(release, 'pie-cluster-connectivity').content.query += '\n| take 10';
+
+    const result = mergeWorkbooks(base, custom, release);
+    const links = find(result.doc, 'quick-actions-links').content.links.map(l => l.id);
+    const expectedLinks = find(custom, 'quick-actions-links').content.links.map(l => l.id);
+    assert(links.join() === expectedLinks.join(), 'Customer-added links are kept at their position', expectedLinks.join(), links.join());
+    assert(!find(result.doc, 'pie-arb-status') && find(result.doc, 'pie-cluster-connectivity').content.query.endsWith('| take 10')
+        && find(result.doc, 'version-update-banner').content.json.includes('v9.9.9'),
+        'Customer removals and release changes are both applied', 'removed + release edits', `pie-arb-status ${find(result.doc, 'pie-arb-status') ? 'kept' : 'removed'}`);
+    const conflict = result.conflicts[0] || {};
+    assert(result.conflicts.length === 1 && conflict.path === 'summary-tiles-group/pie-cluster-health' && conflict.field === 'content.query'
+        && find(result.doc, 'pie-cluster-health').content.query === find(release, 'pie-cluster-health').content.query,
+        'An item both sides changed is a conflict resolved to the release value', 'summary-tiles-group/pie-cluster-health content.query',
+        result.conflicts.map(c => `${c.path} ${c.field}`).join(' | '));
+    const preferCustom = mergeWorkbooks(base, custom, release, { prefer: 'custom' });
+    assert(find(preferCustom.doc, 'pie-cluster-health').content.query === find(custom, 'pie-cluster-health').content.query
+        && preferCustom.conflicts.length === 1 && preferCustom.conflicts[0].resolution === 'custom',
+        'prefer: custom keeps the customized value', 'custom query', preferCustom.conflicts.map(c => c.resolution).join());
+    const carried = result.custom.map(c => `${c.path} ${c.field} ${c.change}`).sort().join(' | ');
+    assert(carried === 'quick-actions-links content.links[custom-runbook] added | summary-tiles-group/pie-arb-status  removed',
+        'Carried-over customer changes are listed by item and field', 'link added, tile removed', carried);
+
+    // Deleting an item the release changed is a conflict, not a silent drop.
+    const deleted = JSON.parse(workbookRaw);
+    const deletedSummary = find(deleted, 'summary-tiles-group');
+    deletedSummary.content.items = deletedSummary.content.items.filter(i => i.name !== 'pie-cluster-connectivity');
+    const modifyDelete = mergeWorkbooks(base, deleted, release);
+    assert(modifyDelete.conflicts.length === 1 && modifyDelete.conflicts[0].kind === 'removed in custom, changed in release'
+        && !!find(modifyDelete.doc, 'pie-cluster-connectivity'),
+        'Removing an item the release changed is reported and the release item kept', 'removed in custom, changed in release',
+        modifyDelete.conflicts.map(c => c.kind).join());
+
+    // A customer item stays after the item it followed even when the release removes that one.
+    const anchored = JSON.parse(workbookRaw);
+    const anchoredSummary = find(anchored, 'summary-tiles-group');
+    const names = anchoredSummary.content.items.map(i => i.name);
+    const followed = names.indexOf('pie-arb-status');
+    anchoredSummary.content.items.splice(followed + 1, 0, { type: 1, name: 'custom-arb-note', content: { json: 'ARB runbook: see the wiki.' } });
+    const trimmed = JSON.parse(workbookRaw);
+    const trimmedSummary = find(trimmed, 'summary-tiles-group');
+    trimmedSummary.content.items = trimmedSummary.content.items.filter(i => i.name !== 'pie-arb-status');
+    const anchoredNames = find(mergeWorkbooks(base, anchored, trimmed).doc, 'summary-tiles-group').content.items.map(i => i.name);
+    const expectedNames = [...names.slice(0, followed), 'custom-arb-note', ...names.slice(followed + 1)];
+    assert(anchoredNames.join() === expectedNames.join(), 'A customer item whose predecessor the release removed stays in place, not at the top of its group',
+        `custom-arb-note after ${names[followed - 1]}`, `custom-arb-note at ${anchoredNames.indexOf('custom-arb-note')} of ${anchoredNames.length}`);
+
+    const report = formatReport(result, { base: 'v1.0.3', release: 'v9.9.9' });
+    assert(report.startsWith('## Upgrade merge: v1.0.3 → v9.9.9') && report.includes('#### `summary-tiles-group/pie-cluster-health` — `content.query`')
+        && report.includes('-| where Count > 5') && report.includes('+| where Count > 0'),
+        'Conflict report shows both values of each conflict', 'heading + diff lines', report.split('\n').slice(0, 2).join(' '));
+});
+
+// --- 41. Organization Overlays ---
+testSuite('Organization Overlays', () => {
+    // build-monolithic.js / build-gallery.js --overlay overlays/<org>/ patch the sources (scripts/lib/overlay.js).
+    const { validatePatch } = require('./lib/overlay');
+    const base = readSources();
+    const find = (items, name) => collectAllItems(items).find(i => i.name === name);
+    const inline = (name, ...patches) => ({ name, patches: patches.map((patch, i) => ({ source: `${name}/test.json#${i + 1}`, patch })) });
+    const tryApply = (ov) => { try { return { sources: applyOverlay(base, ov) }; } catch (e) { return { error: e.message }; } };
+
+    const contoso = loadOverlay(path.resolve(__dirname, '..', 'overlays', 'contoso'));
+    const applied = tryApply(contoso);
+    assert(!applied.error, 'overlays/contoso applies to the sources', 'applies', applied.error);
+    if (applied.sources) {
+        const { header, templates } = applied.sources;
+        const links = find(header.items, 'quick-actions-links').content.links.map(l => l.id);
+        assert(links.slice(-2).join() === 'contoso-runbook-link,contoso-oncall-link', 'add appends quick-action links in shared/header.json', 'contoso links last', links.join());
+        const warning = find(templates['Capacity-MultiNode'].items, 'exhaustion-forecast-filters').content.parameters.find(p => p.name === 'WarningThreshold');
+        assert(warning.value === '75', 'replace changes a parameter default addressed by name', '75', warning.value);
+        const vmNames = find(templates.VMs.items, 'azure-local-vms').content.items.map(i => i.name);
+        assert(!vmNames.includes('vm-top-clusters-pie') && vmNames[vmNames.indexOf('arc-vm-docs-link') + 1] === 'contoso-vm-support-note',
+            'hide drops an item and insert places new items after the named sibling', 'hidden + inserted', vmNames.join());
+        const original = readSources();
+        assert(JSON.stringify(original.header) === JSON.stringify(base.header), 'Applying an overlay leaves the sources untouched', 'unchanged', 'modified');
+    }
+    const built = buildMonolithic(undefined, { overlay: contoso });
+    assert(!!find(built.items, 'contoso-vm-support-note') && !find(built.items, 'vm-top-clusters-pie'),
+        'buildMonolithic({ overlay }) builds the overlaid workbook', 'overlaid', 'not overlaid');
+
+    // Items that are copied into every sub-template are patched everywhere.
+    const global = tryApply(inline('global', { op: 'replace', item: 'global-subscription-param', path: '/content/parameters/ResourceGroupFilter/value', value: '*-prod-*' }));
+    const drift = global.sources ? Object.keys(global.sources.templates).filter(slug => JSON.stringify(global.sources.templates[slug].items[0]) !== JSON.stringify(global.sources.params)) : ['error'];
+    assert(!global.error && drift.length === 0, 'Patches to the shared parameters reach every sub-template copy', 'all in parity', global.error || drift.join());
+
+    // A patch that no longer matches fails loudly, listing every problem.
+    const stale = tryApply(inline('stale',
+        { op: 'replace', item: 'exhaustion-forecast-filter', path: '/content/parameters/WarningThreshold/value', value: '75' },
+        { op: 'replace', item: 'exhaustion-forecast-filters', path: '/content/parameters/WarnThreshold/value', value: '75' },
+        { op: 'test', item: 'exhaustion-forecast-filters', path: '/content/parameters/WarningThreshold/value', value: '70' },
+        { op: 'insert', into: 'azure-local-vms', items: [{ type: 1, name: 'vm-total-tile', content: { json: 'x' } }] },
+        { op: 'hide', item: 'main-tabs' }));
+    const reported = (stale.error || '').split('\n').slice(1).map(l => l.trim());
+    assert(reported.length === 5
+        && reported[0] === 'stale/test.json#1 (replace): item "exhaustion-forecast-filter" not found (renamed or removed?)'
+        && reported[1].includes('no element named "WarnThreshold"') && reported[2].includes('test failed')
+        && reported[3].includes('already in use: vm-total-tile') && reported[4].includes('cannot be hidden'),
+        'Stale or invalid patches fail with one line per problem', '5 problems', stale.error || 'applied');
+    const shape = validatePatch({ op: 'replace', item: 'x', path: 'content/query', extra: 1 });
+    assert(shape.length === 3 && validatePatch({ op: 'merge' })[0].startsWith('unknown op'),
+        'Malformed patches are rejected when the overlay is loaded', '3 problems', shape.join(' | '));
+});
+
+// --- 42. Build Profiles ---
+testSuite('Build Profiles', () => {
+    // build-monolithic.js --tabs / --profile builds a subset of the tabs (scripts/lib/profile.js).
+    const { resolveProfile } = require('./lib/profile');
+    const tabMap = require('./template-ids.json');
+    const find = (items, name) => collectAllItems(items).find(i => i.name === name);
+    const tryBuild = (profile) => { try { return { doc: buildMonolithic(undefined, { profile }) }; } catch (e) { return { error: e.message }; } };
+    const tabGroups = (doc) => doc.items.filter(i => i.conditionalVisibility && i.conditionalVisibility.parameterName === 'selectedTab');
+
+    const full = validateNavigation(workbook);
+    assert(full.length === 0, 'Every selectedTab / CapacitySection visibility in the workbook is reachable from a nav link', 'no problems', full.join(' | '));
+
+    const picked = tryBuild('Overview,Machines,UpdateProgress');
+    assert(!picked.error, '--tabs Overview,Machines,UpdateProgress builds', 'builds', picked.error);
+    if (picked.doc) {
+        const groups = tabGroups(picked.doc).map(g => `${g.name}=${g.conditionalVisibility.value}`);
+        // The tab strip runs Overview, ..., Update Progress, ..., Machines.
+        assert(groups.join() === 'summary-tiles-group=0,azure-local-nodes=2,grp-update-progress=1',
+            'Kept tabs are renumbered 0..n-1 in tab-strip order', 'summary=0, progress=1, nodes=2', groups.join());
+        const nav = find(picked.doc.items, 'main-tabs').content.links.map(l => `${l.subTarget}:${l.linkLabel}`);
+        assert(nav.length === 3 && nav[0].startsWith('0:') && nav[1].startsWith('1:') && nav[1].includes('Update Progress'),
+            'main-tabs only links the kept tabs, with their new values', '3 links', nav.join(' | '));
+        const quick = collectAllItems(picked.doc.items).filter(i => i.name && i.name.startsWith('quick-actions-links')).flatMap(i => i.content.links.map(l => l.id));
+        assert(quick.includes('update-docs-link') && quick.includes('sbe-updates-link'), 'Quick links of a kept tab stay', 'update links kept', quick.join());
+    }
+
+    const noUpdates = tryBuild('Overview,VMs');
+    const quick = noUpdates.doc ? collectAllItems(noUpdates.doc.items).filter(i => i.name && i.name.startsWith('quick-actions-links')).flatMap(i => i.content.links.map(l => l.id)) : [];
+    assert(!noUpdates.error && !quick.includes('update-docs-link') && !quick.includes('sbe-updates-link') && quick.includes('docs-link'),
+        'Quick links owned only by excluded tabs are dropped', 'update links dropped', noUpdates.error || quick.join());
+
+    // arcbridge-page has a nested selectedTab visibility that must follow the renumbering.
+    const noAks = tryBuild('no-aks');
+    const summary = noAks.doc && find(noAks.doc.items, 'arcbridge summary');
+    const arbValue = noAks.doc && tabGroups(noAks.doc).find(g => g.name === 'arcbridge-page').conditionalVisibility.value;
+    assert(!noAks.error && tabGroups(noAks.doc).length === tabMap.tabs.length - 1 && !find(noAks.doc.items, 'aks-arc-clusters')
+        && summary && summary.conditionalVisibility.value === arbValue,
+        'Named profile no-aks drops AKS Arc and remaps nested selectedTab visibility', `arcbridge summary = ${arbValue}`,
+        noAks.error || (summary && summary.conditionalVisibility.value));
+
+    const single = tryBuild('Capacity-SingleNode');
+    if (single.doc) {
+        const sectionLinks = find(single.doc.items, 'cap-section-tabs').content.links.map(l => l.subTarget);
+        const driver = find(single.doc.items, 'cap-shared-params').content.parameters.find(p => p.name === 'CapacitySection');
+        const sections = collectAllItems(single.doc.items).filter(i => i.conditionalVisibility && i.conditionalVisibility.parameterName === 'CapacitySection').map(i => i.name);
+        assert(sectionLinks.join() === 'single' && driver.value === 'single' && sections.join() === 'cap-single-section',
+            'A Capacity sub-section keeps its tab, trims the section nav and moves the CapacitySection default', 'single only',
+            `${sectionLinks.join()} / ${driver.value} / ${sections.join()}`);
+    } else {
+        assert(false, 'A Capacity sub-section keeps its tab, trims the section nav and moves the CapacitySection default', 'builds', single.error);
+    }
+
+    for (const name of Object.keys(tabMap.profiles || {})) {
+        const built = tryBuild(name);
+        assert(!built.error, `Profile ${name} builds with consistent tab navigation`, 'builds', built.error);
+    }
+
+    const errors = ['Bogus', 'Overview,Bogus'].map(spec => { try { resolveProfile(tabMap, spec); return 'resolved'; } catch (e) { return e.message; } });
+    assert(errors[0].startsWith('Unknown profile or tab "Bogus"') && errors[1].includes('unknown tab or section "Bogus"'),
+        'Unknown profiles and tab slugs are rejected', 'errors', errors.join(' | '));
+
+    const orphaned = JSON.parse(JSON.stringify(workbook));
+    find(orphaned.items, 'main-tabs').content.links.pop();
+    assert(validateNavigation(orphaned).some(p => p.includes('which no nav link selects')),
+        'A tab group with no main-tabs link is reported as orphaned', 'orphan reported', validateNavigation(orphaned).join(' | '));
+});
+
+// --- 43. Generated Navigation ---
+testSuite('Generated Navigation', () => {
+    // main-tabs and cap-section-tabs are generated from template-ids.json (scripts/lib/navigation.js).
+    const tabMap = require('./template-ids.json');
+    const find = (items, name) => collectAllItems(items).find(i => i.name === name);
+    const repoFile = (...p) => path.resolve(__dirname, '..', ...p);
+
+    // The sources only hold empty shells, so template-ids.json is the one place to edit.
+    const shells = [];
+    const rawHeader = JSON.parse(fs.readFileSync(repoFile('shared', 'header.json'), 'utf8'));
+    const slugs = fileSlugs();
+    const lists = [['shared/header.json', rawHeader.items], ...slugs.map(slug => [`${slug}.workbook`, loadWorkbookFile(repoFile('workbooks', slug, `${slug}.workbook`)).items])];
+    for (const [file, items] of lists) {
+        for (const item of collectAllItems(items).filter(i => NAV_ITEMS.includes(i.name))) {
+            if (item.content.links.length) shells.push(`${file}: ${item.name}`);
+        }
+    }
+    assert(shells.length === 0, 'main-tabs / cap-section-tabs links are left empty in the sources', 'empty', shells.join(', '));
+
+    const mainTabs = find(workbook.items, 'main-tabs').content.links;
+    const strip = tabMap.tabStrip || tabMap.tabs.map(t => t.slug);
+    assert(JSON.stringify(mainTabs) === JSON.stringify(mainTabLinks(tabMap)), 'main-tabs in the workbook is generated from template-ids.json', 'generated', 'differs');
+    assert(mainTabs.map(l => tabMap.tabs.find(t => t.selectedTab === l.subTarget)).map(t => t && t.slug).join() === strip.join(),
+        'The tab strip follows tabStrip', strip.join(), mainTabs.map(l => l.subTarget).join());
+    for (const tab of tabMap.tabs) {
+        const links = mainTabs.filter(l => l.subTarget === tab.selectedTab);
+        const group = workbook.items.find(i => i.name === tab.groupName);
+        assert(links.length === 1 && links[0].linkLabel === tab.label && group && group.conditionalVisibility.value === tab.selectedTab,
+            `${tab.slug}: selectedTab ${tab.selectedTab} is reachable from main-tabs, labelled "${tab.label}"`,
+            tab.label, links.map(l => l.linkLabel).join() || 'no link');
+        for (const sect of navSections(tab)) {
+            const sectLinks = find(workbook.items, 'cap-section-tabs').content.links.filter(l => l.subTarget === sect.value);
+            assert(sectLinks.length === 1 && sectLinks[0].linkLabel === sect.label && !!find(workbook.items, sect.groupName),
+                `${sect.slug}: CapacitySection ${sect.value} is reachable from cap-section-tabs, labelled "${sect.label}"`,
+                sect.label, sectLinks.map(l => l.linkLabel).join() || 'no link');
+        }
+    }
+
+    // Sub-templates opened on their own carry the same tab strip.
+    const drift = Object.keys(sources.templates).filter(slug => {
+        const nav = find(sources.templates[slug].items, 'main-tabs');
+        return nav && JSON.stringify(nav.content.links) !== JSON.stringify(mainTabs);
+    });
+    assert(drift.length === 0, 'Every sub-template main-tabs copy gets the generated links', 'in parity', drift.join());
+
+    // Reordering or adding a tab is a template-ids.json change only.
+    const edited = JSON.parse(JSON.stringify(tabMap));
+    edited.tabStrip = [...strip].reverse().concat('NavTest');
+    edited.tabs.push({ selectedTab: 'nav-test', slug: 'NavTest', groupName: 'nav-test-group', label: '🧪 Nav test' });
+    const links = mainTabLinks(edited);
+    assert(links[0].subTarget === mainTabs[mainTabs.length - 1].subTarget && links[links.length - 1].id === 'navtest-tab' && links[links.length - 1].linkLabel === '🧪 Nav test',
+        'Editing tabStrip and tabs reorders and extends the strip (default id <slug>-tab)', 'reordered + navtest-tab', links.map(l => l.id).join());
+    const bad = (() => { try { mainTabLinks({ ...tabMap, tabStrip: strip.slice(1).concat('Bogus') }); return 'accepted'; } catch (e) { return e.message; } })();
+    assert(bad.includes('unknown: Bogus') && bad.includes(`missing: ${strip[0]}`), 'A tabStrip with unknown or missing slugs is rejected', 'error', bad);
+    const capacity = tabMap.tabs.find(t => navSections(t).length);
+    const sectionIds = sectionTabLinks(capacity).map(l => l.subTarget).join();
+    assert(sectionIds === (capacity.sectionStrip || capacity.subSections.map(s => s.slug)).map(slug => capacity.subSections.find(s => s.slug === slug).value).join(),
+        'cap-section-tabs follows sectionStrip', 'sectionStrip order', sectionIds);
+});
+
+// --- 44. Tab Scaffolding ---
+testSuite('Tab Scaffolding', () => {
+    // scripts/new-tab.js adds a tab or Capacity section (scripts/lib/scaffold.js), here into a copy of the tree.
+    const { planTab, planSection } = require('./lib/scaffold');
+    const repo = path.resolve(__dirname, '..');
+    const tmpRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-scaffold-'));
+    const find = (items, name) => collectAllItems(items).find(i => i.name === name);
+    const tryPlan = (plan, options) => { try { return plan(tmpRoot, options); } catch (e) { return { error: e.message }; } };
+    try {
+        for (const dir of ['shared', 'workbooks']) fs.cpSync(path.join(repo, dir), path.join(tmpRoot, dir), { recursive: true });
+        fs.mkdirSync(path.join(tmpRoot, 'scripts'));
+        fs.copyFileSync(path.join(__dirname, 'template-ids.json'), path.join(tmpRoot, 'scripts', 'template-ids.json'));
+        const write = (plan) => plan.files.forEach(f => {
+            fs.mkdirSync(path.dirname(path.join(tmpRoot, f.file)), { recursive: true });
+            fs.writeFileSync(path.join(tmpRoot, f.file), f.text);
+        });
+
+        // A throwaway slug no real tab will take; the selectedTab it gets is the first one template-ids.json leaves free.
+        const taken = new Set(JSON.parse(fs.readFileSync(path.join(__dirname, 'template-ids.json'), 'utf8')).tabs.map(t => Number(t.selectedTab)));
+        let freeTab = 0;
+        while (taken.has(freeTab)) freeTab++;
+        const tab = tryPlan(planTab, { slug: 'ScaffoldProbe', label: '🧪 Scaffold Probe', after: 'Machines' });
+        assert(!tab.error && tab.entry.selectedTab === String(freeTab) && tab.entry.groupName === 'scaffold-probe-tab-group' && tab.entry.galleryFolderName === 'LENS-Scaffold-Probe',
+            'A new tab gets the next unused selectedTab, a group name and a gallery folder', `selectedTab ${freeTab}`, tab.error || JSON.stringify(tab.entry));
+        if (tab.error) return;
+        write(tab);
+        const section = tryPlan(planSection, { slug: 'Capacity-ScaffoldProbe', label: '🧪 Probe pools' });
+        assert(!section.error && section.entry.value === 'scaffoldprobe' && section.entry.groupName === 'cap-scaffoldprobe-section',
+            'A new section follows its siblings\' CapacitySection value and group name pattern', 'scaffoldprobe / cap-scaffoldprobe-section',
+            section.error || JSON.stringify(section.entry));
+        if (section.error) return;
+        write(section);
+
+        const built = buildMonolithic(tmpRoot);
+        const group = built.items.find(i => i.name === 'scaffold-probe-tab-group');
+        const nav = find(built.items, 'main-tabs').content.links;
+        const probeAt = nav.findIndex(l => l.linkLabel === '🧪 Scaffold Probe');
+        assert(group && group.conditionalVisibility.value === String(freeTab) && probeAt > 0 && nav[probeAt - 1].linkLabel === '🗄️ Azure Local Machines',
+            'The scaffolded tab builds and its nav link follows --after', 'after Machines', probeAt > 0 ? nav[probeAt - 1].linkLabel : 'no link');
+        const sect = find(built.items.find(i => i.name === 'capacity-tab-group').content.items, 'cap-scaffoldprobe-section');
+        const sectLinks = find(built.items, 'cap-section-tabs').content.links.map(l => l.subTarget);
+        assert(sect && sect.conditionalVisibility.value === 'scaffoldprobe' && sectLinks[sectLinks.length - 1] === 'scaffoldprobe',
+            'The scaffolded section is merged into its tab with a cap-section-tabs link', 'scaffoldprobe section', sectLinks.join());
+        const problems = validateNavigation(built);
+        assert(problems.length === 0, 'The workbook with the new tab and section has consistent navigation', 'no problems', problems.join(' | '));
+
+        // The starter content passes the checks every tab is held to.
+        const sub = loadWorkbookFile(path.join(tmpRoot, 'workbooks', 'ScaffoldProbe', 'ScaffoldProbe.workbook'));
+        const params = JSON.parse(fs.readFileSync(path.join(repo, 'shared', 'parameters.json'), 'utf8'));
+        const sample = find(sub.items, 'scaffold-probe-clusters-table');
+        assert(JSON.stringify(sub.items[0]) === JSON.stringify(params) && sub.items[1].name === 'main-tabs' && sub.items[1].content.links.length === 0,
+            'The new sub-template carries the canonical parameters and a main-tabs shell', 'params + shell', sub.items.map(i => i.name).join());
+        assert(sample && sample.content.noDataMessage && sample.content.noDataMessageStyle === 4 && sample.content.gridSettings.rowLimit >= 2000
+            && sample.content.crossComponentResources[0] === '{Subscriptions}' && !!find(sub.items, 'text-scaffold-probe-header'),
+            'The starter header and sample query follow the repo conventions (noDataMessage, rowLimit, {Subscriptions})', 'conventions', JSON.stringify(sample && sample.content).slice(0, 200));
+        const { loadCodemods, applyCodemods } = require('./lib/codemod');
+        const { codemods, helpers } = loadCodemods(path.join(__dirname, 'codemods'));
+        const pending = applyCodemods(JSON.parse(fs.readFileSync(path.join(tmpRoot, 'workbooks', 'ScaffoldProbe', 'ScaffoldProbe.workbook'), 'utf8')), codemods, helpers);
+        assert(pending.length === 0, 'The new sub-template follows the codemod policies', 'no changes', pending.map(c => `${c.path} ${c.op} ${c.key}`).join('; '));
+        const harness = createHarness({
+            doc: sub,
+            fixture: loadFixture(path.resolve(__dirname, 'fixtures', 'parameters.json')),
+            resourceGraph: loadSnapshots(path.resolve(__dirname, 'fixtures', 'resource-graph'))
+        });
+        const rows = (() => { try { return harness.runItem('scaffold-probe-clusters-table').rows.length; } catch (e) { return e.message; } })();
+        assert(rows === 2, 'The sample query runs against the Resource Graph fixtures', '2 clusters', rows);
+
+        const again = tryPlan(planTab, { slug: 'ScaffoldProbe', label: '🧪 Scaffold Probe' });
+        const bad = tryPlan(planSection, { slug: 'capacity_x', label: '', value: 'overview' });
+        assert((again.error || '').includes('already in scripts/template-ids.json')
+            && (bad.error || '').includes('must be PascalCase') && bad.error.includes('--label is required') && bad.error.includes('"overview" is already used'),
+            'Taken slugs, bad slugs, missing labels and used section values are rejected', 'errors', `${again.error} | ${bad.error}`);
+    } finally {
+        fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+});
+
+// --- 45. Sub-Template Splitting ---
+testSuite('Sub-Template Splitting', () => {
+    // scripts/split-tab.js keeps sub-templates under the gallery budget (scripts/lib/splitter.js), here in a copy of the tree.
+    const { splitAll, findEntry, planSplit, planSplitFiles, galleryTemplates } = require('./lib/splitter');
+    const repo = path.resolve(__dirname, '..');
+    const tmpRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-split-'));
+    const KB = 1024;
+    const apply = (plan) => {
+        const { files, remove } = planSplitFiles(tmpRoot, plan);
+        remove.forEach(f => fs.rmSync(path.join(tmpRoot, f), { recursive: true, force: true }));
+        files.forEach(f => {
+            fs.mkdirSync(path.dirname(path.join(tmpRoot, f.file)), { recursive: true });
+            fs.writeFileSync(path.join(tmpRoot, f.file), f.text);
+        });
+    };
+    const listFiles = (dir) => fs.readdirSync(dir, { recursive: true }).filter(f => fs.statSync(path.join(dir, f)).isFile()).sort();
+    const sameDir = (a, b) => JSON.stringify(listFiles(a)) === JSON.stringify(listFiles(b))
+        && listFiles(a).every(f => fs.readFileSync(path.join(a, f), 'utf8') === fs.readFileSync(path.join(b, f), 'utf8'));
+    try {
+        // split.js writes every file of a tab with splitAll: the whole Capacity tab gives back its files.
+        const capacity = sources.tabMap.tabs.find(t => navSections(t).length);
+        const whole = JSON.parse(JSON.stringify(sources.templates[capacity.slug]));
+        groupSections(capacity).forEach(s => whole.items[2].content.items.push(sources.templates[s.slug].items[2]));
+        const all = splitAll(whole, capacity);
+        assert(all.length === templateEntries({ tabs: [capacity] }).length && all.every(p => serialize(p.doc) === serialize(splitFiles.get(p.entry.slug))),
+            `Splitting the whole ${capacity.slug} tab gives back each of its sub-templates`, 'identical', all.map(p => p.entry.slug).join());
+
+        for (const dir of ['shared', 'workbooks']) fs.cpSync(path.join(repo, dir), path.join(tmpRoot, dir), { recursive: true });
+        fs.mkdirSync(path.join(tmpRoot, 'scripts'));
+        fs.copyFileSync(path.join(__dirname, 'template-ids.json'), path.join(tmpRoot, 'scripts', 'template-ids.json'));
+        // With its queries in sidecar files, which move with their items.
+        const singleDir = path.join(tmpRoot, 'workbooks', 'Capacity-SingleNode');
+        const extracted = extractSidecars(loadWorkbookFile(path.join(singleDir, 'Capacity-SingleNode.workbook')));
+        extracted.files.forEach(f => {
+            fs.mkdirSync(path.dirname(path.join(singleDir, f.file)), { recursive: true });
+            fs.writeFileSync(path.join(singleDir, f.file), f.text);
+        });
+        fs.writeFileSync(path.join(singleDir, 'Capacity-SingleNode.workbook'), serialize(extracted.doc));
+        fs.cpSync(singleDir, path.join(tmpRoot, 'before'), { recursive: true });
+        const original = readSources(tmpRoot);
+        const builtBefore = serialize(buildMonolithic(tmpRoot));
+
+        // Continuations: cut before section headers, every piece within the budget.
+        const single = planSplit(original, 'Capacity-SingleNode', { budget: 100 * KB });
+        const parts = continuations(single.entry);
+        const heads = parts.map(p => collectAllItems(original.templates['Capacity-SingleNode'].items).find(i => i.name === p.from));
+        assert(single.changed && single.problems.length === 0 && parts.length >= 1 && single.sizes.every(s => s.bytes <= 100 * KB)
+            && heads.every(i => i && i.type === 1),
+            'A section over the budget is cut into continuations at section headers, each within the budget', '≤ 100 KB',
+            single.problems.join(' | ') || single.sizes.map(s => `${s.slug} ${(s.bytes / KB).toFixed(1)} KB`).join(', '));
+        apply(single);
+        const partDir = path.join(tmpRoot, 'workbooks', 'Capacity-SingleNode-Part2');
+        assert(fs.existsSync(path.join(partDir, 'queries')) && listFiles(singleDir).length + listFiles(partDir).length === listFiles(path.join(tmpRoot, 'before')).length + 1,
+            'Sidecar files move with their items', 'moved', listFiles(partDir).join());
+
+        // Group sections: trailing groups of a tab are peeled off first.
+        const arb = planSplit(readSources(tmpRoot), 'ArbStatus', { budget: 55 * KB });
+        const peeled = groupSections(arb.entry);
+        assert(arb.changed && arb.problems.length === 0 && peeled.length === 1 && continuations(arb.entry).length === 0
+            && peeled[0].slug === 'ArbStatus-ArbAlertRulesGroup' && peeled[0].value === undefined,
+            'A tab over the budget has its trailing groups split into section sub-templates first', 'ArbStatus-ArbAlertRulesGroup',
+            arb.problems.join(' | ') || JSON.stringify(arb.entry.subSections));
+        apply(arb);
+
+        const split = readSources(tmpRoot);
+        const arbDoc = loadWorkbookFile(path.join(tmpRoot, 'workbooks', 'ArbStatus', 'ArbStatus.workbook'));
+        assert(serialize(buildMonolithic(tmpRoot)) === builtBefore,
+            'Splitting never changes the monolithic build', 'identical', 'differs');
+        assert(serialize(split.templates['Capacity-SingleNode']) === serialize(original.templates['Capacity-SingleNode'])
+            && !arbDoc.items[2].content.items.some(i => i.name === 'arb-alert-rules-group'),
+            'Continuations are joined back in readSources(); peeled groups leave their tab', 'joined', 'differs');
+        const gallery = galleryTemplates(split);
+        const stubs = gallery.get('Capacity-SingleNode').items[2].content.items.filter(i => i.content && i.content.groupType === 'template');
+        assert(stubs.length === parts.length && stubs.every((s, i) => s.content.loadFromTemplateId === `community-Azure Local/${parts[i].galleryFolderName}` && !s.conditionalVisibility)
+            && gallery.get('Capacity-SingleNode-Part2').items[2].name === 'cap-single-section-part2',
+            'The gallery owner loads its continuations through template stubs', `${parts.length} stub(s)`, stubs.map(s => s.name).join());
+
+        // A bigger budget re-plans the continuations away and moves sidecars back.
+        const undo = planSplit(split, 'Capacity-SingleNode', { budget: 400 * KB });
+        apply(undo);
+        assert(!undo.entry.subSections && sameDir(singleDir, path.join(tmpRoot, 'before')) && !fs.existsSync(partDir),
+            'Re-planning with room to spare joins the files back as they were', 'original files', fs.readdirSync(path.join(tmpRoot, 'workbooks')).join());
+
+        const tooSmall = planSplit(original, 'Capacity-SingleNode', { budget: 20 * KB });
+        const errorOf = (slug) => { try { findEntry(split.tabMap, slug); return 'accepted'; } catch (e) { return e.message; } };
+        assert(tooSmall.problems.length === 1 && !tooSmall.changed && /cannot fit|alone take|no cut/.test(tooSmall.problems[0])
+            && errorOf('Nope').startsWith('Unknown tab or section') && errorOf('ArbStatus-ArbAlertRulesGroup') === 'accepted',
+            'Budgets that cannot be met and unknown slugs are reported', 'problems', `${tooSmall.problems.join(' | ')} | ${errorOf('Nope')}`);
+        const partError = errorOf('Capacity-SingleNode-Part2');
+        assert(partError.includes('is a continuation'), 'Continuations cannot be split themselves', 'error', partError);
+    } finally {
+        fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+
+    // split-tab.js run from a checkout checks the build against the template-ids.json it just wrote.
+    const cliRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-split-cli-'));
+    try {
+        for (const dir of ['shared', 'workbooks']) fs.cpSync(path.join(repo, dir), path.join(cliRoot, dir), { recursive: true });
+        fs.cpSync(__dirname, path.join(cliRoot, 'scripts'), { recursive: true, filter: src => path.basename(src) !== 'fixtures' });
+        fs.copyFileSync(path.join(repo, 'AzureLocal-LENS-Workbook.json'), path.join(cliRoot, 'AzureLocal-LENS-Workbook.json'));
+        const r = require('child_process').spawnSync(process.execPath, [path.join(cliRoot, 'scripts', 'split-tab.js'), 'Machines', '--budget', '60'], { encoding: 'utf8' });
+        const idsChanged = fs.readFileSync(path.join(cliRoot, 'scripts', 'template-ids.json'), 'utf8') !== fs.readFileSync(path.join(__dirname, 'template-ids.json'), 'utf8');
+        assert(r.status === 0 && idsChanged && r.stdout.includes('is unchanged'),
+            'split-tab.js reports an unchanged build after a split that rewrites template-ids.json', 'exit 0, unchanged', `${r.status}: ${(r.stdout + r.stderr).trim().split('\n').pop()}`);
+    } finally {
+        fs.rmSync(cliRoot, { recursive: true, force: true });
+    }
+});
+
+// --- 46. Gallery Packaging ---
+testSuite('Gallery Packaging', () => {
+    // scripts/build-gallery.js packages the gallery form in the upstream layout (scripts/lib/gallery-package.js).
+    const { packageGallery, formatChecklist } = require('./lib/gallery-package');
+    const { templateStub } = require('./lib/splitter');
+    const { createZip, readZip } = require('./lib/zip');
+    const KB = 1024;
+    const pkg = packageGallery(sources);
+    const dir = `Workbooks/${pkg.category}`;
+    const files = new Set(pkg.files.map(f => f.file));
+
+    assert(pkg.problems.length === 0, 'The gallery package passes its checks (template references, 200 KB budget, unique folders)',
+        'no problems', pkg.problems.join(' | '));
+    const missing = pkg.templates.flatMap(t => [`${t.folder}.workbook`, 'settings.json', 'README.md']
+        .map(f => `${dir}/${t.folder}/${f}`)).filter(f => !files.has(f));
+    assert(pkg.templates.length === fileSlugs().length && missing.length === 0 && files.has(`${dir}/categoryResources.json`),
+        'Every sub-template has a folder with its .workbook, settings.json and README.md', `${fileSlugs().length} folders`, missing.join(', ') || pkg.templates.length);
+    const settingsOf = (t) => JSON.parse(pkg.files.find(f => f.file === `${dir}/${t.folder}/settings.json`).text);
+    const listed = pkg.templates.filter(t => settingsOf(t).galleries.length).map(t => t.slug);
+    assert(listed.join() === 'Overview' && pkg.templates.every(t => t.outer || t.loadedBy.length === 1),
+        'Only the outer is listed in a gallery; every other template is loaded by exactly one other', 'Overview', listed.join());
+    const outer = JSON.parse(pkg.files.find(f => f.file === `${dir}/LENS-Overview/LENS-Overview.workbook`).text);
+    const stubs = outer.items.filter(i => i.content && i.content.groupType === 'template');
+    assert(stubs.length === sources.tabMap.tabs.length - 1 && stubs.every(s => s.conditionalVisibility.parameterName === 'selectedTab'),
+        'The outer loads every other tab through a selectedTab template stub', sources.tabMap.tabs.length - 1, stubs.length);
+
+    // Broken references, oversized files and clashing folders are reported.
+    const broken = JSON.parse(JSON.stringify(sources));
+    broken.templates.VMs.items[2].content.items.push(templateStub({ slug: 'Nope', galleryFolderName: 'LENS-Nope' }));
+    const machines = broken.tabMap.tabs.find(t => t.slug === 'Machines');
+    broken.tabMap.tabs.find(t => t.slug === 'VMs').galleryFolderName = machines.galleryFolderName;
+    const bad = packageGallery(broken, { budget: 100 * KB });
+    assert(bad.checks.references.some(p => p.startsWith('VMs loads community-Azure Local/LENS-Nope'))
+        && bad.checks.unique.some(p => p.includes(`share the folder ${machines.galleryFolderName}`))
+        && bad.checks.budget.length > 0 && bad.checks.budget.every(p => p.includes('over the 100.0 KB budget')),
+        'Unresolved loadFromTemplateId, shared folders and files over the budget are reported', '3 kinds of problems', bad.problems.join(' | '));
+    const checklist = formatChecklist(bad, { zip: 'x.zip' });
+    assert(checklist.includes('- ❌ Every file is within the 100.0 KB budget') && checklist.includes('- ❌ Every `loadFromTemplateId` resolves')
+        && formatChecklist(pkg).includes('- ✅ Every `loadFromTemplateId` resolves'),
+        'The checklist marks each failed check', '❌ / ✅', checklist.split('## Checks')[1].split('##')[0].trim());
+
+    // The zip holds the package byte for byte, and the same files give the same archive.
+    const zip = createZip(pkg.files.map(f => ({ name: f.file, data: f.text })));
+    const entries = readZip(zip);
+    assert(entries.length === pkg.files.length && entries.every((e, i) => e.name === pkg.files[i].file && e.data.toString('utf8') === pkg.files[i].text)
+        && zip.equals(createZip(pkg.files.map(f => ({ name: f.file, data: f.text })))),
+        'The zip round-trips every file and is reproducible', `${pkg.files.length} files`, entries.length);
+});
+
+// --- 47. Gallery Resolution ---
+testSuite('Gallery Resolution', () => {
+    // scripts/lib/gallery-resolver.js inlines template stubs offline; run-tests.js --gallery tests the gallery form through it.
+    const { packageGallery, templateFiles } = require('./lib/gallery-package');
+    const { templateStub } = require('./lib/splitter');
+    const pkg = packageGallery(sources);
+    const files = templateFiles(sources.tabMap);
+    const texts = new Map(pkg.files.map(f => [f.file, f.text]));
+    const docs = new Map(files.map(t => [t.id, JSON.parse(texts.get(t.file))]));
+    const lookup = id => docs.get(id);
+    const continuationIds = new Set(files.filter(t => isContinuation(t.entry)).map(t => t.id));
+    const outer = docs.get(files.find(t => t.outer).id);
+    const errorOf = (doc, ids = continuationIds, find = lookup) => { try { resolveTemplates(doc, find, ids); return 'resolved'; } catch (e) { return e.message; } };
+
+    const monolithic = serialize(buildMonolithic(undefined, { overlay }));
+    const resolved = serialize(resolveTemplates(outer, lookup, continuationIds));
+    assert(resolved === monolithic, 'The gallery outer with every stub resolved is the monolithic build, byte for byte',
+        'identical', `drift (${resolved.length} vs ${monolithic.length} bytes)`);
+    assert(!collectAllItems(JSON.parse(resolved).items).some(i => i.content && i.content.groupType === 'template'),
+        'No template stub is left after resolving', '0 stubs', 'stubs left');
+    if (GALLERY_MODE) {
+        assert(workbookRaw === monolithic, 'The gallery package under test matches the sources (re-run scripts/build-gallery.js if this fails)',
+            'identical', 'stale dist/gallery');
+    }
+
+    // Broken packages fail with the stub that cannot be resolved.
+    const tab = sources.tabMap.tabs.find(t => t.slug === 'VMs');
+    const visibleOn = { parameterName: 'selectedTab', comparison: 'isEqualTo', value: tab.selectedTab };
+    const missing = errorOf({ items: [templateStub({ slug: 'Nope', galleryFolderName: 'LENS-Nope' }, { conditionalVisibility: visibleOn })] });
+    assert(missing.includes('nope-template-group loads community-Azure Local/LENS-Nope, which is not in the gallery package'),
+        'A stub whose template is not in the package is reported', 'not in the gallery package', missing);
+    const loop = JSON.parse(JSON.stringify(docs.get(files.find(t => t.slug === 'VMs').id)));
+    loop.items[2].content.items.push(templateStub(tab));
+    const cyclic = errorOf({ items: [templateStub(tab, { conditionalVisibility: visibleOn })] }, continuationIds,
+        id => (id === files.find(t => t.slug === 'VMs').id ? loop : lookup(id)));
+    assert(cyclic.includes('which is already loading'), 'A template that loads itself is reported', 'already loading', cyclic);
+    const section = sources.tabMap.tabs.flatMap(t => navSections(t))[0];
+    const wrongCv = errorOf({ items: [templateStub(section, { conditionalVisibility: { ...visibleOn, parameterName: 'CapacitySection', value: 'nope' } })] });
+    assert(wrongCv.includes('is shown on') && wrongCv.includes(section.groupName),
+        'A section stub shown on another condition than its group is reported', 'visibility mismatch', wrongCv);
+
+    // Without template-ids.json, a stub without visibility is taken for a continuation.
+    const part = { items: [{}, {}, { type: 12, content: { version: 'NotebookGroup/1.0', groupType: 'editable', items: [{ type: 1, name: 'a' }, { type: 1, name: 'b' }] }, name: 'x-part2' }] };
+    const spliced = resolveTemplates({ items: [{ type: 1, name: 'head' }, templateStub({ slug: 'X-Part2' })] }, () => part);
+    assert(spliced.items.map(i => i.name).join() === 'head,a,b', 'Continuation stubs are replaced by their items in place', 'head,a,b', spliced.items.map(i => i.name).join());
+});
+
+// --- 48. Workbook Model ---
+testSuite('Workbook Model', () => {
+    // scripts/lib/workbook.js: typed item wrappers, name paths, visibility and the canonical serializer.
+    const { Markdown, Parameters, Links, Group, withKey } = require('./lib/workbook');
+    const wb = new Workbook(JSON.parse(workbookRaw));
+    const items = wb.all();
+    const byType = { 1: Markdown, 3: Query, 9: Parameters, 11: Links };
+    assert(items.length === allItems.length, 'The model walks every item of the workbook', allItems.length, items.length);
+    const mistyped = items.filter(i => (i.content && Array.isArray(i.content.items) ? !(i instanceof Group) : byType[i.type] && !(i instanceof byType[i.type])));
+    assert(mistyped.length === 0, 'Every item is wrapped by its type (Markdown, Query, Parameters, Links, Group)', 0, mistyped.map(i => i.path).join(', '));
+    assert(wb.serialize() === workbookRaw && serialize(wb.doc) === workbookRaw, 'The canonical serializer writes the workbook back byte for byte', 'identical', 'drift');
+
+    const paths = new Set(items.map(i => i.path));
+    assert(paths.size === items.length, 'Name paths are unique', items.length, paths.size);
+    const lost = items.filter(i => wb.get(i.path) !== i || (i.parent && !i.parent.items.includes(i)) || i.ancestors().length !== i.depth);
+    assert(lost.length === 0, 'Every item is found by its name path and sits in its parent at its depth', 0, lost.map(i => i.path).join(', '));
+    const tile = wb.find('tile-total-clusters');
+    assert(tile instanceof Query && tile.path.endsWith('/tile-total-clusters') && wb.get(tile.path) === tile && tile.parent.raw.content.items.includes(tile.raw),
+        'find() and get() return the wrapper of the item in the document', tile && tile.path, tile && tile.path);
+    assert(wb.queries().length === allQueries.length, 'queries() lists every query and parameter query', allQueries.length, wb.queries().length);
+
+    // Tabs and visibility: each tab group is shown for its own selectedTab value only.
+    const tabs = wb.all(Tab);
+    const expectedTabs = sources.tabMap.tabs.map(t => `${t.groupName}=${t.selectedTab}`).sort().join(', ');
+    assert(tabs.map(t => `${t.name}=${t.value}`).sort().join(', ') === expectedTabs, 'Every tab group is a Tab with its selectedTab value', expectedTabs, tabs.map(t => `${t.name}=${t.value}`).sort().join(', '));
+    const capacity = sources.tabMap.tabs.find(t => navSections(t).length);
+    if (capacity) {
+        const [first, second] = navSections(capacity);
+        const sectionGroup = wb.all(Group).find(g => g.name === first.groupName);
+        const leaf = sectionGroup && wb.all().find(i => i !== sectionGroup && i.ancestors().includes(sectionGroup) && !(i instanceof Group));
+        const other = sources.tabMap.tabs.find(t => t !== capacity);
+        const shownFor = (tab, sect) => leaf.isShown({ selectedTab: tab.selectedTab, CapacitySection: sect.value });
+        assert(leaf && leaf.tab && leaf.tab.value === capacity.selectedTab && shownFor(capacity, first) && !shownFor(capacity, second) && !shownFor(other, first),
+            `An item of ${first.slug} is shown for its tab and section only (enclosing visibilities resolved)`, 'shown once', leaf ? leaf.conditions().map(cv => `${cv.parameterName} ${cv.comparison} ${cv.value}`).join(' and ') : 'no item');
+    }
+    let unsupported = 'no error';
+    try { new Workbook([{ type: 1, content: { json: '' }, conditionalVisibility: { parameterName: 'x', comparison: 'isGreaterThan', value: '1' } }]).items[0].isShown({ x: '2' }); } catch (e) { unsupported = e.message; }
+    assert(unsupported.includes('Unsupported visibility comparison'), 'An unsupported visibility comparison is reported', 'Unsupported visibility comparison', unsupported);
+
+    // Edits through wrappers change the document, new keys in a stable place.
+    const doc = { items: [{ type: 3, content: { version: 'KqlItem/1.0', query: 'x', size: 0, title: 't' }, name: 'q' }] };
+    const q = new Workbook(doc).items[0];
+    q.setContent('showAnalytics', true, { after: ['size', 'query'] }).setContent('noDataMessage', 'none', { after: ['nope'] });
+    assert(Object.keys(doc.items[0].content).join() === 'version,query,size,showAnalytics,title,noDataMessage',
+        'setContent() places a new key after its anchor (or last) in the document', 'version,query,size,showAnalytics,title,noDataMessage', Object.keys(doc.items[0].content).join());
+    assert(q.removeContent('noDataMessage') && !q.removeContent('noDataMessage') && Object.keys(withKey({ a: 1, b: 2 }, 'a', 3, ['b'])).join() === 'a,b',
+        'removeContent() and an existing key keep the order', 'a,b', Object.keys(withKey({ a: 1, b: 2 }, 'a', 3, ['b'])).join());
+});
+
+// --- 49. Codemods ---
+testSuite('Codemods', () => {
+    // scripts/apply-codemods.js applies the rule files in scripts/codemods/ (scripts/lib/codemod.js).
+    const { loadCodemods, applyCodemods } = require('./lib/codemod');
+    const { sourceFiles } = require('./lib/workbook');
+    const root = path.resolve(__dirname, '..');
+    const { codemods, helpers } = loadCodemods(path.join(__dirname, 'codemods'));
+    const pending = sourceFiles(root, { header: true }).flatMap(file => applyCodemods(JSON.parse(fs.readFileSync(file, 'utf8')), codemods, helpers)
+        .map(c => `${path.basename(file)}: ${c.path} ${c.op} ${c.key}`));
+    assert(pending.length === 0, 'Every source file follows the codemod policies (node scripts/apply-codemods.js)', 'no changes', pending.slice(0, 5).join('; '));
+
+    const grid = JSON.parse(fs.readFileSync(path.join(root, 'workbooks', 'Machines', 'Machines.workbook'), 'utf8'));
+    const policy = ['noDataMessage', 'noDataMessageStyle', 'showAnalytics', 'showExportToExcel'];
+    const byName = (doc, name) => new Workbook(doc).find(name);
+    const table = byName(grid, 'all-nodes-table');
+    const tile = byName(grid, 'tile-total-machines');
+    const expectedKeys = Object.keys(table.content).join();
+    const expectedText = table.content.noDataMessage;
+    policy.forEach(k => table.removeContent(k));
+    tile.setContent('showAnalytics', true);
+    const messages = codemods.find(c => c.name === 'no-data-messages').messages;
+    const unnamed = { type: 3, content: { version: 'KqlItem/1.0', query: 'x', size: 0, visualization: 'piechart' }, name: 'not-in-the-messages-table' };
+    const helper = { type: 3, content: { version: 'KqlItem/1.0', query: 'x', size: 0 }, name: [...helpers][0] };
+    const dataOnly = { type: 3, content: { version: 'KqlItem/1.0', query: 'x' }, name: 'merge-source' };
+    grid.items.push(unnamed, helper, dataOnly);
+    const changes = applyCodemods(grid, codemods, helpers);
+    const fixed = byName(grid, 'all-nodes-table');
+    assert(Object.keys(fixed.content).join() === expectedKeys && fixed.content.noDataMessage === expectedText && fixed.content.noDataMessageStyle === 4,
+        'A stripped grid gets its message, style and toolbar flags back in their usual place', expectedKeys, Object.keys(fixed.content).join());
+    assert(!('showAnalytics' in byName(grid, 'tile-total-machines').content), 'Stat tiles lose showAnalytics', 'removed', 'kept');
+    assert(unnamed.content.noDataMessage === messages['*'] && unnamed.content.showAnalytics === true && !('showExportToExcel' in unnamed.content),
+        'A chart not in the messages table gets the fallback message and no export menu', messages['*'], unnamed.content.noDataMessage);
+    assert(Object.keys(helper.content).length === 3 && Object.keys(dataOnly.content).length === 2, 'Helper and data-only queries are left alone',
+        'untouched', JSON.stringify([helper.content, dataOnly.content]));
+    assert(changes.length > 0 && applyCodemods(grid, codemods, helpers).length === 0, 'Re-running the codemods changes nothing', 0, applyCodemods(grid, codemods, helpers).length);
+
+    // Rule files are validated before anything is applied.
+    const tmpDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-codemods-'));
+    try {
+        fs.writeFileSync(path.join(tmpDir, 'bad.json'), JSON.stringify({ rules: [{ match: { kind: 3 }, set: { noDataMessage: '$messages' } }, { match: {} }] }));
+        const errorOf = (only) => { try { loadCodemods(tmpDir, only); return 'loaded'; } catch (e) { return e.message; } };
+        const invalid = errorOf(null);
+        assert(['unknown match key "kind"', 'no "messages" table', 'rule 2: nothing to do'].every(m => invalid.includes(m)),
+            'Invalid rule files are reported with one line per problem', 'unknown match key, missing messages, nothing to do', invalid);
+        assert(errorOf(['nope']).includes('Unknown codemod "nope"'), 'An unknown codemod name is reported', 'Unknown codemod', errorOf(['nope']));
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+// --- 50. Lens CLI ---
+testSuite('Lens CLI', () => {
+    // scripts/lens.js drives the scripts with --json output, --root and fixed exit codes.
+    const { spawnSync } = require('child_process');
+    const { parseNunit } = require('./lib/nunit');
+    const repo = path.resolve(__dirname, '..');
+    const lens = (...args) => {
+        const r = spawnSync(process.execPath, [path.join(__dirname, 'lens.js'), ...args], { encoding: 'utf8' });
+        let json = null;
+        try { json = JSON.parse(r.stdout); } catch (e) { /* not --json */ }
+        return { status: r.status, stdout: r.stdout, json };
+    };
+
+    const help = lens('--help');
+    const commands = ['build', 'check', 'gallery', 'lint', 'test', 'sync-params', 'split', 'diff', 'new-tab'];
+    assert(help.status === 0 && commands.every(c => help.stdout.includes(`  ${c} `)), '--help lists every command', commands.join(', '), help.stdout.slice(0, 200));
+    const unknown = lens('deploy', '--json');
+    const badOption = lens('build', '--fast', '--json');
+    assert(unknown.status === 64 && badOption.status === 64 && badOption.json && badOption.json.errors[0] === 'Unknown option --fast',
+        'Unknown commands and options exit 64 with the error in the JSON', '64 / 64', `${unknown.status} / ${badOption.status}`);
+
+    const check = lens('check', '--json');
+    assert(check.status === 0 && check.json && check.json.ok && check.json.steps.length === 6 && check.json.steps.every(s => s.ok),
+        'lens check --json passes on the repo with one entry per gate', '6 passing steps', check.stdout.slice(0, 300));
+
+    const tmpRoot = fs.mkdtempSync(path.join(require('os').tmpdir(), 'lens-cli-'));
+    try {
+        for (const dir of ['shared', 'workbooks', path.join('scripts', 'codemods'), path.join('scripts', 'schemas')]) {
+            fs.cpSync(path.join(repo, dir), path.join(tmpRoot, dir), { recursive: true });
+        }
+        fs.copyFileSync(path.join(__dirname, 'template-ids.json'), path.join(tmpRoot, 'scripts', 'template-ids.json'));
+        fs.copyFileSync(path.join(repo, 'AzureLocal-LENS-Workbook.json'), path.join(tmpRoot, 'AzureLocal-LENS-Workbook.json'));
+        const vmsFile = path.join(tmpRoot, 'workbooks', 'VMs', 'VMs.workbook');
+        const vms = JSON.parse(fs.readFileSync(vmsFile, 'utf8'));
+        vms.items[0].content.parameters.pop();
+        fs.writeFileSync(vmsFile, serialize(vms));
+
+        const drifted = lens('check', '--root', tmpRoot, '--json');
+        const params = drifted.json && drifted.json.steps.find(s => s.name === 'shared parameters');
+        assert(drifted.status === 1 && drifted.json.root === tmpRoot && params && !params.ok && params.problems.some(p => p.startsWith('VMs:')),
+            'lens check --root reports parameter drift in that checkout and exits 1', 'VMs drift, exit 1', drifted.stdout.slice(0, 300));
+        const synced = lens('sync-params', '--root', tmpRoot, '--json');
+        const after = lens('check', '--root', tmpRoot, '--json');
+        assert(synced.status === 0 && after.status === 0, 'lens sync-params --root fixes the drift', '0 / 0', `${synced.status} / ${after.status}`);
+        const sizes = lens('split', '--budget', '100', '--root', tmpRoot, '--json');
+        assert(sizes.status === 2 && sizes.json.ok && sizes.json.warnings.length === 1 && sizes.json.sizes.some(s => !s.fits),
+            'A size report over the budget exits 2 (success with warnings)', 2, sizes.status);
+        assert(lens('build', '--root', path.join(tmpRoot, 'workbooks')).status === 64, '--root must be a LENS checkout', 64, 'other');
+        const badTabs = lens('build', '--tabs', 'Nope', '--root', tmpRoot, '--json');
+        assert(badTabs.status === 64 && badTabs.json.errors.some(e => e.includes('"Nope"')), 'An unknown tab in build --tabs is a usage error (64)', 64, badTabs.status);
+    } finally {
+        fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+
+    // lens test --json reads the report run-tests.js writes.
+    const report = parseNunit([
+        '<test-run id="1" testcasecount="2" result="Failed" total="2" passed="1" failed="1">',
+        '    <test-suite type="TestFixture" id="0-1" name="A &amp; B" fullname="LENS.Workbook.Tests.A &amp; B" testcasecount="2" result="Failed">',
+        '      <test-case id="0-1-1" name="first" fullname="LENS.Workbook.Tests.A &amp; B.first" result="Passed">',
+        '      <test-case id="0-1-2" name="second" fullname="LENS.Workbook.Tests.A &amp; B.second" result="Failed">',
+        '          <message><![CDATA[Expected: 1,',
+        '2, Got: 3]]></message>'
+    ].join('\n'));
+    const failed = report.suites[0] && report.suites[0].cases[1];
+    assert(report.total === 2 && report.failed === 1 && report.suites[0].name === 'A & B' && failed.name === 'second' && failed.message === 'Expected: 1,\n2, Got: 3',
+        'NUnit reports are read back with suite and test names and multi-line failure messages', 'A & B / second', JSON.stringify(report.suites));
+});
+
+// --- 51. Source Format ---
+testSuite('Source Format', () => {
+    // scripts/lib/format.js is the one form every source file is written in (lens fmt).
+    const { formatSource, formatTree, sourceText } = require('./lib/format');
+    const { loadCodemods, applyCodemods } = require('./lib/codemod');
+    const { planTab } = require('./lib/scaffold');
+    const repo = path.resolve(__dirname, '..');
+
+    const pending = formatTree(repo, { write: false }).map(r => path.relative(repo, r.file));
+    assert(pending.length === 0, 'Every source file is in canonical form (node scripts/lens.js fmt)', 'none to change', pending.join(', '));
+
+    const item = formatSource({
+        name: 'q', customTag: 1, content: {
+            noDataMessage: 'none', chartSettings: {}, query: 'resources\n| where a == 1   \n| project b\t\r\n\r\n', size: 0, version: 'KqlItem/1.0', extra: true
+        }, type: 3
+    });
+    assert(Object.keys(item).join() === 'type,content,name,customTag' && Object.keys(item.content).join() === 'version,query,size,chartSettings,noDataMessage,extra',
+        'Item and content keys follow the canonical order, unknown keys kept after it', 'type,content,name,customTag / version,query,size,...,extra',
+        `${Object.keys(item).join()} / ${Object.keys(item.content).join()}`);
+    assert(item.content.query === 'resources\r\n| where a == 1\r\n| project b', 'Queries get CRLF line endings without trailing whitespace or blank lines',
+        'resources\\r\\n| where a == 1\\r\\n| project b', JSON.stringify(item.content.query));
+    const markdown = formatSource({ type: 1, content: { json: 'Line one  \nline two\n' }, name: 'm' });
+    assert(markdown.content.json === 'Line one  \nline two\n', 'Markdown text is left as it is (trailing spaces are line breaks)', 'unchanged', JSON.stringify(markdown.content.json));
+    const params = { type: 9, content: { version: 'KqlParameterItem/1.0', parameters: [{ name: 'A', type: 1 }, { id: 'keep-me', name: 'B', type: 1 }] }, name: 'p' };
+    const once = formatSource(params);
+    const twice = formatSource(JSON.parse(JSON.stringify(params)));
+    assert(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(once.content.parameters[0].id) && once.content.parameters[0].id === twice.content.parameters[0].id
+        && once.content.parameters[1].id === 'keep-me' && Object.keys(once.content.parameters[0])[0] === 'id',
+        'A parameter without an id gets the same derived GUID every time; existing ids are kept', 'stable GUID, keep-me', JSON.stringify(once.content.parameters));
+
+    // The scripts that write sources write the canonical form.
+    const machinesFile = path.join(repo, 'workbooks', 'Machines', 'Machines.workbook');
+    const machines = JSON.parse(fs.readFileSync(machinesFile, 'utf8'));
+    const table = new Workbook(machines).find('all-nodes-table');
+    ['noDataMessage', 'noDataMessageStyle', 'showAnalytics', 'showExportToExcel'].forEach(k => table.removeContent(k));
+    const { codemods, helpers } = loadCodemods(path.join(__dirname, 'codemods'));
+    applyCodemods(machines, codemods, helpers);
+    assert(sourceText(machines) === fs.readFileSync(machinesFile, 'utf8'), 'A file rewritten by the codemods is in canonical form', 'identical', 'differs');
+    const plan = (() => { try { return planTab(repo, { slug: 'ScaffoldProbe', label: '🧪 Scaffold Probe' }); } catch (e) { return { error: e.message }; } })();
+    const scaffolded = plan.files && plan.files.find(f => f.file.endsWith('.workbook'));
+    assert(scaffolded && scaffolded.text === sourceText(JSON.parse(scaffolded.text)), 'A scaffolded sub-template is in canonical form', 'canonical', plan.error || 'differs');
+});
+
+// --- 52. Workbook Schema ---
+testSuite('Workbook Schema', () => {
+    // scripts/schemas/ holds the Azure Workbooks schemas (written after upstream); scripts/lib/schema.js validates against them offline.
+    const { loadSchemas, validate, validateSource } = require('./lib/schema');
+    const { schemaTree } = require('./validate-schema');
+    const repo = path.resolve(__dirname, '..');
+    const schemas = loadSchemas();
+    const describe = (errors) => errors.slice(0, 5).map(e => `${e.pointer}: ${e.message}`).join('; ') || 'no errors';
+
+    const own = validate(workbook, schemas);
+    assert(own.length === 0, 'The workbook under test matches the workbook schemas', 'no errors', describe(own));
+    const sources = schemaTree(repo).filter(r => r.errors.length);
+    assert(sources.length === 0, 'Every source file and the root workbook match the workbook schemas', 'no errors',
+        sources.map(r => `${path.relative(repo, r.file)}#${describe(r.errors)}`).join(' | '));
+
+    const query = (content) => ({
+        version: 'Notebook/1.0',
+        items: [{ type: 12, name: 'group', content: { version: 'NotebookGroup/1.0', groupType: 'editable', items: [
+            { type: 3, name: 'q', content: { version: 'KqlItem/1.0', query: 'Resources', size: 0, ...content } }
+        ] } }]
+    });
+    const misspelled = validate(query({ gridsettings: { rowLimit: 2000 } }), schemas);
+    assert(misspelled.length === 1 && misspelled[0].pointer === '/items/0/content/items/0/content/gridsettings' && /did you mean "gridSettings"/.test(misspelled[0].message),
+        'A misspelled key is reported at its JSON pointer with the key it was meant to be', '/items/0/content/items/0/content/gridsettings (did you mean "gridSettings"?)', describe(misspelled));
+    const style = validate(query({ noDataMessage: 'None', noDataMessageStyle: 9 }), schemas);
+    assert(style.length === 1 && style[0].pointer === '/items/0/content/items/0/content/noDataMessageStyle',
+        'An invalid noDataMessageStyle value is reported', '/items/0/content/items/0/content/noDataMessageStyle', describe(style));
+    const nested = validate(query({ gridSettings: { formatters: [{ columnMatch: 'a', formatter: 1, formatOptions: { thresholdsOptions: 'icon' } }] } }), schemas);
+    assert(nested.length === 1 && nested[0].pointer === '/items/0/content/items/0/content/gridSettings/formatters/0/formatOptions/thresholdsOptions',
+        'Values deep in grid settings are checked', '.../formatters/0/formatOptions/thresholdsOptions', describe(nested));
+
+    const standard = query({ exportFieldName: 'id', exportParameterName: 'SelectedId', exportDefaultValue: '', exportedParameters: [{ fieldName: 'name', parameterName: 'SelectedName', parameterType: 1 }] });
+    standard.isLocked = false;
+    standard.items[0].isAutoRefreshEnabled = true;
+    assert(validate(standard, schemas).length === 0, 'Standard Workbooks properties (exported parameters, auto refresh, isLocked) are accepted',
+        'no errors', describe(validate(standard, schemas)));
+
+    const item = (type, content) => validateSource({ type, name: 'x', content }, schemas);
+    const parameter = item(9, { version: 'KqlParameterItem/1.0', parameters: [{ id: 'p', version: 'KqlParameterItem/1.0', name: 'Time Range', type: 4, multiselect: true }] });
+    assert(parameter.map(e => e.pointer).join() === '/content/parameters/0/name,/content/parameters/0/multiselect',
+        'Parameters are checked against the KqlParameterItem schema', '/content/parameters/0/name,/content/parameters/0/multiselect', describe(parameter));
+    const link = item(11, { version: 'LinkItem/1.0', style: 'tabs', links: [{ id: 'l', cellValue: 'selectedTab', linkTarget: 'Parameter', linkLabel: 'Tab' }] });
+    assert(link.length === 1 && link[0].pointer === '/content/links/0/linkTarget', 'Links are checked against the LinkItem schema', '/content/links/0/linkTarget', describe(link));
+    const template = item(12, { version: 'NotebookGroup/1.0', groupType: 'template' });
+    assert(template.length === 1 && /loadFromTemplateId/.test(template[0].message), 'A template group must name the template it loads', 'missing loadFromTemplateId', describe(template));
+    const unknownType = validateSource({ items: [{ type: 7, content: {} }, { content: {} }] }, schemas);
+    assert(unknownType.map(e => e.pointer).join() === '/items/0/type,/items/1', 'Unknown item types and items without a type are reported', '/items/0/type,/items/1', describe(unknownType));
+
+    const allowlisted = query({ gridSettings: { rowLimit: 2000, noDataMessage: 'None' } });
+    const noAllowlist = { ...schemas, allowlist: new Map() };
+    assert(validate(allowlisted, schemas).length === 0 && validate(allowlisted, noAllowlist).length === 1,
+        'Properties in scripts/schemas/allowlist.json pass where the schema would reject them', 'allowed, rejected without the allowlist',
+        `${describe(validate(allowlisted, schemas))} / ${describe(validate(allowlisted, noAllowlist))}`);
+});
+
 // ============================================================================
 // RESULTS
 // ============================================================================
@@ -1377,7 +3059,7 @@ console.log(` Test Results: ${passCount}/${totalCount} passed, ${failCount} fail
 console.log(`========================================\n`);
 
 // Ensure test-results directory exists
-const resultsDir = path.resolve(__dirname, '..', 'test-results');
+const resultsDir = RESULTS_DIR;
 if (!fs.existsSync(resultsDir)) {
     fs.mkdirSync(resultsDir, { recursive: true });
 }
@@ -0,0 +1,156 @@
+/**
+ * scripts/split-tab.js — Keeps sub-templates under the gallery size budget
+ * (200 KB by default) by splitting a tab or Capacity section into
+ * sub-sections (scripts/lib/splitter.js):
+ *
+ *   - trailing groups of a tab become section sub-templates, as the Capacity
+ *     sections are
+ *   - the rest is cut into continuations <Slug>-Part2, -Part3, … before named
+ *     items (section headers preferred), in pieces of even size
+ *
+ * The cuts are recorded as "subSections" in scripts/template-ids.json, and
+ * the new sub-templates are written under workbooks/ (sidecar files move
+ * with their items). build-monolithic.js joins everything back, so the root
+ * workbook does not change — this script checks that after writing.
+ * Re-running on a split tab re-plans its continuations.
+ *
+ * Without a slug it lists the gallery size of every sub-template against
+ * the budget (exit code 2 if any is over).
+ *
+ * Like split.js it refuses to run unless the root workbook is up to date
+ * with the sources (build-monolithic.js --check; or --force is given).
+ *
+ * Usage:
+ *   node scripts/split-tab.js [--budget <KB>]
+ *   node scripts/split-tab.js <Slug> [--budget <KB>] [--dry-run] [--force]
+ *
+ * Example:
+ *   node scripts/split-tab.js Capacity-SingleNode --budget 100 --dry-run
+ */
+const fs = require('fs');
+const path = require('path');
+const { readSources, checkBuild, serialize } = require('./build-monolithic');
+const { DEFAULT_BUDGET, templateEntries, groupSections, galleryTemplates, planSplit, planSplitFiles } = require('./lib/splitter');
+
+const ROOT = path.resolve(__dirname, '..');
+const USAGE = 'Usage: node scripts/split-tab.js [<Slug>] [--budget <KB>] [--dry-run] [--force]';
+
+const kb = (n) => (n / 1024).toFixed(1);
+
+/** Gallery size of every sub-template of `sources`: [{ slug, bytes, fits }]. */
+function sizeReport(sources, budget = DEFAULT_BUDGET) {
+  const gallery = galleryTemplates(sources);
+  return templateEntries(sources.tabMap).map(entry => {
+    const bytes = Buffer.byteLength(serialize(gallery.get(entry.slug)), 'utf8');
+    return { slug: entry.slug, bytes, fits: bytes <= budget };
+  });
+}
+
+/**
+ * Write a split `plan` (splitter.planSplit) into `root`: removes and writes
+ * the files of planSplitFiles and returns them ({ remove, files }).
+ */
+function applySplit(root, plan) {
+  const changes = planSplitFiles(root, plan);
+  for (const file of changes.remove) fs.rmSync(path.join(root, file), { recursive: true, force: true });
+  for (const { file, text } of changes.files) {
+    const full = path.join(root, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, text, 'utf8');
+  }
+  return changes;
+}
+
+function report(sources, budget) {
+  const sizes = sizeReport(sources, budget);
+  for (const { slug, bytes, fits } of sizes) {
+    console.log(`${fits ? '✅' : '❌'} ${slug.padEnd(28)} ${kb(bytes).padStart(6)} KB`);
+  }
+  const over = sizes.filter(s => !s.fits).length;
+  if (over) {
+    console.warn(`\n⚠️  ${over} sub-template(s) over ${kb(budget)} KB. Split with: node scripts/split-tab.js <Slug>`);
+    process.exitCode = 2;
+  } else {
+    console.log(`\n✅ Every sub-template fits ${kb(budget)} KB.`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const budgetAt = args.indexOf('--budget');
+  const positional = args.filter((a, i) => !a.startsWith('--') && (budgetAt < 0 || i !== budgetAt + 1));
+  const budget = budgetAt >= 0 ? Number(args[budgetAt + 1]) * 1024 : DEFAULT_BUDGET;
+  const dryRun = args.includes('--dry-run');
+  if (positional.length > 1 || !(budget > 0)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const sources = readSources();
+  const slug = positional[0];
+  if (!slug) {
+    report(sources, budget);
+    return;
+  }
+
+  let plan;
+  try {
+    plan = planSplit(sources, slug, { budget });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (plan.problems.length) {
+    console.error(`❌ Cannot split ${slug} to ${kb(budget)} KB:`);
+    plan.problems.forEach(p => console.error(`   ${p}`));
+    process.exit(1);
+  }
+  if (!plan.changed) {
+    console.log(`✅ ${slug} already fits ${kb(budget)} KB (${plan.sizes.map(s => `${s.slug} ${kb(s.bytes)} KB`).join(', ')}).`);
+    return;
+  }
+
+  console.log(`${dryRun ? 'Would split' : 'Splitting'} ${slug} (budget ${kb(budget)} KB):`);
+  for (const s of plan.sizes) {
+    const sect = (plan.entry.subSections || []).find(e => e.slug === s.slug);
+    const what = !sect ? '' : sect.from ? `  from "${sect.from}"` : `  group "${sect.groupName}"`;
+    console.log(`   ${s.slug.padEnd(28)} ${kb(s.bytes).padStart(6)} KB${what}`);
+  }
+  if (dryRun) {
+    console.log(JSON.stringify(plan.entry.subSections || [], null, 2).replace(/^/gm, '   '));
+    return;
+  }
+
+  if (!args.includes('--force') && !checkBuild(ROOT).upToDate) {
+    console.error('❌ Refusing to run: AzureLocal-LENS-Workbook.json is OUT OF SYNC with the split sources.');
+    console.error('   Run node scripts/build-monolithic.js first (or pass --force to override).');
+    process.exit(1);
+  }
+
+  let changes;
+  try {
+    changes = applySplit(ROOT, plan);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  changes.remove.forEach(file => console.log(`🗑️  ${file}`));
+  changes.files.forEach(({ file }) => console.log(`✏️  ${file}`));
+
+  if (!checkBuild(ROOT).upToDate) {
+    console.error('\n❌ The split changed the monolithic build (node scripts/build-monolithic.js --check fails).');
+    console.error('   Restore the files above from git and report the sub-template that failed.');
+    process.exit(1);
+  }
+  // Queries of a new section sub-template move to its own query goldens.
+  const before = new Set(templateEntries(sources.tabMap).map(e => e.slug));
+  const peeled = groupSections(plan.entry).filter(e => !before.has(e.slug));
+  console.log(`\n✅ Split ${slug}; AzureLocal-LENS-Workbook.json is unchanged. Next:`);
+  console.log('   - node scripts/build-gallery.js');
+  if (peeled.length) console.log(`   - node scripts/run-tests.js --snapshot --update   (goldens move to ${peeled.map(e => `scripts/fixtures/snapshots/${e.slug}/`).join(', ')})`);
+  console.log('   - node scripts/run-tests.js --snapshot');
+}
+
+if (require.main === module) main();
+
+module.exports = { sizeReport, applySplit };
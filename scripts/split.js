@@ -11,9 +11,16 @@
  * in the Azure Monitor portal. When loaded inside the outer template, the
  * duplicate parameters are merged out by the workbook runtime.
  *
+ * The main-tabs and cap-section-tabs links are left empty: build-monolithic.js
+ * generates them from scripts/template-ids.json (scripts/lib/navigation.js).
+ *
  * The conditionalVisibility on each tab's content group is REMOVED in the
  * sub-template (the outer template re-applies it during the monolithic build).
  *
+ * Tabs with "subSections" in scripts/template-ids.json (the Capacity
+ * sections, continuations written by scripts/split-tab.js) are split into
+ * those sub-templates as well (scripts/lib/splitter.js).
+ *
  * After running this script, scripts/build-monolithic.js is the inverse and
  * regenerates AzureLocal-LENS-Workbook.json from the split files.
  *
@@ -34,11 +41,14 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { execFileSync } = require('child_process');
 
 const ROOT = path.resolve(__dirname, '..');
 const SOURCE = path.join(ROOT, 'AzureLocal-LENS-Workbook.json');
 const TAB_MAP = require('./template-ids.json');
+const { clearNavigation } = require('./lib/navigation');
+const { splitAll } = require('./lib/splitter');
+const { sourceText } = require('./lib/format');
+const { checkBuild } = require('./build-monolithic');
 
 const SHARED_DIR = path.join(ROOT, 'shared');
 const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
@@ -62,9 +72,8 @@ function ensureDir(dir) {
 }
 
 function writeJson(file, obj) {
-  // Match the format of the existing root file: 2-space indent, CRLF, trailing newline.
-  const out = JSON.stringify(obj, null, 2).replace(/\n/g, '\r\n') + '\r\n';
-  fs.writeFileSync(file, out, 'utf8');
+  // The canonical source form (scripts/lib/format.js).
+  fs.writeFileSync(file, sourceText(obj), 'utf8');
 }
 
 function main() {
@@ -76,11 +85,13 @@ function main() {
     if (!fs.existsSync(path.join(SHARED_DIR, 'parameters.json'))) {
       // First-time run — nothing to lose, proceed.
     } else {
+      let upToDate = false;
       try {
-        execFileSync(process.execPath, [path.join(__dirname, 'build-monolithic.js'), '--check'], {
-          stdio: 'pipe'
-        });
+        upToDate = checkBuild(ROOT).upToDate;
       } catch (err) {
+        // Sources that do not build are not in sync either.
+      }
+      if (!upToDate) {
         console.error('❌ Refusing to run: AzureLocal-LENS-Workbook.json is OUT OF SYNC with the split sources.');
         console.error('   The split layout (workbooks/*\\*.workbook + shared/*.json) is the source of truth.');
         console.error('   Re-running split.js now would overwrite your split sources from a stale root file.');
@@ -118,11 +129,11 @@ function main() {
   console.log(`shared/parameters.json   (${paramsItem.content.parameters.length} parameters)`);
 
   // --- Extract header items (banners/links/main-tabs) ---
-  const headerItems = HEADER_ITEM_NAMES.map(name => {
+  const headerItems = clearNavigation(HEADER_ITEM_NAMES.map(name => {
     const it = root.items.find(i => i.name === name);
     if (!it) throw new Error(`Header item not found: ${name}`);
-    return it;
-  });
+    return JSON.parse(JSON.stringify(it));
+  }));
   writeJson(path.join(SHARED_DIR, 'header.json'), { items: headerItems });
   console.log(`shared/header.json       (${headerItems.length} header items)`);
 
@@ -138,6 +149,7 @@ function main() {
     // Use a deep clone so the source tree remains intact.
     const groupClone = JSON.parse(JSON.stringify(group));
     delete groupClone.conditionalVisibility;
+    clearNavigation([groupClone]);
 
     // Build the self-contained sub-template:
     //   [0] global parameters (copy)
@@ -151,20 +163,25 @@ function main() {
       version: 'Notebook/1.0',
       items: [
         JSON.parse(JSON.stringify(paramsItem)),
-        JSON.parse(JSON.stringify(mainTabs)),
+        ...clearNavigation([JSON.parse(JSON.stringify(mainTabs))]),
         groupClone
       ],
       fallbackResourceIds: ['azure monitor'],
       $schema: SCHEMA
     };
 
-    const dir = path.join(WORKBOOKS_DIR, tab.slug);
-    ensureDir(dir);
-    const outFile = path.join(dir, `${tab.slug}.workbook`);
-    writeJson(outFile, subTemplate);
-    const sz = Buffer.byteLength(fs.readFileSync(outFile, 'utf8'), 'utf8');
-    tabSizes.push({ slug: tab.slug, size: sz });
-    console.log(`workbooks/${tab.slug}/${tab.slug}.workbook  (${(sz / 1024).toFixed(1)} KB)`);
+    // Tabs with subSections (the Capacity sections, continuations of
+    // oversized tabs) are split along them as recorded in template-ids.json,
+    // the layout build-monolithic.js reads (scripts/lib/splitter.js).
+    for (const { entry, doc } of splitAll(subTemplate, tab)) {
+      const dir = path.join(WORKBOOKS_DIR, entry.slug);
+      ensureDir(dir);
+      const outFile = path.join(dir, `${entry.slug}.workbook`);
+      writeJson(outFile, doc);
+      const sz = Buffer.byteLength(fs.readFileSync(outFile, 'utf8'), 'utf8');
+      tabSizes.push({ slug: entry.slug, size: sz });
+      console.log(`workbooks/${entry.slug}/${entry.slug}.workbook  (${(sz / 1024).toFixed(1)} KB)`);
+    }
   }
 
   // --- Sanity check: every root item is accounted for ---
@@ -182,9 +199,9 @@ function main() {
   }
 
   console.log('\nSummary:');
-  console.log(`  Total tabs: ${tabSizes.length}`);
+  console.log(`  Sub-templates: ${tabSizes.length}`);
   const max = tabSizes.reduce((a, b) => (b.size > a.size ? b : a));
-  console.log(`  Largest:    ${max.slug} (${(max.size / 1024).toFixed(1)} KB)`);
+  console.log(`  Largest:       ${max.slug} (${(max.size / 1024).toFixed(1)} KB)`);
   const over = tabSizes.filter(t => t.size > 200 * 1024);
   if (over.length > 0) {
     console.warn(`  ⚠️  ${over.length} tab(s) exceed 200 KB (Azure Monitor recommended max):`);
@@ -192,14 +209,6 @@ function main() {
   } else {
     console.log('  ✅ All tabs under 200 KB.');
   }
-
-  // --- Chain: extract Capacity-* sub-sections from the freshly-emitted
-  // workbooks/Capacity/Capacity.workbook so the split layout matches what
-  // build-monolithic.js expects (trimmed orchestrator + 5 Capacity-* files).
-  // Without this, split.js alone produces an un-trimmed orchestrator and a
-  // subsequent build-monolithic --check would fail.
-  console.log('\nExtracting Capacity sub-sections…');
-  execFileSync(process.execPath, [path.join(__dirname, 'split-capacity.js')], { stdio: 'inherit' });
 }
 
-main();
+if (require.main === module) main();
@@ -7,29 +7,31 @@
  */
 const fs = require('fs');
 const path = require('path');
+const { templateEntries } = require('./lib/splitter');
+const { sourceText } = require('./lib/format');
 
 const ROOT = path.resolve(__dirname, '..');
-const SHARED = path.join(ROOT, 'shared', 'parameters.json');
-const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
-const TAB_MAP = require('./template-ids.json');
 
-const canonical = JSON.parse(fs.readFileSync(SHARED, 'utf8'));
-
-const slugs = [];
-for (const tab of TAB_MAP.tabs) {
-  slugs.push(tab.slug);
-  if (Array.isArray(tab.subSections)) {
-    for (const sect of tab.subSections) slugs.push(sect.slug);
-  }
+/** Rewrite items[0] of every sub-template of `root`; returns the files written. */
+function syncSharedParams(root = ROOT) {
+  const canonical = JSON.parse(fs.readFileSync(path.join(root, 'shared', 'parameters.json'), 'utf8'));
+  const tabMap = JSON.parse(fs.readFileSync(path.join(root, 'scripts', 'template-ids.json'), 'utf8'));
+  return templateEntries(tabMap).map(({ slug }) => {
+    const file = path.join(root, 'workbooks', slug, `${slug}.workbook`);
+    const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
+    sub.items[0] = JSON.parse(JSON.stringify(canonical));
+    fs.writeFileSync(file, sourceText(sub), 'utf8');
+    return file;
+  });
 }
 
-for (const slug of slugs) {
-  const file = path.join(WORKBOOKS_DIR, slug, `${slug}.workbook`);
-  const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
-  sub.items[0] = JSON.parse(JSON.stringify(canonical));
-  const out = JSON.stringify(sub, null, 2).replace(/\n/g, '\r\n') + '\r\n';
-  fs.writeFileSync(file, out, 'utf8');
-  console.log(`synced: ${path.relative(ROOT, file)}`);
+function main() {
+  const files = syncSharedParams();
+  files.forEach(file => console.log(`synced: ${path.relative(ROOT, file)}`));
+  console.log(`\n✅ Synced ${files.length} sub-template(s).`);
+  console.log('   Next: node scripts/build-monolithic.js');
 }
-console.log(`\n✅ Synced ${slugs.length} sub-template(s).`);
-console.log('   Next: node scripts/build-monolithic.js');
+
+if (require.main === module) main();
+
+module.exports = { syncSharedParams };
@@ -0,0 +1,113 @@
+/**
+ * scripts/upgrade-merge.js — Carries the edits of a customized copy of the
+ * workbook (extra quick links, different thresholds, removed tables, ...)
+ * over to a new release, instead of redoing them by hand every release.
+ *
+ * Three inputs:
+ *   base      the release the copy was made from
+ *   custom    the customized copy, as saved in the portal
+ *   release   the new release (usually AzureLocal-LENS-Workbook.json)
+ *
+ * Each is a workbook file — Notebook JSON (Advanced Editor → Gallery
+ * Template) or an ARM template / resource with it in serializedData — or a
+ * split tree as accepted by diff-workbook.js. base may also be a git ref
+ * of this repository (e.g. v1.0.2).
+ *
+ * The merge is keyed on item name paths (see scripts/lib/upgrade-merge.js):
+ * changes made on one side only are taken; items both sides changed
+ * differently are conflicts, resolved to the release value (or the
+ * customized one with --prefer custom) and listed in the report with both
+ * values.
+ *
+ * Usage:
+ *   node scripts/upgrade-merge.js <base> <custom> <release> --output <merged.json> [--report <report.md>] [--prefer release|custom]
+ *
+ * Example:
+ *   node scripts/upgrade-merge.js v1.0.2 ../contoso-lens.json AzureLocal-LENS-Workbook.json --output contoso-lens-v1.0.3.json --report merge.md
+ *
+ * Exit code: 0 on a clean merge, 2 when there are conflicts (the merged
+ * workbook and report are still written), 1 on errors.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadSide } = require('./diff-workbook');
+const { loadPrevious } = require('./release-notes');
+const { parseExport } = require('./lib/import-workbook');
+const { mergeWorkbooks, formatReport } = require('./lib/upgrade-merge');
+const { workbookVersion } = require('./lib/workbook-diff');
+const { serialize } = require('./lib/workbook');
+
+const USAGE = 'Usage: node scripts/upgrade-merge.js <base> <custom> <release> --output <merged.json> [--report <report.md>] [--prefer release|custom]';
+
+/** Workbook from an export file, a split tree or (allowRef) a git ref. */
+function loadInput(input, { allowRef = false } = {}) {
+  const full = path.resolve(input);
+  if (!fs.existsSync(full)) {
+    if (allowRef) return loadPrevious(input);
+    throw new Error(`Not found: ${input}`);
+  }
+  if (fs.statSync(full).isDirectory()) return loadSide(input);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(full, 'utf8').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error(`${input} is not valid JSON: ${e.message}`);
+  }
+  try {
+    return parseExport(json);
+  } catch (e) {
+    throw new Error(`${input}: ${e.message}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : null;
+  };
+  const output = option('--output');
+  const report = option('--report');
+  const prefer = option('--prefer') || 'release';
+  const valued = new Set(['--output', '--report', '--prefer'].map(o => args.indexOf(o) + 1).filter(i => i > 0));
+  const positional = args.filter((a, i) => !a.startsWith('--') && !valued.has(i));
+  if (positional.length !== 3 || !output || (args.includes('--report') && !report) || !['release', 'custom'].includes(prefer)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let base;
+  let custom;
+  let release;
+  let result;
+  try {
+    base = loadInput(positional[0], { allowRef: true });
+    custom = loadInput(positional[1]);
+    release = loadInput(positional[2]);
+    result = mergeWorkbooks(base, custom, release, { prefer });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  fs.writeFileSync(output, serialize(result.doc), 'utf8');
+  console.log(`✅ Wrote ${output}`);
+  console.log(`   ${result.custom.length} customer change(s) carried over, ${result.release.length} release change(s) applied.`);
+  if (report) {
+    fs.writeFileSync(report, formatReport(result, {
+      base: workbookVersion(base) || positional[0],
+      release: workbookVersion(release) || positional[2]
+    }));
+    console.log(`✅ Wrote ${report}`);
+  }
+
+  if (result.conflicts.length) {
+    const kept = prefer === 'custom' ? 'customized' : 'release';
+    console.warn(`\n⚠️  ${result.conflicts.length} conflict(s); the ${kept} value was kept:`);
+    result.conflicts.forEach(c => console.warn(`   ${c.path}${c.field ? ` — ${c.field}` : ''} (${c.kind})`));
+    if (!report) console.warn('   Pass --report <file.md> for both values of each.');
+    process.exitCode = 2;
+  }
+}
+
+main();
@@ -0,0 +1,86 @@
+/**
+ * scripts/validate-schema.js — Validates the workbook against the Azure
+ * Workbooks schemas kept in scripts/schemas/ (scripts/lib/schema.js):
+ * every item of shared/*.json, of every workbooks/<Slug>/<Slug>.workbook
+ * and of the monolithic root file, so a misspelled key (`gridsettings`) or
+ * a value the portal does not know (`noDataMessageStyle: 9`) fails here
+ * instead of being silently dropped on import.
+ *
+ * Errors give the file and the JSON pointer of the offending value:
+ *
+ *   workbooks/VMs/VMs.workbook#/items/2/content/items/4/content/gridsettings:
+ *     unknown property "gridsettings" (did you mean "gridSettings"?)
+ *
+ * A property the portal defines but the schema leaves out is added to the
+ * schema file; one only LENS writes goes in scripts/schemas/allowlist.json,
+ * with the reason.
+ *
+ * Exits non-zero on any error (suitable for CI).
+ *
+ * Usage:
+ *   node scripts/validate-schema.js                      # the sources and the root file
+ *   node scripts/validate-schema.js export.json ...      # other workbooks (an Advanced Editor export, dist/ output)
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadSchemas, validateSource } = require('./lib/schema');
+const { formatFiles } = require('./lib/format');
+
+const ROOT = path.resolve(__dirname, '..');
+const ROOT_FILE = 'AzureLocal-LENS-Workbook.json';
+
+/** Errors of the workbook file `file`: [{ pointer, message }]. Throws when it is not valid JSON. */
+function validateFile(file, schemas) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+  return validateSource(doc, schemas);
+}
+
+/**
+ * Validate the sources of `root` and its monolithic root file (or `files`,
+ * when given) against the schemas of `root`: [{ file, errors }].
+ */
+function schemaTree(root = ROOT, { files = null } = {}) {
+  const schemas = loadSchemas(path.join(root, 'scripts', 'schemas'));
+  const targets = files || [...formatFiles(root), path.join(root, ROOT_FILE)];
+  return targets.map(file => ({ file, errors: validateFile(file, schemas) }));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  let results;
+  try {
+    results = schemaTree(ROOT, { files: args.length ? args.map(a => path.resolve(a)) : null });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  let total = 0;
+  for (const { file, errors } of results) {
+    const rel = path.relative(ROOT, file).replace(/\\/g, '/');
+    if (!errors.length) {
+      console.log(`✅ ${rel}`);
+      continue;
+    }
+    console.log(`❌ ${rel}  (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    errors.forEach(e => console.log(`   ${rel}#${e.pointer}: ${e.message}`));
+    total += errors.length;
+  }
+
+  if (total > 0) {
+    console.error(`\n❌ ${total} schema error(s).`);
+    console.error('   Fix the property, or if the portal defines it, add it to the schema in scripts/schemas/;');
+    console.error('   a property only LENS writes goes in scripts/schemas/allowlist.json with the reason.');
+    process.exit(1);
+  }
+  console.log(`\n✅ All ${results.length} file(s) match the workbook schemas.`);
+}
+
+if (require.main === module) main();
+
+module.exports = { schemaTree, validateFile };
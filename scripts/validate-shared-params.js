@@ -10,64 +10,72 @@
  */
 const fs = require('fs');
 const path = require('path');
+const { templateEntries } = require('./lib/splitter');
 
 const ROOT = path.resolve(__dirname, '..');
-const SHARED = path.join(ROOT, 'shared', 'parameters.json');
-const WORKBOOKS_DIR = path.join(ROOT, 'workbooks');
-const TAB_MAP = require('./template-ids.json');
 
-const canonical = JSON.parse(fs.readFileSync(SHARED, 'utf8'));
-const canonicalJson = JSON.stringify(canonical);
-
-const targets = [];
-for (const tab of TAB_MAP.tabs) {
-  targets.push({ slug: tab.slug });
-  if (Array.isArray(tab.subSections)) {
-    for (const sect of tab.subSections) targets.push({ slug: sect.slug });
+/**
+ * Check every sub-template of `root` against its shared/parameters.json:
+ * { slugs, problems: [{ slug, message, hints }] } (no problems = in parity).
+ */
+function sharedParamProblems(root = ROOT) {
+  const canonical = JSON.parse(fs.readFileSync(path.join(root, 'shared', 'parameters.json'), 'utf8'));
+  const canonicalJson = JSON.stringify(canonical);
+  const tabMap = JSON.parse(fs.readFileSync(path.join(root, 'scripts', 'template-ids.json'), 'utf8'));
+  const slugs = templateEntries(tabMap).map(e => e.slug);
+  const problems = [];
+  for (const slug of slugs) {
+    const file = path.join(root, 'workbooks', slug, `${slug}.workbook`);
+    if (!fs.existsSync(file)) {
+      problems.push({ slug, message: `sub-template missing (${file})`, hints: [] });
+      continue;
+    }
+    const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(sub.items) || sub.items.length === 0) {
+      problems.push({ slug, message: 'empty items array', hints: [] });
+      continue;
+    }
+    const first = sub.items[0];
+    if (first.type !== 9) {
+      problems.push({ slug, message: `items[0] is type=${first.type}, expected 9 (parameter group)`, hints: [] });
+      continue;
+    }
+    if (JSON.stringify(first) !== canonicalJson) {
+      // A useful hint about what differs.
+      const subNames = (first.content && first.content.parameters || []).map(p => p.name).sort();
+      const canonNames = canonical.content.parameters.map(p => p.name).sort();
+      const missingInSub = canonNames.filter(n => !subNames.includes(n));
+      const extraInSub = subNames.filter(n => !canonNames.includes(n));
+      const hints = [];
+      if (missingInSub.length) hints.push(`missing parameters: ${missingInSub.join(', ')}`);
+      if (extraInSub.length)  hints.push(`extra parameters:   ${extraInSub.join(', ')}`);
+      if (!hints.length) hints.push('(parameter names match — content of one or more parameters drifted)');
+      problems.push({ slug, message: 'items[0] differs from shared/parameters.json', hints });
+    }
   }
+  return { slugs, problems };
 }
 
-let failed = 0;
-for (const t of targets) {
-  const file = path.join(WORKBOOKS_DIR, t.slug, `${t.slug}.workbook`);
-  if (!fs.existsSync(file)) {
-    console.error(`❌ ${t.slug}: sub-template missing (${file})`);
-    failed++;
-    continue;
-  }
-  const sub = JSON.parse(fs.readFileSync(file, 'utf8'));
-  if (!Array.isArray(sub.items) || sub.items.length === 0) {
-    console.error(`❌ ${t.slug}: empty items array`);
-    failed++;
-    continue;
-  }
-  const first = sub.items[0];
-  if (first.type !== 9) {
-    console.error(`❌ ${t.slug}: items[0] is type=${first.type}, expected 9 (parameter group)`);
-    failed++;
-    continue;
-  }
-  if (JSON.stringify(first) !== canonicalJson) {
-    console.error(`❌ ${t.slug}: items[0] differs from shared/parameters.json`);
-    // Emit a useful hint about what differs.
-    const subNames = (first.content && first.content.parameters || []).map(p => p.name).sort();
-    const canonNames = canonical.content.parameters.map(p => p.name).sort();
-    const missingInSub = canonNames.filter(n => !subNames.includes(n));
-    const extraInSub = subNames.filter(n => !canonNames.includes(n));
-    if (missingInSub.length) console.error(`    missing parameters: ${missingInSub.join(', ')}`);
-    if (extraInSub.length)  console.error(`    extra parameters:   ${extraInSub.join(', ')}`);
-    if (!missingInSub.length && !extraInSub.length) {
-      console.error('    (parameter names match — content of one or more parameters drifted)');
+function main() {
+  const { slugs, problems } = sharedParamProblems();
+  for (const slug of slugs) {
+    const problem = problems.find(p => p.slug === slug);
+    if (!problem) {
+      console.log(`✅ ${slug}`);
+      continue;
     }
-    failed++;
-    continue;
+    console.error(`❌ ${slug}: ${problem.message}`);
+    problem.hints.forEach(h => console.error(`    ${h}`));
   }
-  console.log(`✅ ${t.slug}`);
-}
 
-if (failed > 0) {
-  console.error(`\n❌ ${failed} sub-template(s) have parameter drift.`);
-  console.error('   Run: node scripts/sync-shared-params.js   (or edit shared/parameters.json then re-run)');
-  process.exit(1);
+  if (problems.length > 0) {
+    console.error(`\n❌ ${problems.length} sub-template(s) have parameter drift.`);
+    console.error('   Run: node scripts/sync-shared-params.js   (or edit shared/parameters.json then re-run)');
+    process.exit(1);
+  }
+  console.log(`\n✅ All ${slugs.length} sub-templates have canonical parameters.`);
 }
-console.log(`\n✅ All ${targets.length} sub-templates have canonical parameters.`);
+
+if (require.main === module) main();
+
+module.exports = { sharedParamProblems };